@@ -14,14 +14,42 @@ import LifecycleManager from './services/lifecycleManager.js';
 import PythonBridge from './services/pythonBridge.js';
 import OracleService from './services/oracleService.js';
 import CacheManager from './services/cacheManager.js';
+import StrategyEngine from './services/strategyEngine.js';
+import BacktestRunner from './services/backtestRunner.js';
+import ConnectionPool from './services/connectionPool.js';
+import GasOptimizer from './services/gasOptimizer.js';
+import PortfolioAllocator from './services/portfolioAllocator.js';
+import ExecutionGuardrails from './services/executionGuardrails.js';
+import ApprovalQueue from './services/approvalQueue.js';
+import AuthenticationService from './services/AuthenticationService.js';
+import RebalanceScheduler from './services/rebalanceScheduler.js';
+import OutcomeEvaluator, { expectedOutcomeFrom, modelMetadataFrom, modelOf } from './services/outcomeEvaluator.js';
+import ModelPerformanceAnalytics from './services/modelPerformanceAnalytics.js';
+import ShadowEvaluator from './services/shadowEvaluator.js';
+import SnapshotArchive from './services/snapshotArchive.js';
+import HcsTopicIndexer, { DEFAULT_TOPIC_INDEXER } from './services/hcsTopicIndexer.js';
 import { MainnetWeb3Service } from './services/mainnetWeb3Service.js';
 
 // Import Hedera services
 import HederaService from './services/hederaService.js';
-import AIDecisionLogger from './services/aiDecisionLogger.js';
+import KeyManager from './services/keyManager.js';
+import HederaFeeLedger from './services/hederaFeeLedger.js';
+import HcsTopicRegistry from './services/hcsTopicRegistry.js';
+import HtsShareSynchronizer from './services/htsShareSynchronizer.js';
+import HtsShareReconciler, { DEFAULT_SHARE_RECONCILIATION } from './services/htsShareReconciler.js';
+import RealAlertingSystem from './services/realAlertingSystem.js';
+import { createDecisionLogger } from './services/aiDecisionLogger.js';
 import ModelMetadataManager from './services/modelMetadataManager.js';
 import RealTimeEventMonitor from './services/realTimeEventMonitor.js';
 import HederaErrorHandler from './services/hederaErrorHandler.js';
+import { registerMcpRoutes } from './server/mcpServer.js';
+import { registerMirrorRoutes } from './server/mirrorRoutes.js';
+import { registerTopicRoutes } from './server/topicRoutes.js';
+import { registerShareSyncRoutes } from './server/shareSyncRoutes.js';
+import { registerHederaRoutes } from './server/hederaRoutes.js';
+import { registerAuthRoutes } from './server/authRoutes.js';
+import { registerExecuteRoutes } from './server/executeRoutes.js';
+import { createAuthMiddleware, createAuthorizationMiddleware } from './middleware/authMiddleware.js';
 
 // 🚀 Advanced Environment Configuration
 (() => {
@@ -50,19 +78,30 @@ const lifecycleManager = new LifecycleManager(serviceContainer, configManager);
 const errorManager = new ErrorManager();
 const validationManager = new ValidationManager();
 const securityManager = new SecurityManager();
-const pythonBridge = new PythonBridge(errorManager);
+const pythonBridge = new PythonBridge(errorManager, { configManager });
 const oracleService = new OracleService(errorManager);
 const cacheManager = new CacheManager();
+const strategyEngine = new StrategyEngine();
+const backtestRunner = new BacktestRunner({ strategyEngine, oracleService });
+const connectionPool = new ConnectionPool();
+const gasOptimizer = new GasOptimizer(connectionPool);
+// Users, roles and sessions for the authenticated routes
+const authService = new AuthenticationService();
 let web3Service = null;
 
 // Initialize Hedera services
 let hederaService = null;
+let keyManager = null;
+let topicRegistry = null;
 let aiDecisionLogger = null;
 let modelMetadataManager = null;
 let realTimeEventMonitor = null;
 
 // Register services in the container
 async function setupServices() {
+  // Load configuration first: the services below read it as they are created
+  await configManager.initialize();
+
   // Register core services
   serviceContainer.singleton('configManager', () => configManager);
   serviceContainer.singleton('errorManager', () => errorManager);
@@ -71,6 +110,92 @@ async function setupServices() {
   serviceContainer.singleton('cacheManager', () => cacheManager);
   serviceContainer.singleton('pythonBridge', () => pythonBridge);
   serviceContainer.singleton('oracleService', () => oracleService);
+  serviceContainer.singleton('strategyEngine', () => strategyEngine);
+  serviceContainer.singleton('backtestRunner', () => backtestRunner);
+  serviceContainer.singleton('gasOptimizer', () => gasOptimizer);
+  serviceContainer.singleton('portfolioAllocator', () => new PortfolioAllocator({
+    oracleService,
+    gasOptimizer,
+    web3Service,
+    config: configManager.get('execution.allocator', {})
+  }));
+  serviceContainer.singleton('executionGuardrails', () => new ExecutionGuardrails({
+    config: configManager.get('execution.guardrails', {}),
+    web3Service
+  }));
+  // Large, risky or low-confidence executions wait here for a human approver
+  serviceContainer.singleton('approvalQueue', () => new ApprovalQueue({
+    config: configManager.get('approvals', {}),
+    aiDecisionLogger
+  }));
+  serviceContainer.singleton('rebalanceScheduler', ({ executionGuardrails, approvalQueue, shadowEvaluator, snapshotArchive }) => new RebalanceScheduler({
+    config: configManager.get('scheduler', {}),
+    oracleService,
+    strategyEngine,
+    guardrails: executionGuardrails,
+    approvalQueue,
+    aiDecisionLogger,
+    modelMetadataManager,
+    shadowEvaluator,
+    snapshotArchive,
+    web3Service
+  }), { dependencies: ['executionGuardrails', 'approvalQueue', 'shadowEvaluator', 'snapshotArchive'] });
+  serviceContainer.singleton('outcomeEvaluator', () => new OutcomeEvaluator({
+    config: configManager.get('ai.outcomeEvaluator', {}),
+    oracleService,
+    strategyEngine,
+    aiDecisionLogger
+  }));
+  serviceContainer.singleton('modelPerformanceAnalytics', ({ outcomeEvaluator }) => new ModelPerformanceAnalytics({
+    config: configManager.get('ai.modelAnalytics', {}),
+    aiDecisionLogger,
+    modelMetadataManager,
+    outcomeEvaluator
+  }), { dependencies: ['outcomeEvaluator'] });
+  serviceContainer.singleton('snapshotArchive', () => new SnapshotArchive({
+    config: configManager.get('ai.snapshotArchive', {}),
+    strategyEngine,
+    modelMetadataManager,
+    hederaService,
+    web3Service
+  }));
+  serviceContainer.singleton('shadowEvaluator', ({ outcomeEvaluator }) => new ShadowEvaluator({
+    config: configManager.get('ai.shadow', {}),
+    modelMetadataManager,
+    outcomeEvaluator
+  }), { dependencies: ['outcomeEvaluator'] });
+  serviceContainer.singleton('hcsTopicIndexer', () => {
+    const config = configManager.get('hedera.topicIndexer', {});
+    // Without configured topics, follow every topic in the registry
+    const topics = config.topics?.length ? config.topics : topicRegistry.list();
+    return new HcsTopicIndexer({
+      config: {
+        ...config,
+        mirrorNodeUrl: config.mirrorNodeUrl || process.env.HEDERA_MIRROR_NODE_URL || DEFAULT_TOPIC_INDEXER.mirrorNodeUrl,
+        topics
+      }
+    });
+  });
+  // Mirrors vault deposits and withdrawals onto the HTS share token
+  serviceContainer.singleton('shareSynchronizer', () => new HtsShareSynchronizer({
+    config: configManager.get('hedera.shareSync', {}),
+    hederaService,
+    provider: web3Service ? web3Service.getCurrentProvider() : null
+  }));
+  // Checks the share token against vault shares; corrections wait in the approval queue
+  serviceContainer.singleton('shareReconciler', ({ shareSynchronizer, approvalQueue }) => {
+    const config = configManager.get('hedera.shareReconciliation', {});
+    return new HtsShareReconciler({
+      config: {
+        ...config,
+        mirrorNodeUrl: config.mirrorNodeUrl || process.env.HEDERA_MIRROR_NODE_URL || DEFAULT_SHARE_RECONCILIATION.mirrorNodeUrl
+      },
+      hederaService,
+      shareSynchronizer,
+      alertingSystem: new RealAlertingSystem({}),
+      approvalQueue
+    });
+  }, { dependencies: ['shareSynchronizer', 'approvalQueue'] });
   
   // Initialize Web3Service with mainnet support
   try {
@@ -82,19 +207,56 @@ async function setupServices() {
     web3Service = null;
   }
   
+  // Logical HCS topic names (decisions, bridge, outcomes, governance) and their topic IDs
+  topicRegistry = new HcsTopicRegistry({ config: configManager.get('hedera.topicRegistry', {}) });
+  serviceContainer.singleton('topicRegistry', () => topicRegistry);
+  
   // Initialize Hedera services
   try {
     console.log('🚀 Initializing Hedera services...');
     
+    // Agent signing key for HCS messages
+    const signing = configManager.get('hedera.signing', {});
+    if (signing.enabled !== false) {
+      keyManager = new KeyManager();
+      const { success } = await keyManager.initialize();
+      keyManager = success ? keyManager : null;
+      if (keyManager) {
+        serviceContainer.singleton('keyManager', () => keyManager);
+      }
+    }
+    
+    // Confidential decision fields are encrypted for the configured readers and the agent itself
+    const fieldEncryption = configManager.get('hedera.fieldEncryption', {});
+    if (keyManager && fieldEncryption.enabled) {
+      await keyManager.syncReaderKeys(fieldEncryption.readers);
+    }
+    
+    await topicRegistry.load();
+    const decisionsTopic = topicRegistry.get('decisions');
+    
     // Initialize core Hedera service
-    hederaService = new HederaService();
+    hederaService = new HederaService({
+      signer: keyManager,
+      signingKey: signing.keyName,
+      keyring: keyManager,
+      keyStore: keyManager,
+      fieldEncryption,
+      ...(decisionsTopic && { hcsTopicId: decisionsTopic }),
+      // Every fee the agent pays is recorded per service, against daily HBAR budgets
+      feeLedger: new HederaFeeLedger({ config: configManager.get('hedera.feeLedger', {}) })
+    });
     await hederaService.initialize();
     serviceContainer.singleton('hederaService', () => hederaService);
     
-    // Initialize AI Decision Logger (works with or without Web3)
-    const contractAddress = process.env.VAULT_CONTRACT_ADDRESS || '0x1234567890123456789012345678901234567890';
-    const provider = web3Service ? web3Service.getProvider() : null;
-    aiDecisionLogger = new AIDecisionLogger(provider, contractAddress, []);
+    // With HEDERA_SIMULATOR=true the simulator serves its own mirror node API on this server; point mirror readers at it
+    if (hederaService.simulator && !process.env.HEDERA_MIRROR_NODE_URL) {
+      process.env.HEDERA_MIRROR_NODE_URL = `http://localhost:${process.env.PORT || configManager.get('server.port', 3002)}`;
+      console.log(`🧪 Hedera simulator active; mirror node API at ${process.env.HEDERA_MIRROR_NODE_URL}/api/v1`);
+    }
+    
+    // Initialize AI Decision Logger on the decision topic (works with or without Web3)
+    aiDecisionLogger = createDecisionLogger(hederaService);
     await aiDecisionLogger.initialize();
     serviceContainer.singleton('aiDecisionLogger', () => aiDecisionLogger);
     console.log('✅ AI Decision Logger initialized successfully');
@@ -143,8 +305,10 @@ async function setupServices() {
     realTimeEventMonitor = null;
   }
   
-  // Initialize configuration and lifecycle
-  await configManager.initialize();
+  await authService.initialize();
+  serviceContainer.singleton('authService', () => authService);
+  
+  // Initialize lifecycle
   await lifecycleManager.initialize();
   
   // Register services with lifecycle management (excluding serviceContainer itself)
@@ -179,6 +343,21 @@ async function setupServices() {
     essential: false
   });
   
+  lifecycleManager.registerService('gasOptimizer', {
+    priority: 6,
+    essential: false
+  });
+  
+  lifecycleManager.registerService('pythonBridge', {
+    priority: 6,
+    essential: false,
+    stopTimeout: 15000,
+    healthCheck: async () => {
+      const health = await pythonBridge.getHealthStatus();
+      return health.healthy === true;
+    }
+  });
+  
   if (web3Service) {
     lifecycleManager.registerService('web3Service', {
       priority: 7,
@@ -255,6 +434,37 @@ async function setupServices() {
     });
   }
   
+  lifecycleManager.registerService('approvalQueue', {
+    priority: 11,
+    essential: false
+  });
+  
+  lifecycleManager.registerService('rebalanceScheduler', {
+    priority: 12,
+    essential: false,
+    stopTimeout: 60000
+  });
+  
+  lifecycleManager.registerService('outcomeEvaluator', {
+    priority: 13,
+    essential: false
+  });
+  
+  lifecycleManager.registerService('hcsTopicIndexer', {
+    priority: 13,
+    essential: false
+  });
+  
+  lifecycleManager.registerService('shareSynchronizer', {
+    priority: 13,
+    essential: false
+  });
+  
+  lifecycleManager.registerService('shareReconciler', {
+    priority: 14,
+    essential: false
+  });
+  
   // Start all services
   await lifecycleManager.startAll();
 }
@@ -393,47 +603,6 @@ app.get('/api/health', async (request, reply) => {
   }
 });
 
-// Hedera services status endpoint
-app.get('/api/hedera/status', async (request, reply) => {
-  const context = errorManager.createContext('hedera-status', '/api/hedera/status');
-  
-  try {
-    if (!hederaService && !aiDecisionLogger && !modelMetadataManager && !realTimeEventMonitor) {
-      return reply.status(503).send({
-        success: false,
-        error: 'Hedera services not initialized',
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-    const status = {
-      hederaService: hederaService ? {
-        initialized: hederaService.initialized,
-        status: hederaService.getStatus(),
-        statistics: hederaService.getStatistics()
-      } : null,
-      aiDecisionLogger: aiDecisionLogger ? {
-        isMonitoring: aiDecisionLogger.isMonitoring,
-        statistics: aiDecisionLogger.getStatistics()
-      } : null,
-      modelMetadataManager: modelMetadataManager ? {
-        initialized: modelMetadataManager.initialized,
-        statistics: modelMetadataManager.getStatistics()
-      } : null,
-      realTimeEventMonitor: realTimeEventMonitor ? {
-        isMonitoring: realTimeEventMonitor.isMonitoring,
-        statistics: realTimeEventMonitor.getStatistics()
-      } : null,
-      timestamp: new Date().toISOString()
-    };
-    
-    return { success: true, data: status };
-  } catch (error) {
-    const errorResponse = errorManager.createErrorResponse(error, context);
-    return reply.status(errorResponse.statusCode).send(errorResponse);
-  }
-});
-
 // Hedera decision logging endpoint
 app.post('/api/hedera/log-decision', async (request, reply) => {
   const context = errorManager.createContext('hedera-log-decision', '/api/hedera/log-decision');
@@ -458,7 +627,7 @@ app.post('/api/hedera/log-decision', async (request, reply) => {
       }
     }
     
-    const result = await hederaService.submitDecisionWithRetry(decisionData, 3, 1000);
+    const result = await hederaService.submitDecisionWithRetry(decisionData, 3, 1000, { service: 'api' });
     
     return {
       success: true,
@@ -810,20 +979,77 @@ app.post('/api/decide', {
   try {
     const params = request.body;
     
-    // Simulate AI decision
-    const strategies = ['venus', 'beefy', 'pancakeswap', 'aave'];
-    const recommendation = strategies[Math.floor(Math.random() * strategies.length)];
+    // Score every strategy against the current oracle snapshot
+    const oracleServiceInstance = await serviceContainer.get('oracleService');
+    const snapshot = await oracleServiceInstance.getSnapshot(params.network);
+    const result = strategyEngine.recommend(snapshot, params);
     
     const decision = {
-      recommendation,
-      confidence: 0.75 + Math.random() * 0.2,
-      reasoning: `Based on current market conditions, ${recommendation} offers the best risk-adjusted returns`,
-      expectedApy: 8 + Math.random() * 8,
-      riskScore: Math.floor(Math.random() * 5) + 1,
+      recommendation: result.recommendation,
+      confidence: result.confidence,
+      reasoning: result.reasoning,
+      expectedApy: result.expectedApy,
+      riskScore: result.riskScore,
+      shouldRebalance: result.shouldRebalance,
+      ranking: result.ranking,
+      confidenceFactors: result.confidenceFactors,
+      explanation: result.explanation,
+      inputHash: result.inputHash,
+      engineVersion: result.engineVersion,
       timestamp: new Date().toISOString(),
       decisionId: `decision_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
     };
-    
+
+    // Record the decision so the outcome evaluator can revisit it after each horizon
+    const modelMetadata = modelMetadataFrom(modelMetadataManager);
+    if (aiDecisionLogger) {
+      try {
+        // Archive the exact inputs so the decision can be replayed once the oracle cache has moved on
+        const snapshotArchive = await serviceContainer.get('snapshotArchive');
+        const archived = await snapshotArchive.archive({ snapshot, params, network: params.network });
+        decision.snapshotHash = archived?.hash || null;
+      } catch (archiveError) {
+        console.warn('⚠️ Failed to archive snapshot:', archiveError.message);
+      }
+
+
+      try {
+        decision.aiDecisionId = await aiDecisionLogger.logDecision({
+          type: 'ai_decision',
+          strategy: result.recommendation,
+          action: result.shouldRebalance ? `rebalance_${result.recommendation}` : 'hold',
+          confidence: result.confidence,
+          reasoning: result.reasoning,
+          context: {
+            network: params.network,
+            inputHash: result.inputHash,
+            engineVersion: result.engineVersion,
+            snapshotHash: decision.snapshotHash || null
+          },
+          parameters: { fromStrategy: params.currentStrategy || null, toStrategy: result.recommendation, amount: params.amount },
+          expectedOutcome: expectedOutcomeFrom(result, { network: params.network }),
+          explanation: result.explanation,
+          metadata: modelMetadata
+        });
+      } catch (logError) {
+        console.warn('⚠️ Failed to record decision:', logError.message);
+      }
+    }
+
+    // Let the shadow model decide on the same inputs; stored for comparison, never executed
+    try {
+      const shadowEvaluator = await serviceContainer.get('shadowEvaluator');
+      await shadowEvaluator.shadow({
+        snapshot,
+        params,
+        production: { ...result, model: modelOf({ metadata: modelMetadata }) },
+        productionDecisionId: decision.aiDecisionId || null,
+        source: 'api'
+      });
+    } catch (shadowError) {
+      console.warn('⚠️ Shadow decision failed:', shadowError.message);
+    }
+
     // Log decision to Hedera if available
     if (hederaService) {
       try {
@@ -837,12 +1063,14 @@ app.post('/api/decide', {
           timestamp: Date.now(),
           decisionCid: `Qm${Math.random().toString(36).substr(2, 44)}`, // Simulated IPFS CID
           fromStrategy: params.currentStrategy || '0',
-          toStrategy: recommendation,
+          toStrategy: decision.recommendation,
           amount: params.amount || '1000000000000000000',
           reason: decision.reasoning,
           confidence: decision.confidence,
           expectedYield: decision.expectedApy,
-          riskScore: decision.riskScore
+          riskScore: decision.riskScore,
+          inputHash: decision.inputHash,
+          engineVersion: decision.engineVersion
         };
         
         // Add model reference if available
@@ -855,11 +1083,12 @@ app.post('/api/decide', {
           }
         }
         
-        const hcsResult = await hederaService.submitDecisionWithRetry(decisionData, 2, 500);
+        const hcsResult = await hederaService.submitDecisionWithRetry(decisionData, 2, 500, { service: 'decide' });
         decision.hederaLogging = {
           success: true,
           topicId: hcsResult.topicId,
           sequenceNumber: hcsResult.sequenceNumber,
+          consensusTimestamp: hcsResult.consensusTimestamp,
           transactionId: hcsResult.transactionId
         };
       } catch (hederaError) {
@@ -877,6 +1106,232 @@ app.post('/api/decide', {
   }
 });
 
+// Strategy backtest endpoint: replays a recorded dataset, or the oracle's historical series
+app.post('/api/backtest', {
+  preHandler: [
+    securityManager.createRateLimitMiddleware('backtest'),
+    validationManager.validateRequest(validationManager.getBacktestSchema())
+  ]
+}, async (request, reply) => {
+  const context = errorManager.createContext('backtest', '/api/backtest');
+  try {
+    const { dataset: datasetName, timeframe = '30d', ...options } = request.body || {};
+    const runner = await serviceContainer.get('backtestRunner');
+
+    const dataset = datasetName
+      ? await runner.loadDataset(datasetName)
+      : await runner.recordDataset(timeframe);
+    const result = runner.run(dataset, options);
+
+    return {
+      success: true,
+      data: {
+        dataset: datasetName || `oracle:${timeframe}`,
+        ...result
+      },
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    const errorResponse = errorManager.createErrorResponse(error, context);
+    return reply.status(errorResponse.statusCode).send(errorResponse);
+  }
+});
+
+// Target weights across all vault adapters and the moves to reach them
+app.post('/api/allocate', {
+  preHandler: [
+    securityManager.createRateLimitMiddleware('decide'),
+    validationManager.validateRequest(validationManager.getAllocationSchema())
+  ]
+}, async (request, reply) => {
+  const context = errorManager.createContext('allocate', '/api/allocate');
+  try {
+    const allocator = await serviceContainer.get('portfolioAllocator');
+    const result = await allocator.allocate(request.body || {});
+
+    return {
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    const errorResponse = errorManager.createErrorResponse(error, context);
+    return reply.status(errorResponse.statusCode).send(errorResponse);
+  }
+});
+
+// Rebalance scheduler status, history and controls
+app.get('/api/scheduler', async (request, reply) => {
+  const context = errorManager.createContext('scheduler-status', '/api/scheduler');
+  try {
+    const scheduler = await serviceContainer.get('rebalanceScheduler');
+    return { success: true, data: scheduler.getStatus(), timestamp: new Date().toISOString() };
+  } catch (error) {
+    const errorResponse = errorManager.createErrorResponse(error, context, error.statusCode);
+    return reply.status(errorResponse.statusCode).send(errorResponse);
+  }
+});
+
+app.get('/api/scheduler/runs', async (request, reply) => {
+  const context = errorManager.createContext('scheduler-runs', '/api/scheduler/runs');
+  try {
+    const { limit = 50, schedule, status } = request.query;
+    const scheduler = await serviceContainer.get('rebalanceScheduler');
+    const runs = scheduler.getRuns({ limit: Math.min(parseInt(limit) || 50, 500), schedule, status });
+    return { success: true, data: runs, count: runs.length, timestamp: new Date().toISOString() };
+  } catch (error) {
+    const errorResponse = errorManager.createErrorResponse(error, context, error.statusCode);
+    return reply.status(errorResponse.statusCode).send(errorResponse);
+  }
+});
+
+// Scheduler controls can submit on-chain rebalances; only admins (`*`) hold this permission
+const schedulerAuth = [createAuthMiddleware(authService), createAuthorizationMiddleware(authService, ['scheduler:control'])];
+
+for (const action of ['pause', 'resume', 'trigger']) {
+  app.post(`/api/scheduler/${action}`, {
+    preHandler: [
+      ...schedulerAuth,
+      securityManager.createRateLimitMiddleware('execute'),
+      validationManager.validateRequest(validationManager.getSchedulerActionSchema())
+    ]
+  }, async (request, reply) => {
+    const context = errorManager.createContext(`scheduler-${action}`, `/api/scheduler/${action}`);
+    try {
+      const { schedule = null, dryRun } = request.body || {};
+      const scheduler = await serviceContainer.get('rebalanceScheduler');
+      const data = action === 'trigger'
+        ? await scheduler.trigger(schedule, { dryRun })
+        : await scheduler[action](schedule);
+      return { success: true, data, timestamp: new Date().toISOString() };
+    } catch (error) {
+      const errorResponse = errorManager.createErrorResponse(error, context, error.statusCode);
+      return reply.status(errorResponse.statusCode).send(errorResponse);
+    }
+  });
+}
+
+// Realized-yield evaluations of logged decisions
+app.get('/api/outcomes', async (request, reply) => {
+  const context = errorManager.createContext('outcomes', '/api/outcomes');
+  try {
+    const { limit = 50, decisionId, horizon } = request.query;
+    const evaluator = await serviceContainer.get('outcomeEvaluator');
+    const evaluations = evaluator.getEvaluations({ limit: Math.min(parseInt(limit) || 50, 500), decisionId, horizon });
+    return {
+      success: true,
+      data: { status: evaluator.getStatus(), evaluations },
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    const errorResponse = errorManager.createErrorResponse(error, context);
+    return reply.status(errorResponse.statusCode).send(errorResponse);
+  }
+});
+
+// Archived decision input by content hash
+app.get('/api/snapshots/:hash', async (request, reply) => {
+  const context = errorManager.createContext('snapshot', '/api/snapshots/:hash');
+  try {
+    const snapshotArchive = await serviceContainer.get('snapshotArchive');
+    const record = await snapshotArchive.get(request.params.hash);
+    return { success: true, data: record, timestamp: new Date().toISOString() };
+  } catch (error) {
+    const errorResponse = errorManager.createErrorResponse(error, context, error.statusCode);
+    return reply.status(errorResponse.statusCode).send(errorResponse);
+  }
+});
+
+// Re-run a logged decision on its archived snapshot and check that it reproduces
+app.post('/api/hedera/decisions/:decisionId/replay', async (request, reply) => {
+  const context = errorManager.createContext('decision-replay', '/api/hedera/decisions/:decisionId/replay');
+  try {
+    if (!aiDecisionLogger) {
+      return reply.status(503).send({ success: false, error: 'AI Decision Logger not available' });
+    }
+    const decision = await aiDecisionLogger.findDecision(request.params.decisionId);
+    if (!decision) {
+      return reply.status(404).send({ success: false, error: 'Decision not found', timestamp: new Date().toISOString() });
+    }
+    const snapshotArchive = await serviceContainer.get('snapshotArchive');
+    const replay = await snapshotArchive.replay(decision);
+    return { success: true, data: replay, timestamp: new Date().toISOString() };
+  } catch (error) {
+    const errorResponse = errorManager.createErrorResponse(error, context, error.statusCode);
+    return reply.status(errorResponse.statusCode).send(errorResponse);
+  }
+});
+
+// Locally indexed HCS messages, filtered by topic, kind, type, strategy, model version and time range
+app.get('/api/hcs/index/messages', async (request, reply) => {
+  const context = errorManager.createContext('hcs-index-messages', '/api/hcs/index/messages');
+  try {
+    const { topicId, kind, type, decisionId, strategy, modelVersion, from, to, order, limit = 50, offset = 0 } = request.query;
+    const indexer = await serviceContainer.get('hcsTopicIndexer');
+    const result = await indexer.query({
+      topicId, kind, type, decisionId, strategy, modelVersion, from, to, order,
+      limit: Math.min(parseInt(limit) || 50, 500),
+      offset: parseInt(offset) || 0
+    });
+    return { success: true, data: result.records, total: result.total, timestamp: new Date().toISOString() };
+  } catch (error) {
+    const errorResponse = errorManager.createErrorResponse(error, context, error.statusCode);
+    return reply.status(errorResponse.statusCode).send(errorResponse);
+  }
+});
+
+// Indexer cursors and counts per topic
+app.get('/api/hcs/index/status', async (request, reply) => {
+  const context = errorManager.createContext('hcs-index-status', '/api/hcs/index/status');
+  try {
+    const indexer = await serviceContainer.get('hcsTopicIndexer');
+    return { success: true, data: indexer.getStatus(), timestamp: new Date().toISOString() };
+  } catch (error) {
+    const errorResponse = errorManager.createErrorResponse(error, context);
+    return reply.status(errorResponse.statusCode).send(errorResponse);
+  }
+});
+
+// Shadow model comparison against production
+app.get('/api/shadow/report', async (request, reply) => {
+  const context = errorManager.createContext('shadow-report', '/api/shadow/report');
+  try {
+    const { modelId, source, horizon } = request.query;
+    const shadowEvaluator = await serviceContainer.get('shadowEvaluator');
+    const report = await shadowEvaluator.getReport({ modelId: modelId || shadowEvaluator.config.modelId, source, horizon });
+    return { success: true, data: report, timestamp: new Date().toISOString() };
+  } catch (error) {
+    const errorResponse = errorManager.createErrorResponse(error, context);
+    return reply.status(errorResponse.statusCode).send(errorResponse);
+  }
+});
+
+// Stored shadow decisions, newest first
+app.get('/api/shadow/decisions', async (request, reply) => {
+  const context = errorManager.createContext('shadow-decisions', '/api/shadow/decisions');
+  try {
+    const { limit = 50, modelId, source } = request.query;
+    const shadowEvaluator = await serviceContainer.get('shadowEvaluator');
+    const records = await shadowEvaluator.getRecords({ limit: Math.min(parseInt(limit) || 50, 500), modelId, source });
+    return { success: true, data: records, timestamp: new Date().toISOString() };
+  } catch (error) {
+    const errorResponse = errorManager.createErrorResponse(error, context);
+    return reply.status(errorResponse.statusCode).send(errorResponse);
+  }
+});
+
+// List recorded backtest datasets
+app.get('/api/backtest/datasets', async (request, reply) => {
+  const context = errorManager.createContext('backtest-datasets', '/api/backtest/datasets');
+  try {
+    const runner = await serviceContainer.get('backtestRunner');
+    return { success: true, data: await runner.listDatasets() };
+  } catch (error) {
+    const errorResponse = errorManager.createErrorResponse(error, context);
+    return reply.status(errorResponse.statusCode).send(errorResponse);
+  }
+});
+
 // Proof of yield endpoint
 app.get('/api/proof-of-yield/snapshot', async (request, reply) => {
   try {
@@ -1095,6 +1550,60 @@ const start = async () => {
   try {
     // Setup services first
     await setupServices();
+
+    // Expose agent tools to MCP clients over streamable HTTP
+    await registerMcpRoutes(app, {
+      validationManager,
+      securityManager,
+      oracleService,
+      strategyEngine,
+      web3Service,
+      aiDecisionLogger,
+      modelMetadataManager
+    });
+    
+    await registerAuthRoutes(app, { authService, errorManager, validationManager, securityManager });
+    await registerExecuteRoutes(app, {
+      hederaService,
+      aiDecisionLogger,
+      modelMetadataManager,
+      web3Service,
+      oracleService,
+      strategyEngine,
+      authService,
+      errorManager,
+      validationManager,
+      securityManager,
+      executionGuardrails: await serviceContainer.get('executionGuardrails'),
+      approvalQueue: await serviceContainer.get('approvalQueue')
+    });
+    
+    await registerHederaRoutes(app, {
+      hederaService,
+      aiDecisionLogger,
+      modelMetadataManager,
+      modelPerformanceAnalytics: await serviceContainer.get('modelPerformanceAnalytics'),
+      keyManager,
+      web3Service,
+      errorManager,
+      validationManager,
+      securityManager
+    });
+    
+    if (hederaService?.simulator) {
+      await registerMirrorRoutes(app, { hederaSimulator: hederaService.simulator });
+    }
+    
+    if (hederaService) {
+      await registerTopicRoutes(app, { hederaService, topicRegistry, authService, errorManager, validationManager, securityManager });
+      await registerShareSyncRoutes(app, {
+        shareSynchronizer: await serviceContainer.get('shareSynchronizer'),
+        shareReconciler: await serviceContainer.get('shareReconciler'),
+        authService,
+        errorManager,
+        securityManager
+      });
+    }
     
     const port = process.env.PORT || configManager.get('server.port', 3002);
     await app.listen({ port, host: '0.0.0.0' });
@@ -1109,14 +1618,46 @@ const start = async () => {
     console.log('  - GET  /api/strategies/info?network=bscMainnet');
     console.log('  - GET  /api/network/status');
     console.log('  - POST /api/execute');
+    console.log('  - POST /api/execute/strategy');
+    console.log('  - GET  /api/execute/approvals');
+    console.log('  - POST /api/execute/approvals/:approvalId/{approve,reject}');
+    console.log('  - POST /api/auth/login');
+    console.log('  - POST /api/allocate');
+    console.log('  - GET  /api/scheduler');
+    console.log('  - POST /api/scheduler/{pause,resume,trigger}');
+    console.log('  - GET  /api/outcomes');
+    console.log('  - GET  /api/shadow/{report,decisions}');
+    console.log('  - GET  /api/snapshots/:hash');
+    console.log('  - POST /api/hedera/decisions/:decisionId/replay');
+    console.log('  - GET  /api/hedera/decisions/:decisionId/proof');
+    console.log('  - GET  /api/hcs/index/messages');
+    console.log('  - GET  /api/hcs/index/status');
     console.log('  - POST /api/decide');
+    console.log('  - POST /api/backtest');
+    console.log('  - GET  /api/backtest/datasets');
     console.log('  - GET  /api/proof-of-yield/snapshot');
     console.log('  - GET  /api/transactions');
+    console.log('  - POST /mcp (Model Context Protocol)');
     console.log('');
     console.log('🔗 Hedera Integration:');
     console.log('  - GET  /api/hedera/status');
     console.log('  - POST /api/hedera/log-decision');
     console.log('  - POST /api/hedera/store-model');
+    console.log('  - GET  /api/hedera/models/:modelId/performance');
+    console.log('  - GET  /api/hedera/analytics/costs');
+    console.log('  - GET  /api/hedera/topics');
+    console.log('  - POST /api/hedera/topics');
+    console.log('  - GET  /api/hedera/topics/:topic');
+    console.log('  - PATCH /api/hedera/topics/:topic');
+    console.log('  - POST /api/hedera/topics/:topic/rotate-submit-key');
+    console.log('  - DELETE /api/hedera/topics/:topic');
+    console.log('  - PUT  /api/hedera/topics/registry/:name');
+    console.log('  - GET  /api/hedera/share-sync');
+    console.log('  - GET  /api/hedera/share-sync/jobs');
+    console.log('  - POST /api/hedera/share-sync/poll');
+    console.log('  - POST /api/hedera/share-sync/jobs/:id/retry');
+    console.log('  - GET  /api/hedera/share-sync/reconciliation');
+    console.log('  - POST /api/hedera/share-sync/reconcile');
     console.log('  - POST /api/hedera/monitoring/start');
     console.log('  - POST /api/hedera/monitoring/stop');
     console.log('  - POST /api/hedera/monitoring/add-contract');
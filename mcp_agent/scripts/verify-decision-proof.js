@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * Decision Proof Verifier
+ * Checks a decision's Merkle inclusion proof against the batch root anchored on HCS,
+ * reading the anchor message straight from the mirror node
+ *
+ * Usage:
+ *   node scripts/verify-decision-proof.js --proof proof.json [--mirror https://testnet.mirrornode.hedera.com]
+ *   node scripts/verify-decision-proof.js --agent http://localhost:3003 --decision <decisionId> [--mirror <url>]
+ */
+
+import fs from 'fs/promises';
+import axios from 'axios';
+import { verifyDecisionProof } from '../services/merkleAnchor.js';
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) continue;
+
+        const key = arg.slice(2);
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            args[key] = true;
+        } else {
+            args[key] = next;
+            i++;
+        }
+    }
+    return args;
+}
+
+async function loadProof(args) {
+    if (args.proof) {
+        const content = JSON.parse(await fs.readFile(args.proof, 'utf8'));
+        // Accept a saved API response as well as the bare proof
+        return content.data || content;
+    }
+
+    const response = await axios.get(`${args.agent}/api/hedera/decisions/${args.decision}/proof`, { timeout: 15000 });
+    return response.data.data;
+}
+
+async function fetchAnchorMessage(mirrorNodeUrl, anchor) {
+    const response = await axios.get(
+        `${mirrorNodeUrl}/api/v1/topics/${anchor.topicId}/messages/${anchor.sequenceNumber}`,
+        { timeout: 15000 }
+    );
+    return Buffer.from(response.data.message, 'base64').toString('utf8');
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.proof && !(args.agent && args.decision)) {
+        console.error('Usage: node scripts/verify-decision-proof.js --proof <proof.json> | --agent <url> --decision <id> [--mirror <url>]');
+        process.exit(1);
+    }
+
+    const mirrorNodeUrl = args.mirror || process.env.HEDERA_MIRROR_NODE_URL || 'https://testnet.mirrornode.hedera.com';
+    const proof = await loadProof(args);
+
+    if (!proof.anchor?.sequenceNumber) {
+        console.error(`❌ Batch ${proof.batchId} has not been anchored on HCS`);
+        process.exit(1);
+    }
+
+    console.log(`🔎 Decision ${proof.decisionId} in batch ${proof.batchId} (leaf ${proof.leafIndex + 1}/${proof.leafCount})`);
+    console.log(`   Anchor: topic ${proof.anchor.topicId} #${proof.anchor.sequenceNumber} via ${mirrorNodeUrl}`);
+
+    const anchorMessage = await fetchAnchorMessage(mirrorNodeUrl, proof.anchor);
+    const result = verifyDecisionProof(proof, anchorMessage);
+
+    for (const check of result.checks) {
+        console.log(`   ${check.valid ? '✅' : '❌'} ${check.check}`);
+    }
+    console.log(result.valid ? '✅ Proof verified against the on-topic root' : '❌ Proof does not match the on-topic root');
+    process.exit(result.valid ? 0 : 2);
+}
+
+main().catch((error) => {
+    console.error('❌ Verification failed:', error.message);
+    process.exit(1);
+});
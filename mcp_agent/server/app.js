@@ -20,6 +20,9 @@ console.log('✅ Basic dependencies loaded');
 // Import route handlers
 console.log('📡 Loading route handlers...');
 import { registerHederaRoutes } from './hederaRoutes.js';
+import { registerMirrorRoutes } from './mirrorRoutes.js';
+import { registerTopicRoutes } from './topicRoutes.js';
+import { registerShareSyncRoutes } from './shareSyncRoutes.js';
 import { registerMonitoringRoutes } from './monitoringRoutes.js';
 import { registerVaultRoutes } from './vaultRoutes.js';
 import { registerExecuteRoutes } from './executeRoutes.js';
@@ -29,10 +32,21 @@ console.log('✅ Route handlers loaded');
 // Import services
 console.log('🔧 Loading services...');
 import HederaService from '../services/hederaService.js';
-import AIDecisionLogger from '../services/AIDecisionLogger.js';
+import KeyManager from '../services/keyManager.js';
+import HederaFeeLedger from '../services/hederaFeeLedger.js';
+import HcsTopicRegistry from '../services/hcsTopicRegistry.js';
+import HtsShareSynchronizer from '../services/htsShareSynchronizer.js';
+import HtsShareReconciler from '../services/htsShareReconciler.js';
+import RealAlertingSystem from '../services/realAlertingSystem.js';
+import HederaRealDataMonitor from '../services/hederaRealDataMonitor.js';
+import { createDecisionLogger } from '../services/aiDecisionLogger.js';
 import ModelMetadataManager from '../services/ModelMetadataManager.js';
 import Web3Service from '../services/Web3Service.js';
 import AuthenticationService from '../services/AuthenticationService.js';
+import StrategyEngine from '../services/strategyEngine.js';
+import ExecutionGuardrails from '../services/executionGuardrails.js';
+import ModelPerformanceAnalytics from '../services/modelPerformanceAnalytics.js';
+import ApprovalQueue from '../services/approvalQueue.js';
 console.log('✅ Services loaded');
 
 /**
@@ -173,15 +187,40 @@ class AIONServer {
         console.log(chalk.blue('🔧 Initializing services...'));
 
         try {
+            // Initialize Key Manager; its agent signing key signs our HCS messages
+            console.log(chalk.gray('  - Initializing Key Manager...'));
+            const keyManager = new KeyManager();
+            const { success: keysReady } = await keyManager.initialize();
+            this.services.keyManager = keysReady ? keyManager : null;
+            console.log(keysReady
+                ? chalk.green('  ✓ Key Manager initialized')
+                : chalk.yellow('  ⚠ Key Manager unavailable, HCS messages will be unsigned'));
+
+            // Logical topic names (decisions, bridge, ...) and their topic IDs
+            this.services.topicRegistry = new HcsTopicRegistry({ config: this.config.topicRegistry });
+            await this.services.topicRegistry.load();
+            const decisionsTopic = this.services.topicRegistry.get('decisions');
+
             // Initialize Hedera Service
             console.log(chalk.gray('  - Initializing Hedera Service...'));
-            this.services.hederaService = new HederaService();
+            const fieldEncryption = this.config.fieldEncryption || {};
+            if (this.services.keyManager && fieldEncryption.enabled) {
+                await this.services.keyManager.syncReaderKeys(fieldEncryption.readers);
+            }
+            this.services.hederaService = new HederaService({
+                signer: this.services.keyManager,
+                keyring: this.services.keyManager,
+                keyStore: this.services.keyManager,
+                fieldEncryption,
+                ...(decisionsTopic && { hcsTopicId: decisionsTopic }),
+                feeLedger: new HederaFeeLedger({ config: this.config.feeLedger })
+            });
             await this.services.hederaService.initialize();
             console.log(chalk.green('  ✓ Hedera Service initialized'));
 
             // Initialize AI Decision Logger
             console.log(chalk.gray('  - Initializing AI Decision Logger...'));
-            this.services.aiDecisionLogger = new AIDecisionLogger(this.services.hederaService);
+            this.services.aiDecisionLogger = createDecisionLogger(this.services.hederaService);
             await this.services.aiDecisionLogger.initialize();
             console.log(chalk.green('  ✓ AI Decision Logger initialized'));
 
@@ -197,6 +236,53 @@ class AIONServer {
             await this.services.web3Service.initialize();
             console.log(chalk.green('  ✓ Web3 Service initialized'));
 
+            // Mirror vault deposits and withdrawals onto the HTS share token
+            this.services.shareSynchronizer = new HtsShareSynchronizer({
+                config: this.config.shareSync,
+                hederaService: this.services.hederaService,
+                provider: this.services.web3Service.getCurrentProvider()
+            });
+            await this.services.shareSynchronizer.start();
+
+            // Initialize strategy scoring and execution guardrails
+            this.services.strategyEngine = new StrategyEngine();
+            this.services.executionGuardrails = new ExecutionGuardrails({ web3Service: this.services.web3Service });
+            this.services.approvalQueue = new ApprovalQueue({
+                config: this.config.approvals,
+                aiDecisionLogger: this.services.aiDecisionLogger
+            });
+            await this.services.approvalQueue.start();
+
+            // Check the share token against vault shares; corrections wait in the approval queue
+            this.services.alertingSystem = new RealAlertingSystem(this.config.alerting || {});
+            this.services.shareReconciler = new HtsShareReconciler({
+                config: {
+                    ...this.config.shareReconciliation,
+                    mirrorNodeUrl: this.config.shareReconciliation?.mirrorNodeUrl || (this.services.hederaService.simulator
+                        ? `http://localhost:${this.config.port}`
+                        : this.services.hederaService.config.mirrorNodeUrl)
+                },
+                hederaService: this.services.hederaService,
+                shareSynchronizer: this.services.shareSynchronizer,
+                alertingSystem: this.services.alertingSystem,
+                approvalQueue: this.services.approvalQueue
+            });
+            await this.services.shareReconciler.start();
+
+            this.services.hederaDataMonitor = new HederaRealDataMonitor({
+                network: this.services.hederaService.config.network,
+                // Restores encrypted decision fields for the reader keys held here
+                keyring: this.services.keyManager,
+                // The simulator serves its own mirror node API on this server
+                mirrorNodeUrl: this.services.hederaService.simulator
+                    ? `http://localhost:${this.config.port}`
+                    : this.services.hederaService.config.mirrorNodeUrl
+            });
+            this.services.modelPerformanceAnalytics = new ModelPerformanceAnalytics({
+                aiDecisionLogger: this.services.aiDecisionLogger,
+                modelMetadataManager: this.services.modelMetadataManager
+            });
+
             // Initialize Authentication Service
             console.log(chalk.gray('  - Initializing Authentication Service...'));
             this.services.authService = new AuthenticationService(this.services.hederaService);
@@ -265,6 +351,17 @@ class AIONServer {
             await registerHederaRoutes(this.app, this.services);
             console.log(chalk.green('  ✓ Hedera routes registered'));
 
+            await registerTopicRoutes(this.app, this.services);
+            console.log(chalk.green('  ✓ HCS topic routes registered'));
+
+            await registerShareSyncRoutes(this.app, this.services);
+            console.log(chalk.green('  ✓ HTS share sync routes registered'));
+
+            if (this.services.hederaService?.simulator) {
+                await registerMirrorRoutes(this.app, { hederaSimulator: this.services.hederaService.simulator });
+                console.log(chalk.green('  ✓ Simulated mirror node routes registered'));
+            }
+
             // Register monitoring routes
             await registerMonitoringRoutes(this.app, this.services);
             console.log(chalk.green('  ✓ Monitoring routes registered'));
@@ -341,6 +438,18 @@ class AIONServer {
             await this.app.close();
 
             // Cleanup services
+            if (this.services.approvalQueue) {
+                await this.services.approvalQueue.stop();
+            }
+            if (this.services.shareReconciler) {
+                await this.services.shareReconciler.stop();
+            }
+            if (this.services.alertingSystem) {
+                this.services.alertingSystem.cleanup();
+            }
+            if (this.services.shareSynchronizer) {
+                await this.services.shareSynchronizer.stop();
+            }
             if (this.services.hederaService) {
                 await this.services.hederaService.cleanup();
             }
@@ -210,6 +210,84 @@ class AIONBridge:
 # Global bridge instance
 bridge = AIONBridge()
 
+# JSON-RPC 2.0 error codes
+PARSE_ERROR = -32700
+INVALID_REQUEST = -32600
+METHOD_NOT_FOUND = -32601
+INVALID_PARAMS = -32602
+OPERATION_FAILED = -32000
+
+OPERATIONS = ["analyze", "predict", "optimize", "validate"]
+
+def rpc_error(request_id, code: int, message: str, data: Any = None) -> Dict[str, Any]:
+    """Build a JSON-RPC error response"""
+    error = {"code": code, "message": message}
+    if data is not None:
+        error["data"] = data
+    return {"jsonrpc": "2.0", "id": request_id, "error": error}
+
+async def handle_rpc(message: Any) -> Optional[Dict[str, Any]]:
+    """Handle one JSON-RPC request; returns None for notifications"""
+    if not isinstance(message, dict) or message.get("jsonrpc") != "2.0" or not isinstance(message.get("method"), str):
+        request_id = message.get("id") if isinstance(message, dict) else None
+        return rpc_error(request_id, INVALID_REQUEST, "Invalid request")
+
+    request_id = message.get("id")
+    method = message["method"]
+    params = message.get("params") or {}
+
+    if method == "ping":
+        result = {"pong": True, "timestamp": datetime.now().isoformat()}
+    elif method == "health":
+        result = bridge.get_health_status()
+    elif method in OPERATIONS:
+        response = await bridge.process_request({"operation": method, "params": params})
+        if not response["success"]:
+            code = INVALID_PARAMS if response.get("details") else OPERATION_FAILED
+            return rpc_error(request_id, code, response.get("error", "Operation failed"), response.get("details"))
+        result = response["data"]
+    else:
+        return rpc_error(request_id, METHOD_NOT_FOUND, f"Method not found: {method}")
+
+    if request_id is None:
+        return None
+    return {"jsonrpc": "2.0", "id": request_id, "result": result}
+
+async def serve_worker():
+    """Long-lived worker: one JSON-RPC request per stdin line, one response per stdout line"""
+    init_result = await bridge.initialize()
+    if not init_result["success"]:
+        sys.exit(1)
+
+    loop = asyncio.get_running_loop()
+    while True:
+        line = await loop.run_in_executor(None, sys.stdin.readline)
+        if not line:
+            break  # stdin closed by the parent
+        line = line.strip()
+        if not line:
+            continue
+
+        try:
+            message = json.loads(line)
+        except json.JSONDecodeError as e:
+            response = rpc_error(None, PARSE_ERROR, f"Invalid JSON: {str(e)}")
+        else:
+            if isinstance(message, dict) and message.get("method") == "shutdown":
+                if message.get("id") is not None:
+                    print(json.dumps({"jsonrpc": "2.0", "id": message["id"], "result": {"stopping": True}}), flush=True)
+                break
+            try:
+                response = await handle_rpc(message)
+            except Exception as e:
+                logger.error(f"Worker request failed: {str(e)}")
+                response = rpc_error(message.get("id") if isinstance(message, dict) else None, OPERATION_FAILED, str(e))
+
+        if response is not None:
+            print(json.dumps(response), flush=True)
+
+    logger.info("Worker stopped")
+
 async def main():
     """Main bridge function for handling requests"""
     try:
@@ -249,4 +327,7 @@ async def main():
         sys.exit(1)
 
 if __name__ == "__main__":
-    asyncio.run(main())
\ No newline at end of file
+    if "--worker" in sys.argv:
+        asyncio.run(serve_worker())
+    else:
+        asyncio.run(main())
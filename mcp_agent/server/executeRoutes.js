@@ -5,6 +5,13 @@
  * @version 2.0.0
  */
 
+import {
+    createAuthMiddleware,
+    createAuthorizationMiddleware
+} from '../middleware/authMiddleware.js';
+import ExecutionGuardrails from '../services/executionGuardrails.js';
+import ApprovalQueue from '../services/approvalQueue.js';
+
 /**
  * Register Execute API routes with Hedera integration
  * @param {FastifyInstance} app - Fastify app instance
@@ -16,19 +23,89 @@ async function registerExecuteRoutes(app, services) {
         aiDecisionLogger, 
         modelMetadataManager, 
         web3Service,
+        oracleService,
+        strategyEngine,
+        authService,
         errorManager,
         validationManager,
         securityManager 
     } = services;
 
+    const guardrails = services.executionGuardrails || new ExecutionGuardrails({ web3Service });
+    const approvals = services.approvalQueue || new ApprovalQueue({ aiDecisionLogger });
+
+    const authMiddleware = createAuthMiddleware(authService);
+    const executeAuth = createAuthorizationMiddleware(authService, ['execute:strategy']);
+    const approveAuth = createAuthorizationMiddleware(authService, ['execute:approve']);
+    // Only admins (`*`) hold this permission
+    const guardrailsAdminAuth = createAuthorizationMiddleware(authService, ['execute:admin']);
+
+    /**
+     * Run an approved execution and record it against the guardrails and the decision log.
+     * The guardrail reservation is released if the execution does not happen.
+     */
+    async function runExecution({ strategyId, parameters, dryRun }, decisionId, reservationId) {
+        let executionResult;
+        try {
+            executionResult = await executeStrategy(strategyId, parameters, dryRun);
+        } catch (executionError) {
+            await guardrails.release(reservationId);
+            await guardrails.recordFailure(strategyId, executionError.message);
+            throw executionError;
+        }
+
+        if (dryRun) {
+            await guardrails.release(reservationId);
+        } else {
+            await guardrails.recordExecution({
+                reservationId,
+                strategyId,
+                action: parameters.action,
+                amount: parameters.amount,
+                success: executionResult.success
+            });
+        }
+
+        // Log execution outcome
+        if (aiDecisionLogger && decisionId) {
+            await aiDecisionLogger.logDecisionOutcome(decisionId, {
+                success: executionResult.success,
+                profit: executionResult.profit,
+                gasUsed: executionResult.gasUsed,
+                executionTime: executionResult.executionTime,
+                transactions: executionResult.transactions
+            });
+        }
+
+        return executionResult;
+    }
+
+    // Held executions run once approved; limits may have moved since, so guardrails are re-checked
+    approvals.registerHandler('strategy_execution', async (approval) => {
+        const { plan } = approval;
+        const evaluation = await guardrails.evaluate({
+            strategyId: plan.strategyId,
+            action: plan.parameters.action,
+            amount: plan.parameters.amount,
+            confidence: approval.summary.confidence
+        });
+        if (!evaluation.approved) {
+            throw new Error(`Guardrails no longer pass: ${evaluation.reasons.map(r => r.code).join(', ')}`);
+        }
+        return runExecution(plan, approval.decisionId, evaluation.reservationId);
+    });
+
     // ========== Strategy Execution Endpoints ==========
 
     /**
      * POST /api/execute/strategy
      * Execute AI trading strategy with Hedera logging
+     * The caller is recorded so they cannot approve their own held execution
      */
     app.post('/api/execute/strategy', {
         preHandler: [
+            authMiddleware,
+            executeAuth,
             securityManager.createRateLimitMiddleware('execute-strategy'),
             validationManager.validateRequest({
                 type: 'object',
@@ -36,6 +113,7 @@ async function registerExecuteRoutes(app, services) {
                 properties: {
                     strategyId: { type: 'string' },
                     parameters: { type: 'object' },
+                    confidence: { type: 'number', minimum: 0, maximum: 1 },
                     dryRun: { type: 'boolean' },
                     maxSlippage: { type: 'number', minimum: 0, maximum: 0.1 },
                     userAddress: { type: 'string' },
@@ -45,6 +123,7 @@ async function registerExecuteRoutes(app, services) {
         ]
     }, async (request, reply) => {
         const context = errorManager.createContext('execute-strategy', '/api/execute/strategy');
+        let reservationId = null;
         
         try {
             const { 
@@ -56,21 +135,59 @@ async function registerExecuteRoutes(app, services) {
                 hederaAccountId 
             } = request.body;
 
+            const confidence = await resolveConfidence(request.body, { oracleService, strategyEngine });
+            const evaluation = await guardrails.evaluate({
+                strategyId,
+                action: parameters.action,
+                amount: parameters.amount,
+                confidence: confidence.value
+            });
+            reservationId = evaluation.reservationId || null;
+
+            const decisionContext = {
+                strategyId: strategyId,
+                parameters: parameters,
+                dryRun: dryRun,
+                maxSlippage: maxSlippage,
+                userAddress: userAddress,
+                requestedBy: request.user.username,
+                marketConditions: await getMarketConditions(),
+                confidenceSource: confidence.source,
+                guardrails: evaluation
+            };
+
+            if (!evaluation.approved) {
+                let rejectionId = null;
+                if (aiDecisionLogger) {
+                    rejectionId = await aiDecisionLogger.logDecision({
+                        type: 'strategy_execution',
+                        action: `reject_${strategyId}`,
+                        confidence: confidence.value ?? 0,
+                        reasoning: `Execution of ${strategyId} rejected by guardrails: ${evaluation.reasons.map(r => r.code).join(', ')}`,
+                        context: decisionContext,
+                        parameters: parameters,
+                        explanation: confidence.explanation
+                    });
+                }
+
+                return reply.status(422).send({
+                    success: false,
+                    error: 'Execution rejected by guardrails',
+                    reasons: evaluation.reasons,
+                    aiDecisionId: rejectionId,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
             // AI decision for strategy execution
             const executionDecision = {
                 type: 'strategy_execution',
                 action: `execute_${strategyId}`,
-                confidence: 0.88,
-                reasoning: `Strategy ${strategyId} execution approved based on current market conditions`,
-                context: {
-                    strategyId: strategyId,
-                    parameters: parameters,
-                    dryRun: dryRun,
-                    maxSlippage: maxSlippage,
-                    userAddress: userAddress,
-                    marketConditions: await getMarketConditions()
-                },
-                parameters: parameters
+                confidence: confidence.value,
+                reasoning: `Strategy ${strategyId} execution approved: all guardrails passed`,
+                context: decisionContext,
+                parameters: parameters,
+                explanation: confidence.explanation
             };
 
             // Log decision to Hedera
@@ -79,20 +196,47 @@ async function registerExecuteRoutes(app, services) {
                 decisionId = await aiDecisionLogger.logDecision(executionDecision);
             }
 
-            // Execute strategy
-            const executionResult = await executeStrategy(strategyId, parameters, dryRun);
-
-            // Log execution outcome
-            if (aiDecisionLogger && decisionId) {
-                await aiDecisionLogger.logDecisionOutcome(decisionId, {
-                    success: executionResult.success,
-                    profit: executionResult.profit,
-                    gasUsed: executionResult.gasUsed,
-                    executionTime: executionResult.executionTime,
-                    transactions: executionResult.transactions
+            // Large, risky or low-confidence executions wait for a human approver
+            const approvalReasons = dryRun ? [] : approvals.requiresApproval({
+                amount: parameters.amount,
+                riskScore: confidence.riskScore,
+                confidence: confidence.value
+            });
+
+            if (approvalReasons.length > 0) {
+                // Guardrails are checked again, and the amount reserved, once the request is approved
+                await guardrails.release(reservationId);
+                const approval = await approvals.submit({
+                    kind: 'strategy_execution',
+                    decisionId,
+                    plan: { strategyId, parameters, dryRun, maxSlippage },
+                    summary: {
+                        strategyId,
+                        amount: parameters.amount,
+                        riskScore: confidence.riskScore,
+                        confidence: confidence.value
+                    },
+                    reasons: approvalReasons,
+                    requestedBy: { userId: request.user.userId, username: request.user.username }
+                });
+
+                return reply.status(202).send({
+                    success: true,
+                    data: {
+                        status: approval.status,
+                        approvalId: approval.id,
+                        strategyId: strategyId,
+                        reasons: approvalReasons,
+                        expiresAt: approval.expiresAt,
+                        aiDecisionId: decisionId
+                    },
+                    timestamp: new Date().toISOString()
                 });
             }
 
+            // Execute strategy
+            const executionResult = await runExecution({ strategyId, parameters, dryRun }, decisionId, reservationId);
+
             return {
                 success: true,
                 data: {
@@ -100,6 +244,7 @@ async function registerExecuteRoutes(app, services) {
                     strategyId: strategyId,
                     result: executionResult,
                     aiDecisionId: decisionId,
+                    guardrails: evaluation.checks,
                     hedera: {
                         decisionLogged: !!decisionId,
                         network: hederaService ? hederaService.config.network : null
@@ -109,14 +254,173 @@ async function registerExecuteRoutes(app, services) {
             };
 
         } catch (error) {
+            await guardrails.release(reservationId);
             const errorResponse = errorManager.createErrorResponse(error, context);
             return reply.status(errorResponse.statusCode).send(errorResponse);
         }
     });
 
+    /**
+     * GET /api/execute/guardrails
+     * Current guardrail configuration, volumes and circuit breaker states
+     */
+    app.get('/api/execute/guardrails', async () => {
+        await guardrails.load();
+        return {
+            success: true,
+            data: guardrails.getStatus(),
+            timestamp: new Date().toISOString()
+        };
+    });
+
+    /**
+     * POST /api/execute/guardrails/circuit/:strategyId/:action
+     * Trip or reset an adapter's circuit breaker (admin only)
+     */
+    app.post('/api/execute/guardrails/circuit/:strategyId/:action', {
+        preHandler: [
+            authMiddleware,
+            guardrailsAdminAuth,
+            securityManager.createRateLimitMiddleware('execute')
+        ]
+    }, async (request, reply) => {
+        const { strategyId, action } = request.params;
+
+        if (action === 'trip') {
+            await guardrails.tripCircuitBreaker(strategyId, request.body?.reason || `Tripped by ${request.user.username}`);
+        } else if (action === 'reset') {
+            await guardrails.resetCircuitBreaker(strategyId);
+        } else {
+            return reply.status(400).send({
+                success: false,
+                error: 'Invalid action. Use trip or reset'
+            });
+        }
+
+        return {
+            success: true,
+            data: await guardrails.getCircuitState(strategyId.toLowerCase()),
+            timestamp: new Date().toISOString()
+        };
+    });
+
+    // ========== Approval Endpoints ==========
+
+    /**
+     * GET /api/execute/approvals
+     * Approval requests, newest first (`status`, `limit`)
+     */
+    app.get('/api/execute/approvals', {
+        preHandler: [authMiddleware, approveAuth]
+    }, async (request) => {
+        const { status, limit = 50 } = request.query;
+        const requests = approvals.list({ status, limit: Math.min(parseInt(limit) || 50, 500) });
+
+        return {
+            success: true,
+            data: {
+                requests: requests,
+                total: requests.length,
+                queue: approvals.getStatus()
+            },
+            timestamp: new Date().toISOString()
+        };
+    });
+
+    /**
+     * GET /api/execute/approvals/:approvalId
+     * A single approval request with its action history
+     */
+    app.get('/api/execute/approvals/:approvalId', {
+        preHandler: [authMiddleware, approveAuth]
+    }, async (request, reply) => {
+        const approval = approvals.get(request.params.approvalId);
+        if (!approval) {
+            return reply.status(404).send({
+                success: false,
+                error: 'Approval request not found'
+            });
+        }
+
+        return {
+            success: true,
+            data: approval,
+            timestamp: new Date().toISOString()
+        };
+    });
+
+    /**
+     * POST /api/execute/approvals/:approvalId/approve and /reject
+     * Approve (and execute) or reject a pending request
+     */
+    for (const action of ['approve', 'reject']) {
+        app.post(`/api/execute/approvals/:approvalId/${action}`, {
+            preHandler: [
+                authMiddleware,
+                approveAuth,
+                securityManager.createRateLimitMiddleware('execute')
+            ]
+        }, async (request, reply) => {
+            const context = errorManager.createContext(`execute-approval-${action}`, `/api/execute/approvals/:approvalId/${action}`);
+
+            try {
+                const { comment, reason } = request.body || {};
+                const approver = {
+                    userId: request.user.userId,
+                    username: request.user.username,
+                    comment,
+                    reason
+                };
+                const approval = await approvals[action](request.params.approvalId, approver);
+
+                return {
+                    success: true,
+                    data: approval,
+                    timestamp: new Date().toISOString()
+                };
+            } catch (error) {
+                const errorResponse = errorManager.createErrorResponse(error, context);
+                return reply.status(errorResponse.statusCode).send(errorResponse);
+            }
+        });
+    }
+
     return app;
 }
 
+/**
+ * Confidence for an execution. The strategy engine's confidence is about its top pick, so only
+ * that strategy gets one; any other strategy has no confidence and the guardrails reject it.
+ * A caller-supplied confidence can only lower the engine's. The requested strategy's risk
+ * score is returned alongside for approval thresholds.
+ */
+async function resolveConfidence(body, { oracleService, strategyEngine }) {
+    const supplied = typeof body.confidence === 'number' ? body.confidence : null;
+
+    if (!oracleService || !strategyEngine) {
+        return { value: null, source: 'unavailable', riskScore: null, explanation: null };
+    }
+
+    const snapshot = await oracleService.getSnapshot(body.parameters.network || 'bscMainnet');
+    const result = strategyEngine.recommend(snapshot, {
+        currentStrategy: body.parameters.currentStrategy,
+        amount: body.parameters.amount,
+        riskTolerance: body.parameters.riskTolerance
+    });
+    const requested = strategyEngine.normalizeStrategy(body.strategyId);
+    const riskScore = result.ranking.find(entry => entry.strategy === requested)?.riskScore ?? null;
+
+    if (requested !== result.recommendation) {
+        return { value: null, source: 'strategy-engine', riskScore, explanation: result.explanation };
+    }
+
+    const engineConfidence = result.confidence;
+    if (supplied !== null && supplied < engineConfidence) {
+        return { value: supplied, source: 'request', riskScore, explanation: result.explanation };
+    }
+    return { value: engineConfidence, source: 'strategy-engine', riskScore, explanation: result.explanation };
+}
+
 /**
  * Mock functions for strategy execution
  */
@@ -5,6 +5,9 @@
  * @version 2.0.0
  */
 
+import { verifyTopic } from '../services/hcsMessageChain.js';
+import { verifyTopicSignatures } from '../services/hcsSignatures.js';
+
 /**
  * Register Hedera API routes
  * @param {FastifyInstance} app - Fastify app instance
@@ -15,6 +18,9 @@ async function registerHederaRoutes(app, services) {
         hederaService, 
         aiDecisionLogger, 
         modelMetadataManager, 
+        modelPerformanceAnalytics,
+        hederaDataMonitor,
+        keyManager,
         web3Service,
         errorManager,
         validationManager,
@@ -188,6 +194,81 @@ async function registerHederaRoutes(app, services) {
         }
     });
 
+    // Walk the decision topic history and verify its hash chain
+    app.get('/api/hedera/decisions/verify', async (request, reply) => {
+        const context = errorManager.createContext('hedera-decisions-verify', '/api/hedera/decisions/verify');
+        
+        try {
+            if (!hederaDataMonitor) {
+                return reply.status(503).send({
+                    success: false,
+                    error: 'Mirror node access not available'
+                });
+            }
+
+            const topicId = request.query.topicId || hederaService?.config.hcsTopicId;
+            if (!topicId) {
+                return reply.status(400).send({
+                    success: false,
+                    error: 'No HCS decision topic configured; pass topicId'
+                });
+            }
+
+            const maxMessages = request.query.maxMessages ? parseInt(request.query.maxMessages) : undefined;
+            const report = await verifyTopic(hederaDataMonitor, topicId, { maxMessages });
+            
+            return {
+                success: true,
+                data: report,
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            const errorResponse = errorManager.createErrorResponse(error, context);
+            return reply.status(errorResponse.statusCode).send(errorResponse);
+        }
+    });
+
+    // Check the agent signatures on a topic's messages as read back from the mirror node
+    app.get('/api/hedera/decisions/signatures', async (request, reply) => {
+        const context = errorManager.createContext('hedera-decisions-signatures', '/api/hedera/decisions/signatures');
+        
+        try {
+            if (!hederaDataMonitor || !keyManager) {
+                return reply.status(503).send({
+                    success: false,
+                    error: 'Mirror node access or key manager not available'
+                });
+            }
+
+            const topicId = request.query.topicId || hederaService?.config.hcsTopicId;
+            if (!topicId) {
+                return reply.status(400).send({
+                    success: false,
+                    error: 'No HCS decision topic configured; pass topicId'
+                });
+            }
+
+            const keyName = hederaService?.config.signingKey;
+            await keyManager.getSigningKey(keyName);
+            const maxMessages = request.query.maxMessages ? parseInt(request.query.maxMessages) : undefined;
+            const report = await verifyTopicSignatures(
+                hederaDataMonitor,
+                topicId,
+                keyManager.getSigningPublicKeys(keyName),
+                { maxMessages }
+            );
+            
+            return {
+                success: true,
+                data: report,
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            const errorResponse = errorManager.createErrorResponse(error, context);
+            return reply.status(errorResponse.statusCode).send(errorResponse);
+        }
+    });
+
     // Get specific decision by ID
     app.get('/api/hedera/decisions/:decisionId', async (request, reply) => {
         try {
@@ -199,7 +280,7 @@ async function registerHederaRoutes(app, services) {
             }
 
             const { decisionId } = request.params;
-            const decision = aiDecisionLogger.getDecision(decisionId);
+            const decision = await aiDecisionLogger.findDecision(decisionId);
             
             if (!decision) {
                 return reply.status(404).send({
@@ -221,6 +302,40 @@ async function registerHederaRoutes(app, services) {
         }
     });
 
+    // Merkle inclusion proof of a decision against its anchored batch root
+    app.get('/api/hedera/decisions/:decisionId/proof', async (request, reply) => {
+        const context = errorManager.createContext('hedera-decision-proof', '/api/hedera/decisions/:decisionId/proof');
+        
+        try {
+            if (!aiDecisionLogger) {
+                return reply.status(503).send({
+                    success: false,
+                    error: 'AI Decision Logger not available'
+                });
+            }
+
+            const { decisionId } = request.params;
+            const proof = await aiDecisionLogger.getDecisionProof(decisionId);
+            
+            if (!proof) {
+                const pending = aiDecisionLogger.getDecision(decisionId);
+                return reply.status(pending ? 409 : 404).send({
+                    success: false,
+                    error: pending ? 'Decision has not been anchored in a Merkle batch yet' : 'No Merkle proof for this decision'
+                });
+            }
+
+            return {
+                success: true,
+                data: proof,
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            const errorResponse = errorManager.createErrorResponse(error, context);
+            return reply.status(errorResponse.statusCode).send(errorResponse);
+        }
+    });
+
     // Log decision outcome
     app.post('/api/hedera/decisions/:decisionId/outcome', async (request, reply) => {
         try {
@@ -318,7 +433,7 @@ async function registerHederaRoutes(app, services) {
             const { tokenId } = request.params;
             const { amount, metadata = {} } = request.body;
             
-            const result = await hederaService.mintHTSTokens(tokenId, amount, metadata);
+            const result = await hederaService.mintHTSTokens(tokenId, amount, metadata, { service: 'api' });
             
             return {
                 success: true,
@@ -326,7 +441,7 @@ async function registerHederaRoutes(app, services) {
                 timestamp: new Date().toISOString()
             };
         } catch (error) {
-            const errorResponse = errorManager.createErrorResponse(error, context);
+            const errorResponse = errorManager.createErrorResponse(error, context, error.statusCode);
             return reply.status(errorResponse.statusCode).send(errorResponse);
         }
     });
@@ -358,7 +473,7 @@ async function registerHederaRoutes(app, services) {
             const { tokenId } = request.params;
             const { amount, metadata = {} } = request.body;
             
-            const result = await hederaService.burnHTSTokens(tokenId, amount, metadata);
+            const result = await hederaService.burnHTSTokens(tokenId, amount, metadata, { service: 'api' });
             
             return {
                 success: true,
@@ -366,7 +481,7 @@ async function registerHederaRoutes(app, services) {
                 timestamp: new Date().toISOString()
             };
         } catch (error) {
-            const errorResponse = errorManager.createErrorResponse(error, context);
+            const errorResponse = errorManager.createErrorResponse(error, context, error.statusCode);
             return reply.status(errorResponse.statusCode).send(errorResponse);
         }
     });
@@ -405,7 +520,8 @@ async function registerHederaRoutes(app, services) {
                 fromAccountId, 
                 toAccountId, 
                 amount, 
-                metadata
+                metadata,
+                { service: 'api' }
             );
             
             return {
@@ -414,7 +530,7 @@ async function registerHederaRoutes(app, services) {
                 timestamp: new Date().toISOString()
             };
         } catch (error) {
-            const errorResponse = errorManager.createErrorResponse(error, context);
+            const errorResponse = errorManager.createErrorResponse(error, context, error.statusCode);
             return reply.status(errorResponse.statusCode).send(errorResponse);
         }
     });
@@ -445,7 +561,7 @@ async function registerHederaRoutes(app, services) {
             const { tokenId } = request.params;
             const { accountId } = request.body;
             
-            const result = await hederaService.associateHTSToken(accountId, tokenId);
+            const result = await hederaService.associateHTSToken(accountId, tokenId, { service: 'api' });
             
             return {
                 success: true,
@@ -453,7 +569,7 @@ async function registerHederaRoutes(app, services) {
                 timestamp: new Date().toISOString()
             };
         } catch (error) {
-            const errorResponse = errorManager.createErrorResponse(error, context);
+            const errorResponse = errorManager.createErrorResponse(error, context, error.statusCode);
             return reply.status(errorResponse.statusCode).send(errorResponse);
         }
     });
@@ -487,7 +603,7 @@ async function registerHederaRoutes(app, services) {
             const { topicId, message } = request.body;
             const targetTopicId = topicId || hederaService.config.hcsTopicId;
             
-            const result = await hederaService.submitToHCS(targetTopicId, message);
+            const result = await hederaService.submitToHCS(targetTopicId, message, { service: 'api' });
             
             return {
                 success: true,
@@ -495,7 +611,7 @@ async function registerHederaRoutes(app, services) {
                 timestamp: new Date().toISOString()
             };
         } catch (error) {
-            const errorResponse = errorManager.createErrorResponse(error, context);
+            const errorResponse = errorManager.createErrorResponse(error, context, error.statusCode);
             return reply.status(errorResponse.statusCode).send(errorResponse);
         }
     });
@@ -531,7 +647,7 @@ async function registerHederaRoutes(app, services) {
             const { topicId, messages } = request.body;
             const targetTopicId = topicId || hederaService.config.hcsTopicId;
             
-            const results = await hederaService.submitBatchToHCS(targetTopicId, messages);
+            const results = await hederaService.submitBatchToHCS(targetTopicId, messages, { service: 'api' });
             
             return {
                 success: true,
@@ -543,7 +659,7 @@ async function registerHederaRoutes(app, services) {
                 timestamp: new Date().toISOString()
             };
         } catch (error) {
-            const errorResponse = errorManager.createErrorResponse(error, context);
+            const errorResponse = errorManager.createErrorResponse(error, context, error.statusCode);
             return reply.status(errorResponse.statusCode).send(errorResponse);
         }
     });
@@ -695,6 +811,41 @@ async function registerHederaRoutes(app, services) {
         }
     });
 
+    // Outcome performance of a model version, with a leaderboard across versions
+    app.get('/api/hedera/models/:modelId/performance', async (request, reply) => {
+        const context = errorManager.createContext('hedera-model-performance', '/api/hedera/models/:modelId/performance');
+
+        try {
+            if (!modelPerformanceAnalytics) {
+                return reply.status(503).send({
+                    success: false,
+                    error: 'Model performance analytics not available'
+                });
+            }
+
+            const { modelId } = request.params;
+            const performance = await modelPerformanceAnalytics.getModelPerformance(modelId, {
+                horizon: request.query.horizon
+            });
+
+            if (!performance) {
+                return reply.status(404).send({
+                    success: false,
+                    error: 'Model not found'
+                });
+            }
+
+            return {
+                success: true,
+                data: performance,
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            const errorResponse = errorManager.createErrorResponse(error, context);
+            return reply.status(errorResponse.statusCode).send(errorResponse);
+        }
+    });
+
     // ========== Analytics Endpoints ==========
 
     // Get Hedera analytics
@@ -719,6 +870,33 @@ async function registerHederaRoutes(app, services) {
         }
     });
 
+    // HBAR fees the agent paid, by service, operation, day and decision, with today's budgets
+    app.get('/api/hedera/analytics/costs', async (request, reply) => {
+        const context = errorManager.createContext('hedera-analytics-costs', '/api/hedera/analytics/costs');
+        
+        try {
+            const feeLedger = hederaService?.feeLedger;
+            if (!feeLedger) {
+                return reply.status(503).send({
+                    success: false,
+                    error: 'Hedera fee ledger not available'
+                });
+            }
+
+            const { from, to, service, decisionId, top } = request.query;
+            const report = await feeLedger.getReport({ from, to, service, decisionId, top });
+            
+            return {
+                success: true,
+                data: report,
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            const errorResponse = errorManager.createErrorResponse(error, context, error.statusCode);
+            return reply.status(errorResponse.statusCode).send(errorResponse);
+        }
+    });
+
     return app;
 }
 
@@ -0,0 +1,376 @@
+/**
+ * @fileoverview Model Context Protocol Server
+ * @description Exposes AION agent capabilities as MCP tools and resources over stdio or streamable HTTP
+ * @author AION Team
+ * @version 2.0.0
+ */
+
+import { pathToFileURL } from 'url';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import {
+    CallToolRequestSchema,
+    ListToolsRequestSchema,
+    ListResourcesRequestSchema,
+    ReadResourceRequestSchema
+} from '@modelcontextprotocol/sdk/types.js';
+
+const SERVER_INFO = {
+    name: 'aion-mcp-agent',
+    version: '2.0.0'
+};
+
+const EMPTY_SCHEMA = {
+    type: 'object',
+    properties: {},
+    additionalProperties: false
+};
+
+/**
+ * Serialize a result for MCP text content (vault values can be BigInt)
+ */
+function toJson(value) {
+    return JSON.stringify(value, (key, v) => (typeof v === 'bigint' ? v.toString() : v), 2);
+}
+
+/**
+ * Build tool definitions for the services that are available
+ * @param {Object} services - Service instances
+ * @param {Object} options - { readOnly }: leave out tools that write
+ * @returns {Array} Tool definitions with handlers
+ */
+function buildTools(services, { readOnly = false } = {}) {
+    const {
+        oracleService,
+        strategyEngine,
+        web3Service,
+        aiDecisionLogger,
+        modelMetadataManager,
+        validationManager
+    } = services;
+
+    const tools = [
+        {
+            name: 'get_oracle_snapshot',
+            description: 'Current market snapshot: BNB price and APY, TVL and health for each protocol',
+            inputSchema: validationManager.getNetworkSchema(),
+            enabled: !!oracleService,
+            handler: (args) => oracleService.getSnapshot(args.network || 'bscMainnet')
+        },
+        {
+            name: 'recommend_strategy',
+            description: 'Rank yield strategies by risk-adjusted APY and recommend one for the given amount',
+            inputSchema: validationManager.getDecideSchema(),
+            enabled: !!(oracleService && strategyEngine),
+            handler: async (args) => {
+                const snapshot = await oracleService.getSnapshot(args.network);
+                return strategyEngine.recommend(snapshot, args);
+            }
+        },
+        {
+            name: 'get_vault_stats',
+            description: 'On-chain AION vault statistics on BSC mainnet (total assets, shares, limits)',
+            inputSchema: EMPTY_SCHEMA,
+            enabled: !!web3Service,
+            handler: () => web3Service.getVaultStats()
+        },
+        {
+            name: 'get_strategy_info',
+            description: 'On-chain status of one strategy adapter, or of all adapters when no strategy is given',
+            inputSchema: validationManager.getStrategyQuerySchema(),
+            enabled: !!web3Service,
+            handler: (args) => args.strategy
+                ? web3Service.getStrategyInfo(args.strategy)
+                : web3Service.getAllStrategiesInfo()
+        },
+        {
+            name: 'log_decision',
+            description: 'Record an AI decision through the decision logger (local log and Hedera HCS)',
+            inputSchema: validationManager.getLogDecisionSchema(),
+            enabled: !!aiDecisionLogger,
+            writes: true,
+            handler: async (args) => ({
+                decisionId: await aiDecisionLogger.logDecision(args),
+                logged: true
+            })
+        },
+        {
+            name: 'get_model_metadata',
+            description: 'Metadata for one AI model by id, or the list of registered models',
+            inputSchema: validationManager.getModelQuerySchema(),
+            enabled: !!modelMetadataManager,
+            handler: async (args) => {
+                if (args.modelId) {
+                    const metadata = await modelMetadataManager.retrieveModelMetadata(args.modelId);
+                    if (!metadata) {
+                        throw new Error(`Model not found: ${args.modelId}`);
+                    }
+                    return metadata;
+                }
+                const { type, status } = args;
+                return modelMetadataManager.listModels({ type, status });
+            }
+        }
+    ];
+
+    return tools.filter(tool => tool.enabled && !(readOnly && tool.writes));
+}
+
+/**
+ * Build resource definitions for the services that are available
+ * @param {Object} services - Service instances
+ * @returns {Array} Resource definitions with readers
+ */
+function buildResources(services) {
+    const { oracleService, web3Service, modelMetadataManager } = services;
+
+    const resources = [
+        {
+            uri: 'aion://oracle/snapshot',
+            name: 'Oracle snapshot',
+            description: 'Latest BSC mainnet market snapshot',
+            enabled: !!oracleService,
+            read: () => oracleService.getSnapshot('bscMainnet')
+        },
+        {
+            uri: 'aion://vault/stats',
+            name: 'Vault statistics',
+            description: 'AION vault state on BSC mainnet',
+            enabled: !!web3Service,
+            read: () => web3Service.getVaultStats()
+        },
+        {
+            uri: 'aion://strategies',
+            name: 'Strategy adapters',
+            description: 'Status of every on-chain strategy adapter',
+            enabled: !!web3Service,
+            read: () => web3Service.getAllStrategiesInfo()
+        },
+        {
+            uri: 'aion://models',
+            name: 'AI models',
+            description: 'Registered AI model metadata',
+            enabled: !!modelMetadataManager,
+            read: () => modelMetadataManager.listModels()
+        }
+    ];
+
+    return resources.filter(resource => resource.enabled);
+}
+
+/**
+ * Create an MCP server bound to the given services
+ * @param {Object} services - Service instances (validationManager is required)
+ * @param {Object} options - { readOnly }: expose only tools that do not write
+ * @returns {Server} MCP server
+ */
+function createMcpServer(services, options = {}) {
+    if (!services.validationManager) {
+        throw new Error('validationManager is required for the MCP server');
+    }
+
+    const tools = buildTools(services, options);
+    const resources = buildResources(services);
+
+    const server = new Server(SERVER_INFO, {
+        capabilities: {
+            tools: {},
+            resources: {}
+        }
+    });
+
+    server.setRequestHandler(ListToolsRequestSchema, async () => ({
+        tools: tools.map(({ name, description, inputSchema }) => ({ name, description, inputSchema }))
+    }));
+
+    server.setRequestHandler(CallToolRequestSchema, async (request) => {
+        const { name, arguments: args = {} } = request.params;
+        const tool = tools.find(t => t.name === name);
+
+        if (!tool) {
+            return {
+                isError: true,
+                content: [{ type: 'text', text: `Unknown tool: ${name}` }]
+            };
+        }
+
+        const validation = services.validationManager.validateData(tool.inputSchema, args);
+        if (!validation.valid) {
+            return {
+                isError: true,
+                content: [{ type: 'text', text: toJson({ error: 'Validation failed', details: validation.errors }) }]
+            };
+        }
+
+        try {
+            const result = await tool.handler(args);
+            return {
+                content: [{ type: 'text', text: toJson(result) }]
+            };
+        } catch (error) {
+            return {
+                isError: true,
+                content: [{ type: 'text', text: error.message }]
+            };
+        }
+    });
+
+    server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+        resources: resources.map(({ uri, name, description }) => ({
+            uri,
+            name,
+            description,
+            mimeType: 'application/json'
+        }))
+    }));
+
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+        const resource = resources.find(r => r.uri === request.params.uri);
+        if (!resource) {
+            throw new Error(`Unknown resource: ${request.params.uri}`);
+        }
+
+        return {
+            contents: [{
+                uri: resource.uri,
+                mimeType: 'application/json',
+                text: toJson(await resource.read())
+            }]
+        };
+    });
+
+    return server;
+}
+
+/**
+ * Register the streamable HTTP MCP endpoint (stateless: one server per request).
+ * The endpoint is unauthenticated, so it is rate limited and its tools are read-only:
+ * decisions can only be logged over stdio.
+ * @param {FastifyInstance} app - Fastify app instance
+ * @param {Object} services - Service instances; `securityManager` rate limits the endpoint
+ */
+async function registerMcpRoutes(app, services) {
+    const { securityManager } = services;
+
+    app.post('/mcp', {
+        preHandler: securityManager ? [securityManager.createRateLimitMiddleware('api')] : []
+    }, async (request, reply) => {
+        const server = createMcpServer(services, { readOnly: true });
+        const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: undefined });
+
+        reply.hijack();
+        reply.raw.on('close', () => {
+            transport.close();
+            server.close();
+        });
+
+        await server.connect(transport);
+        await transport.handleRequest(request.raw, reply.raw, request.body);
+    });
+
+    // Sessions and server-initiated streams are not used in stateless mode
+    const methodNotAllowed = async (request, reply) => reply.status(405).send({
+        jsonrpc: '2.0',
+        error: { code: -32000, message: 'Method not allowed' },
+        id: null
+    });
+    app.get('/mcp', methodNotAllowed);
+    app.delete('/mcp', methodNotAllowed);
+
+    return app;
+}
+
+/**
+ * Serve MCP over stdin/stdout
+ * @param {Object} services - Service instances
+ */
+async function startStdioServer(services) {
+    const server = createMcpServer(services);
+    await server.connect(new StdioServerTransport());
+    return server;
+}
+
+/**
+ * Create the services exposed over MCP when running standalone
+ */
+async function createStandaloneServices() {
+    const { default: ErrorManager } = await import('../services/errorManager.js');
+    const { default: ValidationManager } = await import('../services/validationManager.js');
+    const { default: SecurityManager } = await import('../services/securityManager.js');
+    const { default: OracleService } = await import('../services/oracleService.js');
+    const { default: StrategyEngine } = await import('../services/strategyEngine.js');
+    const { default: HederaService } = await import('../services/hederaService.js');
+    const { createDecisionLogger } = await import('../services/aiDecisionLogger.js');
+    const { default: ModelMetadataManager } = await import('../services/modelMetadataManager.js');
+    const { MainnetWeb3Service } = await import('../services/mainnetWeb3Service.js');
+    const { default: ConfigManager } = await import('../services/configManager.js');
+
+    const configManager = new ConfigManager({ configDir: './config', enableHotReload: false });
+    await configManager.initialize();
+
+    const errorManager = new ErrorManager();
+    const services = {
+        configManager,
+        errorManager,
+        validationManager: new ValidationManager(),
+        securityManager: new SecurityManager(),
+        oracleService: new OracleService(errorManager),
+        strategyEngine: new StrategyEngine()
+    };
+
+    try {
+        services.web3Service = new MainnetWeb3Service(configManager, errorManager);
+        await services.web3Service.initialize();
+    } catch (error) {
+        console.warn('⚠️ Web3 service unavailable, vault tools disabled:', error.message);
+        services.web3Service = null;
+    }
+
+    try {
+        const hederaService = new HederaService();
+        await hederaService.initialize();
+        services.aiDecisionLogger = createDecisionLogger(hederaService);
+        services.modelMetadataManager = new ModelMetadataManager({ hederaService });
+    } catch (error) {
+        console.warn('⚠️ Hedera services unavailable, decision and model tools disabled:', error.message);
+    }
+
+    return services;
+}
+
+async function main() {
+    const mode = process.argv.includes('--http') ? 'http' : 'stdio';
+
+    // stdout carries the protocol in stdio mode, so service logging goes to stderr
+    if (mode === 'stdio') {
+        console.log = console.error;
+        console.info = console.error;
+        console.warn = console.error;
+    }
+
+    const services = await createStandaloneServices();
+
+    if (mode === 'stdio') {
+        await startStdioServer(services);
+        console.error('🔌 AION MCP server listening on stdio');
+        return;
+    }
+
+    const { default: fastify } = await import('fastify');
+    const app = fastify({ logger: false });
+    await registerMcpRoutes(app, services);
+
+    const port = process.env.MCP_PORT || services.configManager.get('mcp.serverPort', 3001);
+    await app.listen({ port, host: process.env.HOST || '0.0.0.0' });
+    console.log(`🔌 AION MCP server listening on http://localhost:${port}/mcp`);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main().catch(error => {
+        console.error('❌ MCP server failed to start:', error);
+        process.exit(1);
+    });
+}
+
+export { createMcpServer, registerMcpRoutes, startStdioServer };
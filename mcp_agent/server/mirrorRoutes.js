@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Simulated Mirror Node Routes
+ * @description Mirror-node-shaped REST API over the in-process Hedera simulator, so mirror node
+ * readers (HederaRealDataMonitor, the topic indexer, the proof verifier) work offline
+ * @author AION Team
+ * @version 2.0.0
+ */
+
+/**
+ * Register mirror node routes backed by the simulator
+ * @param {FastifyInstance} app - Fastify app instance
+ * @param {Object} services - Service instances; `hederaSimulator` is required
+ */
+async function registerMirrorRoutes(app, services) {
+    const { hederaSimulator } = services;
+
+    // Failures use the mirror node's error body
+    const respond = (reply, read) => {
+        try {
+            return read();
+        } catch (error) {
+            const statusCode = error.statusCode || 500;
+            return reply.status(statusCode).send({
+                _status: { messages: [{ message: statusCode === 404 ? 'Not found' : error.message }] }
+            });
+        }
+    };
+
+    app.get('/api/v1/topics/:topicId', async (request, reply) =>
+        respond(reply, () => hederaSimulator.mirrorTopic(request.params.topicId)));
+
+    app.get('/api/v1/topics/:topicId/messages', async (request, reply) =>
+        respond(reply, () => hederaSimulator.mirrorTopicMessages(request.params.topicId, request.query)));
+
+    app.get('/api/v1/topics/:topicId/messages/:sequenceNumber', async (request, reply) =>
+        respond(reply, () => hederaSimulator.mirrorTopicMessage(request.params.topicId, request.params.sequenceNumber)));
+
+    app.get('/api/v1/tokens/:tokenId', async (request, reply) =>
+        respond(reply, () => hederaSimulator.mirrorToken(request.params.tokenId)));
+
+    app.get('/api/v1/tokens/:tokenId/balances', async (request, reply) =>
+        respond(reply, () => hederaSimulator.mirrorTokenBalances(request.params.tokenId)));
+
+    app.get('/api/v1/transactions/:transactionId', async (request, reply) =>
+        respond(reply, () => hederaSimulator.mirrorTransaction(request.params.transactionId)));
+
+    app.get('/api/v1/accounts/:accountId', async (request, reply) =>
+        respond(reply, () => hederaSimulator.mirrorAccount(request.params.accountId)));
+
+    app.get('/api/v1/accounts/:accountId/tokens', async (request, reply) =>
+        respond(reply, () => hederaSimulator.mirrorAccountTokens(request.params.accountId, request.query)));
+}
+
+export { registerMirrorRoutes };
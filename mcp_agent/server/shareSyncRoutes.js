@@ -0,0 +1,108 @@
+/**
+ * @fileoverview HTS Share Sync Routes
+ * @description Status and jobs of the synchronizer that mirrors vault deposits and withdrawals onto
+ * the HTS share token, manual polls and retries of failed jobs, and the reconciliation reports that
+ * compare the token with the vault.
+ * @author AION Team
+ * @version 2.0.0
+ */
+
+import {
+    createAuthMiddleware,
+    createAuthorizationMiddleware
+} from '../middleware/authMiddleware.js';
+
+/**
+ * Register HTS share sync routes
+ * @param {FastifyInstance} app - Fastify app instance
+ * @param {Object} services - Service instances; `shareSynchronizer` and `authService` are required, `shareReconciler` optional
+ */
+async function registerShareSyncRoutes(app, services) {
+    const {
+        shareSynchronizer,
+        shareReconciler,
+        authService,
+        errorManager,
+        securityManager
+    } = services;
+
+    // Polls, retries and reconciliations mint and wipe share tokens, so they are for admins (`*`) only
+    const mutating = {
+        preHandler: [
+            createAuthMiddleware(authService),
+            createAuthorizationMiddleware(authService, ['*']),
+            securityManager.createRateLimitMiddleware('execute')
+        ]
+    };
+
+    const respond = async (reply, context, handler) => {
+        try {
+            await shareSynchronizer.load();
+            return {
+                success: true,
+                data: await handler(),
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            const errorResponse = errorManager.createErrorResponse(error, context, error.statusCode);
+            return reply.status(errorResponse.statusCode).send(errorResponse);
+        }
+    };
+
+    // Token, block cursor, job counts and the last poll
+    app.get('/api/hedera/share-sync', async (request, reply) => {
+        const context = errorManager.createContext('share-sync-status', '/api/hedera/share-sync');
+        return respond(reply, context, async () => shareSynchronizer.getStatus());
+    });
+
+    // Sync jobs in chain order, filtered by status (pending, done, failed) and vault user
+    app.get('/api/hedera/share-sync/jobs', async (request, reply) => {
+        const context = errorManager.createContext('share-sync-jobs', '/api/hedera/share-sync/jobs');
+        return respond(reply, context, async () => {
+            const { status, user, limit = 50, offset = 0 } = request.query;
+            return shareSynchronizer.listJobs({
+                status,
+                user,
+                limit: Math.min(parseInt(limit) || 50, 500),
+                offset: parseInt(offset) || 0
+            });
+        });
+    });
+
+    // Scan new vault blocks and run due jobs now
+    app.post('/api/hedera/share-sync/poll', mutating, async (request, reply) => {
+        const context = errorManager.createContext('share-sync-poll', '/api/hedera/share-sync/poll');
+        return respond(reply, context, () => shareSynchronizer.poll());
+    });
+
+    // Run a failed job again from its last completed step
+    app.post('/api/hedera/share-sync/jobs/:id/retry', mutating, async (request, reply) => {
+        const context = errorManager.createContext('share-sync-retry', '/api/hedera/share-sync/jobs/:id/retry');
+        return respond(reply, context, () => shareSynchronizer.retry(request.params.id));
+    });
+
+    if (!shareReconciler) {
+        return;
+    }
+
+    // Latest reconciliation and earlier reports, newest first (`status`: ok, mismatch, error)
+    app.get('/api/hedera/share-sync/reconciliation', async (request, reply) => {
+        const context = errorManager.createContext('share-reconciliation', '/api/hedera/share-sync/reconciliation');
+        return respond(reply, context, async () => {
+            await shareReconciler.load();
+            const { status, limit = 20 } = request.query;
+            return {
+                latest: shareReconciler.getLatest(),
+                reports: shareReconciler.getReports({ status, limit: Math.min(parseInt(limit) || 20, 100) })
+            };
+        });
+    });
+
+    // Reconcile now; corrections, if any, are queued for approval
+    app.post('/api/hedera/share-sync/reconcile', mutating, async (request, reply) => {
+        const context = errorManager.createContext('share-reconcile', '/api/hedera/share-sync/reconcile');
+        return respond(reply, context, () => shareReconciler.reconcile());
+    });
+}
+
+export { registerShareSyncRoutes };
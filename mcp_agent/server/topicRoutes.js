@@ -0,0 +1,150 @@
+/**
+ * @fileoverview HCS Topic Lifecycle Routes
+ * @description Create, update, rotate the submit key of, delete and inspect HCS topics, and
+ * manage the registry of logical topic names. Topics can be addressed by name or by ID.
+ * @author AION Team
+ * @version 2.0.0
+ */
+
+import {
+    createAuthMiddleware,
+    createAuthorizationMiddleware
+} from '../middleware/authMiddleware.js';
+
+// Key specs: omitted = operator key, null or 'none' = no key, 'generate' = new agent-held key, else a public key
+const keySpec = { type: ['string', 'null'], maxLength: 200 };
+
+/**
+ * Register HCS topic lifecycle routes
+ * @param {FastifyInstance} app - Fastify app instance
+ * @param {Object} services - Service instances; `hederaService`, `topicRegistry` and `authService` are required
+ */
+async function registerTopicRoutes(app, services) {
+    const {
+        hederaService,
+        topicRegistry,
+        authService,
+        errorManager,
+        validationManager,
+        securityManager
+    } = services;
+
+    // Topic changes can delete or lock the decision topic, so they are for admins (`*`) only
+    const adminAuth = [createAuthMiddleware(authService), createAuthorizationMiddleware(authService, ['*'])];
+
+    const mutating = (schema) => ({
+        preHandler: [
+            ...adminAuth,
+            securityManager.createRateLimitMiddleware('execute'),
+            ...(schema ? [validationManager.validateRequest(schema)] : [])
+        ]
+    });
+
+    const respond = async (reply, context, handler) => {
+        try {
+            await topicRegistry.load();
+            return {
+                success: true,
+                data: await handler(),
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            const errorResponse = errorManager.createErrorResponse(error, context, error.statusCode);
+            return reply.status(errorResponse.statusCode).send(errorResponse);
+        }
+    };
+
+    // Registered topic names
+    app.get('/api/hedera/topics', async (request, reply) => {
+        const context = errorManager.createContext('hedera-topics', '/api/hedera/topics');
+        return respond(reply, context, async () => topicRegistry.list());
+    });
+
+    // Create a topic, optionally registering it under a name
+    app.post('/api/hedera/topics', mutating({
+        type: 'object',
+        properties: {
+            name: { type: 'string', maxLength: 64 },
+            memo: { type: 'string', maxLength: 100 },
+            adminKey: keySpec,
+            submitKey: keySpec
+        }
+    }), async (request, reply) => {
+        const context = errorManager.createContext('hedera-topic-create', '/api/hedera/topics');
+        return respond(reply, context, async () => {
+            const { name, memo, adminKey, submitKey } = request.body || {};
+            const result = await hederaService.createHCSTopic(memo, { adminKey, submitKey, service: 'api' });
+            const registered = name ? await topicRegistry.register(name, result.topicId) : null;
+            return { ...result, name: registered?.name || null };
+        });
+    });
+
+    // Map a name to an existing topic
+    app.put('/api/hedera/topics/registry/:name', mutating({
+        type: 'object',
+        required: ['topicId'],
+        properties: {
+            topicId: { type: 'string' }
+        }
+    }), async (request, reply) => {
+        const context = errorManager.createContext('hedera-topic-register', '/api/hedera/topics/registry/:name');
+        return respond(reply, context, () => topicRegistry.register(request.params.name, request.body.topicId));
+    });
+
+    app.delete('/api/hedera/topics/registry/:name', mutating(), async (request, reply) => {
+        const context = errorManager.createContext('hedera-topic-unregister', '/api/hedera/topics/registry/:name');
+        return respond(reply, context, async () => {
+            await topicRegistry.unregister(request.params.name);
+            return { name: request.params.name };
+        });
+    });
+
+    // Memo, keys, sequence number and key holders of a topic
+    app.get('/api/hedera/topics/:topic', async (request, reply) => {
+        const context = errorManager.createContext('hedera-topic-info', '/api/hedera/topics/:topic');
+        return respond(reply, context, async () => {
+            const topicId = topicRegistry.resolve(request.params.topic);
+            const info = await hederaService.getHCSTopicInfo(topicId);
+            return { ...info, names: topicRegistry.namesOf(topicId) };
+        });
+    });
+
+    // Update the memo or keys
+    app.patch('/api/hedera/topics/:topic', mutating({
+        type: 'object',
+        minProperties: 1,
+        properties: {
+            memo: { type: 'string', maxLength: 100 },
+            adminKey: keySpec,
+            submitKey: keySpec
+        }
+    }), async (request, reply) => {
+        const context = errorManager.createContext('hedera-topic-update', '/api/hedera/topics/:topic');
+        return respond(reply, context, async () => {
+            const { memo, adminKey, submitKey } = request.body;
+            const topicId = topicRegistry.resolve(request.params.topic);
+            return hederaService.updateHCSTopic(topicId, { memo, adminKey, submitKey }, { service: 'api' });
+        });
+    });
+
+    // Replace the submit key with a new agent-held key
+    app.post('/api/hedera/topics/:topic/rotate-submit-key', mutating(), async (request, reply) => {
+        const context = errorManager.createContext('hedera-topic-rotate', '/api/hedera/topics/:topic/rotate-submit-key');
+        return respond(reply, context, async () => {
+            const topicId = topicRegistry.resolve(request.params.topic);
+            return hederaService.rotateTopicSubmitKey(topicId, { service: 'api' });
+        });
+    });
+
+    // Delete a topic and drop the names pointing at it
+    app.delete('/api/hedera/topics/:topic', mutating(), async (request, reply) => {
+        const context = errorManager.createContext('hedera-topic-delete', '/api/hedera/topics/:topic');
+        return respond(reply, context, async () => {
+            const topicId = topicRegistry.resolve(request.params.topic);
+            const result = await hederaService.deleteHCSTopic(topicId, { service: 'api' });
+            return { ...result, unregistered: await topicRegistry.removeTopic(topicId) };
+        });
+    });
+}
+
+export { registerTopicRoutes };
@@ -5,6 +5,7 @@
  * @version 2.0.0
  */
 
+import { ethers } from 'ethers';
 import { 
     createAuthMiddleware,
     createAuthorizationMiddleware,
@@ -222,7 +223,7 @@ async function registerVaultRoutes(app, services) {
                 type: 'object',
                 required: ['amount', 'asset'],
                 properties: {
-                    amount: { type: 'string' },
+                    amount: { type: 'string', pattern: '^\\d+(\\.\\d{1,18})?$' },
                     asset: { type: 'string', enum: ['ETH', 'BTC', 'USDC', 'BNB'] },
                     userAddress: { type: 'string' },
                     hederaAccountId: { type: 'string' },
@@ -239,8 +240,10 @@ async function registerVaultRoutes(app, services) {
             // Calculate shares to mint
             const sharePrice = '2500000000000000000'; // 2.5 ETH per share
             const assetPrice = await getAssetPrice(asset); // Mock function
-            const assetValue = (parseFloat(amount) * assetPrice).toString();
-            const sharesToMint = (parseFloat(assetValue) / parseFloat(sharePrice) * 1e18).toString();
+            // In wei with BigInt: float math gives share counts like "1e+21", which cannot be minted
+            const assetValueWei = ethers.parseEther(amount) * ethers.parseEther(String(assetPrice)) / ethers.WeiPerEther;
+            const assetValue = ethers.formatEther(assetValueWei);
+            const sharesToMint = (assetValueWei / BigInt(sharePrice)).toString();
             
             // Log AI decision for deposit
             const depositDecision = {
@@ -278,11 +281,9 @@ async function registerVaultRoutes(app, services) {
                     hederaResult = await hederaService.mintHTSTokens(
                         process.env.HTS_TOKEN_ID,
                         sharesToMint,
+                        // Kept short: it becomes the transaction memo, which Hedera caps at 100 bytes
                         {
                             depositId: `deposit_${Date.now()}`,
-                            asset: asset,
-                            amount: amount,
-                            userAddress: userAddress,
                             decisionId: decisionId
                         }
                     );
@@ -385,9 +386,6 @@ async function registerVaultRoutes(app, services) {
                         shares,
                         {
                             withdrawalId: `withdrawal_${Date.now()}`,
-                            asset: asset,
-                            amount: assetAmount,
-                            userAddress: userAddress,
                             decisionId: decisionId
                         }
                     );
@@ -68,6 +68,12 @@ class AuthenticationService extends EventEmitter {
                 ],
                 description: 'Basic trading operations'
             },
+            'approver': {
+                permissions: [
+                    'vault:read', 'execute:read', 'execute:approve', 'hedera:read'
+                ],
+                description: 'Approve or reject executions held for human review'
+            },
             'viewer': {
                 permissions: [
                     'vault:read', 'execute:read', 'hedera:read', 'monitoring:read'
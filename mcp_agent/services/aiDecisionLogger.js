@@ -9,6 +9,17 @@ import { EventEmitter } from 'events';
 import crypto from 'crypto';
 import { promises as fs } from 'fs';
 import path from 'path';
+import {
+    hashLeaf,
+    buildMerkleTree,
+    merkleRoot,
+    merkleProof,
+    uploadToHfs,
+    MERKLE_ALGORITHM,
+    LEAF_ENCODING,
+    BATCH_ROOT_MESSAGE_TYPE
+} from './merkleAnchor.js';
+import { writeJsonFile } from './jsonStateFile.js';
 
 /**
  * Enhanced AI Decision Logger with Hedera integration
@@ -34,6 +45,11 @@ class AIDecisionLogger extends EventEmitter {
             batchTimeout: config.batchTimeout || 5000, // 5 seconds
             maxRetries: config.maxRetries || 3,
             
+            // Anchoring: 'messages' submits every decision to HCS, 'merkle' only the Merkle root
+            // of each batch, with the leaves kept locally (and in HFS if enabled)
+            anchoringMode: config.anchoringMode || process.env.AI_DECISION_ANCHORING || 'messages',
+            storeLeavesInHfs: config.storeLeavesInHfs === true,
+            
             // Storage settings
             localLogPath: config.localLogPath || './logs/ai-decisions',
             maxLogFileSize: config.maxLogFileSize || 10 * 1024 * 1024, // 10MB
@@ -54,6 +70,7 @@ class AIDecisionLogger extends EventEmitter {
         this.batchTimer = null;
         this.decisionHistory = new Map();
         this.outcomeTracking = new Map();
+        this.actionWrites = Promise.resolve(); // chained appends to the actions file
         
         // Metrics
         this.metrics = {
@@ -326,6 +343,54 @@ class AIDecisionLogger extends EventEmitter {
         }
     }
     
+    /**
+     * Log an action taken on a decision (e.g. an approval) to the decision topic
+     * @param {string} decisionId - Decision ID
+     * @param {object} action - Action data, e.g. { type: 'approval', action: 'approved', actor }
+     * @returns {Promise<boolean>} Success status
+     */
+    async logDecisionAction(decisionId, action) {
+        const actionEntry = {
+            decisionId: decisionId,
+            action: action,
+            timestamp: Date.now()
+        };
+
+        if (this.config.enableHederaLogging && this.config.hederaService) {
+            await this.config.hederaService.submitToHCS(this.config.hcsTopicId, {
+                type: 'AI_DECISION_ACTION',
+                data: actionEntry,
+                timestamp: Date.now(),
+                version: '2.0.0'
+            }, { service: 'aiDecisionLogger' });
+        }
+
+        if (this.config.enableLocalLogging) {
+            // Appends are read-modify-writes of one file, so concurrent ones would drop entries
+            const write = this.actionWrites.then(() => this.appendActionEntry(actionEntry));
+            this.actionWrites = write.catch(() => {});
+            await write;
+        }
+
+        this.emit('actionLogged', actionEntry);
+        return true;
+    }
+
+    async appendActionEntry(actionEntry) {
+        const actionFile = `${this.config.localLogPath}/actions-${this.getDateString()}.json`;
+
+        let actionData;
+        try {
+            actionData = JSON.parse(await fs.readFile(actionFile, 'utf8'));
+        } catch {
+            actionData = { initialized: Date.now(), actions: [] };
+        }
+
+        actionData.actions.push(actionEntry);
+        actionData.lastUpdated = Date.now();
+        await fs.writeFile(actionFile, JSON.stringify(actionData, null, 2));
+    }
+
     // ========== Batch Processing ==========
     
     /**
@@ -357,7 +422,9 @@ class AIDecisionLogger extends EventEmitter {
             console.log(`📦 Processing batch of ${batch.length} decisions`);
             
             // Process Hedera logging
-            if (this.config.enableHederaLogging && this.config.hederaService) {
+            if (this.config.anchoringMode === 'merkle') {
+                await this.processBatchMerkle(batch);
+            } else if (this.config.enableHederaLogging && this.config.hederaService) {
                 await this.processBatchHedera(batch);
             }
             
@@ -420,7 +487,8 @@ class AIDecisionLogger extends EventEmitter {
             // Submit batch to HCS
             const results = await this.config.hederaService.submitBatchToHCS(
                 this.config.hcsTopicId,
-                messages
+                messages,
+                { service: 'aiDecisionLogger' }
             );
             
             // Log successful submissions
@@ -435,6 +503,169 @@ class AIDecisionLogger extends EventEmitter {
         }
     }
     
+    /**
+     * Anchor a batch as a single Merkle root on HCS, keeping the leaves for inclusion proofs
+     * @param {Array} batch - Batch of decisions
+     */
+    async processBatchMerkle(batch) {
+        const leafHashes = batch.map(entry => hashLeaf(entry));
+        const root = merkleRoot(buildMerkleTree(leafHashes));
+        const hedera = this.config.enableHederaLogging && this.config.hederaService;
+        
+        const record = {
+            batchId: `batch_${Date.now()}_${root.substring(0, 12)}`,
+            root: root,
+            algorithm: MERKLE_ALGORITHM,
+            leafEncoding: LEAF_ENCODING,
+            leafCount: batch.length,
+            createdAt: Date.now(),
+            hfsFileId: null,
+            anchor: null,
+            leaves: batch.map((entry, index) => ({ decisionId: entry.id, leafHash: leafHashes[index], entry }))
+        };
+        
+        if (hedera && this.config.storeLeavesInHfs) {
+            try {
+                record.hfsFileId = await uploadToHfs(
+                    this.config.hederaService,
+                    JSON.stringify(record.leaves),
+                    `AION decision batch ${record.batchId}`,
+                    undefined,
+                    { service: 'aiDecisionLogger' }
+                );
+            } catch (error) {
+                console.warn(`⚠️ Could not store batch leaves in HFS: ${error.message}`);
+            }
+        }
+        
+        // Leaves are saved before anchoring so an anchored root always has them
+        await this.saveMerkleBatch(record);
+        
+        if (hedera) {
+            try {
+                const result = await this.config.hederaService.submitToHCS(this.config.hcsTopicId, {
+                    type: BATCH_ROOT_MESSAGE_TYPE,
+                    data: {
+                        batchId: record.batchId,
+                        root: record.root,
+                        algorithm: record.algorithm,
+                        leafEncoding: record.leafEncoding,
+                        leafCount: record.leafCount,
+                        firstDecisionAt: batch[0].timestamp,
+                        lastDecisionAt: batch[batch.length - 1].timestamp,
+                        hfsFileId: record.hfsFileId
+                    },
+                    timestamp: Date.now(),
+                    version: '2.0.0'
+                }, { includeRecord: true, service: 'aiDecisionLogger' });
+                
+                record.anchor = {
+                    topicId: String(this.config.hcsTopicId),
+                    sequenceNumber: result.sequenceNumber || null,
+                    consensusTimestamp: result.consensusTimestamp || null,
+                    transactionId: result.transactionId || null
+                };
+                await this.saveMerkleBatch(record);
+                this.metrics.hederaLogsCount += batch.length;
+            } catch (error) {
+                if (!error.submittedTransactionId) {
+                    // The batch is re-queued and gets a new root; drop the unanchored leaves
+                    await fs.rm(this.merkleBatchFile(record.batchId), { force: true });
+                    throw error;
+                }
+                
+                // The root was sent and may still reach consensus: keep its leaves and do not anchor the batch twice
+                console.warn(`⚠️ Batch root ${record.batchId} failed after transaction ${error.submittedTransactionId} was sent: ${error.message}`);
+                record.anchor = {
+                    topicId: String(this.config.hcsTopicId),
+                    sequenceNumber: null,
+                    consensusTimestamp: null,
+                    transactionId: String(error.submittedTransactionId),
+                    pending: true
+                };
+                await this.saveMerkleBatch(record);
+            }
+        }
+        
+        batch.forEach((entry, index) => {
+            const historyEntry = this.decisionHistory.get(entry.id);
+            if (historyEntry) {
+                historyEntry.anchor = { batchId: record.batchId, root: record.root, leafIndex: index };
+            }
+        });
+        
+        console.log(`🌳 Merkle batch ${record.batchId}: ${batch.length} decisions, root ${root.substring(0, 16)}...`);
+        return record;
+    }
+    
+    /**
+     * Inclusion proof of a decision in its anchored Merkle batch
+     * @param {string} decisionId - Decision ID
+     * @returns {Promise<object|null>} Proof, or null if the decision is not in a stored batch
+     */
+    async getDecisionProof(decisionId) {
+        const batch = await this.findMerkleBatch(decisionId);
+        if (!batch) {
+            return null;
+        }
+        
+        const leafIndex = batch.leaves.findIndex(leaf => leaf.decisionId === decisionId);
+        const levels = buildMerkleTree(batch.leaves.map(leaf => leaf.leafHash));
+        
+        return {
+            decisionId: decisionId,
+            batchId: batch.batchId,
+            root: batch.root,
+            algorithm: batch.algorithm,
+            leafEncoding: batch.leafEncoding,
+            leafCount: batch.leafCount,
+            leafIndex: leafIndex,
+            leafHash: batch.leaves[leafIndex].leafHash,
+            proof: merkleProof(levels, leafIndex),
+            anchor: batch.anchor,
+            hfsFileId: batch.hfsFileId,
+            entry: batch.leaves[leafIndex].entry
+        };
+    }
+    
+    async findMerkleBatch(decisionId) {
+        const batchId = this.decisionHistory.get(decisionId)?.anchor?.batchId;
+        if (batchId) {
+            try {
+                return JSON.parse(await fs.readFile(this.merkleBatchFile(batchId), 'utf8'));
+            } catch {
+                // Fall through to a scan
+            }
+        }
+        
+        let files;
+        try {
+            files = await fs.readdir(path.join(this.config.localLogPath, 'merkle'));
+        } catch {
+            return null;
+        }
+        
+        for (const file of files.filter(name => name.endsWith('.json')).sort().reverse()) {
+            try {
+                const batch = JSON.parse(await fs.readFile(path.join(this.config.localLogPath, 'merkle', file), 'utf8'));
+                if (batch.leaves.some(leaf => leaf.decisionId === decisionId)) {
+                    return batch;
+                }
+            } catch (error) {
+                console.warn(`⚠️ Could not read Merkle batch ${file}: ${error.message}`);
+            }
+        }
+        return null;
+    }
+    
+    async saveMerkleBatch(record) {
+        await writeJsonFile(this.merkleBatchFile(record.batchId), record);
+    }
+    
+    merkleBatchFile(batchId) {
+        return path.join(this.config.localLogPath, 'merkle', `${batchId}.json`);
+    }
+    
     /**
      * Process batch to local storage
      * @param {Array} batch - Batch of decisions
@@ -481,6 +712,39 @@ class AIDecisionLogger extends EventEmitter {
         return this.decisionHistory.get(decisionId) || null;
     }
     
+    /**
+     * Find a decision in memory or, after a restart, in the local decision logs (newest first)
+     * @param {string} decisionId - Decision ID
+     * @returns {Promise<object|null>} Decision data, including its explanation
+     */
+    async findDecision(decisionId) {
+        const cached = this.getDecision(decisionId);
+        if (cached || !this.config.enableLocalLogging) {
+            return cached;
+        }
+        
+        let files;
+        try {
+            files = await fs.readdir(this.config.localLogPath);
+        } catch {
+            return null;
+        }
+        
+        const logFiles = files.filter(file => /^decisions-.*\.json$/.test(file)).sort().reverse();
+        for (const file of logFiles) {
+            try {
+                const logData = JSON.parse(await fs.readFile(path.join(this.config.localLogPath, file), 'utf8'));
+                const decision = (logData.decisions || []).find(entry => entry.id === decisionId);
+                if (decision) {
+                    return { ...decision, logged: true };
+                }
+            } catch (error) {
+                console.warn(`⚠️ Could not read decision log ${file}: ${error.message}`);
+            }
+        }
+        return null;
+    }
+    
     /**
      * Get decisions by criteria
      * @param {object} criteria - Search criteria
@@ -544,6 +808,7 @@ class AIDecisionLogger extends EventEmitter {
             context: decision.context || {},
             parameters: decision.parameters || {},
             expectedOutcome: decision.expectedOutcome || null,
+            explanation: decision.explanation || null,
             riskLevel: decision.riskLevel || 'medium',
             metadata: {
                 version: '2.0.0',
@@ -569,7 +834,8 @@ class AIDecisionLogger extends EventEmitter {
             
             await this.config.hederaService.submitToHCS(
                 this.config.hcsAuditTopicId || this.config.hcsTopicId,
-                message
+                message,
+                { service: 'aiDecisionLogger' }
             );
             
         } catch (error) {
@@ -747,4 +1013,18 @@ class AIDecisionLogger extends EventEmitter {
     }
 }
 
+/**
+ * Decision logger that writes decisions, outcomes, approval actions and Merkle roots to the
+ * Hedera service's decision topic. The servers create their logger through this.
+ * @param {HederaService} hederaService - Connected Hedera service, or null for local logging only
+ * @param {object} config - Further AIDecisionLogger options
+ */
+export function createDecisionLogger(hederaService, config = {}) {
+    return new AIDecisionLogger({
+        hederaService,
+        hcsTopicId: hederaService?.config.hcsTopicId,
+        ...config
+    });
+}
+
 export default AIDecisionLogger;
\ No newline at end of file
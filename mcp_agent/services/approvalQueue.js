@@ -0,0 +1,329 @@
+/**
+ * @fileoverview Approval Queue
+ * @description Human-in-the-loop approval for high-value decisions. Executions above the amount or
+ * risk thresholds, or below the confidence threshold, wait in a persisted queue until an approver
+ * approves or rejects them or they expire. Every action is logged next to the original decision.
+ */
+
+import { EventEmitter } from 'events';
+import path from 'path';
+import { JsonStateFile } from './jsonStateFile.js';
+import { httpError } from './serviceUtils.js';
+
+export const DEFAULT_APPROVALS = {
+  enabled: true,
+  thresholds: {
+    amount: 5, // BNB
+    riskScore: 4, // 1-5 scale from the strategy engine
+    minConfidence: 0.8
+  },
+  expiresAfter: 60 * 60 * 1000,
+  checkInterval: 60 * 1000,
+  historyLimit: 500,
+  dataDir: './data/approvals'
+};
+
+export const APPROVAL_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  EXPIRED: 'expired',
+  EXECUTED: 'executed',
+  FAILED: 'failed'
+};
+
+export const APPROVAL_REASONS = {
+  AMOUNT_ABOVE_THRESHOLD: 'amount_above_threshold',
+  RISK_ABOVE_THRESHOLD: 'risk_above_threshold',
+  CONFIDENCE_BELOW_THRESHOLD: 'confidence_below_threshold'
+};
+
+export class ApprovalQueue extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    const config = { ...DEFAULT_APPROVALS, ...options.config };
+    config.thresholds = { ...DEFAULT_APPROVALS.thresholds, ...options.config?.thresholds };
+    this.config = config;
+    this.aiDecisionLogger = options.aiDecisionLogger || null;
+    this.store = new JsonStateFile(path.join(options.dataDir || config.dataDir, 'approval-queue.json'), {
+      label: 'approval queue'
+    });
+
+    this.requests = new Map(); // id -> approval request
+    this.handlers = new Map(); // kind -> async (request) => result
+    this.timer = null;
+    this.started = false;
+    this.counter = 0;
+    this.persisting = Promise.resolve();
+  }
+
+  async start() {
+    if (this.started) return;
+    await this.loadState();
+    await this.recoverInterrupted();
+    this.started = true;
+
+    this.timer = setInterval(() => {
+      this.expireStale().catch((error) => console.warn(`⚠️ Could not expire stale approvals: ${error.message}`));
+    }, this.config.checkInterval);
+    this.timer.unref?.();
+    await this.expireStale();
+  }
+
+  async stop() {
+    if (!this.started) return;
+    this.started = false;
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.persisting;
+  }
+
+  /**
+   * Register the function that carries out approved requests of a kind
+   * @param {string} kind - e.g. 'strategy_execution'
+   * @param {Function} handler - async (request) => result
+   */
+  registerHandler(kind, handler) {
+    this.handlers.set(kind, handler);
+  }
+
+  /**
+   * Thresholds a decision crosses; an empty list means no approval is needed
+   * @param {Object} params - { amount, riskScore, confidence }
+   */
+  requiresApproval({ amount, riskScore, confidence } = {}) {
+    if (!this.config.enabled) return [];
+
+    const { thresholds } = this.config;
+    const reasons = [];
+    const value = Number(amount);
+
+    if (thresholds.amount !== null && Number.isFinite(value) && value > thresholds.amount) {
+      reasons.push({ code: APPROVAL_REASONS.AMOUNT_ABOVE_THRESHOLD, limit: thresholds.amount, actual: value });
+    }
+    if (thresholds.riskScore !== null && Number.isFinite(riskScore) && riskScore >= thresholds.riskScore) {
+      reasons.push({ code: APPROVAL_REASONS.RISK_ABOVE_THRESHOLD, limit: thresholds.riskScore, actual: riskScore });
+    }
+    if (thresholds.minConfidence !== null && (confidence === null || confidence === undefined || confidence < thresholds.minConfidence)) {
+      reasons.push({ code: APPROVAL_REASONS.CONFIDENCE_BELOW_THRESHOLD, limit: thresholds.minConfidence, actual: confidence ?? null });
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Queue a decision for approval
+   * @param {Object} params - { kind, decisionId, plan, summary, reasons, requestedBy }
+   */
+  async submit({ kind, decisionId = null, plan = {}, summary = {}, reasons = [], requestedBy = null }) {
+    if (!kind) {
+      throw new Error('Approval kind is required');
+    }
+
+    const now = Date.now();
+    const request = {
+      id: `approval_${now}_${++this.counter}`,
+      kind,
+      decisionId,
+      status: APPROVAL_STATUS.PENDING,
+      plan,
+      summary,
+      reasons,
+      requestedBy,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.config.expiresAfter).toISOString(),
+      history: []
+    };
+
+    this.requests.set(request.id, request);
+    await this.record(request, 'submitted', { actor: requestedBy });
+    return request;
+  }
+
+  /**
+   * Approve a pending request and run its handler, if one is registered
+   * @param {string} id - Approval request ID
+   * @param {Object} approver - { userId, username, comment }
+   */
+  async approve(id, approver = {}) {
+    const request = await this.getPending(id);
+    if (request.requestedBy && approver.userId && request.requestedBy.userId === approver.userId) {
+      throw httpError('Requests cannot be approved by the user who submitted them', 403);
+    }
+
+    const handler = this.handlers.get(request.kind);
+    request.status = APPROVAL_STATUS.APPROVED;
+    request.approvedBy = actorOf(approver);
+    request.approvedAt = new Date().toISOString();
+    if (handler) {
+      request.executionStartedAt = request.approvedAt;
+    }
+    await this.record(request, 'approved', { actor: request.approvedBy, comment: approver.comment });
+
+    if (!handler) {
+      return request;
+    }
+
+    try {
+      request.result = await handler(request);
+      request.status = APPROVAL_STATUS.EXECUTED;
+      await this.record(request, 'executed', { result: request.result });
+    } catch (error) {
+      request.status = APPROVAL_STATUS.FAILED;
+      request.error = error.message;
+      await this.record(request, 'failed', { error: error.message });
+    }
+    return request;
+  }
+
+  /**
+   * Reject a pending request
+   * @param {string} id - Approval request ID
+   * @param {Object} approver - { userId, username, reason }
+   */
+  async reject(id, approver = {}) {
+    const request = await this.getPending(id);
+
+    request.status = APPROVAL_STATUS.REJECTED;
+    request.rejectedBy = actorOf(approver);
+    request.rejectedAt = new Date().toISOString();
+    request.rejectionReason = approver.reason || null;
+    await this.record(request, 'rejected', { actor: request.rejectedBy, reason: request.rejectionReason });
+    return request;
+  }
+
+  /**
+   * Mark every pending request past its deadline as expired
+   */
+  async expireStale() {
+    const now = Date.now();
+    const expired = [];
+    for (const request of this.requests.values()) {
+      if (request.status === APPROVAL_STATUS.PENDING && Date.parse(request.expiresAt) <= now) {
+        request.status = APPROVAL_STATUS.EXPIRED;
+        await this.record(request, 'expired');
+        expired.push(request);
+      }
+    }
+    return expired;
+  }
+
+  /**
+   * A request still approved with its execution started was cut off by a restart. Whether the
+   * execution went through is unknown, so it is failed rather than run a second time.
+   */
+  async recoverInterrupted() {
+    const interrupted = [];
+    for (const request of this.requests.values()) {
+      if (request.status === APPROVAL_STATUS.APPROVED && request.executionStartedAt) {
+        request.status = APPROVAL_STATUS.FAILED;
+        request.error = 'Interrupted by a restart during execution; check the decision log before resubmitting';
+        await this.record(request, 'failed', { error: request.error });
+        interrupted.push(request);
+      }
+    }
+    return interrupted;
+  }
+
+  async getPending(id) {
+    const request = this.get(id);
+    if (!request) {
+      throw httpError(`Unknown approval request: ${id}`, 404);
+    }
+    if (request.status === APPROVAL_STATUS.PENDING && Date.parse(request.expiresAt) <= Date.now()) {
+      request.status = APPROVAL_STATUS.EXPIRED;
+      await this.record(request, 'expired');
+    }
+    if (request.status !== APPROVAL_STATUS.PENDING) {
+      throw httpError(`Approval request ${id} is ${request.status}`, 409);
+    }
+    return request;
+  }
+
+  get(id) {
+    return this.requests.get(id) || null;
+  }
+
+  /**
+   * Requests, newest first
+   */
+  list({ status = null, kind = null, limit = 50 } = {}) {
+    return Array.from(this.requests.values())
+      .filter((request) => (!status || request.status === status) && (!kind || request.kind === kind))
+      .slice(-limit)
+      .reverse();
+  }
+
+  getStatus() {
+    const counts = Object.fromEntries(Object.values(APPROVAL_STATUS).map((status) => [status, 0]));
+    for (const request of this.requests.values()) {
+      counts[request.status]++;
+    }
+    return {
+      enabled: this.config.enabled,
+      thresholds: this.config.thresholds,
+      expiresAfter: this.config.expiresAfter,
+      counts
+    };
+  }
+
+  /**
+   * Append an action to the request history, log it next to the decision and persist
+   */
+  async record(request, action, details = {}) {
+    const entry = { action, at: new Date().toISOString(), ...details };
+    request.history.push(entry);
+
+    if (this.aiDecisionLogger && request.decisionId) {
+      try {
+        await this.aiDecisionLogger.logDecisionAction(request.decisionId, {
+          type: 'approval',
+          approvalId: request.id,
+          kind: request.kind,
+          status: request.status,
+          ...entry
+        });
+      } catch (error) {
+        console.warn(`⚠️ Failed to log approval action for ${request.decisionId}: ${error.message}`);
+      }
+    }
+
+    this.trimHistory();
+    await this.persist();
+    this.emit(action, request);
+  }
+
+  // Settled requests beyond the history limit are dropped, oldest first
+  trimHistory() {
+    const settled = Array.from(this.requests.values()).filter((r) => r.status !== APPROVAL_STATUS.PENDING);
+    for (const request of settled.slice(0, Math.max(0, settled.length - this.config.historyLimit))) {
+      this.requests.delete(request.id);
+    }
+  }
+
+  async loadState() {
+    const state = await this.store.read();
+    if (!state) return;
+
+    for (const request of state.requests || []) {
+      this.requests.set(request.id, request);
+    }
+    this.counter = state.counter || 0;
+  }
+
+  persist() {
+    this.persisting = this.store.write({
+      counter: this.counter,
+      requests: Array.from(this.requests.values()),
+      updatedAt: new Date().toISOString()
+    });
+    return this.persisting;
+  }
+}
+
+function actorOf(user = {}) {
+  return { userId: user.userId || null, username: user.username || null };
+}
+
+export default ApprovalQueue;
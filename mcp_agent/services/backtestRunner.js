@@ -0,0 +1,342 @@
+/**
+ * @fileoverview Strategy Backtest Runner
+ * @description Replays recorded protocol APY series through the strategy engine, simulating
+ * rebalances, gas costs and vault share price against a buy-and-hold baseline.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import StrategyEngine, { ENGINE_VERSION } from './strategyEngine.js';
+import { round } from './serviceUtils.js';
+
+export const BACKTEST_PROTOCOLS = ['venus', 'pancake', 'beefy', 'aave'];
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+const DATASET_NAME_PATTERN = /^[\w.-]+\.json$/;
+
+export class BacktestRunner {
+  constructor(options = {}) {
+    this.strategyEngine = options.strategyEngine || new StrategyEngine();
+    this.oracleService = options.oracleService || null;
+    this.dataDir = options.dataDir || './data/backtests';
+    this.protocols = options.protocols || BACKTEST_PROTOCOLS;
+    this.defaults = {
+      initialCapital: 1,
+      riskTolerance: 'medium',
+      gasPriceGwei: 5,
+      bnbPriceUsd: 300,
+      minConfidence: 0,
+      ...options.defaults
+    };
+  }
+
+  /**
+   * Record historical series from the oracle into a dataset
+   * @param {string} timeframe - '24h' (hourly points) or '30d' (daily points)
+   */
+  async recordDataset(timeframe = '30d') {
+    if (!this.oracleService) {
+      throw new Error('OracleService is required to record historical data');
+    }
+
+    const protocols = {};
+    for (const protocol of this.protocols) {
+      protocols[protocol] = await this.oracleService.getHistoricalData(protocol, timeframe);
+    }
+
+    const snapshot = await this.oracleService.getSnapshot('bscMainnet').catch(() => null);
+    const tvl = {};
+    for (const protocol of this.protocols) {
+      tvl[protocol] = snapshot?.protocols?.[protocol]?.tvl_usd ?? null;
+    }
+
+    return {
+      timeframe,
+      recordedAt: new Date().toISOString(),
+      bnb_price_usd: snapshot?.bnb_price_usd ?? null,
+      tvl_usd: tvl,
+      protocols
+    };
+  }
+
+  /**
+   * Write a dataset into the data directory
+   */
+  async saveDataset(dataset, name) {
+    const filePath = this.resolveDatasetPath(name);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(dataset, null, 2));
+    return filePath;
+  }
+
+  /**
+   * Load a dataset by name from the data directory, or by explicit file path
+   */
+  async loadDataset(nameOrPath) {
+    const filePath = DATASET_NAME_PATTERN.test(nameOrPath)
+      ? this.resolveDatasetPath(nameOrPath)
+      : nameOrPath;
+
+    let raw;
+    try {
+      raw = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Backtest dataset not found: ${nameOrPath}`);
+      }
+      throw error;
+    }
+
+    const dataset = JSON.parse(raw);
+    this.validateDataset(dataset);
+    return dataset;
+  }
+
+  /**
+   * List dataset files available in the data directory
+   */
+  async listDatasets() {
+    try {
+      const files = await fs.readdir(this.dataDir);
+      return files.filter((file) => DATASET_NAME_PATTERN.test(file)).sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  resolveDatasetPath(name) {
+    if (!DATASET_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid dataset name: ${name}`);
+    }
+    return path.join(this.dataDir, name);
+  }
+
+  validateDataset(dataset) {
+    if (!dataset || typeof dataset.protocols !== 'object' || dataset.protocols === null) {
+      throw new Error('Backtest dataset must contain a protocols map');
+    }
+
+    for (const [protocol, series] of Object.entries(dataset.protocols)) {
+      if (!Array.isArray(series)) {
+        throw new Error(`Series for ${protocol} must be an array`);
+      }
+      for (const point of series) {
+        if (!Number.isFinite(Number(point?.timestamp)) || !Number.isFinite(Number(point?.value))) {
+          throw new Error(`Series for ${protocol} contains an invalid point`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Run a backtest over a dataset
+   * @param {Object} dataset - { protocols: { name: [{ timestamp, value }] }, bnb_price_usd, tvl_usd }
+   * @param {Object} options - { initialCapital, riskTolerance, gasPriceGwei, minConfidence, baselineStrategy, includeEquityCurve }
+   */
+  run(dataset, options = {}) {
+    this.validateDataset(dataset);
+
+    const settings = {
+      ...this.defaults,
+      ...Object.fromEntries(Object.entries(options).filter(([, v]) => v !== undefined))
+    };
+    const initialCapital = Number.parseFloat(settings.initialCapital);
+    if (!Number.isFinite(initialCapital) || initialCapital <= 0) {
+      throw new Error('initialCapital must be a positive number');
+    }
+
+    const steps = this.alignSeries(dataset);
+    if (steps.length < 2) {
+      throw new Error('Backtest dataset needs at least two time steps');
+    }
+
+    const bnbPriceUsd = Number(dataset.bnb_price_usd) || settings.bnbPriceUsd;
+    const gasCostPerRebalance = this.strategyEngine.rebalanceGasLimit * settings.gasPriceGwei * 1e-9;
+
+    const policy = this.createPortfolio(initialCapital);
+    let baseline = null;
+    const trades = [];
+
+    steps.forEach((step, index) => {
+      if (index > 0) {
+        const elapsed = step.timestamp - steps[index - 1].timestamp;
+        this.accrue(policy, steps[index - 1].apy, elapsed);
+        this.accrue(baseline, steps[index - 1].apy, elapsed);
+      }
+
+      const snapshot = this.buildSnapshot(step, dataset, bnbPriceUsd);
+      const decision = this.strategyEngine.recommend(snapshot, {
+        currentStrategy: policy.strategy,
+        amount: String(policy.equity),
+        riskTolerance: settings.riskTolerance,
+        gasPriceGwei: settings.gasPriceGwei
+      });
+
+      if (!policy.strategy) {
+        policy.strategy = decision.recommendation;
+      } else if (decision.shouldRebalance && decision.confidence >= settings.minConfidence) {
+        trades.push({
+          timestamp: step.timestamp,
+          date: new Date(step.timestamp).toISOString(),
+          from: policy.strategy,
+          to: decision.recommendation,
+          confidence: decision.confidence,
+          gasCost: round(gasCostPerRebalance, 8)
+        });
+        policy.equity -= gasCostPerRebalance;
+        policy.gasCost += gasCostPerRebalance;
+        policy.strategy = decision.recommendation;
+      }
+
+      if (!baseline) {
+        baseline = this.createPortfolio(initialCapital);
+        baseline.strategy = this.strategyEngine.normalizeStrategy(settings.baselineStrategy) || policy.strategy;
+      }
+
+      this.recordPoint(policy, step);
+      this.recordPoint(baseline, step);
+    });
+
+    const startTime = steps[0].timestamp;
+    const endTime = steps[steps.length - 1].timestamp;
+    const policyResult = this.summarize(policy, initialCapital, endTime - startTime, settings.includeEquityCurve);
+    const baselineResult = this.summarize(baseline, initialCapital, endTime - startTime, settings.includeEquityCurve);
+
+    return {
+      period: {
+        start: new Date(startTime).toISOString(),
+        end: new Date(endTime).toISOString(),
+        steps: steps.length
+      },
+      settings: {
+        initialCapital,
+        riskTolerance: settings.riskTolerance,
+        gasPriceGwei: settings.gasPriceGwei,
+        minConfidence: settings.minConfidence
+      },
+      strategy: {
+        initialStrategy: policy.curve[0].strategy,
+        finalStrategy: policy.strategy,
+        ...policyResult,
+        rebalances: trades.length,
+        gasCost: round(policy.gasCost, 8),
+        trades
+      },
+      baseline: {
+        strategy: baseline.strategy,
+        ...baselineResult,
+        rebalances: 0
+      },
+      outperformance: {
+        totalReturn: round(policyResult.totalReturn - baselineResult.totalReturn),
+        realizedApy: round(policyResult.realizedApy - baselineResult.realizedApy)
+      },
+      engineVersion: ENGINE_VERSION
+    };
+  }
+
+  /**
+   * Merge per-protocol series into time steps, carrying the last known APY forward
+   */
+  alignSeries(dataset) {
+    const series = {};
+    const timestamps = new Set();
+
+    for (const protocol of this.protocols) {
+      series[protocol] = (dataset.protocols[protocol] || [])
+        .map((point) => ({ timestamp: Number(point.timestamp), value: Number(point.value) }))
+        .sort((a, b) => a.timestamp - b.timestamp);
+      series[protocol].forEach((point) => timestamps.add(point.timestamp));
+    }
+
+    const cursors = mapKeys(this.protocols, () => 0);
+    const latest = mapKeys(this.protocols, () => null);
+
+    return [...timestamps].sort((a, b) => a - b).map((timestamp) => {
+      for (const protocol of this.protocols) {
+        const points = series[protocol];
+        while (cursors[protocol] < points.length && points[cursors[protocol]].timestamp <= timestamp) {
+          latest[protocol] = points[cursors[protocol]].value;
+          cursors[protocol]++;
+        }
+      }
+      return { timestamp, apy: { ...latest } };
+    });
+  }
+
+  buildSnapshot(step, dataset, bnbPriceUsd) {
+    const protocols = {};
+    for (const protocol of this.protocols) {
+      protocols[protocol] = {
+        apy: step.apy[protocol],
+        tvl_usd: dataset.tvl_usd?.[protocol] ?? null,
+        health: 'healthy',
+        source: 'backtest'
+      };
+    }
+    return { bnb_price_usd: bnbPriceUsd, protocols };
+  }
+
+  createPortfolio(initialCapital) {
+    // Vault shares are minted 1:1 at the start, so share price tracks equity per share
+    return {
+      strategy: null,
+      equity: initialCapital,
+      shares: initialCapital,
+      peak: initialCapital,
+      maxDrawdown: 0,
+      gasCost: 0,
+      curve: []
+    };
+  }
+
+  /**
+   * Compound the held strategy's APY over the elapsed interval
+   */
+  accrue(portfolio, apyByProtocol, elapsedMs) {
+    if (!portfolio || !portfolio.strategy || elapsedMs <= 0) return;
+
+    const protocol = this.strategyEngine.strategies[portfolio.strategy].protocol;
+    const apy = Math.max(0, apyByProtocol[protocol] ?? 0);
+    portfolio.equity *= (1 + apy / 100) ** (elapsedMs / YEAR_MS);
+  }
+
+  recordPoint(portfolio, step) {
+    portfolio.peak = Math.max(portfolio.peak, portfolio.equity);
+    const drawdown = (portfolio.peak - portfolio.equity) / portfolio.peak;
+    portfolio.maxDrawdown = Math.max(portfolio.maxDrawdown, drawdown);
+
+    portfolio.curve.push({
+      timestamp: step.timestamp,
+      date: new Date(step.timestamp).toISOString(),
+      strategy: portfolio.strategy,
+      equity: round(portfolio.equity, 8),
+      sharePrice: round(portfolio.equity / portfolio.shares, 8)
+    });
+  }
+
+  summarize(portfolio, initialCapital, durationMs, includeEquityCurve = true) {
+    const growth = portfolio.equity / initialCapital;
+    const realizedApy = durationMs > 0 ? (growth ** (YEAR_MS / durationMs) - 1) * 100 : 0;
+
+    const result = {
+      finalEquity: round(portfolio.equity, 8),
+      finalSharePrice: round(portfolio.equity / portfolio.shares, 8),
+      totalReturn: round((growth - 1) * 100),
+      realizedApy: round(realizedApy),
+      maxDrawdown: round(portfolio.maxDrawdown * 100)
+    };
+
+    if (includeEquityCurve !== false) {
+      result.equityCurve = portfolio.curve;
+    }
+    return result;
+  }
+}
+
+function mapKeys(keys, fn) {
+  return Object.fromEntries(keys.map((key) => [key, fn(key)]));
+}
+
+export default BacktestRunner;
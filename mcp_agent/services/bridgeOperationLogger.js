@@ -222,10 +222,11 @@ class BridgeOperationLogger {
                 this.processQueue();
             }
             
-            // Submit to HCS
-            const messageId = await this.hederaService.submitMessageToHCS(
+            // Submit to HCS (signed and chained by HederaService.submitToHCS)
+            const { sequenceNumber: messageId } = await this.hederaService.submitToHCS(
                 this.bridgeTopicId,
-                JSON.stringify(logEntry)
+                logEntry,
+                { service: 'bridgeOperationLogger' }
             );
             
             console.log(`Bridge operation logged to HCS: ${messageId}`, {
@@ -260,9 +261,10 @@ class BridgeOperationLogger {
                 const operation = this.operationQueue.shift();
                 
                 try {
-                    await this.hederaService.submitMessageToHCS(
+                    await this.hederaService.submitToHCS(
                         this.bridgeTopicId,
-                        JSON.stringify(operation)
+                        operation,
+                        { service: 'bridgeOperationLogger' }
                     );
                 } catch (error) {
                     console.error('Failed to process queued bridge operation:', error);
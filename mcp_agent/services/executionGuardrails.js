@@ -0,0 +1,421 @@
+/**
+ * @fileoverview Execution Guardrails
+ * @description Policy checks applied before a strategy execution is allowed to run.
+ * Every rejection carries a machine-readable reason code. An approved evaluation reserves its
+ * amount (and, for rebalances, the cooldown) until the execution is recorded or released, so
+ * concurrent callers cannot both pass the same limit. Volumes, cooldown and breaker state are
+ * kept in `<dataDir>/guardrails.json`.
+ */
+
+import path from 'path';
+import { ethers } from 'ethers';
+import { JsonStateFile } from './jsonStateFile.js';
+import { round } from './serviceUtils.js';
+
+export const GUARDRAIL_REASONS = {
+  CONFIDENCE_BELOW_MINIMUM: 'confidence_below_minimum',
+  CONFIDENCE_UNAVAILABLE: 'confidence_unavailable',
+  AMOUNT_INVALID: 'amount_invalid',
+  TRANSACTION_LIMIT_EXCEEDED: 'transaction_limit_exceeded',
+  DAILY_LIMIT_EXCEEDED: 'daily_limit_exceeded',
+  PROTOCOL_ALLOCATION_EXCEEDED: 'protocol_allocation_exceeded',
+  ALLOCATION_UNAVAILABLE: 'allocation_unavailable',
+  REBALANCE_COOLDOWN: 'rebalance_cooldown',
+  CIRCUIT_BREAKER_OPEN: 'circuit_breaker_open'
+};
+
+export const DEFAULT_GUARDRAILS = {
+  enabled: true,
+  minConfidence: 0.7,
+  maxAllocationPerProtocol: 0.5, // fraction of vault assets
+  maxAmountPerTransaction: 10, // BNB
+  maxAmountPerDay: 50, // BNB, rolling 24 hours
+  rebalanceCooldown: 3600000, // 1 hour
+  circuitBreaker: {
+    failureThreshold: 3,
+    recoveryTimeout: 900000 // 15 minutes
+  },
+  dataDir: './data/guardrails'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class ExecutionGuardrails {
+  constructor(options = {}) {
+    this.config = {
+      ...DEFAULT_GUARDRAILS,
+      ...options.config,
+      circuitBreaker: { ...DEFAULT_GUARDRAILS.circuitBreaker, ...options.config?.circuitBreaker }
+    };
+    this.web3Service = options.web3Service || null;
+    this.now = options.now || Date.now;
+    this.store = new JsonStateFile(path.join(options.dataDir || this.config.dataDir, 'guardrails.json'), {
+      label: 'guardrail state'
+    });
+
+    this.executions = []; // { id, timestamp, strategyId, action, amount, status } within the last day
+    this.lastRebalanceAt = null;
+    this.breakers = new Map(); // strategyId -> { state, failures, openedAt, reason }
+    this.counter = 0;
+    this.loaded = null;
+    this.evaluating = Promise.resolve();
+    this.persisting = Promise.resolve();
+  }
+
+  /**
+   * Evaluate an execution request against every rule. Evaluations run one at a time, and an
+   * approved one reserves its amount: pass the returned `reservationId` to `recordExecution`, or
+   * to `release` when the execution does not go ahead.
+   * @param {Object} request - { strategyId, action, amount, confidence }
+   * @returns {Promise<Object>} { approved, reasons, checks, reservationId }
+   */
+  evaluate(request) {
+    const evaluation = this.evaluating.then(() => this.check(request));
+    this.evaluating = evaluation.catch(() => {});
+    return evaluation;
+  }
+
+  async check(request) {
+    await this.load();
+    const strategyId = normalizeId(request.strategyId);
+    const action = request.action || 'rebalance';
+    const amount = Number.parseFloat(request.amount);
+    const checks = {};
+    const reasons = [];
+
+    const reject = (code, message, details = {}) => {
+      reasons.push({ code, message, ...details });
+    };
+
+    if (!this.config.enabled) {
+      return { approved: true, reasons, checks: { enabled: false } };
+    }
+
+    // Confidence
+    if (typeof request.confidence !== 'number' || Number.isNaN(request.confidence)) {
+      reject(GUARDRAIL_REASONS.CONFIDENCE_UNAVAILABLE, 'No decision confidence available for this execution');
+    } else {
+      checks.confidence = { value: request.confidence, minimum: this.config.minConfidence };
+      if (request.confidence < this.config.minConfidence) {
+        reject(GUARDRAIL_REASONS.CONFIDENCE_BELOW_MINIMUM,
+          `Confidence ${request.confidence} is below the minimum of ${this.config.minConfidence}`,
+          { limit: this.config.minConfidence, actual: request.confidence });
+      }
+    }
+
+    // Circuit breaker
+    const breaker = await this.getCircuitState(strategyId);
+    checks.circuitBreaker = breaker;
+    if (breaker.state === 'OPEN') {
+      reject(GUARDRAIL_REASONS.CIRCUIT_BREAKER_OPEN,
+        `Circuit breaker is open for ${strategyId}: ${breaker.reason}`,
+        { strategyId, until: breaker.until });
+    }
+
+    // Amount limits and protocol allocation
+    if (!Number.isFinite(amount) || amount <= 0) {
+      reject(GUARDRAIL_REASONS.AMOUNT_INVALID, 'Execution amount must be a positive number', { actual: request.amount ?? null });
+    } else {
+      this.checkAmounts(amount, checks, reject);
+      await this.checkAllocation(strategyId, action, amount, checks, reject);
+    }
+
+    // Rebalance cooldown
+    if (action === 'rebalance' && this.lastRebalanceAt !== null) {
+      const elapsed = this.now() - this.lastRebalanceAt;
+      checks.cooldown = { elapsed, required: this.config.rebalanceCooldown };
+      if (elapsed < this.config.rebalanceCooldown) {
+        const retryAfter = this.config.rebalanceCooldown - elapsed;
+        reject(GUARDRAIL_REASONS.REBALANCE_COOLDOWN,
+          `Last rebalance was ${Math.round(elapsed / 1000)}s ago; cooldown is ${Math.round(this.config.rebalanceCooldown / 1000)}s`,
+          { retryAfter });
+      }
+    }
+
+    if (reasons.length > 0) {
+      return { approved: false, reasons, checks };
+    }
+
+    const reservationId = this.reserve(strategyId, action, amount);
+    await this.persist();
+    return { approved: true, reasons, checks, reservationId };
+  }
+
+  reserve(strategyId, action, amount) {
+    const timestamp = this.now();
+    const reservation = {
+      id: `reservation_${timestamp}_${++this.counter}`,
+      timestamp,
+      strategyId,
+      action,
+      amount,
+      status: 'reserved',
+      previousRebalanceAt: this.lastRebalanceAt
+    };
+    this.executions.push(reservation);
+    if (action === 'rebalance') {
+      this.lastRebalanceAt = timestamp;
+    }
+    return reservation.id;
+  }
+
+  /**
+   * Give back a reservation whose execution did not go ahead
+   */
+  async release(reservationId) {
+    await this.load();
+    const reservation = this.executions.find((execution) => execution.id === reservationId && execution.status === 'reserved');
+    if (!reservation) return false;
+
+    this.executions = this.executions.filter((execution) => execution !== reservation);
+    if (reservation.action === 'rebalance' && this.lastRebalanceAt === reservation.timestamp) {
+      this.lastRebalanceAt = reservation.previousRebalanceAt;
+    }
+    await this.persist();
+    return true;
+  }
+
+  checkAmounts(amount, checks, reject) {
+    const { maxAmountPerTransaction, maxAmountPerDay } = this.config;
+
+    checks.transactionAmount = { value: amount, limit: maxAmountPerTransaction };
+    if (amount > maxAmountPerTransaction) {
+      reject(GUARDRAIL_REASONS.TRANSACTION_LIMIT_EXCEEDED,
+        `Amount ${amount} exceeds the per-transaction limit of ${maxAmountPerTransaction}`,
+        { limit: maxAmountPerTransaction, actual: amount });
+    }
+
+    const spentToday = this.getDailyVolume();
+    checks.dailyAmount = { spent: spentToday, requested: amount, limit: maxAmountPerDay };
+    if (spentToday + amount > maxAmountPerDay) {
+      reject(GUARDRAIL_REASONS.DAILY_LIMIT_EXCEEDED,
+        `Amount ${amount} would bring 24h volume to ${round(spentToday + amount, 6)}, above the limit of ${maxAmountPerDay}`,
+        { limit: maxAmountPerDay, actual: round(spentToday + amount, 6), remaining: round(Math.max(0, maxAmountPerDay - spentToday), 6) });
+    }
+  }
+
+  async checkAllocation(strategyId, action, amount, checks, reject) {
+    if (action === 'withdraw') return;
+
+    if (typeof this.web3Service?.getVaultStats !== 'function' || typeof this.web3Service?.getStrategyAssets !== 'function') {
+      checks.allocation = { skipped: true, reason: 'No on-chain reader configured' };
+      return;
+    }
+
+    // A cap that cannot be read is not a cap that holds, so the execution is refused
+    const vaultAssets = await this.getVaultAssets();
+    const allocated = vaultAssets === null ? null : await this.getStrategyAssets(strategyId);
+    if (vaultAssets === null || allocated === null) {
+      const reason = vaultAssets === null ? 'Vault assets unavailable' : 'Strategy assets unavailable';
+      checks.allocation = { unavailable: true, reason };
+      reject(GUARDRAIL_REASONS.ALLOCATION_UNAVAILABLE,
+        `${reason}, so the allocation to ${strategyId} cannot be checked`, { strategyId });
+      return;
+    }
+
+    // Moves within the vault leave its total unchanged
+    const share = (allocated + amount) / vaultAssets;
+    checks.allocation = { value: round(share, 6), allocated: round(allocated, 6), limit: this.config.maxAllocationPerProtocol };
+
+    if (share > this.config.maxAllocationPerProtocol) {
+      reject(GUARDRAIL_REASONS.PROTOCOL_ALLOCATION_EXCEEDED,
+        `Allocation to ${strategyId} would reach ${round(share * 100, 2)}% of vault assets, above ${this.config.maxAllocationPerProtocol * 100}%`,
+        { strategyId, limit: this.config.maxAllocationPerProtocol, actual: round(share, 6) });
+    }
+  }
+
+  /**
+   * Vault total assets in BNB, or null when the vault cannot be read
+   */
+  async getVaultAssets() {
+    if (!this.web3Service || typeof this.web3Service.getVaultStats !== 'function') {
+      return null;
+    }
+
+    try {
+      const stats = await this.web3Service.getVaultStats();
+      const assets = Number(ethers.formatEther(stats.totalAssets));
+      return assets > 0 ? assets : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Assets the strategy adapter holds on-chain in BNB, or null when it cannot be read
+   */
+  async getStrategyAssets(strategyId) {
+    if (!this.web3Service || typeof this.web3Service.getStrategyAssets !== 'function') {
+      return null;
+    }
+
+    try {
+      return Number(ethers.formatEther(await this.web3Service.getStrategyAssets(strategyId)));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  getDailyVolume() {
+    const cutoff = this.now() - DAY_MS;
+    this.executions = this.executions.filter((execution) => execution.timestamp > cutoff);
+    return this.executions.reduce((sum, execution) => sum + execution.amount, 0);
+  }
+
+  /**
+   * Record a completed execution so limits and cooldowns account for it. With the
+   * `reservationId` from `evaluate`, the reservation becomes the execution.
+   */
+  async recordExecution({ reservationId = null, strategyId, action = 'rebalance', amount, success = true }) {
+    await this.load();
+    const id = normalizeId(strategyId);
+
+    if (!success) {
+      if (reservationId) await this.release(reservationId);
+      await this.recordFailure(id, 'Execution failed');
+      return;
+    }
+
+    const value = Number.parseFloat(amount) || 0;
+    const reservation = reservationId
+      ? this.executions.find((execution) => execution.id === reservationId && execution.status === 'reserved')
+      : null;
+    if (reservation) {
+      reservation.status = 'executed';
+      reservation.amount = value;
+      delete reservation.previousRebalanceAt;
+    } else {
+      const timestamp = this.now();
+      this.executions.push({ id: `execution_${timestamp}_${++this.counter}`, timestamp, strategyId: id, action, amount: value, status: 'executed' });
+      if (action === 'rebalance') {
+        this.lastRebalanceAt = timestamp;
+      }
+    }
+
+    const breaker = this.breakers.get(id);
+    if (breaker) {
+      breaker.failures = 0;
+      if (breaker.state === 'HALF_OPEN') this.breakers.delete(id);
+    }
+    await this.persist();
+  }
+
+  /**
+   * Count an execution failure; the breaker opens at the failure threshold
+   */
+  async recordFailure(strategyId, reason = 'Execution failed') {
+    await this.load();
+    const id = normalizeId(strategyId);
+    const breaker = this.breakers.get(id) || { state: 'CLOSED', failures: 0, openedAt: null, reason: null };
+
+    breaker.failures++;
+    if (breaker.state === 'HALF_OPEN' || breaker.failures >= this.config.circuitBreaker.failureThreshold) {
+      breaker.state = 'OPEN';
+      breaker.openedAt = this.now();
+      breaker.reason = `${breaker.failures} consecutive failures (last: ${reason})`;
+    }
+    this.breakers.set(id, breaker);
+    await this.persist();
+  }
+
+  /**
+   * Open an adapter's circuit breaker manually
+   */
+  async tripCircuitBreaker(strategyId, reason = 'Tripped manually') {
+    await this.load();
+    this.breakers.set(normalizeId(strategyId), {
+      state: 'OPEN',
+      failures: 0,
+      openedAt: this.now(),
+      reason
+    });
+    await this.persist();
+  }
+
+  async resetCircuitBreaker(strategyId) {
+    await this.load();
+    const reset = this.breakers.delete(normalizeId(strategyId));
+    await this.persist();
+    return reset;
+  }
+
+  /**
+   * Breaker state for an adapter, including a paused on-chain adapter
+   */
+  async getCircuitState(strategyId) {
+    const breaker = this.breakers.get(strategyId);
+
+    if (breaker && breaker.state === 'OPEN') {
+      const until = breaker.openedAt + this.config.circuitBreaker.recoveryTimeout;
+      if (this.now() < until) {
+        return { state: 'OPEN', reason: breaker.reason, until: new Date(until).toISOString() };
+      }
+      breaker.state = 'HALF_OPEN';
+    }
+
+    if (this.web3Service && typeof this.web3Service.getStrategyInfo === 'function') {
+      try {
+        const info = await this.web3Service.getStrategyInfo(strategyId);
+        if (info && info.paused) {
+          return { state: 'OPEN', reason: 'Adapter is paused on-chain', until: null };
+        }
+      } catch (error) {
+        // Unknown adapters and RPC failures fall back to the local breaker state
+      }
+    }
+
+    return { state: breaker ? breaker.state : 'CLOSED', failures: breaker ? breaker.failures : 0 };
+  }
+
+  getStatus() {
+    return {
+      config: this.config,
+      dailyVolume: round(this.getDailyVolume(), 6),
+      reserved: this.executions.filter((execution) => execution.status === 'reserved').length,
+      lastRebalanceAt: this.lastRebalanceAt ? new Date(this.lastRebalanceAt).toISOString() : null,
+      circuitBreakers: Object.fromEntries(
+        Array.from(this.breakers.entries()).map(([id, breaker]) => [id, {
+          state: breaker.state,
+          failures: breaker.failures,
+          reason: breaker.reason,
+          openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null
+        }])
+      )
+    };
+  }
+
+  /**
+   * State is read once; every method that changes it waits for this first
+   */
+  load() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        const state = await this.store.read();
+        if (state) {
+          this.executions = state.executions || [];
+          this.lastRebalanceAt = state.lastRebalanceAt ?? null;
+          this.breakers = new Map(Object.entries(state.breakers || {}));
+          this.counter = state.counter || 0;
+        }
+      })();
+    }
+    return this.loaded;
+  }
+
+  persist() {
+    this.getDailyVolume(); // drops executions older than a day
+    this.persisting = this.store.write({
+      counter: this.counter,
+      executions: this.executions,
+      lastRebalanceAt: this.lastRebalanceAt,
+      breakers: Object.fromEntries(this.breakers)
+    });
+    return this.persisting;
+  }
+}
+
+function normalizeId(strategyId) {
+  return String(strategyId || '').toLowerCase().trim();
+}
+
+export default ExecutionGuardrails;
@@ -562,6 +562,13 @@ export class GasOptimizer extends EventEmitter {
     
     this.emit('gas:shutdown');
   }
+
+  /**
+   * Lifecycle stop hook
+   */
+  stop() {
+    this.shutdown();
+  }
 }
 
 export default GasOptimizer;
\ No newline at end of file
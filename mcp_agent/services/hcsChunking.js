@@ -0,0 +1,146 @@
+/**
+ * @fileoverview HCS Message Chunking
+ * @description Splits messages larger than the 1024-byte HCS limit into self-describing chunks
+ * and reassembles them from mirror node records. Every chunk is a small JSON document carrying a
+ * header (group id, index, total, SHA-256 of the whole message) and a base64 slice of the message
+ * bytes, so readers that know nothing about chunking can still tell the pieces apart.
+ */
+
+import crypto from 'crypto';
+
+export const CHUNK_VERSION = 1;
+export const HCS_MAX_MESSAGE_BYTES = 1024;
+
+export const DEFAULT_CHUNKING = {
+  maxChunkSize: HCS_MAX_MESSAGE_BYTES,
+  maxChunks: 50
+};
+
+export function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function chunkString(header, data) {
+  return JSON.stringify({ hcsChunk: header, data });
+}
+
+/**
+ * Split a message into HCS-sized chunk messages. Messages that already fit are returned as-is.
+ * @param {string} messageString - Message exactly as it should be read back
+ * @param {Object} options - { maxChunkSize, maxChunks, groupId }
+ * @returns {string[]} Messages to submit, in order
+ */
+export function splitMessage(messageString, options = {}) {
+  const { maxChunkSize, maxChunks } = { ...DEFAULT_CHUNKING, ...options };
+  const bytes = Buffer.from(messageString, 'utf8');
+  if (bytes.length <= maxChunkSize) {
+    return [messageString];
+  }
+
+  const groupId = options.groupId || crypto.randomUUID();
+  const hash = hashContent(bytes);
+
+  // Size the data slice against a header with the widest index and total it could carry
+  const widest = { v: CHUNK_VERSION, groupId, index: maxChunks - 1, total: maxChunks, hash };
+  const overhead = Buffer.byteLength(chunkString(widest, ''), 'utf8');
+  const sliceBytes = Math.floor((maxChunkSize - overhead) / 4) * 3;
+  if (sliceBytes <= 0) {
+    throw new Error(`Chunk size ${maxChunkSize} is too small for the chunk header`);
+  }
+
+  const total = Math.ceil(bytes.length / sliceBytes);
+  if (total > maxChunks) {
+    throw new Error(`Message of ${bytes.length} bytes needs ${total} chunks (limit ${maxChunks})`);
+  }
+
+  return Array.from({ length: total }, (_, index) => chunkString(
+    { v: CHUNK_VERSION, groupId, index, total, hash },
+    bytes.subarray(index * sliceBytes, (index + 1) * sliceBytes).toString('base64')
+  ));
+}
+
+/**
+ * Chunk header of a message, or null for ordinary messages
+ */
+export function parseChunk(messageString) {
+  if (typeof messageString !== 'string' || !messageString.startsWith('{"hcsChunk":')) {
+    return null;
+  }
+  try {
+    const parsed = JSON.parse(messageString);
+    const header = parsed.hcsChunk;
+    if (!header?.groupId || !Number.isInteger(header.index) || !Number.isInteger(header.total)
+      || typeof parsed.data !== 'string') {
+      return null;
+    }
+    return { ...header, data: parsed.data };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reassemble chunked messages in a list of mirror node records. Each complete group is replaced
+ * by one record carrying the full message, placed where its first chunk was and keeping that
+ * chunk's sequence number and timestamps. Ordinary records pass through untouched.
+ * @param {Array} records - [{ message, sequenceNumber, ... }] in either consensus order
+ * @returns {Object} { messages, incomplete: [{ groupId, total, missing, sequenceNumbers }], corrupted: [{ groupId, sequenceNumbers }] }
+ */
+export function reassembleMessages(records) {
+  const groups = new Map();
+  const slots = [];
+
+  for (const record of records) {
+    const chunk = parseChunk(record.message);
+    if (!chunk) {
+      slots.push({ record });
+      continue;
+    }
+
+    let group = groups.get(chunk.groupId);
+    if (!group) {
+      group = { total: chunk.total, hash: chunk.hash, parts: new Map(), slot: null };
+      groups.set(chunk.groupId, group);
+    }
+    if (!group.parts.has(chunk.index)) {
+      group.parts.set(chunk.index, { chunk, record });
+    }
+    if (chunk.index === 0 && !group.slot) {
+      group.slot = { groupId: chunk.groupId };
+      slots.push(group.slot);
+    }
+  }
+
+  const incomplete = [];
+  const corrupted = [];
+  const assembled = new Map();
+
+  for (const [groupId, group] of groups) {
+    if (group.parts.size < group.total || !group.slot) {
+      const missing = Array.from({ length: group.total }, (_, index) => index).filter((index) => !group.parts.has(index));
+      const sequenceNumbers = [...group.parts.values()].map((part) => part.record.sequenceNumber);
+      incomplete.push({ groupId, total: group.total, missing, sequenceNumbers });
+      continue;
+    }
+
+    const parts = [...group.parts.values()].sort((a, b) => a.chunk.index - b.chunk.index);
+    const bytes = Buffer.concat(parts.map((part) => Buffer.from(part.chunk.data, 'base64')));
+    const sequenceNumbers = parts.map((part) => part.record.sequenceNumber);
+    if (hashContent(bytes) !== group.hash) {
+      corrupted.push({ groupId, sequenceNumbers });
+      continue;
+    }
+
+    assembled.set(groupId, {
+      ...parts[0].record,
+      message: bytes.toString('utf8'),
+      chunks: { groupId, total: group.total, sequenceNumbers }
+    });
+  }
+
+  const messages = slots
+    .map((slot) => (slot.record ? slot.record : assembled.get(slot.groupId)))
+    .filter(Boolean);
+
+  return { messages, incomplete, corrupted };
+}
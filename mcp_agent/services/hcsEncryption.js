@@ -0,0 +1,196 @@
+/**
+ * @fileoverview HCS Field Encryption
+ * @description Encrypts confidential fields of the HCS decision envelope (amounts, user
+ * addresses, strategy parameters) so they are not readable on the public mirror node. The
+ * selected fields move out of the payload into an `encrypted` block, sealed with a fresh
+ * AES-256-GCM data key, and the data key is wrapped for each authorized X25519 reader key.
+ * Encryption happens before chaining and signing, so the chain and signatures cover the
+ * ciphertext and verify without decrypting.
+ */
+
+import crypto from 'crypto';
+import { canonicalize } from './strategyEngine.js';
+import { chainableBody } from './hcsMessageChain.js';
+
+export const ENCRYPTION_VERSION = 1;
+
+export const DEFAULT_FIELD_ENCRYPTION = {
+  enabled: false,
+  // Paths inside the envelope payload; nested fields use dots, e.g. 'params.slippage'
+  fields: ['amount', 'user', 'userAddress', 'params', 'parameters'],
+  // Outside readers the data key is wrapped for: [{ readerId, publicKey (X25519 PEM) }]
+  readers: []
+};
+
+const WRAP_INFO = 'aion-hcs-data-key';
+
+/**
+ * Move the given payload fields of an envelope into an encrypted block
+ * @param {Object} envelope - Decision envelope ({ decisionId, payload, ... })
+ * @param {Array<string>} fields - Payload paths to encrypt; absent ones are skipped
+ * @param {Array} recipients - [{ keyId, publicKey }] X25519 reader keys
+ * @returns {Object} The envelope as plain JSON, unchanged when none of the fields are present
+ */
+export function encryptFields(envelope, fields, recipients) {
+  const plain = toPlainJson(envelope);
+  const secret = {};
+  for (const field of fields) {
+    const taken = takeField(plain.payload, field);
+    if (taken.found) {
+      secret[field] = taken.value;
+    }
+  }
+
+  const encryptedFields = Object.keys(secret);
+  if (encryptedFields.length === 0) {
+    return plain;
+  }
+  if (!recipients || recipients.length === 0) {
+    throw new Error('No reader keys to encrypt decision fields for');
+  }
+
+  const dataKey = crypto.randomBytes(32);
+  const sealed = seal(dataKey, JSON.stringify(secret), associatedData(plain, encryptedFields));
+
+  return {
+    ...plain,
+    encrypted: {
+      v: ENCRYPTION_VERSION,
+      alg: 'aes-256-gcm',
+      fields: encryptedFields,
+      ...sealed,
+      recipients: recipients.map((recipient) => wrapDataKey(dataKey, recipient))
+    }
+  };
+}
+
+/**
+ * Restore the encrypted fields of an envelope
+ * @param {Object} envelope - Envelope with an `encrypted` block
+ * @param {Object} keyring - Anything with async getReaderPrivateKey(keyId), e.g. KeyManager
+ * @returns {Promise<Object>} The envelope with its payload fields restored and no `encrypted` block
+ */
+export async function decryptFields(envelope, keyring) {
+  const { encrypted, ...rest } = envelope;
+  if (encrypted.v !== ENCRYPTION_VERSION || encrypted.alg !== 'aes-256-gcm') {
+    throw new Error(`Unsupported field encryption ${encrypted.alg} v${encrypted.v}`);
+  }
+
+  let dataKey = null;
+  for (const recipient of encrypted.recipients || []) {
+    const privateKey = await keyring.getReaderPrivateKey(recipient.keyId);
+    if (privateKey) {
+      dataKey = unwrapDataKey(recipient, privateKey);
+      break;
+    }
+  }
+  if (!dataKey) {
+    throw Object.assign(new Error('No reader key for this message'), { code: 'NO_READER_KEY' });
+  }
+
+  const secret = JSON.parse(unseal(dataKey, encrypted, associatedData(rest, encrypted.fields)).toString('utf8'));
+  const payload = JSON.parse(JSON.stringify(rest.payload ?? {}));
+  for (const [field, value] of Object.entries(secret)) {
+    putField(payload, field, value);
+  }
+  return { ...rest, payload };
+}
+
+/**
+ * Decrypt one message as read back from the topic
+ * @returns {Promise<Object>} { status: 'plain' | 'decrypted' | 'no_key' | 'failed', envelope, reason }
+ */
+export async function openMessage(message, keyring) {
+  const body = chainableBody(message);
+  if (!body?.encrypted) {
+    return { status: 'plain', envelope: body };
+  }
+  try {
+    return { status: 'decrypted', envelope: await decryptFields(body, keyring) };
+  } catch (error) {
+    return { status: error.code === 'NO_READER_KEY' ? 'no_key' : 'failed', envelope: body, reason: error.message };
+  }
+}
+
+/**
+ * The decrypting reader path for mirror node records: each record keeps its raw `message`
+ * (which the chain and signatures are checked against) and gains `decrypted` with the
+ * restored envelope, or `decryptionError` when it cannot be opened
+ * @param {Array} messages - [{ message, ... }] with the message as a string
+ * @param {Object} keyring - Anything with async getReaderPrivateKey(keyId)
+ */
+export async function decryptMessages(messages, keyring) {
+  return Promise.all(messages.map(async (msg) => {
+    const { status, envelope, reason } = await openMessage(msg.message, keyring);
+    if (status === 'plain') return msg;
+    return status === 'decrypted' ? { ...msg, decrypted: envelope } : { ...msg, decryptionError: reason };
+  }));
+}
+
+// Binds the ciphertext to its decision, so it cannot be pasted into another envelope
+function associatedData(envelope, fields) {
+  return Buffer.from(canonicalize({ decisionId: envelope.decisionId ?? null, fields }), 'utf8');
+}
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  if (aad) cipher.setAAD(aad);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+}
+
+function unseal(key, { iv, tag, data }, aad) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+  if (aad) decipher.setAAD(aad);
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]);
+}
+
+// ECIES over X25519: an ephemeral key agreement, HKDF-SHA256, then AES-256-GCM around the data key
+function wrapDataKey(dataKey, { keyId, publicKey }) {
+  const ephemeral = crypto.generateKeyPairSync('x25519');
+  const kek = keyEncryptionKey(ephemeral.privateKey, crypto.createPublicKey(publicKey), keyId);
+  const { iv, tag, data } = seal(kek, dataKey, Buffer.from(keyId, 'utf8'));
+  return { keyId, epk: ephemeral.publicKey.export({ format: 'jwk' }).x, iv, tag, key: data };
+}
+
+function unwrapDataKey(recipient, privateKey) {
+  const ephemeral = crypto.createPublicKey({ key: { kty: 'OKP', crv: 'X25519', x: recipient.epk }, format: 'jwk' });
+  const kek = keyEncryptionKey(privateKey, ephemeral, recipient.keyId);
+  const { iv, tag, key } = recipient;
+  return unseal(kek, { iv, tag, data: key }, Buffer.from(recipient.keyId, 'utf8'));
+}
+
+function keyEncryptionKey(privateKey, publicKey, keyId) {
+  const shared = crypto.diffieHellman({ privateKey, publicKey });
+  return Buffer.from(crypto.hkdfSync('sha256', shared, Buffer.from(keyId, 'utf8'), WRAP_INFO, 32));
+}
+
+function takeField(target, field) {
+  const parts = field.split('.');
+  const last = parts.pop();
+  const parent = parts.reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), target);
+  if (!parent || typeof parent !== 'object' || !(last in parent)) {
+    return { found: false };
+  }
+  const value = parent[last];
+  delete parent[last];
+  return { found: true, value };
+}
+
+function putField(target, field, value) {
+  const parts = field.split('.');
+  const last = parts.pop();
+  let node = target;
+  for (const part of parts) {
+    if (!node[part] || typeof node[part] !== 'object') node[part] = {};
+    node = node[part];
+  }
+  node[last] = value;
+}
+
+// Event args from ethers carry BigInt values, which JSON.stringify rejects
+function toPlainJson(body) {
+  return JSON.parse(JSON.stringify(body, (key, value) => (typeof value === 'bigint' ? value.toString() : value)));
+}
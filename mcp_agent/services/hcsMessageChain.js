@@ -0,0 +1,219 @@
+/**
+ * @fileoverview HCS Message Chain
+ * @description Hash-chains the JSON messages submitted to each HCS topic. Every message carries a
+ * running counter and the SHA-256 of the previous message, so a reader of the topic history can
+ * prove that nothing was dropped, repeated, reordered or altered. The verifier walks that history
+ * and reports broken links, gaps, duplicates and reordered entries.
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import { JsonStateFile } from './jsonStateFile.js';
+
+export const CHAIN_VERSION = 1;
+export const GENESIS_HASH = '0'.repeat(64);
+
+export const DEFAULT_MESSAGE_CHAIN = {
+  enabled: true,
+  dataDir: './data/hcs-chain'
+};
+
+export class HcsMessageChain {
+  constructor(options = {}) {
+    this.config = { ...DEFAULT_MESSAGE_CHAIN, ...options.config };
+    this.store = new JsonStateFile(path.join(options.dataDir || this.config.dataDir, 'chain-heads.json'), {
+      label: 'HCS chain heads'
+    });
+
+    this.heads = new Map(); // topicId -> { counter, hash, updatedAt }
+    this.locks = new Map(); // topicId -> tail of the submission queue
+    this.loaded = null;
+    this.persisting = Promise.resolve();
+  }
+
+  /**
+   * Link a message to the topic's chain and submit it. Submissions to one topic run one at a
+   * time, and the head only moves once the message has been accepted, or once a failed submit
+   * has already sent its transaction (`error.submittedTransactionId`): that message may still
+   * reach consensus, so the next one links to it. If it never does, readers see a gap rather
+   * than two messages with the same counter. Such a head is marked `pending`.
+   * @param {string} topicId - HCS topic
+   * @param {Object} message - JSON message body
+   * @param {Function} submit - async (messageString) => result
+   * @param {Object} [options] - { seal } async (body) => body, applied once the link is in place
+   *   (the signer uses it so the signature covers the link)
+   * @returns {Promise<Object>} { result, chain: { counter, prevHash, hash } }
+   */
+  append(topicId, message, submit, options = {}) {
+    const key = String(topicId);
+    const run = (this.locks.get(key) || Promise.resolve())
+      .catch(() => {})
+      .then(async () => {
+        await this.load();
+        const head = this.heads.get(key) || { counter: 0, hash: GENESIS_HASH };
+        const link = { version: CHAIN_VERSION, counter: head.counter + 1, prevHash: head.hash };
+        const linked = { ...message, chain: link };
+        const messageString = serialize(options.seal ? await options.seal(linked) : linked);
+
+        const hash = hashMessage(messageString);
+        const advance = async (head) => {
+          this.heads.set(key, { counter: link.counter, hash, updatedAt: new Date().toISOString(), ...head });
+          await this.persist();
+        };
+
+        let result;
+        try {
+          result = await submit(messageString);
+        } catch (error) {
+          if (error.submittedTransactionId) {
+            await advance({ pending: String(error.submittedTransactionId) });
+            error.chain = { counter: link.counter, prevHash: link.prevHash, hash };
+          }
+          throw error;
+        }
+
+        await advance();
+        return { result, chain: { counter: link.counter, prevHash: link.prevHash, hash } };
+      });
+
+    this.locks.set(key, run);
+    return run;
+  }
+
+  getHead(topicId) {
+    return this.heads.get(String(topicId)) || null;
+  }
+
+  load() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        const state = await this.store.read();
+        for (const [topicId, head] of Object.entries(state?.heads || {})) {
+          if (!this.heads.has(topicId)) this.heads.set(topicId, head);
+        }
+      })();
+    }
+    return this.loaded;
+  }
+
+  persist() {
+    this.persisting = this.store.write({ heads: Object.fromEntries(this.heads), updatedAt: new Date().toISOString() });
+    return this.persisting;
+  }
+}
+
+/**
+ * The JSON object body of a message, or null for messages that cannot carry a chain link
+ * (plain text, arrays)
+ */
+export function chainableBody(message) {
+  let body = message;
+  if (typeof message === 'string') {
+    try {
+      body = JSON.parse(message);
+    } catch {
+      return null;
+    }
+  }
+  return body && typeof body === 'object' && !Array.isArray(body) && !Buffer.isBuffer(body) ? body : null;
+}
+
+/**
+ * SHA-256 of a message exactly as it was submitted
+ */
+export function hashMessage(messageString) {
+  return crypto.createHash('sha256').update(messageString, 'utf8').digest('hex');
+}
+
+/**
+ * Verify the chain in a topic's history
+ * @param {Array} messages - [{ sequenceNumber, consensusTimestamp, message }] with the message as a string
+ * @returns {Object} { valid, messages, chained, unchained, head, issues }
+ */
+export function verifyChain(messages) {
+  const ordered = [...messages].sort((a, b) => Number(a.sequenceNumber) - Number(b.sequenceNumber));
+  const issues = { brokenLinks: [], gaps: [], duplicates: [], reordered: [] };
+  const entries = new Map(); // counter -> first entry seen
+  let highest = 0;
+  let unchained = 0;
+
+  for (const msg of ordered) {
+    const link = chainableBody(msg.message)?.chain;
+    if (!link || !Number.isInteger(link.counter)) {
+      unchained++;
+      continue;
+    }
+
+    const entry = {
+      counter: link.counter,
+      prevHash: link.prevHash,
+      hash: hashMessage(msg.message),
+      sequenceNumber: Number(msg.sequenceNumber),
+      consensusTimestamp: msg.consensusTimestamp || null
+    };
+
+    const first = entries.get(entry.counter);
+    if (first) {
+      issues.duplicates.push({
+        counter: entry.counter,
+        sequenceNumber: entry.sequenceNumber,
+        firstSequenceNumber: first.sequenceNumber,
+        identical: first.hash === entry.hash
+      });
+      continue;
+    }
+
+    if (entry.counter < highest) {
+      issues.reordered.push({ counter: entry.counter, sequenceNumber: entry.sequenceNumber, after: highest });
+    }
+    highest = Math.max(highest, entry.counter);
+    entries.set(entry.counter, entry);
+  }
+
+  const counters = [...entries.keys()].sort((a, b) => a - b);
+  let expected = 1;
+  for (const counter of counters) {
+    if (counter > expected) {
+      issues.gaps.push({ from: expected, to: counter - 1, missing: counter - expected });
+    }
+    expected = counter + 1;
+
+    const entry = entries.get(counter);
+    const previous = counter === 1 ? { hash: GENESIS_HASH } : entries.get(counter - 1);
+    if (previous && entry.prevHash !== previous.hash) {
+      issues.brokenLinks.push({
+        counter,
+        sequenceNumber: entry.sequenceNumber,
+        expectedPrevHash: previous.hash,
+        prevHash: entry.prevHash ?? null
+      });
+    }
+  }
+
+  const head = counters.length > 0 ? entries.get(counters[counters.length - 1]) : null;
+  return {
+    valid: Object.values(issues).every((list) => list.length === 0),
+    messages: ordered.length,
+    chained: entries.size + issues.duplicates.length,
+    unchained,
+    head: head ? { counter: head.counter, hash: head.hash, sequenceNumber: head.sequenceNumber } : null,
+    issues
+  };
+}
+
+/**
+ * Walk a topic's full history through the mirror node and verify its chain
+ * @param {Object} mirror - Anything with getAllHCSMessages(topicId), e.g. HederaRealDataMonitor
+ * @param {string} topicId - HCS topic
+ */
+export async function verifyTopic(mirror, topicId, options = {}) {
+  const messages = await mirror.getAllHCSMessages(topicId, options);
+  return { topicId: String(topicId), ...verifyChain(messages), verifiedAt: new Date().toISOString() };
+}
+
+// Event args from ethers carry BigInt values, which JSON.stringify rejects
+function serialize(body) {
+  return JSON.stringify(body, (key, value) => (typeof value === 'bigint' ? value.toString() : value));
+}
+
+export default HcsMessageChain;
@@ -0,0 +1,135 @@
+/**
+ * @fileoverview HCS Message Signatures
+ * @description Signs the JSON envelopes the agent posts to HCS with its Ed25519 signing key, so
+ * readers can tell the agent's messages from anything else posted with the topic submit key.
+ * A signature covers the canonical JSON of the envelope without its `signature` field, chain
+ * link included. The verifier checks messages read back from the mirror node and reports
+ * unsigned, mis-signed and unknown-key entries.
+ */
+
+import crypto from 'crypto';
+import { canonicalize } from './strategyEngine.js';
+import { chainableBody } from './hcsMessageChain.js';
+
+export const SIGNATURE_VERSION = 1;
+export const SIGNATURE_ALGORITHM = 'ed25519';
+
+/**
+ * The exact string a signature covers
+ */
+export function signingPayload(body) {
+  return canonicalize(toPlainJson(withoutSignature(body)));
+}
+
+/**
+ * Sign a JSON message body
+ * @param {Object} body - Message body; an existing signature is replaced
+ * @param {Object} signer - Anything with sign(data, keyName), e.g. KeyManager
+ * @param {string} [keyName] - Signing key name
+ * @returns {Promise<Object>} The body as plain JSON with a `signature` field
+ */
+export async function signEnvelope(body, signer, keyName) {
+  const unsigned = withoutSignature(toPlainJson(body));
+  const signed = await signer.sign(signingPayload(unsigned), keyName);
+  return {
+    ...unsigned,
+    signature: { v: SIGNATURE_VERSION, alg: signed.algorithm, keyId: signed.keyId, sig: signed.signature }
+  };
+}
+
+/**
+ * Check one message's signature
+ * @param {string|Object} message - Message as read back from the topic
+ * @param {Array} trustedKeys - [{ keyId, publicKey }] with PEM public keys
+ * @returns {Object} { status: 'valid' | 'unsigned' | 'unknown_key' | 'invalid', keyId, reason }
+ */
+export function verifyEnvelope(message, trustedKeys = []) {
+  const body = chainableBody(message);
+  const signature = body?.signature;
+  if (!signature || typeof signature !== 'object') {
+    return { status: 'unsigned', keyId: null };
+  }
+
+  const keyId = signature.keyId ?? null;
+  if (signature.alg !== SIGNATURE_ALGORITHM || typeof signature.sig !== 'string') {
+    return { status: 'invalid', keyId, reason: `Unsupported signature algorithm ${signature.alg}` };
+  }
+
+  const trusted = trustedKeys.find((key) => key.keyId === keyId);
+  if (!trusted) {
+    return { status: 'unknown_key', keyId };
+  }
+
+  try {
+    const publicKey = crypto.createPublicKey(trusted.publicKey);
+    const valid = crypto.verify(null, Buffer.from(signingPayload(body), 'utf8'), publicKey, Buffer.from(signature.sig, 'base64'));
+    return valid ? { status: 'valid', keyId } : { status: 'invalid', keyId, reason: 'Signature does not match message' };
+  } catch (error) {
+    return { status: 'invalid', keyId, reason: error.message };
+  }
+}
+
+/**
+ * Check the signatures across a topic's history
+ * @param {Array} messages - [{ sequenceNumber, consensusTimestamp, message }] with the message as a string
+ * @param {Array} trustedKeys - [{ keyId, publicKey }]
+ * @returns {Object} { valid, messages, signed, verified, issues: { unsigned, invalid, unknownKeys } }
+ */
+export function verifySignatures(messages, trustedKeys = []) {
+  const ordered = [...messages].sort((a, b) => Number(a.sequenceNumber) - Number(b.sequenceNumber));
+  const issues = { unsigned: [], invalid: [], unknownKeys: [] };
+  let verified = 0;
+
+  for (const msg of ordered) {
+    const result = verifyEnvelope(msg.message, trustedKeys);
+    const entry = {
+      sequenceNumber: Number(msg.sequenceNumber),
+      consensusTimestamp: msg.consensusTimestamp || null
+    };
+
+    if (result.status === 'valid') {
+      verified++;
+    } else if (result.status === 'unsigned') {
+      issues.unsigned.push(entry);
+    } else if (result.status === 'unknown_key') {
+      issues.unknownKeys.push({ ...entry, keyId: result.keyId });
+    } else {
+      issues.invalid.push({ ...entry, keyId: result.keyId, reason: result.reason });
+    }
+  }
+
+  return {
+    valid: Object.values(issues).every((list) => list.length === 0),
+    messages: ordered.length,
+    signed: ordered.length - issues.unsigned.length,
+    verified,
+    issues
+  };
+}
+
+/**
+ * Walk a topic's full history through the mirror node and check its signatures
+ * @param {Object} mirror - Anything with getAllHCSMessages(topicId), e.g. HederaRealDataMonitor
+ * @param {string} topicId - HCS topic
+ * @param {Array} trustedKeys - [{ keyId, publicKey }], e.g. KeyManager.getSigningPublicKeys()
+ */
+export async function verifyTopicSignatures(mirror, topicId, trustedKeys, options = {}) {
+  const messages = await mirror.getAllHCSMessages(topicId, options);
+  return {
+    topicId: String(topicId),
+    ...verifySignatures(messages, trustedKeys),
+    trustedKeys: trustedKeys.map((key) => key.keyId),
+    verifiedAt: new Date().toISOString()
+  };
+}
+
+function withoutSignature(body) {
+  const unsigned = { ...body };
+  delete unsigned.signature;
+  return unsigned;
+}
+
+// What the body looks like once read back from the topic: BigInt as strings, undefined dropped
+function toPlainJson(body) {
+  return JSON.parse(JSON.stringify(body, (key, value) => (typeof value === 'bigint' ? value.toString() : value)));
+}
@@ -0,0 +1,409 @@
+/**
+ * @fileoverview HCS Topic Indexer
+ * @description Follows the decision and bridge topics on the mirror node and keeps a local,
+ * queryable copy of their messages. Each topic is polled from a stored sequence-number cursor, so
+ * the indexer resumes where it stopped after a restart. Messages are parsed into a flat record
+ * (kind, type, decision id, strategy, model version) and appended to one JSON-lines file per topic.
+ */
+
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import path from 'path';
+import axios from 'axios';
+import { reassembleMessages } from './hcsChunking.js';
+import { BATCH_ROOT_MESSAGE_TYPE } from './merkleAnchor.js';
+import { modelOf } from './outcomeEvaluator.js';
+import { JsonStateFile } from './jsonStateFile.js';
+import { httpError } from './serviceUtils.js';
+
+export const DEFAULT_TOPIC_INDEXER = {
+  enabled: true,
+  topics: [], // [{ topicId, name }]
+  mirrorNodeUrl: 'https://testnet.mirrornode.hedera.com',
+  pollInterval: 10000,
+  pageSize: 100,
+  maxPagesPerPoll: 10,
+  chunkTimeout: 5 * 60 * 1000,
+  dataDir: './data/hcs-index'
+};
+
+const BRIDGE_TYPES = new Set([
+  'BRIDGE_TO_HEDERA', 'BRIDGE_FROM_HEDERA', 'BRIDGE_COMPLETED', 'BRIDGE_FAILED', 'BRIDGE_CANCELLED', 'bridge_ai_decision'
+]);
+
+export class HcsTopicIndexer extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.config = { ...DEFAULT_TOPIC_INDEXER, ...options.config };
+    this.dataDir = options.dataDir || this.config.dataDir;
+    this.store = new JsonStateFile(path.join(this.dataDir, 'indexer-state.json'), { label: 'HCS indexer state' });
+    this.topics = this.config.topics
+      .filter((topic) => topic?.topicId)
+      .map((topic) => ({ topicId: String(topic.topicId), name: topic.name || String(topic.topicId) }));
+
+    this.records = new Map(); // topicId -> records in consensus order
+    this.sequences = new Map(); // topicId -> Set of indexed sequence numbers
+    this.cursors = new Map(); // topicId -> { sequenceNumber, consensusTimestamp, updatedAt }
+    this.lastPoll = null;
+    this.timer = null;
+    this.polling = null;
+    this.started = false;
+    this.loaded = null;
+    this.persisting = Promise.resolve();
+  }
+
+  async start() {
+    if (this.started) return;
+    await this.load();
+
+    this.started = true;
+    if (this.config.enabled && this.topics.length > 0) {
+      const poll = () => this.poll().catch((error) => console.warn(`⚠️ HCS indexer poll failed: ${error.message}`));
+      this.timer = setInterval(poll, this.config.pollInterval);
+      this.timer.unref?.();
+      poll();
+    }
+    this.emit('started', { topics: this.topics.map((topic) => topic.topicId) });
+  }
+
+  async stop() {
+    if (!this.started) return;
+    this.started = false;
+
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.polling) {
+      await this.polling.catch(() => {});
+    }
+    await this.persisting;
+    this.emit('stopped');
+  }
+
+  /**
+   * Fetch and index everything after each topic's cursor. Concurrent calls share one run.
+   * @returns {Promise<Object>} { topicId: indexedCount }
+   */
+  poll() {
+    if (!this.polling) {
+      this.polling = this.pollTopics().finally(() => {
+        this.polling = null;
+      });
+    }
+    return this.polling;
+  }
+
+  async pollTopics() {
+    await this.load();
+    const indexed = {};
+    const errors = {};
+
+    for (const topic of this.topics) {
+      try {
+        indexed[topic.topicId] = await this.pollTopic(topic);
+      } catch (error) {
+        errors[topic.topicId] = error.message;
+        console.warn(`⚠️ Indexing HCS topic ${topic.topicId} failed: ${error.message}`);
+      }
+    }
+
+    this.lastPoll = { at: new Date().toISOString(), indexed, errors };
+    this.emit('polled', this.lastPoll);
+    return indexed;
+  }
+
+  async pollTopic(topic) {
+    const cursor = this.cursors.get(topic.topicId);
+    const raw = [];
+    let url = `${this.config.mirrorNodeUrl}/api/v1/topics/${topic.topicId}/messages`;
+    let params = {
+      limit: this.config.pageSize,
+      order: 'asc',
+      ...(cursor ? { sequencenumber: `gt:${cursor.sequenceNumber}` } : {})
+    };
+
+    for (let page = 0; url && page < this.config.maxPagesPerPoll; page++) {
+      const response = await axios.get(url, { params, timeout: 15000 });
+      const messages = response.data.messages || [];
+      raw.push(...messages.map(toRecord));
+
+      const next = response.data.links?.next;
+      url = messages.length > 0 && next ? new URL(next, this.config.mirrorNodeUrl).toString() : null;
+      params = undefined; // the next link carries its own query
+    }
+    if (raw.length === 0) {
+      return 0;
+    }
+
+    const { messages, incomplete } = reassembleMessages(raw);
+
+    // Stop the cursor before a chunked message that is still arriving, so the next poll sees it whole
+    const pendingSince = this.pendingChunkStart(raw, incomplete);
+    const last = pendingSince === null
+      ? raw[raw.length - 1]
+      : [...raw].reverse().find((record) => record.sequenceNumber < pendingSince);
+
+    const seen = this.sequencesOf(topic.topicId);
+    const fresh = messages
+      .filter((message) => (pendingSince === null || message.sequenceNumber < pendingSince) && !seen.has(message.sequenceNumber))
+      .map((message) => indexRecord(topic, message));
+
+    if (fresh.length > 0) {
+      await this.append(topic.topicId, fresh);
+    }
+    if (last) {
+      this.cursors.set(topic.topicId, {
+        sequenceNumber: last.sequenceNumber,
+        consensusTimestamp: last.consensusTimestamp,
+        updatedAt: new Date().toISOString()
+      });
+      await this.persist();
+    }
+    return fresh.length;
+  }
+
+  /**
+   * First sequence number of the earliest chunk group that started in this fetch, is not complete
+   * yet and is recent enough to still be completed
+   */
+  pendingChunkStart(raw, incomplete) {
+    let earliest = null;
+    for (const group of incomplete) {
+      if (group.missing.includes(0)) continue; // started behind the cursor; nothing left to wait for
+      const first = Math.min(...group.sequenceNumbers);
+      const record = raw.find((r) => r.sequenceNumber === first);
+      if (Date.now() - consensusMs(record.consensusTimestamp) > this.config.chunkTimeout) continue;
+      earliest = earliest === null ? first : Math.min(earliest, first);
+    }
+    return earliest;
+  }
+
+  /**
+   * Query indexed messages
+   * @param {Object} filters - { topicId, kind, type, decisionId, strategy, modelVersion, from, to, order, limit, offset }.
+   *   `from` and `to` are ISO dates, epoch milliseconds or consensus timestamps.
+   * @returns {Promise<Object>} { total, records }
+   */
+  async query(filters = {}) {
+    await this.load();
+    const from = filters.from !== undefined ? toMs(filters.from) : null;
+    const to = filters.to !== undefined ? toMs(filters.to) : null;
+    const topicIds = filters.topicId ? [String(filters.topicId)] : [...this.records.keys()];
+
+    const matches = topicIds
+      .flatMap((topicId) => this.records.get(topicId) || [])
+      .filter((record) => (!filters.kind || record.kind === filters.kind)
+        && (!filters.type || record.type === filters.type)
+        && (!filters.decisionId || record.decisionId === filters.decisionId)
+        && (!filters.strategy || record.strategy === filters.strategy)
+        && (!filters.modelVersion || record.modelVersion === filters.modelVersion)
+        && (from === null || record.consensusMs >= from)
+        && (to === null || record.consensusMs <= to))
+      .sort((a, b) => a.consensusMs - b.consensusMs || a.sequenceNumber - b.sequenceNumber);
+
+    if (filters.order !== 'asc') {
+      matches.reverse();
+    }
+    const offset = Math.max(0, Number(filters.offset) || 0);
+    const limit = Math.max(1, Number(filters.limit) || 50);
+    return { total: matches.length, records: matches.slice(offset, offset + limit) };
+  }
+
+  getStatus() {
+    return {
+      enabled: this.config.enabled,
+      running: this.started && this.timer !== null,
+      topics: this.topics.map((topic) => ({
+        ...topic,
+        indexed: this.records.get(topic.topicId)?.length || 0,
+        cursor: this.cursors.get(topic.topicId) || null
+      })),
+      lastPoll: this.lastPoll
+    };
+  }
+
+  sequencesOf(topicId) {
+    if (!this.sequences.has(topicId)) {
+      this.sequences.set(topicId, new Set());
+    }
+    return this.sequences.get(topicId);
+  }
+
+  topicFile(topicId) {
+    return path.join(this.dataDir, `${topicId}.jsonl`);
+  }
+
+  async append(topicId, records) {
+    await fs.mkdir(this.dataDir, { recursive: true });
+    await fs.appendFile(this.topicFile(topicId), records.map((record) => `${JSON.stringify(record)}\n`).join(''));
+
+    const list = this.records.get(topicId) || [];
+    list.push(...records);
+    this.records.set(topicId, list);
+    const seen = this.sequencesOf(topicId);
+    records.forEach((record) => seen.add(record.sequenceNumber));
+  }
+
+  load() {
+    if (!this.loaded) {
+      this.loaded = this.loadState();
+    }
+    return this.loaded;
+  }
+
+  async loadState() {
+    const state = await this.store.read();
+    for (const [topicId, cursor] of Object.entries(state?.cursors || {})) {
+      this.cursors.set(topicId, cursor);
+    }
+
+    for (const topic of this.topics) {
+      let content;
+      try {
+        content = await fs.readFile(this.topicFile(topic.topicId), 'utf8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        continue;
+      }
+
+      // A record appended after the cursor was last saved is fetched again; keep the first copy
+      const seen = this.sequencesOf(topic.topicId);
+      const records = [];
+      let unreadable = 0;
+      for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch {
+          // A torn line from a crash; the rest of the file is still good
+          unreadable++;
+          continue;
+        }
+        if (seen.has(record.sequenceNumber)) continue;
+        seen.add(record.sequenceNumber);
+        records.push(record);
+      }
+      if (unreadable > 0) {
+        console.warn(`⚠️ Skipped ${unreadable} unreadable record(s) in the HCS index of ${topic.topicId}`);
+      }
+      if (content && !content.endsWith('\n')) {
+        // Records appended from here on start on their own line, not after the torn one
+        await fs.appendFile(this.topicFile(topic.topicId), '\n');
+      }
+      this.records.set(topic.topicId, records);
+    }
+  }
+
+  persist() {
+    this.persisting = this.store.write({ cursors: Object.fromEntries(this.cursors) });
+    return this.persisting;
+  }
+}
+
+function toRecord(msg) {
+  return {
+    sequenceNumber: Number(msg.sequence_number),
+    consensusTimestamp: msg.consensus_timestamp,
+    message: Buffer.from(msg.message, 'base64').toString('utf8')
+  };
+}
+
+/**
+ * Flatten a topic message into an index record
+ * @param {Object} topic - { topicId, name }
+ * @param {Object} message - { sequenceNumber, consensusTimestamp, message, chunks? }
+ */
+export function indexRecord(topic, message) {
+  const parsed = parseMessage(message.message);
+  const consensusAt = consensusMs(message.consensusTimestamp);
+
+  return {
+    topicId: topic.topicId,
+    topic: topic.name,
+    sequenceNumber: message.sequenceNumber,
+    consensusTimestamp: message.consensusTimestamp,
+    consensusMs: consensusAt,
+    consensusAt: Number.isFinite(consensusAt) ? new Date(consensusAt).toISOString() : null,
+    chunks: message.chunks?.total || 1,
+    ...parsed
+  };
+}
+
+/**
+ * Recognize the envelopes written to our topics
+ * @returns {Object} { kind, type, decisionId, strategy, modelVersion, confidence, chainCounter, payload }
+ */
+export function parseMessage(messageString) {
+  let body;
+  try {
+    body = JSON.parse(messageString);
+  } catch {
+    return { kind: 'text', type: null, decisionId: null, strategy: null, modelVersion: null, confidence: null, chainCounter: null, payload: messageString };
+  }
+  if (!body || typeof body !== 'object') {
+    return { kind: 'other', type: null, decisionId: null, strategy: null, modelVersion: null, confidence: null, chainCounter: null, payload: body };
+  }
+
+  let kind = 'other';
+  let payload = body;
+  let decisionId = null;
+
+  if (body.schema === 'aion.decision') {
+    kind = 'decision';
+    payload = body.payload || {};
+    decisionId = body.decisionId || payload.decisionId || payload.id || null;
+  } else if (body.type === 'AI_DECISION_OUTCOME') {
+    kind = 'outcome';
+    payload = body.data || {};
+    decisionId = payload.decisionId || null;
+  } else if (body.type === BATCH_ROOT_MESSAGE_TYPE) {
+    kind = 'batch_root';
+    payload = body.data || {};
+  } else if (BRIDGE_TYPES.has(body.type)) {
+    kind = 'bridge';
+    decisionId = body.decisionId || null;
+  } else if (body.id && body.metadata?.source === 'AION_AI_Agent') {
+    kind = 'decision';
+    decisionId = body.id;
+  }
+
+  const confidence = Number(payload.confidence);
+  return {
+    kind,
+    type: (kind === 'decision' ? payload.type : body.type) || body.type || null,
+    decisionId,
+    strategy: strategyOf(payload),
+    modelVersion: modelOf(payload)?.version || payload.modelVersion || body.modelMetadata?.version || null,
+    confidence: kind === 'decision' && Number.isFinite(confidence) ? confidence : null,
+    chainCounter: body.chain?.counter ?? null,
+    payload
+  };
+}
+
+function strategyOf(payload) {
+  const strategy = payload.strategy ?? payload.parameters?.toStrategy ?? payload.explanation?.chosen?.strategy ?? null;
+  if (strategy && typeof strategy === 'object') {
+    return strategy.name || strategy.id || null;
+  }
+  return strategy;
+}
+
+function consensusMs(consensusTimestamp) {
+  const [seconds, nanos = '0'] = String(consensusTimestamp).split('.');
+  return Number(seconds) * 1000 + Math.floor(Number(nanos.padEnd(9, '0')) / 1e6);
+}
+
+function toMs(value) {
+  if (typeof value === 'number') return value;
+  const text = String(value);
+  if (/^\d+\.\d+$/.test(text)) return consensusMs(text);
+  if (/^\d+$/.test(text)) return Number(text);
+  const parsed = Date.parse(text);
+  if (Number.isNaN(parsed)) {
+    throw httpError(`Invalid time: ${value}`, 400);
+  }
+  return parsed;
+}
+
+export default HcsTopicIndexer;
@@ -0,0 +1,158 @@
+/**
+ * @fileoverview HCS Topic Registry
+ * @description Maps logical topic names (decisions, bridge, outcomes, governance) to HCS topic IDs,
+ * so routes and services can address topics by role instead of by ID. Names come from
+ * `hedera.topics` in the config, then from the environment; topics registered at runtime (for
+ * example when created through the topic API) are saved to `<dataDir>/topics.json` and take
+ * precedence over both.
+ */
+
+import path from 'path';
+import { JsonStateFile } from './jsonStateFile.js';
+import { httpError } from './serviceUtils.js';
+
+export const DEFAULT_TOPIC_REGISTRY = {
+  topics: {
+    decisions: null,
+    bridge: null,
+    outcomes: null,
+    governance: null
+  },
+  dataDir: './data/hedera-topics'
+};
+
+// Environment variables the well-known names fall back to
+export const TOPIC_ENV = {
+  decisions: ['HCS_TOPIC_ID', 'HEDERA_HCS_TOPIC_ID'],
+  bridge: ['HCS_BRIDGE_TOPIC_ID'],
+  outcomes: ['HCS_AUDIT_TOPIC_ID']
+};
+
+const TOPIC_ID_PATTERN = /^\d+\.\d+\.\d+$/;
+const NAME_PATTERN = /^[a-z][a-z0-9_-]{0,63}$/;
+
+export class HcsTopicRegistry {
+  constructor(options = {}) {
+    this.config = { ...DEFAULT_TOPIC_REGISTRY, ...options.config };
+    this.config.topics = { ...DEFAULT_TOPIC_REGISTRY.topics, ...options.config?.topics };
+    this.env = options.env || process.env;
+    this.dataDir = options.dataDir || this.config.dataDir;
+    this.store = new JsonStateFile(path.join(this.dataDir, 'topics.json'), { label: 'HCS topic registry' });
+
+    // name -> { topicId, registeredAt }; a null topicId hides a config or environment entry
+    this.registered = new Map();
+    this.loaded = null;
+    this.persisting = Promise.resolve();
+  }
+
+  /**
+   * Topic ID for a logical name, or null
+   */
+  get(name) {
+    return this.entry(name)?.topicId || null;
+  }
+
+  /**
+   * Topic ID for a logical name or a topic ID
+   */
+  resolve(nameOrId) {
+    const value = String(nameOrId ?? '');
+    if (TOPIC_ID_PATTERN.test(value)) {
+      return value;
+    }
+    const topicId = this.get(value);
+    if (!topicId) {
+      throw httpError(`Unknown HCS topic '${value}'`, 404);
+    }
+    return topicId;
+  }
+
+  /**
+   * Names that currently map to a topic ID
+   */
+  namesOf(topicId) {
+    return this.list().filter((entry) => entry.topicId === String(topicId)).map((entry) => entry.name);
+  }
+
+  /**
+   * Every known name with its topic ID and where the mapping comes from
+   * @returns {Array} [{ name, topicId, source: 'registry' | 'config' | 'env' | null }]
+   */
+  list() {
+    const names = new Set([...Object.keys(this.config.topics), ...Object.keys(TOPIC_ENV), ...this.registered.keys()]);
+    return Array.from(names).sort().map((name) => {
+      const entry = this.entry(name);
+      return { name, topicId: entry?.topicId || null, source: entry?.source || null };
+    });
+  }
+
+  /**
+   * Map a name to a topic, replacing any earlier mapping
+   */
+  async register(name, topicId) {
+    await this.load();
+    if (!NAME_PATTERN.test(String(name))) {
+      throw httpError(`Invalid topic name '${name}' (lowercase letters, digits, '-' and '_')`, 400);
+    }
+    if (!TOPIC_ID_PATTERN.test(String(topicId))) {
+      throw httpError(`Invalid topic ID '${topicId}'`, 400);
+    }
+
+    this.registered.set(name, { topicId: String(topicId), registeredAt: new Date().toISOString() });
+    await this.persist();
+    return { name, topicId: String(topicId), source: 'registry' };
+  }
+
+  async unregister(name) {
+    await this.load();
+    if (!this.get(name)) {
+      throw httpError(`Unknown HCS topic '${name}'`, 404);
+    }
+    this.registered.set(name, { topicId: null, registeredAt: new Date().toISOString() });
+    await this.persist();
+  }
+
+  /**
+   * Drop every name pointing at a topic, e.g. after it was deleted
+   * @returns {Promise<Array<string>>} The names removed
+   */
+  async removeTopic(topicId) {
+    const names = this.namesOf(topicId);
+    for (const name of names) {
+      await this.unregister(name);
+    }
+    return names;
+  }
+
+  entry(name) {
+    if (this.registered.has(name)) {
+      const { topicId } = this.registered.get(name);
+      return topicId ? { topicId, source: 'registry' } : null;
+    }
+    if (this.config.topics[name]) {
+      return { topicId: String(this.config.topics[name]), source: 'config' };
+    }
+    const fromEnv = (TOPIC_ENV[name] || []).map((key) => this.env[key]).find(Boolean);
+    return fromEnv ? { topicId: fromEnv, source: 'env' } : null;
+  }
+
+  load() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        const state = await this.store.read();
+        if (!state) return;
+        for (const [name, entry] of Object.entries(state.topics || {})) {
+          this.registered.set(name, entry);
+        }
+      })();
+    }
+    return this.loaded;
+  }
+
+  persist() {
+    this.persisting = this.store.write({ topics: Object.fromEntries(this.registered) });
+    return this.persisting;
+  }
+}
+
+export default HcsTopicRegistry;
@@ -0,0 +1,265 @@
+/**
+ * @fileoverview Hedera Fee Ledger
+ * @description Records the HBAR fee of every HCS, HTS and HFS transaction the agent pays for,
+ * attributed to the calling service and decision, and enforces a daily HBAR budget per service:
+ * a warning once spend crosses the warning threshold, then new transactions are refused until the
+ * next UTC day. Entries are appended to one JSONL file per day and feed the spend reports.
+ */
+
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import path from 'path';
+import { httpError, round } from './serviceUtils.js';
+
+export const TINYBARS_PER_HBAR = 1e8;
+const HBAR_DECIMALS = 8;
+
+export const DEFAULT_FEE_LEDGER = {
+  enabled: true,
+  // Daily HBAR budgets per calling service; `default` covers services without their own. null = unlimited
+  budgets: {
+    default: null
+  },
+  warnAt: 0.8, // share of the budget that triggers the warning
+  retentionDays: 90,
+  dataDir: './data/hedera-fees'
+};
+
+export const UNATTRIBUTED_SERVICE = 'unattributed';
+
+const OPERATION_CATEGORIES = {
+  ConsensusCreateTopic: 'hcs',
+  ConsensusUpdateTopic: 'hcs',
+  ConsensusDeleteTopic: 'hcs',
+  ConsensusSubmitMessage: 'hcs',
+  TokenCreate: 'hts',
+  TokenMint: 'hts',
+  TokenBurn: 'hts',
+  TokenWipe: 'hts',
+  TokenAssociate: 'hts',
+  CryptoTransfer: 'hts',
+  FileCreate: 'hfs',
+  FileAppend: 'hfs'
+};
+
+export class HederaFeeLedger extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.config = { ...DEFAULT_FEE_LEDGER, ...options.config };
+    this.config.budgets = { ...DEFAULT_FEE_LEDGER.budgets, ...options.config?.budgets };
+    this.dataDir = options.dataDir || this.config.dataDir;
+
+    this.entries = []; // oldest first
+    this.warned = new Set(); // `${day}:${service}` already warned about
+    this.loaded = null;
+    this.persisting = Promise.resolve();
+  }
+
+  /**
+   * Throw when the service has spent its daily budget
+   */
+  async assertWithinBudget(service = UNATTRIBUTED_SERVICE) {
+    if (!this.config.enabled) return;
+    await this.load();
+
+    const budget = this.budgetFor(service);
+    const spent = this.spentToday(service);
+    if (budget !== null && spent >= budget) {
+      this.emit('budgetExceeded', { service, budget, spent });
+      const error = httpError(`Daily HBAR budget of ${budget} ℏ for service '${service}' is spent (${spent} ℏ today)`, 429);
+      error.code = 'FEE_BUDGET_EXCEEDED';
+      throw error;
+    }
+  }
+
+  /**
+   * Record a transaction fee
+   * @param {Object} fee - { operation, transactionId, fee (tinybars), service, decisionId }
+   * @returns {Promise<Object>} The ledger entry
+   */
+  async record({ operation, transactionId = null, fee, service, decisionId = null }) {
+    await this.load();
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      service: service || UNATTRIBUTED_SERVICE,
+      decisionId,
+      operation,
+      category: OPERATION_CATEGORIES[operation] || 'other',
+      transactionId,
+      fee: Math.max(0, Math.round(Number(fee) || 0))
+    };
+    if (!this.config.enabled) return entry;
+
+    this.entries.push(entry);
+    this.append(entry);
+    this.checkWarning(entry.service);
+    return entry;
+  }
+
+  /**
+   * Spend report over a time range (default: the last 30 days)
+   * @param {Object} filters - { from, to (ISO dates), service, decisionId, top }
+   * @returns {Object} { from, to, total, byService, byCategory, byOperation, byDay, topDecisions, budgets }
+   */
+  async getReport(filters = {}) {
+    await this.load();
+
+    const to = filters.to ? parseDate(filters.to) : new Date();
+    const from = filters.from ? parseDate(filters.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+    const entries = this.entries.filter((entry) => {
+      const at = new Date(entry.timestamp);
+      return at >= from && at <= to
+        && (!filters.service || entry.service === filters.service)
+        && (!filters.decisionId || entry.decisionId === filters.decisionId);
+    });
+
+    const decisions = summarize(entries.filter((entry) => entry.decisionId), (entry) => entry.decisionId);
+    return {
+      from: from.toISOString(),
+      to: to.toISOString(),
+      total: totals(entries),
+      byService: summarize(entries, (entry) => entry.service),
+      byCategory: summarize(entries, (entry) => entry.category),
+      byOperation: summarize(entries, (entry) => entry.operation),
+      byDay: summarize(entries, (entry) => entry.timestamp.slice(0, 10)),
+      topDecisions: Object.entries(decisions)
+        .sort(([, a], [, b]) => b.tinybars - a.tinybars)
+        .slice(0, Math.min(Number(filters.top) || 20, 100))
+        .map(([decisionId, spend]) => ({ decisionId, ...spend })),
+      budgets: this.getBudgetStatus()
+    };
+  }
+
+  /**
+   * Today's spend against the budget of every service with a budget or spend today
+   */
+  getBudgetStatus() {
+    const services = new Set([
+      ...Object.keys(this.config.budgets).filter((service) => service !== 'default'),
+      ...this.entries.filter((entry) => dayOf(entry.timestamp) === today()).map((entry) => entry.service)
+    ]);
+
+    return Array.from(services).sort().map((service) => {
+      const budget = this.budgetFor(service);
+      const spent = this.spentToday(service);
+      let status = 'ok';
+      if (budget !== null && spent >= budget) status = 'blocked';
+      else if (budget !== null && spent >= budget * this.config.warnAt) status = 'warning';
+      return { service, day: today(), budget, spent, remaining: budget === null ? null : round(Math.max(0, budget - spent), HBAR_DECIMALS), status };
+    });
+  }
+
+  budgetFor(service) {
+    const budget = this.config.budgets[service] ?? this.config.budgets.default;
+    return budget === null || budget === undefined ? null : Number(budget);
+  }
+
+  /**
+   * HBAR the service has spent since UTC midnight
+   */
+  spentToday(service) {
+    const day = today();
+    const tinybars = this.entries
+      .filter((entry) => entry.service === service && dayOf(entry.timestamp) === day)
+      .reduce((sum, entry) => sum + entry.fee, 0);
+    return round(tinybars / TINYBARS_PER_HBAR, HBAR_DECIMALS);
+  }
+
+  checkWarning(service) {
+    const budget = this.budgetFor(service);
+    const key = `${today()}:${service}`;
+    if (budget === null || this.warned.has(key)) return;
+
+    const spent = this.spentToday(service);
+    if (spent >= budget * this.config.warnAt) {
+      this.warned.add(key);
+      console.warn(`⚠️ Service '${service}' has spent ${spent} of its ${budget} ℏ daily Hedera fee budget`);
+      this.emit('budgetWarning', { service, budget, spent });
+    }
+  }
+
+  load() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        const oldest = dayOf(new Date(Date.now() - this.config.retentionDays * 24 * 60 * 60 * 1000).toISOString());
+        let files = [];
+        try {
+          files = (await fs.readdir(this.dataDir)).filter((file) => /^fees-\d{4}-\d{2}-\d{2}\.jsonl$/.test(file)).sort();
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            console.warn(`⚠️ Could not read Hedera fee ledger ${this.dataDir}: ${error.message}`);
+          }
+        }
+
+        const loaded = [];
+        for (const file of files) {
+          if (file.slice(5, 15) < oldest) {
+            await fs.rm(path.join(this.dataDir, file), { force: true });
+            continue;
+          }
+          const lines = (await fs.readFile(path.join(this.dataDir, file), 'utf8')).split('\n').filter(Boolean);
+          for (const line of lines) {
+            try {
+              loaded.push(JSON.parse(line));
+            } catch {
+              // A torn last line from a crash; the rest of the file is still good
+            }
+          }
+        }
+        // Entries recorded while loading stay after the ones read from disk
+        this.entries = [...loaded, ...this.entries];
+      })();
+    }
+    return this.loaded;
+  }
+
+  /**
+   * Appends are chained so concurrent callers never interleave
+   */
+  append(entry) {
+    const file = path.join(this.dataDir, `fees-${dayOf(entry.timestamp)}.jsonl`);
+    this.persisting = this.persisting.then(async () => {
+      try {
+        await fs.mkdir(this.dataDir, { recursive: true });
+        await fs.appendFile(file, `${JSON.stringify(entry)}\n`);
+      } catch (error) {
+        console.warn(`⚠️ Could not persist Hedera fee ledger entry: ${error.message}`);
+      }
+    });
+    return this.persisting;
+  }
+}
+
+function summarize(entries, keyOf) {
+  const groups = {};
+  for (const entry of entries) {
+    const key = keyOf(entry);
+    (groups[key] = groups[key] || []).push(entry);
+  }
+  return Object.fromEntries(Object.entries(groups).map(([key, group]) => [key, totals(group)]));
+}
+
+function totals(entries) {
+  const tinybars = entries.reduce((sum, entry) => sum + entry.fee, 0);
+  return { hbar: round(tinybars / TINYBARS_PER_HBAR, HBAR_DECIMALS), tinybars, transactions: entries.length };
+}
+
+function dayOf(timestamp) {
+  return timestamp.slice(0, 10);
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function parseDate(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw httpError(`Invalid date: ${value}`, 400);
+  }
+  return date;
+}
+
+export default HederaFeeLedger;
@@ -7,6 +7,8 @@
 import axios from 'axios';
 import { Client, AccountId, TopicId, FileId, TokenId } from '@hashgraph/sdk';
 import HederaLogger from './hederaLogger.js';
+import { reassembleMessages, DEFAULT_CHUNKING } from './hcsChunking.js';
+import { decryptMessages } from './hcsEncryption.js';
 
 class HederaRealDataMonitor {
     constructor(config) {
@@ -123,7 +125,8 @@ class HederaRealDataMonitor {
     }
 
     /**
-     * Get REAL HCS topic messages from Mirror Node
+     * Get REAL HCS topic messages from Mirror Node, newest first. Chunked messages are returned
+     * reassembled, so `limit` counts mirror node records rather than whole messages.
      */
     async getRealHCSMessages(topicId, limit = 10) {
         const startTime = Date.now();
@@ -151,15 +154,10 @@ class HederaRealDataMonitor {
             });
 
             // Process real messages
-            const realMessages = messages.map(msg => ({
-                consensusTimestamp: msg.consensus_timestamp,
-                message: Buffer.from(msg.message, 'base64').toString('utf8'),
-                runningHash: msg.running_hash,
-                sequenceNumber: msg.sequence_number,
-                topicId: msg.topic_id,
-                validStartTimestamp: msg.valid_start_timestamp,
-                source: 'REAL_HEDERA_HCS'
-            }));
+            const realMessages = await this.decryptMessages(await this.reassembleRecentMessages(
+                topicId,
+                messages.map(msg => this.toRealMessage(msg))
+            ));
 
             // Cache real messages
             this.realDataCache.set(`hcs_messages_${topicId}`, {
@@ -181,6 +179,97 @@ class HederaRealDataMonitor {
         }
     }
 
+    /**
+     * Get the full history of an HCS topic in consensus order, following mirror node pagination
+     * @param {string} topicId - HCS topic
+     * @param {object} options - { pageSize, maxMessages }
+     */
+    async getAllHCSMessages(topicId, options = {}) {
+        const pageSize = Math.min(options.pageSize || 100, 100);
+        const maxMessages = options.maxMessages || 10000;
+        const messages = [];
+
+        let url = `${this.config.mirrorNodeUrl}/api/v1/topics/${topicId}/messages`;
+        let params = { limit: pageSize, order: 'asc' };
+
+        try {
+            while (url && messages.length < maxMessages) {
+                const response = await axios.get(url, { params, timeout: 15000 });
+                const page = response.data.messages || [];
+                messages.push(...page.map(msg => this.toRealMessage(msg)));
+
+                const next = response.data.links?.next;
+                url = page.length > 0 && next ? new URL(next, this.config.mirrorNodeUrl).toString() : null;
+                params = undefined; // the next link carries its own query
+            }
+        } catch (error) {
+            throw new Error(`Failed to get HCS topic history: ${error.message}`);
+        }
+
+        return this.decryptMessages(this.reassembleChunks(topicId, messages.slice(0, maxMessages)).messages);
+    }
+
+    /**
+     * Reassemble a newest-first page of messages. A chunked message whose first chunks fall
+     * below the page is completed from the records just before it; groups still missing their
+     * latest chunks are left out until they arrive.
+     */
+    async reassembleRecentMessages(topicId, records) {
+        let result = this.reassembleChunks(topicId, records);
+        const startsBelowPage = result.incomplete.some(group => group.missing.includes(0));
+        if (!startsBelowPage || records.length === 0) {
+            return result.messages;
+        }
+
+        const oldest = Math.min(...records.map(record => Number(record.sequenceNumber)));
+        const response = await axios.get(
+            `${this.config.mirrorNodeUrl}/api/v1/topics/${topicId}/messages`,
+            {
+                params: {
+                    limit: Math.min(this.config.chunking?.maxChunks || DEFAULT_CHUNKING.maxChunks, 100),
+                    order: 'desc',
+                    sequencenumber: `lt:${oldest}`
+                },
+                timeout: 15000
+            }
+        );
+        const older = (response.data.messages || []).map(msg => this.toRealMessage(msg));
+        result = this.reassembleChunks(topicId, [...records, ...older]);
+
+        // Keep the page itself, plus the messages that started below it
+        const onPage = new Set(records.map(record => String(record.sequenceNumber)));
+        return result.messages.filter(message => onPage.has(String(message.sequenceNumber))
+            || message.chunks?.sequenceNumbers.some(sequenceNumber => onPage.has(String(sequenceNumber))));
+    }
+
+    reassembleChunks(topicId, records) {
+        const result = reassembleMessages(records);
+        for (const group of result.corrupted) {
+            console.warn(`⚠️ Chunked HCS message ${group.groupId} on ${topicId} failed its hash check (sequence numbers ${group.sequenceNumbers.join(', ')})`);
+        }
+        return result;
+    }
+
+    /**
+     * With a keyring (config.keyring, e.g. KeyManager), encrypted decision fields are restored
+     * under `decrypted`; the raw `message` is left as submitted for chain and signature checks
+     */
+    async decryptMessages(messages) {
+        return this.config.keyring ? decryptMessages(messages, this.config.keyring) : messages;
+    }
+
+    toRealMessage(msg) {
+        return {
+            consensusTimestamp: msg.consensus_timestamp,
+            message: Buffer.from(msg.message, 'base64').toString('utf8'),
+            runningHash: msg.running_hash,
+            sequenceNumber: msg.sequence_number,
+            topicId: msg.topic_id,
+            validStartTimestamp: msg.valid_start_timestamp,
+            source: 'REAL_HEDERA_HCS'
+        };
+    }
+
     /**
      * Get REAL HTS token information
      */
@@ -1,29 +1,53 @@
 import { 
     Client, 
     PrivateKey, 
+    PublicKey,
     AccountId, 
     Hbar,
     AccountBalanceQuery,
     TokenCreateTransaction,
     TokenMintTransaction,
     TokenBurnTransaction,
+    TokenWipeTransaction,
+    TokenAssociateTransaction,
     TokenInfoQuery,
     TopicCreateTransaction,
+    TopicUpdateTransaction,
+    TopicDeleteTransaction,
+    TopicInfoQuery,
     TopicMessageSubmitTransaction,
     TopicMessageQuery,
     FileCreateTransaction,
     FileAppendTransaction,
     FileContentsQuery,
     TransferTransaction,
+    TransactionId,
+    TransactionReceiptQuery,
     TokenId,
     TopicId,
     FileId
 } from '@hashgraph/sdk';
 import { EventEmitter } from 'events';
+import axios from 'axios';
 import dotenv from 'dotenv';
+import HcsMessageChain, { chainableBody } from './hcsMessageChain.js';
+import { splitMessage, DEFAULT_CHUNKING } from './hcsChunking.js';
+import HederaSimulator from './hederaSimulator.js';
+import { signEnvelope } from './hcsSignatures.js';
+import { encryptFields, DEFAULT_FIELD_ENCRYPTION } from './hcsEncryption.js';
+import { DEFAULT_SIGNING_KEY } from './keyManager.js';
 
 dotenv.config();
 
+/**
+ * Version of the HCS decision message envelope. Bump when the envelope shape changes
+ * so mirror-node readers can tell old and new messages apart.
+ */
+export const DECISION_ENVELOPE_VERSION = '1.0';
+
+// Network limit on transaction memos
+const MAX_MEMO_BYTES = 100;
+
 /**
  * Enhanced Hedera Service with comprehensive blockchain integration
  */
@@ -36,18 +60,39 @@ class HederaService extends EventEmitter {
             operatorId: config.operatorId || process.env.HEDERA_ACCOUNT_ID,
             operatorKey: config.operatorKey || process.env.HEDERA_PRIVATE_KEY,
             mirrorNodeUrl: config.mirrorNodeUrl || process.env.HEDERA_MIRROR_NODE_URL || 'https://testnet.mirrornode.hedera.com',
+            hcsTopicId: config.hcsTopicId || process.env.HCS_TOPIC_ID || process.env.HEDERA_HCS_TOPIC_ID,
             maxRetries: config.maxRetries || 3,
             retryDelay: config.retryDelay || 1000,
             cacheTimeout: config.cacheTimeout || 300000, // 5 minutes
             batchSize: config.batchSize || 10,
-            ...config
+            simulate: config.simulate ?? process.env.HEDERA_SIMULATOR === 'true',
+            ...config,
+            signingKey: config.signingKey || process.env.HCS_SIGNING_KEY || DEFAULT_SIGNING_KEY,
+            chunking: { ...DEFAULT_CHUNKING, ...config.chunking },
+            fieldEncryption: { ...DEFAULT_FIELD_ENCRYPTION, ...config.fieldEncryption }
         };
         
         this.client = null;
+        // In-process network used instead of the client when simulating (see hederaSimulator.js)
+        this.simulator = config.simulator || null;
         this.isConnected = false;
         this.cache = new Map();
         this.subscriptions = new Map();
         
+        // Hash chain across the JSON messages of each topic
+        this.messageChain = config.messageChain || new HcsMessageChain({ config: config.chain });
+        
+        // Per-service HBAR spend and daily budgets (see hederaFeeLedger.js)
+        this.feeLedger = config.feeLedger || null;
+        
+        // Signs JSON messages with the agent signing key (a KeyManager; see hcsSignatures.js)
+        this.signer = config.signer || null;
+        // Holds the reader keys confidential decision fields are encrypted for (a KeyManager; see hcsEncryption.js)
+        this.keyring = config.keyring || null;
+        // Holds the private halves of topic keys the agent generated (a KeyManager)
+        this.keyStore = config.keyStore || null;
+        this.topicKeys = new Map(); // key store name -> PrivateKey
+        
         // Metrics tracking
         this.metrics = {
             totalTransactions: 0,
@@ -66,19 +111,28 @@ class HederaService extends EventEmitter {
         try {
             console.log('🔗 Initializing Hedera Service...');
             
-            if (!this.config.operatorId || !this.config.operatorKey) {
-                console.warn('⚠️ Missing Hedera credentials - running in mock mode');
+            // The simulator is opt-in: missing credentials must not quietly turn real writes into simulated ones
+            if (this.simulator || this.config.simulate) {
+                this.simulator = this.simulator || new HederaSimulator({
+                    config: this.config.operatorId ? { operatorId: this.config.operatorId } : {}
+                });
                 this.isConnected = true;
                 this.mockMode = true;
+                const balance = await this.getAccountBalance();
                 this.emit('connected', { 
-                    network: this.config.network,
-                    operatorId: 'mock',
-                    balance: '0 ℏ',
-                    mockMode: true
+                    network: this.simulator.config.network,
+                    operatorId: balance.accountId,
+                    balance: balance.hbars,
+                    mockMode: true,
+                    simulated: true
                 });
                 return true;
             }
 
+            if (!this.config.operatorId || !this.config.operatorKey) {
+                throw new Error('Missing Hedera credentials: set HEDERA_ACCOUNT_ID and HEDERA_PRIVATE_KEY, or HEDERA_SIMULATOR=true to use the in-process simulator');
+            }
+
             // Create client based on network
             if (this.config.network === 'mainnet') {
                 this.client = Client.forMainnet();
@@ -121,8 +175,10 @@ class HederaService extends EventEmitter {
     getStatus() {
         return {
             isConnected: this.isConnected,
-            network: this.config.network,
-            operatorId: this.config.operatorId,
+            network: this.simulator ? this.simulator.config.network : this.config.network,
+            operatorId: this.simulator ? this.simulator.config.operatorId : this.config.operatorId,
+            simulated: Boolean(this.simulator),
+            signed: Boolean(this.signer),
             services: {
                 hcs: this.isConnected,
                 hts: this.isConnected,
@@ -151,6 +207,11 @@ class HederaService extends EventEmitter {
      * Get account balance
      */
     async getAccountBalance(accountId = null) {
+        if (this.simulator) {
+            const balance = this.simulator.getAccountBalance(accountId || this.simulator.config.operatorId);
+            return { ...balance, hbars: Hbar.fromTinybars(balance.hbars.toString()).toString() };
+        }
+
         try {
             const targetAccountId = accountId || this.config.operatorId;
             const balanceQuery = new AccountBalanceQuery()
@@ -210,6 +271,7 @@ class HederaService extends EventEmitter {
             this.isConnected = false;
             this.cache.clear();
             this.subscriptions.clear();
+            await this.messageChain.persisting;
             
             console.log('✅ Hedera Service shutdown complete');
         } catch (error) {
@@ -225,7 +287,17 @@ class HederaService extends EventEmitter {
     /**
      * Create a new HTS token
      */
-    async createHTSToken(tokenConfig) {
+    async createHTSToken(tokenConfig, options = {}) {
+        await this.checkFeeBudget(options);
+        if (this.simulator) {
+            return this.simulated(() => this.simulator.createToken({
+                name: tokenConfig.name || 'AION Token',
+                symbol: tokenConfig.symbol || 'AION',
+                decimals: tokenConfig.decimals || 18,
+                initialSupply: tokenConfig.initialSupply || 0
+            }), 'TokenCreate', options);
+        }
+
         try {
             const startTime = Date.now();
             
@@ -238,10 +310,13 @@ class HederaService extends EventEmitter {
                 .setTreasuryAccountId(AccountId.fromString(this.config.operatorId))
                 .setAdminKey(this.client.operatorPublicKey)
                 .setSupplyKey(this.client.operatorPublicKey)
+                // Lets the agent take tokens back out of holder accounts without their signature
+                .setWipeKey(this.client.operatorPublicKey)
                 .setMaxTransactionFee(new Hbar(30));
 
             const response = await tokenCreateTx.execute(this.client);
             const receipt = await response.getReceipt(this.client);
+            const transactionFee = await this.recordNetworkFee('TokenCreate', response, options);
             
             this.metrics.totalTransactions++;
             this.metrics.successfulTransactions++;
@@ -253,6 +328,7 @@ class HederaService extends EventEmitter {
                 success: true,
                 tokenId: receipt.tokenId.toString(),
                 transactionId: response.transactionId.toString(),
+                transactionFee,
                 receipt: receipt
             };
         } catch (error) {
@@ -265,18 +341,33 @@ class HederaService extends EventEmitter {
 
     /**
      * Mint HTS tokens
+     * @param {string|object} metadata - Transaction memo; objects are sent as JSON (at most 100 bytes)
+     * @param {object} options - { service } the fee is attributed to; { onSubmit } see reserveTransactionId
      */
-    async mintHTSTokens(tokenId, amount, metadata = {}) {
+    async mintHTSTokens(tokenId, amount, metadata = {}, options = {}) {
+        await this.checkFeeBudget(options);
+        const memo = transactionMemo(metadata);
+        const transactionId = await this.reserveTransactionId(options);
+        if (this.simulator) {
+            return this.simulated(() => {
+                const result = this.simulator.mintTokens(tokenId, amount, { memo, transactionId });
+                return { ...result, newTotalSupply: result.newTotalSupply.toString() };
+            }, 'TokenMint', options);
+        }
+
         try {
             const startTime = Date.now();
             
             const mintTx = new TokenMintTransaction()
+                .setTransactionId(TransactionId.fromString(transactionId))
+                .setTransactionMemo(memo)
                 .setTokenId(TokenId.fromString(tokenId))
-                .setAmount(amount)
+                .setAmount(BigInt(amount))
                 .setMaxTransactionFee(new Hbar(20));
 
             const response = await mintTx.execute(this.client);
             const receipt = await response.getReceipt(this.client);
+            const transactionFee = await this.recordNetworkFee('TokenMint', response, options);
             
             this.metrics.totalTransactions++;
             this.metrics.successfulTransactions++;
@@ -288,6 +379,7 @@ class HederaService extends EventEmitter {
                 success: true,
                 newTotalSupply: receipt.totalSupply.toString(),
                 transactionId: response.transactionId.toString(),
+                transactionFee,
                 receipt: receipt
             };
         } catch (error) {
@@ -299,19 +391,34 @@ class HederaService extends EventEmitter {
     }
 
     /**
-     * Burn HTS tokens
+     * Burn HTS tokens from the treasury
+     * @param {string|object} metadata - Transaction memo; objects are sent as JSON (at most 100 bytes)
+     * @param {object} options - { service } the fee is attributed to; { onSubmit } see reserveTransactionId
      */
-    async burnHTSTokens(tokenId, amount, serialNumbers = []) {
+    async burnHTSTokens(tokenId, amount, metadata = {}, options = {}) {
+        await this.checkFeeBudget(options);
+        const memo = transactionMemo(metadata);
+        const transactionId = await this.reserveTransactionId(options);
+        if (this.simulator) {
+            return this.simulated(() => {
+                const result = this.simulator.burnTokens(tokenId, amount, { memo, transactionId });
+                return { ...result, newTotalSupply: result.newTotalSupply.toString() };
+            }, 'TokenBurn', options);
+        }
+
         try {
             const startTime = Date.now();
             
             const burnTx = new TokenBurnTransaction()
+                .setTransactionId(TransactionId.fromString(transactionId))
+                .setTransactionMemo(memo)
                 .setTokenId(TokenId.fromString(tokenId))
-                .setAmount(amount)
+                .setAmount(BigInt(amount))
                 .setMaxTransactionFee(new Hbar(20));
 
             const response = await burnTx.execute(this.client);
             const receipt = await response.getReceipt(this.client);
+            const transactionFee = await this.recordNetworkFee('TokenBurn', response, options);
             
             this.metrics.totalTransactions++;
             this.metrics.successfulTransactions++;
@@ -323,6 +430,7 @@ class HederaService extends EventEmitter {
                 success: true,
                 newTotalSupply: receipt.totalSupply.toString(),
                 transactionId: response.transactionId.toString(),
+                transactionFee,
                 receipt: receipt
             };
         } catch (error) {
@@ -334,27 +442,92 @@ class HederaService extends EventEmitter {
     }
 
     /**
-     * Transfer HTS tokens
+     * Wipe HTS tokens from a holder account, reducing the total supply. Signed with the token's
+     * wipe key, which the operator holds for tokens created here; the holder does not sign.
+     * @param {string|object} metadata - Transaction memo; objects are sent as JSON (at most 100 bytes)
+     * @param {object} options - { service } the fee is attributed to; { onSubmit } see reserveTransactionId
      */
-    async transferHTSTokens(tokenId, fromAccountId, toAccountId, amount, metadata = {}) {
+    async wipeHTSTokens(tokenId, accountId, amount, metadata = {}, options = {}) {
+        await this.checkFeeBudget(options);
+        const memo = transactionMemo(metadata);
+        const transactionId = await this.reserveTransactionId(options);
+        if (this.simulator) {
+            return this.simulated(() => {
+                const result = this.simulator.wipeTokens(tokenId, accountId, amount, { memo, transactionId });
+                return { ...result, newTotalSupply: result.newTotalSupply.toString() };
+            }, 'TokenWipe', options);
+        }
+
         try {
             const startTime = Date.now();
+
+            const wipeTx = new TokenWipeTransaction()
+                .setTransactionId(TransactionId.fromString(transactionId))
+                .setTransactionMemo(memo)
+                .setTokenId(TokenId.fromString(tokenId))
+                .setAccountId(AccountId.fromString(accountId))
+                .setAmount(BigInt(amount))
+                .setMaxTransactionFee(new Hbar(20));
+
+            const response = await wipeTx.execute(this.client);
+            const receipt = await response.getReceipt(this.client);
+            const transactionFee = await this.recordNetworkFee('TokenWipe', response, options);
+
+            this.metrics.totalTransactions++;
+            this.metrics.successfulTransactions++;
+            this.updateMetrics(Date.now() - startTime);
+
+            return {
+                success: true,
+                newTotalSupply: receipt.totalSupply.toString(),
+                transactionId: response.transactionId.toString(),
+                transactionFee,
+                receipt: receipt
+            };
+        } catch (error) {
+            console.error('❌ Failed to wipe HTS tokens:', error);
+            this.metrics.totalTransactions++;
+            this.metrics.failedTransactions++;
+            throw error;
+        }
+    }
+
+    /**
+     * Transfer HTS tokens. Debiting an account other than the operator needs that account's
+     * signature, so the operator can only send from accounts it controls.
+     * @param {string|object} metadata - Transaction memo; objects are sent as JSON (at most 100 bytes)
+     * @param {object} options - { service } the fee is attributed to; { onSubmit } see reserveTransactionId
+     */
+    async transferHTSTokens(tokenId, fromAccountId, toAccountId, amount, metadata = {}, options = {}) {
+        await this.checkFeeBudget(options);
+        const memo = transactionMemo(metadata);
+        const transactionId = await this.reserveTransactionId(options);
+        if (this.simulator) {
+            return this.simulated(() => this.simulator.transferTokens(tokenId, fromAccountId, toAccountId, amount, { memo, transactionId }), 'CryptoTransfer', options);
+        }
+
+        try {
+            const startTime = Date.now();
+            const value = BigInt(amount);
             
             const transferTx = new TransferTransaction()
+                .setTransactionId(TransactionId.fromString(transactionId))
+                .setTransactionMemo(memo)
                 .addTokenTransfer(
                     TokenId.fromString(tokenId),
                     AccountId.fromString(fromAccountId),
-                    -amount
+                    -value
                 )
                 .addTokenTransfer(
                     TokenId.fromString(tokenId),
                     AccountId.fromString(toAccountId),
-                    amount
+                    value
                 )
                 .setMaxTransactionFee(new Hbar(20));
 
             const response = await transferTx.execute(this.client);
             const receipt = await response.getReceipt(this.client);
+            const transactionFee = await this.recordNetworkFee('CryptoTransfer', response, options);
             
             this.metrics.totalTransactions++;
             this.metrics.successfulTransactions++;
@@ -365,6 +538,7 @@ class HederaService extends EventEmitter {
             return {
                 success: true,
                 transactionId: response.transactionId.toString(),
+                transactionFee,
                 receipt: receipt
             };
         } catch (error) {
@@ -376,22 +550,28 @@ class HederaService extends EventEmitter {
     }
 
     /**
-     * Associate HTS token with account
+     * Associate an account with an HTS token. The account has to sign, so accounts other than the
+     * operator need their private key in options.accountKey; user accounts usually associate themselves.
+     * @param {object} options - { accountKey } PrivateKey of the account; { service } the fee is attributed to
      */
-    async associateHTSToken(accountId, tokenId) {
+    async associateHTSToken(accountId, tokenId, options = {}) {
+        await this.checkFeeBudget(options);
+        const accountKey = options.accountKey ? toPrivateKey(options.accountKey) : null;
+        if (this.simulator) {
+            return this.simulated(() => this.simulator.associateToken(accountId, tokenId, { signers: publicKeysOf([accountKey]) }), 'TokenAssociate', options);
+        }
+
         try {
             const startTime = Date.now();
             
-            const associateTx = await new TransferTransaction()
-                .addTokenTransfer(
-                    TokenId.fromString(tokenId),
-                    AccountId.fromString(accountId),
-                    0
-                )
-                .setMaxTransactionFee(new Hbar(20))
-                .execute(this.client);
-            
-            const receipt = await associateTx.getReceipt(this.client);
+            const associateTx = new TokenAssociateTransaction()
+                .setAccountId(AccountId.fromString(accountId))
+                .setTokenIds([TokenId.fromString(tokenId)])
+                .setMaxTransactionFee(new Hbar(20));
+
+            const response = await (await this.signTransaction(associateTx, [accountKey])).execute(this.client);
+            const receipt = await response.getReceipt(this.client);
+            const transactionFee = await this.recordNetworkFee('TokenAssociate', response, options);
             
             this.metrics.totalTransactions++;
             this.metrics.successfulTransactions++;
@@ -401,7 +581,8 @@ class HederaService extends EventEmitter {
             
             return {
                 success: true,
-                transactionId: associateTx.transactionId.toString(),
+                transactionId: response.transactionId.toString(),
+                transactionFee,
                 receipt: receipt
             };
         } catch (error) {
@@ -412,10 +593,89 @@ class HederaService extends EventEmitter {
         }
     }
 
+    /**
+     * Whether an account is associated with a token, according to the mirror node
+     */
+    async isTokenAssociated(accountId, tokenId) {
+        const query = { 'token.id': tokenId };
+        const { tokens } = this.simulator
+            ? this.simulator.mirrorAccountTokens(accountId, query)
+            : (await axios.get(`${this.config.mirrorNodeUrl}/api/v1/accounts/${accountId}/tokens`, { params: query, timeout: 15000 })).data;
+        return (tokens || []).some((relationship) => relationship.token_id === tokenId);
+    }
+
+    /**
+     * Pick a transaction's ID before it is sent and hand it to options.onSubmit, so the caller can
+     * record it first. If the outcome is lost (a crash, a receipt timeout), getTransactionStatus
+     * tells whether the transaction went through, instead of sending it a second time.
+     * @returns {Promise<string>} Transaction ID in the `0.0.x@seconds.nanos` form
+     */
+    async reserveTransactionId(options = {}) {
+        const transactionId = this.simulator
+            ? this.simulator.transactionId()
+            : TransactionId.generate(this.client.operatorAccountId).toString();
+        if (options.onSubmit) {
+            await options.onSubmit(transactionId);
+        }
+        return transactionId;
+    }
+
+    /**
+     * Outcome of a transaction by ID: 'SUCCESS', the status it failed with, or 'UNKNOWN' when
+     * neither the network nor the mirror node knows of it (not reached consensus, or never sent).
+     * Receipts are kept for about three minutes; older transactions are looked up on the mirror node.
+     */
+    async getTransactionStatus(transactionId) {
+        if (this.simulator) {
+            return this.simulator.getTransactionReceipt(transactionId)?.status || 'UNKNOWN';
+        }
+
+        try {
+            const receipt = await new TransactionReceiptQuery()
+                .setTransactionId(TransactionId.fromString(transactionId))
+                .setValidateStatus(false)
+                .execute(this.client);
+            const status = receipt.status.toString();
+            if (status !== 'UNKNOWN') {
+                return status;
+            }
+        } catch (error) {
+            console.warn(`⚠️ No receipt for ${transactionId}, asking the mirror node: ${error.message}`);
+        }
+
+        try {
+            const { data } = await axios.get(
+                `${this.config.mirrorNodeUrl}/api/v1/transactions/${mirrorTransactionId(transactionId)}`,
+                { timeout: 15000 }
+            );
+            return data.transactions?.[0]?.result || 'UNKNOWN';
+        } catch (error) {
+            if (error.response?.status === 404) {
+                return 'UNKNOWN';
+            }
+            throw error;
+        }
+    }
+
     /**
      * Get token information
      */
     async getTokenInfo(tokenId) {
+        if (this.simulator) {
+            const tokenInfo = this.simulator.getTokenInfo(tokenId);
+            return {
+                tokenId: tokenInfo.tokenId,
+                name: tokenInfo.name,
+                symbol: tokenInfo.symbol,
+                decimals: tokenInfo.decimals,
+                totalSupply: tokenInfo.totalSupply.toString(),
+                treasury: tokenInfo.treasuryAccountId,
+                adminKey: null,
+                supplyKey: null,
+                wipeKey: tokenInfo.wipeKey
+            };
+        }
+
         try {
             const query = new TokenInfoQuery()
                 .setTokenId(TokenId.fromString(tokenId));
@@ -430,7 +690,8 @@ class HederaService extends EventEmitter {
                 totalSupply: tokenInfo.totalSupply.toString(),
                 treasury: tokenInfo.treasuryAccountId.toString(),
                 adminKey: tokenInfo.adminKey ? tokenInfo.adminKey.toString() : null,
-                supplyKey: tokenInfo.supplyKey ? tokenInfo.supplyKey.toString() : null
+                supplyKey: tokenInfo.supplyKey ? tokenInfo.supplyKey.toString() : null,
+                wipeKey: tokenInfo.wipeKey ? tokenInfo.wipeKey.toString() : null
             };
         } catch (error) {
             console.error('❌ Failed to get token info:', error);
@@ -443,59 +704,337 @@ class HederaService extends EventEmitter {
      */
 
     /**
-     * Create HCS topic
+     * Create an HCS topic. Keys default to the operator key; see resolveTopicKey for the others.
+     * @param {string} memo - Topic memo
+     * @param {object} options - { adminKey, submitKey } key specs; { service } the fee is attributed to
      */
-    async createHCSTopic(memo = '') {
-        try {
-            const startTime = Date.now();
-            
-            const topicCreateTx = new TopicCreateTransaction()
-                .setTopicMemo(memo || 'AION AI Decision Logging')
-                .setAdminKey(this.client.operatorPublicKey)
-                .setSubmitKey(this.client.operatorPublicKey)
-                .setMaxTransactionFee(new Hbar(10));
+    async createHCSTopic(memo = '', options = {}) {
+        await this.checkFeeBudget(options);
+        const adminKey = await this.resolveTopicKey(options.adminKey);
+        const submitKey = await this.resolveTopicKey(options.submitKey);
+        const topicMemo = memo || 'AION AI Decision Logging';
 
-            const response = await topicCreateTx.execute(this.client);
-            const receipt = await response.getReceipt(this.client);
-            
-            this.metrics.totalTransactions++;
-            this.metrics.successfulTransactions++;
-            
-            const duration = Date.now() - startTime;
-            this.updateMetrics(duration);
-            
-            return {
-                success: true,
-                topicId: receipt.topicId.toString(),
-                transactionId: response.transactionId.toString(),
-                receipt: receipt
+        let result;
+        if (this.simulator) {
+            result = await this.simulated(() => this.simulator.createTopic(
+                { memo: topicMemo, adminKey: adminKey.publicKey, submitKey: submitKey.publicKey },
+                publicKeysOf([adminKey.privateKey])
+            ), 'ConsensusCreateTopic', options);
+        } else {
+            try {
+                const startTime = Date.now();
+                
+                const topicCreateTx = new TopicCreateTransaction()
+                    .setTopicMemo(topicMemo)
+                    .setMaxTransactionFee(new Hbar(10));
+                if (adminKey.publicKey) topicCreateTx.setAdminKey(PublicKey.fromString(adminKey.publicKey));
+                if (submitKey.publicKey) topicCreateTx.setSubmitKey(PublicKey.fromString(submitKey.publicKey));
+
+                const response = await (await this.signTransaction(topicCreateTx, [adminKey.privateKey])).execute(this.client);
+                const receipt = await response.getReceipt(this.client);
+                const transactionFee = await this.recordNetworkFee('ConsensusCreateTopic', response, options);
+                
+                this.metrics.totalTransactions++;
+                this.metrics.successfulTransactions++;
+                
+                const duration = Date.now() - startTime;
+                this.updateMetrics(duration);
+                
+                result = {
+                    success: true,
+                    topicId: receipt.topicId.toString(),
+                    transactionId: response.transactionId.toString(),
+                    transactionFee,
+                    receipt: receipt
+                };
+            } catch (error) {
+                console.error('❌ Failed to create HCS topic:', error);
+                this.metrics.totalTransactions++;
+                this.metrics.failedTransactions++;
+                throw error;
+            }
+        }
+
+        // Generated keys are only stored once the topic they belong to exists
+        await this.storeTopicKey(result.topicId, 'admin', adminKey.privateKey);
+        await this.storeTopicKey(result.topicId, 'submit', submitKey.privateKey);
+        return { ...result, adminKey: adminKey.publicKey, submitKey: submitKey.publicKey };
+    }
+
+    /**
+     * Change a topic's memo, admin key or submit key. Signed with whatever admin keys the
+     * agent holds; replacing the admin key also needs the new key's signature.
+     * @param {string} topicId - Topic to update
+     * @param {object} changes - { memo, adminKey, submitKey }; undefined fields are left as they are
+     * @param {object} options - { service } the fee is attributed to
+     */
+    async updateHCSTopic(topicId, changes = {}, options = {}) {
+        await this.checkFeeBudget(options);
+        const id = topicId.toString();
+        const adminKey = changes.adminKey === undefined ? null : await this.resolveTopicKey(changes.adminKey);
+        const submitKey = changes.submitKey === undefined ? null : await this.resolveTopicKey(changes.submitKey);
+        const signers = [await this.heldTopicKey(id, 'admin'), adminKey?.privateKey];
+
+        let result;
+        if (this.simulator) {
+            result = await this.simulated(() => this.simulator.updateTopic(id, {
+                memo: changes.memo,
+                adminKey: adminKey?.publicKey,
+                submitKey: submitKey?.publicKey
+            }, publicKeysOf(signers)), 'ConsensusUpdateTopic', options);
+        } else {
+            try {
+                const startTime = Date.now();
+
+                const topicUpdateTx = new TopicUpdateTransaction()
+                    .setTopicId(TopicId.fromString(id))
+                    .setMaxTransactionFee(new Hbar(10));
+                if (changes.memo !== undefined) topicUpdateTx.setTopicMemo(changes.memo);
+                if (adminKey) {
+                    if (adminKey.publicKey) topicUpdateTx.setAdminKey(PublicKey.fromString(adminKey.publicKey));
+                    else topicUpdateTx.clearAdminKey();
+                }
+                if (submitKey) {
+                    if (submitKey.publicKey) topicUpdateTx.setSubmitKey(PublicKey.fromString(submitKey.publicKey));
+                    else topicUpdateTx.clearSubmitKey();
+                }
+
+                const response = await (await this.signTransaction(topicUpdateTx, signers)).execute(this.client);
+                await response.getReceipt(this.client);
+                const transactionFee = await this.recordNetworkFee('ConsensusUpdateTopic', response, options);
+
+                this.metrics.totalTransactions++;
+                this.metrics.successfulTransactions++;
+                this.updateMetrics(Date.now() - startTime);
+
+                result = { success: true, transactionId: response.transactionId.toString(), transactionFee };
+            } catch (error) {
+                console.error('❌ Failed to update HCS topic:', error);
+                this.metrics.totalTransactions++;
+                this.metrics.failedTransactions++;
+                throw error;
+            }
+        }
+
+        if (adminKey) await this.replaceTopicKey(id, 'admin', adminKey.privateKey);
+        if (submitKey) await this.replaceTopicKey(id, 'submit', submitKey.privateKey);
+        return {
+            ...result,
+            topicId: id,
+            ...(adminKey && { adminKey: adminKey.publicKey }),
+            ...(submitKey && { submitKey: submitKey.publicKey })
+        };
+    }
+
+    /**
+     * Replace a topic's submit key with a newly generated key held by the agent
+     */
+    async rotateTopicSubmitKey(topicId, options = {}) {
+        const result = await this.updateHCSTopic(topicId, { submitKey: 'generate' }, options);
+        console.log(`🔑 Submit key of topic ${result.topicId} rotated`);
+        return result;
+    }
+
+    /**
+     * Delete a topic. Needs its admin key; topics created without one cannot be deleted.
+     */
+    async deleteHCSTopic(topicId, options = {}) {
+        await this.checkFeeBudget(options);
+        const id = topicId.toString();
+        const signers = [await this.heldTopicKey(id, 'admin')];
+
+        let result;
+        if (this.simulator) {
+            result = await this.simulated(() => this.simulator.deleteTopic(id, publicKeysOf(signers)), 'ConsensusDeleteTopic', options);
+        } else {
+            try {
+                const startTime = Date.now();
+
+                const topicDeleteTx = new TopicDeleteTransaction()
+                    .setTopicId(TopicId.fromString(id))
+                    .setMaxTransactionFee(new Hbar(10));
+
+                const response = await (await this.signTransaction(topicDeleteTx, signers)).execute(this.client);
+                await response.getReceipt(this.client);
+                const transactionFee = await this.recordNetworkFee('ConsensusDeleteTopic', response, options);
+
+                this.metrics.totalTransactions++;
+                this.metrics.successfulTransactions++;
+                this.updateMetrics(Date.now() - startTime);
+
+                result = { success: true, transactionId: response.transactionId.toString(), transactionFee };
+            } catch (error) {
+                console.error('❌ Failed to delete HCS topic:', error);
+                this.metrics.totalTransactions++;
+                this.metrics.failedTransactions++;
+                throw error;
+            }
+        }
+
+        await this.replaceTopicKey(id, 'admin', null);
+        await this.replaceTopicKey(id, 'submit', null);
+        return { ...result, topicId: id };
+    }
+
+    /**
+     * Topic memo, keys and sequence number, with who holds each key
+     * @returns {Promise<object>} { topicId, memo, sequenceNumber, runningHash, adminKey, submitKey, keyHolders: { admin, submit } }
+     */
+    async getHCSTopicInfo(topicId) {
+        const id = topicId.toString();
+        let info;
+        if (this.simulator) {
+            const topic = this.simulator.getTopicInfo(id);
+            info = {
+                topicId: id,
+                memo: topic.memo,
+                sequenceNumber: String(topic.sequenceNumber),
+                runningHash: topic.runningHash,
+                adminKey: topic.adminKey,
+                submitKey: topic.submitKey,
+                expirationTime: null
             };
-        } catch (error) {
-            console.error('❌ Failed to create HCS topic:', error);
-            this.metrics.totalTransactions++;
-            this.metrics.failedTransactions++;
-            throw error;
+        } else {
+            const topic = await new TopicInfoQuery()
+                .setTopicId(TopicId.fromString(id))
+                .execute(this.client);
+            info = {
+                topicId: id,
+                memo: topic.topicMemo,
+                sequenceNumber: topic.sequenceNumber.toString(),
+                runningHash: Buffer.from(topic.runningHash).toString('hex'),
+                adminKey: topic.adminKey ? topic.adminKey.toString() : null,
+                submitKey: topic.submitKey ? topic.submitKey.toString() : null,
+                expirationTime: topic.expirationTime ? topic.expirationTime.toDate().toISOString() : null
+            };
+        }
+
+        return {
+            ...info,
+            keyHolders: {
+                admin: await this.topicKeyHolder(id, 'admin', info.adminKey),
+                submit: await this.topicKeyHolder(id, 'submit', info.submitKey)
+            }
+        };
+    }
+
+    /**
+     * Submit message to HCS. JSON object messages are signed when a signer is configured (unless
+     * options.sign is false) and linked into the topic's hash chain unless chaining is disabled
+     * or options.chain is false.
+     * @param {string} topicId - Target topic
+     * @param {string|object} message - Message payload
+     * @param {object} options - { includeRecord } returns the consensus timestamp;
+     * { service, decisionId } the fees are attributed to, the decision defaulting to the message's
+     */
+    async submitToHCS(topicId, message, options = {}) {
+        const body = chainableBody(message);
+        if (body && !options.decisionId) {
+            const decisionId = body.decisionId || body.data?.decisionId;
+            options = decisionId ? { ...options, decisionId } : options;
+        }
+        const seal = body && this.signer && options.sign !== false
+            ? (content) => signEnvelope(content, this.signer, this.config.signingKey)
+            : null;
+
+        if (!body || !this.messageChain.config.enabled || options.chain === false) {
+            return this.sendToHCS(topicId, seal ? await seal(body) : message, options);
+        }
+
+        const { result, chain } = await this.messageChain.append(
+            topicId.toString(),
+            body,
+            (messageString) => this.sendToHCS(topicId, messageString, options),
+            { seal }
+        );
+        return { ...result, chain };
+    }
+
+    /**
+     * Send a message to HCS as-is. Messages over the HCS size limit go out as consecutive chunk
+     * messages (see hcsChunking.js); the result then describes the first chunk, which is where
+     * mirror node readers place the reassembled message.
+     */
+    async sendToHCS(topicId, message, options = {}) {
+        const messageString = typeof message === 'string'
+            ? message
+            : JSON.stringify(message);
+
+        const chunks = splitMessage(messageString, this.config.chunking);
+        if (chunks.length === 1) {
+            return this.sendMessageToHCS(topicId, messageString, options);
+        }
+
+        const results = [];
+        for (const [index, chunk] of chunks.entries()) {
+            const { service, decisionId } = options;
+            try {
+                results.push(await this.sendMessageToHCS(topicId, chunk, index === 0 ? options : { service, decisionId }));
+            } catch (error) {
+                // Earlier chunks are already on the topic
+                if (index > 0 && !error.submittedTransactionId) {
+                    error.submittedTransactionId = results[0].transactionId;
+                }
+                throw error;
+            }
         }
+
+        return {
+            ...results[0],
+            chunks: {
+                total: chunks.length,
+                sequenceNumbers: results.map(result => result.sequenceNumber),
+                transactionIds: results.map(result => result.transactionId)
+            }
+        };
     }
 
     /**
-     * Submit message to HCS
+     * Submit a single HCS message
      */
-    async submitToHCS(topicId, message) {
+    async sendMessageToHCS(topicId, messageString, options = {}) {
+        await this.checkFeeBudget(options);
+        // Topics whose submit key the agent generated need that key's signature
+        const submitKey = await this.heldTopicKey(topicId.toString(), 'submit');
+        if (this.simulator) {
+            return this.simulated(() => {
+                const result = this.simulator.submitMessage(topicId.toString(), messageString, undefined, publicKeysOf([submitKey]));
+                return {
+                    transactionId: result.transactionId,
+                    transactionFee: result.transactionFee,
+                    sequenceNumber: String(result.sequenceNumber),
+                    consensusTimestamp: result.consensusTimestamp
+                };
+            }, 'ConsensusSubmitMessage', options);
+        }
+
         try {
             const startTime = Date.now();
             
-            const messageString = typeof message === 'string' 
-                ? message 
-                : JSON.stringify(message);
-            
             const topicMessageTx = new TopicMessageSubmitTransaction()
                 .setTopicId(TopicId.fromString(topicId))
                 .setMessage(messageString)
                 .setMaxTransactionFee(new Hbar(10));
 
-            const response = await topicMessageTx.execute(this.client);
-            const receipt = await response.getReceipt(this.client);
+            const response = await (await this.signTransaction(topicMessageTx, [submitKey])).execute(this.client);
+            let receipt;
+            try {
+                receipt = await response.getReceipt(this.client);
+            } catch (error) {
+                // The message may have reached consensus anyway, so it must not be sent again blindly
+                error.submittedTransactionId = response.transactionId.toString();
+                throw error;
+            }
+
+            // The record carries the fee, and the consensus timestamp for includeRecord. The message
+            // is already on the topic, so failing to read it must not fail the submission.
+            let record = null;
+            try {
+                record = await response.getRecord(this.client);
+            } catch (error) {
+                console.warn(`⚠️ Could not read the record of HCS message ${response.transactionId}: ${error.message}`);
+            }
+            const transactionFee = record ? await this.recordNetworkFee('ConsensusSubmitMessage', response, options, record) : null;
             
             this.metrics.totalTransactions++;
             this.metrics.successfulTransactions++;
@@ -506,7 +1045,9 @@ class HederaService extends EventEmitter {
             return {
                 success: true,
                 transactionId: response.transactionId.toString(),
+                transactionFee,
                 sequenceNumber: receipt.topicSequenceNumber?.toString() || receipt.sequenceNumber?.toString(),
+                consensusTimestamp: options.includeRecord && record ? record.consensusTimestamp.toString() : null,
                 receipt: receipt
             };
         } catch (error) {
@@ -519,13 +1060,14 @@ class HederaService extends EventEmitter {
 
     /**
      * Submit batch messages to HCS
+     * @param {object} options - Passed to submitToHCS for every message
      */
-    async submitBatchToHCS(topicId, messages) {
+    async submitBatchToHCS(topicId, messages, options = {}) {
         const results = [];
         
         for (const message of messages) {
             try {
-                const result = await this.submitToHCS(topicId, message);
+                const result = await this.submitToHCS(topicId, message, options);
                 results.push({ success: true, message, ...result });
             } catch (error) {
                 results.push({ success: false, message, error: error.message });
@@ -535,6 +1077,117 @@ class HederaService extends EventEmitter {
         return results;
     }
 
+    /**
+     * Wrap decision data in the versioned HCS decision envelope
+     */
+    createDecisionEnvelope(decisionData) {
+        return {
+            schema: 'aion.decision',
+            version: DECISION_ENVELOPE_VERSION,
+            type: decisionData.type || 'ai_decision',
+            decisionId: decisionData.decisionId || null,
+            submittedAt: new Date().toISOString(),
+            payload: decisionData
+        };
+    }
+
+    /**
+     * Throw if a decision cannot be submitted regardless of network conditions
+     */
+    assertDecisionSubmittable(decisionData, topicId) {
+        if (!decisionData || typeof decisionData !== 'object') {
+            throw new Error('Decision data must be an object');
+        }
+        if (!topicId) {
+            throw new Error('No HCS decision topic configured (set HCS_TOPIC_ID)');
+        }
+        if (!this.client && !this.simulator) {
+            throw new Error('Hedera client not initialized');
+        }
+        if (this.config.fieldEncryption.enabled && !(this.keyring?.getReaderKeys().length > 0)) {
+            throw new Error('Decision field encryption is enabled but no reader keys are configured');
+        }
+    }
+
+    /**
+     * Encrypt the envelope's confidential fields for every authorized reader key, when enabled
+     */
+    encryptDecisionEnvelope(envelope) {
+        const { enabled, fields } = this.config.fieldEncryption;
+        return enabled ? encryptFields(envelope, fields, this.keyring.getReaderKeys()) : envelope;
+    }
+
+    /**
+     * Submit a single decision envelope to the configured decision topic
+     * @param {object} options - { service } the fees are attributed to
+     */
+    async submitDecisionToHCS(decisionData, topicId = this.config.hcsTopicId, options = {}) {
+        this.assertDecisionSubmittable(decisionData, topicId);
+
+        const envelope = this.encryptDecisionEnvelope(this.createDecisionEnvelope(decisionData));
+        // Event args from ethers carry BigInt values, which JSON.stringify rejects
+        const message = JSON.stringify(envelope, (key, value) =>
+            typeof value === 'bigint' ? value.toString() : value
+        );
+
+        const result = await this.submitToHCS(topicId, message, { ...options, includeRecord: true });
+
+        return {
+            success: true,
+            topicId: topicId.toString(),
+            sequenceNumber: result.sequenceNumber,
+            consensusTimestamp: result.consensusTimestamp,
+            transactionId: result.transactionId,
+            envelopeVersion: envelope.version,
+            messageSize: Buffer.byteLength(message, 'utf8'),
+            encryptedFields: envelope.encrypted?.fields || null,
+            chunks: result.chunks || null,
+            chain: result.chain || null
+        };
+    }
+
+    /**
+     * Submit a decision to HCS, retrying failed attempts with exponential backoff. Only attempts
+     * that failed before reaching the network are retried: once a transaction has been submitted
+     * (the error carries `submittedTransactionId`) it may reach consensus, and a second copy would
+     * log the decision twice.
+     * @param {object} decisionData - Decision payload
+     * @param {number} retries - Total number of attempts
+     * @param {number} delay - Base backoff delay in ms
+     * @param {object} options - { service } the fees are attributed to
+     */
+    async submitDecisionWithRetry(decisionData, retries = this.config.maxRetries, delay = this.config.retryDelay, options = {}) {
+        // Configuration problems and spent budgets will not fix themselves on retry
+        this.assertDecisionSubmittable(decisionData, this.config.hcsTopicId);
+        await this.checkFeeBudget(options);
+
+        const attempts = Math.max(1, retries);
+        let lastError;
+
+        for (let attempt = 1; attempt <= attempts; attempt++) {
+            try {
+                const result = await this.submitDecisionToHCS(decisionData, this.config.hcsTopicId, options);
+                this.emit('decisionSubmitted', { ...result, attempts: attempt });
+                return { ...result, attempts: attempt };
+            } catch (error) {
+                lastError = error;
+
+                if (error.submittedTransactionId) {
+                    console.warn(`⚠️ HCS decision submit failed after transaction ${error.submittedTransactionId} was sent, not retrying:`, error.message);
+                    break;
+                }
+                if (attempt < attempts) {
+                    const waitTime = delay * Math.pow(2, attempt - 1);
+                    console.warn(`⚠️ HCS decision submit attempt ${attempt} failed, retrying in ${waitTime}ms:`, error.message);
+                    await new Promise(resolve => setTimeout(resolve, waitTime));
+                }
+            }
+        }
+
+        this.emit('decisionSubmitFailed', { decisionId: decisionData.decisionId || null, error: lastError });
+        throw lastError;
+    }
+
     /**
      * ========== HFS (File Service) Operations ==========
      */
@@ -542,7 +1195,12 @@ class HederaService extends EventEmitter {
     /**
      * Create HFS file
      */
-    async createFile(content, memo = '') {
+    async createFile(content, memo = '', options = {}) {
+        await this.checkFeeBudget(options);
+        if (this.simulator) {
+            return this.simulated(() => this.simulator.createFile(content, memo || 'AION File Storage'), 'FileCreate', options);
+        }
+
         try {
             const startTime = Date.now();
             
@@ -553,6 +1211,7 @@ class HederaService extends EventEmitter {
 
             const response = await fileCreateTx.execute(this.client);
             const receipt = await response.getReceipt(this.client);
+            const transactionFee = await this.recordNetworkFee('FileCreate', response, options);
             
             this.metrics.totalTransactions++;
             this.metrics.successfulTransactions++;
@@ -564,6 +1223,7 @@ class HederaService extends EventEmitter {
                 success: true,
                 fileId: receipt.fileId.toString(),
                 transactionId: response.transactionId.toString(),
+                transactionFee,
                 receipt: receipt
             };
         } catch (error) {
@@ -577,7 +1237,12 @@ class HederaService extends EventEmitter {
     /**
      * Append to HFS file
      */
-    async appendFile(fileId, content) {
+    async appendFile(fileId, content, options = {}) {
+        await this.checkFeeBudget(options);
+        if (this.simulator) {
+            return this.simulated(() => this.simulator.appendFile(fileId, content), 'FileAppend', options);
+        }
+
         try {
             const startTime = Date.now();
             
@@ -588,6 +1253,7 @@ class HederaService extends EventEmitter {
 
             const response = await fileAppendTx.execute(this.client);
             const receipt = await response.getReceipt(this.client);
+            const transactionFee = await this.recordNetworkFee('FileAppend', response, options);
             
             this.metrics.totalTransactions++;
             this.metrics.successfulTransactions++;
@@ -598,6 +1264,7 @@ class HederaService extends EventEmitter {
             return {
                 success: true,
                 transactionId: response.transactionId.toString(),
+                transactionFee,
                 receipt: receipt
             };
         } catch (error) {
@@ -612,6 +1279,11 @@ class HederaService extends EventEmitter {
      * Get HFS file contents
      */
     async getFileContents(fileId) {
+        if (this.simulator) {
+            const contents = this.simulator.getFileContents(fileId);
+            return { success: true, fileId, contents: contents.toString('utf8'), length: contents.length };
+        }
+
         try {
             const query = new FileContentsQuery()
                 .setFileId(FileId.fromString(fileId));
@@ -630,6 +1302,163 @@ class HederaService extends EventEmitter {
         }
     }
 
+    /**
+     * Run a transaction against the simulator, tracked in the metrics and fee ledger like a
+     * network transaction
+     */
+    async simulated(transaction, operation, options = {}) {
+        const startTime = Date.now();
+        try {
+            const result = transaction();
+            this.metrics.totalTransactions++;
+            this.metrics.successfulTransactions++;
+            this.updateMetrics(Date.now() - startTime);
+            await this.recordFee(operation, result.transactionId, result.transactionFee || 0, options);
+            return { success: true, ...result, receipt: null };
+        } catch (error) {
+            this.metrics.totalTransactions++;
+            this.metrics.failedTransactions++;
+            throw error;
+        }
+    }
+
+    /**
+     * Turn a topic key spec into a public key, plus the private key when the agent generates it:
+     * undefined or 'operator' is the operator key, null or 'none' no key, 'generate' a new
+     * Ed25519 key held in the key store, anything else a public key string
+     * @returns {Promise<object>} { publicKey (DER hex) | null, privateKey (PrivateKey) | null }
+     */
+    async resolveTopicKey(spec) {
+        if (spec === undefined || spec === 'operator') {
+            return { publicKey: this.operatorPublicKey(), privateKey: null };
+        }
+        if (spec === null || spec === 'none') {
+            return { publicKey: null, privateKey: null };
+        }
+        if (spec === 'generate') {
+            if (!this.keyStore) {
+                throw Object.assign(new Error('No key store configured to hold generated topic keys'), { statusCode: 400 });
+            }
+            const privateKey = PrivateKey.generateED25519();
+            return { publicKey: privateKey.publicKey.toStringDer(), privateKey };
+        }
+        try {
+            return { publicKey: PublicKey.fromString(String(spec)).toStringDer(), privateKey: null };
+        } catch (error) {
+            throw Object.assign(new Error(`Invalid topic key: ${error.message}`), { statusCode: 400 });
+        }
+    }
+
+    operatorPublicKey() {
+        return this.simulator
+            ? this.simulator.accountKey(this.simulator.config.operatorId)
+            : this.client.operatorPublicKey.toStringDer();
+    }
+
+    /**
+     * A topic key the agent generated and holds, or null
+     */
+    async heldTopicKey(topicId, role) {
+        const name = topicKeyName(topicId, role);
+        if (!this.topicKeys.has(name) && this.keyStore?.hasKey(name)) {
+            this.topicKeys.set(name, PrivateKey.fromStringDer(await this.keyStore.getKey(name)));
+        }
+        return this.topicKeys.get(name) || null;
+    }
+
+    async storeTopicKey(topicId, role, privateKey) {
+        if (!privateKey) return;
+        const name = topicKeyName(topicId, role);
+        await this.keyStore.storeKey(name, privateKey.toStringDer(), {
+            type: 'hcs-topic',
+            topicId,
+            role,
+            publicKey: privateKey.publicKey.toStringDer()
+        });
+        this.topicKeys.set(name, privateKey);
+    }
+
+    /**
+     * After a key change, keep the new key when the agent generated it and drop the old one
+     */
+    async replaceTopicKey(topicId, role, privateKey) {
+        const name = topicKeyName(topicId, role);
+        this.topicKeys.delete(name);
+        if (privateKey) {
+            await this.storeTopicKey(topicId, role, privateKey);
+        } else if (this.keyStore?.hasKey(name)) {
+            await this.keyStore.deleteKey(name);
+        }
+    }
+
+    /**
+     * 'operator', 'agent' (a generated key in the key store), 'external' or null for no key
+     */
+    async topicKeyHolder(topicId, role, publicKey) {
+        if (!publicKey) return null;
+        const key = publicKey.toLowerCase();
+        if (key === this.operatorPublicKey().toLowerCase()) return 'operator';
+        const held = await this.heldTopicKey(topicId, role);
+        return held && key === held.publicKey.toStringDer().toLowerCase() ? 'agent' : 'external';
+    }
+
+    /**
+     * Add the signatures of agent-held keys to a transaction; the operator signs on execute
+     */
+    async signTransaction(transaction, privateKeys) {
+        const keys = privateKeys.filter(Boolean);
+        if (keys.length === 0) {
+            return transaction;
+        }
+        transaction.freezeWith(this.client);
+        for (const key of keys) {
+            await transaction.sign(key);
+        }
+        return transaction;
+    }
+
+    /**
+     * Refuse a transaction once the calling service has spent its daily HBAR budget
+     * @param {object} options - { service } the transaction is attributed to
+     */
+    async checkFeeBudget(options = {}) {
+        if (this.feeLedger) {
+            await this.feeLedger.assertWithinBudget(options.service);
+        }
+    }
+
+    /**
+     * Record the fee a network transaction paid, as reported in its record
+     * @returns {Promise<number|null>} Fee in tinybars, or null when the record could not be read
+     */
+    async recordNetworkFee(operation, response, options = {}, record = null) {
+        try {
+            const transactionRecord = record || await response.getRecord(this.client);
+            const fee = Number(transactionRecord.transactionFee.toTinybars().toString());
+            await this.recordFee(operation, response.transactionId.toString(), fee, options);
+            return fee;
+        } catch (error) {
+            console.warn(`⚠️ Could not read the fee of ${operation} ${response.transactionId}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Add a fee (in tinybars) to totalGasUsed (in HBAR) and the fee ledger
+     */
+    async recordFee(operation, transactionId, fee, options = {}) {
+        this.metrics.totalGasUsed = Math.round((this.metrics.totalGasUsed || 0) * 1e8 + fee) / 1e8;
+        if (this.feeLedger) {
+            await this.feeLedger.record({
+                operation,
+                transactionId,
+                fee,
+                service: options.service,
+                decisionId: options.decisionId
+            });
+        }
+    }
+
     /**
      * Helper method to update metrics
      */
@@ -644,4 +1473,39 @@ class HederaService extends EventEmitter {
     }
 }
 
-export default HederaService;
\ No newline at end of file
+function topicKeyName(topicId, role) {
+    return `hcs-topic:${topicId}:${role}`;
+}
+
+function publicKeysOf(privateKeys) {
+    return privateKeys.filter(Boolean).map((key) => key.publicKey.toStringDer());
+}
+
+/**
+ * Transaction memo from a caller's metadata: strings as they are, objects as JSON
+ */
+function transactionMemo(metadata) {
+    let memo = '';
+    if (typeof metadata === 'string') {
+        memo = metadata;
+    } else if (metadata && !Array.isArray(metadata) && Object.keys(metadata).length > 0) {
+        memo = JSON.stringify(metadata);
+    }
+    if (Buffer.byteLength(memo, 'utf8') > MAX_MEMO_BYTES) {
+        throw Object.assign(new Error(`Transaction memo is longer than ${MAX_MEMO_BYTES} bytes`), { statusCode: 400, status: 'MEMO_TOO_LONG' });
+    }
+    return memo;
+}
+
+/**
+ * `0.0.2@1700000000.000000001` as the mirror node writes it: `0.0.2-1700000000-000000001`
+ */
+function mirrorTransactionId(transactionId) {
+    return String(transactionId).replace('@', '-').replace(/\.(\d+)$/, '-$1');
+}
+
+function toPrivateKey(key) {
+    return key instanceof PrivateKey ? key : PrivateKey.fromString(String(key));
+}
+
+export default HederaService;
@@ -0,0 +1,729 @@
+/**
+ * @fileoverview Hedera Network Simulator
+ * @description In-process, in-memory stand-in for the Hedera services the agent uses: HCS topics
+ * with sequence numbers, consensus timestamps and running hashes, HTS fungible tokens with
+ * associations and balances, and HFS files. Debiting an account takes that account's signature,
+ * as on the network; only the operator signs for the agent. HederaService runs against it only
+ * when asked to (`simulate: true` or HEDERA_SIMULATOR=true), never as a fallback for missing
+ * credentials. It also answers the mirror node REST queries the agent makes, so the agent and its
+ * tests can run without any network. Failures carry the status codes the network would return.
+ */
+
+import crypto from 'crypto';
+import { httpError } from './serviceUtils.js';
+
+export const DEFAULT_SIMULATOR = {
+  network: 'simulator',
+  operatorId: '0.0.2',
+  operatorKey: null, // DER hex public key; generated when not set
+  operatorBalance: 10000 * 1e8, // tinybars
+  firstEntityNum: 1001,
+  maxMessageBytes: 1024,
+  maxTransactionBytes: 6144,
+  maxMemoBytes: 100,
+  maxPageSize: 100,
+  defaultPageSize: 25,
+  // Transaction fees in tinybars, roughly the network's USD fee schedule at $0.10/HBAR
+  fees: {
+    CryptoCreate: 50000000,
+    ConsensusCreateTopic: 10000000,
+    ConsensusUpdateTopic: 200000,
+    ConsensusDeleteTopic: 5000000,
+    ConsensusSubmitMessage: 100000,
+    TokenCreate: 1000000000,
+    TokenMint: 1000000,
+    TokenBurn: 1000000,
+    TokenWipe: 1000000,
+    TokenAssociate: 50000000,
+    CryptoTransfer: 1000000,
+    FileCreate: 50000000,
+    FileAppend: 50000000
+  }
+};
+
+const MAX_INT64 = 2n ** 63n - 1n;
+
+export class HederaSimulator {
+  constructor(options = {}) {
+    this.config = { ...DEFAULT_SIMULATOR, ...options.config };
+    this.config.fees = { ...DEFAULT_SIMULATOR.fees, ...options.config?.fees };
+
+    this.nextEntityNum = this.config.firstEntityNum;
+    this.lastConsensusNs = 0n;
+    this.accounts = new Map(); // accountId -> { key, hbars: BigInt tinybars, tokens: Map<tokenId, BigInt> }
+    this.topics = new Map(); // topicId -> { memo, adminKey, submitKey, createdTimestamp, deleted, messages, runningHash }
+    this.tokens = new Map(); // tokenId -> { name, symbol, decimals, totalSupply, treasuryAccountId, ... }
+    this.files = new Map(); // fileId -> { contents: Buffer, memo, createdTimestamp }
+    this.transactions = new Map(); // transactionId -> { operation, memo, status, consensusTimestamp, fee }
+
+    const operator = this.ensureAccount(this.config.operatorId);
+    operator.hbars = BigInt(this.config.operatorBalance);
+    operator.key = this.config.operatorKey || generatePublicKey();
+  }
+
+  // ========== Accounts ==========
+
+  /**
+   * Create an account held by the given DER hex public key; a key is generated when not set
+   */
+  createAccount(initialBalance = 0, key = generatePublicKey()) {
+    const charged = this.charge('CryptoCreate');
+    const accountId = this.nextEntityId();
+    const account = this.ensureAccount(accountId);
+    account.hbars = BigInt(initialBalance);
+    account.key = key;
+    return { accountId, key, ...charged };
+  }
+
+  /**
+   * Public key of an account; the payer's key signs every transaction it pays for
+   */
+  accountKey(accountId = this.config.operatorId) {
+    return this.account(accountId).key;
+  }
+
+  getAccountBalance(accountId = this.config.operatorId) {
+    const account = this.account(accountId);
+    return {
+      accountId,
+      hbars: account.hbars,
+      tokens: Object.fromEntries([...account.tokens].map(([tokenId, balance]) => [tokenId, balance.toString()]))
+    };
+  }
+
+  // ========== HCS ==========
+
+  /**
+   * Create a topic. Keys are DER hex public keys; a topic without an admin key can never be
+   * updated or deleted, and one without a submit key accepts messages from anyone.
+   */
+  createTopic({ memo = '', adminKey = null, submitKey = null } = {}, signers = []) {
+    this.authorize(adminKey, signers);
+    const charged = this.charge('ConsensusCreateTopic');
+    const topicId = this.nextEntityId();
+    this.topics.set(topicId, {
+      memo,
+      adminKey,
+      submitKey,
+      createdTimestamp: this.consensusTimestamp(),
+      deleted: false,
+      messages: [],
+      runningHash: Buffer.alloc(48)
+    });
+    return { topicId, ...charged };
+  }
+
+  getTopicInfo(topicId) {
+    const topic = this.topic(topicId);
+    return {
+      topicId,
+      memo: topic.memo,
+      sequenceNumber: topic.messages.length,
+      runningHash: topic.runningHash.toString('hex'),
+      adminKey: topic.adminKey,
+      submitKey: topic.submitKey,
+      createdTimestamp: topic.createdTimestamp
+    };
+  }
+
+  /**
+   * Change a topic's memo or keys. Needs the admin key's signature, and the new admin key's
+   * when it changes; a null key removes it.
+   * @param {Object} changes - { memo, adminKey, submitKey }; undefined fields are left as they are
+   * @param {Array<string>} signers - Public keys that signed besides the payer
+   */
+  updateTopic(topicId, changes = {}, signers = []) {
+    const topic = this.topic(topicId);
+    if (!topic.adminKey) {
+      throw statusError('UNAUTHORIZED');
+    }
+    this.authorize(topic.adminKey, signers);
+    if (changes.adminKey) {
+      this.authorize(changes.adminKey, signers);
+    }
+
+    const charged = this.charge('ConsensusUpdateTopic');
+    for (const field of ['memo', 'adminKey', 'submitKey']) {
+      if (changes[field] !== undefined) {
+        topic[field] = changes[field];
+      }
+    }
+    return charged;
+  }
+
+  deleteTopic(topicId, signers = []) {
+    const topic = this.topic(topicId);
+    if (!topic.adminKey) {
+      throw statusError('UNAUTHORIZED');
+    }
+    this.authorize(topic.adminKey, signers);
+
+    const charged = this.charge('ConsensusDeleteTopic');
+    topic.deleted = true;
+    return charged;
+  }
+
+  /**
+   * Append a message to a topic
+   * @param {string} topicId - Topic ID
+   * @param {string|Buffer} message - Message contents, at most maxMessageBytes
+   * @param {string} [payerAccountId] - Paying account, the operator by default
+   * @param {Array<string>} [signers] - Public keys that signed besides the payer
+   * @returns {Object} { topicId, sequenceNumber, consensusTimestamp, runningHash, transactionId, transactionFee }
+   */
+  submitMessage(topicId, message, payerAccountId = this.config.operatorId, signers = []) {
+    const topic = this.topic(topicId);
+    this.authorize(topic.submitKey, signers, payerAccountId);
+    const contents = Buffer.isBuffer(message) ? message : Buffer.from(String(message), 'utf8');
+    if (contents.length === 0) {
+      throw statusError('INVALID_TOPIC_MESSAGE');
+    }
+    if (contents.length > this.config.maxMessageBytes) {
+      throw statusError('MESSAGE_SIZE_TOO_LARGE');
+    }
+    const { transactionId, transactionFee } = this.charge('ConsensusSubmitMessage', payerAccountId);
+
+    const sequenceNumber = topic.messages.length + 1;
+    const consensusTimestamp = this.consensusTimestamp();
+    topic.runningHash = crypto.createHash('sha384')
+      .update(topic.runningHash)
+      .update(`${topicId}:${sequenceNumber}:${consensusTimestamp}`)
+      .update(contents)
+      .digest();
+
+    topic.messages.push({
+      sequenceNumber,
+      consensusTimestamp,
+      contents,
+      runningHash: topic.runningHash,
+      payerAccountId,
+      transactionId
+    });
+    return { topicId, sequenceNumber, consensusTimestamp, runningHash: topic.runningHash.toString('hex'), transactionId, transactionFee };
+  }
+
+  // ========== HTS ==========
+
+  /**
+   * Create a fungible token. The wipe key defaults to the operator key; null leaves the token without one.
+   */
+  createToken({ name = 'AION Token', symbol = 'AION', decimals = 18, initialSupply = 0, treasuryAccountId = this.config.operatorId, memo = '', wipeKey = this.accountKey() } = {}) {
+    const supply = toAmount(initialSupply);
+    const charged = this.charge('TokenCreate');
+    const tokenId = this.nextEntityId();
+    this.tokens.set(tokenId, {
+      name,
+      symbol,
+      decimals,
+      memo,
+      wipeKey,
+      totalSupply: supply,
+      treasuryAccountId,
+      createdTimestamp: this.consensusTimestamp()
+    });
+    this.account(treasuryAccountId).tokens.set(tokenId, supply);
+    return { tokenId, ...charged };
+  }
+
+  getTokenInfo(tokenId) {
+    const token = this.token(tokenId);
+    return {
+      tokenId,
+      name: token.name,
+      symbol: token.symbol,
+      decimals: token.decimals,
+      totalSupply: token.totalSupply,
+      treasuryAccountId: token.treasuryAccountId,
+      wipeKey: token.wipeKey,
+      memo: token.memo,
+      createdTimestamp: token.createdTimestamp
+    };
+  }
+
+  /**
+   * @param {Object} options - { memo, transactionId } as chosen by the sender
+   */
+  mintTokens(tokenId, amount, { memo, transactionId } = {}) {
+    const token = this.token(tokenId);
+    const value = toAmount(amount);
+    if (token.totalSupply + value > MAX_INT64) {
+      throw statusError('TOKEN_MAX_SUPPLY_REACHED');
+    }
+
+    const charged = this.charge('TokenMint', undefined, { memo, transactionId });
+    token.totalSupply += value;
+    this.adjust(token.treasuryAccountId, tokenId, value);
+    return { newTotalSupply: token.totalSupply, ...charged };
+  }
+
+  /**
+   * @param {Object} options - { memo, transactionId } as chosen by the sender
+   */
+  burnTokens(tokenId, amount, { memo, transactionId } = {}) {
+    const token = this.token(tokenId);
+    const value = toAmount(amount);
+    if (this.balanceOf(token.treasuryAccountId, tokenId) < value) {
+      throw statusError('INVALID_TOKEN_BURN_AMOUNT');
+    }
+
+    const charged = this.charge('TokenBurn', undefined, { memo, transactionId });
+    token.totalSupply -= value;
+    this.adjust(token.treasuryAccountId, tokenId, -value);
+    return { newTotalSupply: token.totalSupply, ...charged };
+  }
+
+  /**
+   * Associate an account with a token. The account must sign unless it is the payer.
+   * @param {Object} options - { signers } public keys that signed besides the payer
+   */
+  associateToken(accountId, tokenId, { signers = [] } = {}) {
+    this.token(tokenId);
+    const account = this.account(accountId);
+    this.authorizeAccount(accountId, signers);
+    if (account.tokens.has(tokenId)) {
+      throw statusError('TOKEN_ALREADY_ASSOCIATED_TO_ACCOUNT');
+    }
+    const charged = this.charge('TokenAssociate');
+    account.tokens.set(tokenId, 0n);
+    return charged;
+  }
+
+  /**
+   * Move tokens between accounts. The sending account must sign unless it is the payer.
+   * @param {Object} options - { signers } public keys that signed besides the payer; { memo, transactionId }
+   */
+  transferTokens(tokenId, fromAccountId, toAccountId, amount, { signers = [], memo, transactionId } = {}) {
+    this.token(tokenId);
+    const value = toAmount(amount);
+    this.authorizeAccount(fromAccountId, signers);
+    if (!this.account(toAccountId).tokens.has(tokenId) || !this.account(fromAccountId).tokens.has(tokenId)) {
+      throw statusError('TOKEN_NOT_ASSOCIATED_TO_ACCOUNT');
+    }
+    if (this.balanceOf(fromAccountId, tokenId) < value) {
+      throw statusError('INSUFFICIENT_TOKEN_BALANCE');
+    }
+
+    const charged = this.charge('CryptoTransfer', undefined, { memo, transactionId });
+    this.adjust(fromAccountId, tokenId, -value);
+    this.adjust(toAccountId, tokenId, value);
+    return charged;
+  }
+
+  /**
+   * Take tokens out of an account and out of the supply. Needs the token's wipe key, not the
+   * account's signature; the treasury cannot be wiped.
+   * @param {Object} options - { signers } public keys that signed besides the payer; { memo, transactionId }
+   */
+  wipeTokens(tokenId, accountId, amount, { signers = [], memo, transactionId } = {}) {
+    const token = this.token(tokenId);
+    const value = toAmount(amount);
+    if (!token.wipeKey) {
+      throw statusError('TOKEN_HAS_NO_WIPE_KEY');
+    }
+    this.authorize(token.wipeKey, signers);
+    if (accountId === token.treasuryAccountId) {
+      throw statusError('CANNOT_WIPE_TOKEN_TREASURY_ACCOUNT');
+    }
+    if (!this.account(accountId).tokens.has(tokenId)) {
+      throw statusError('TOKEN_NOT_ASSOCIATED_TO_ACCOUNT');
+    }
+    if (this.balanceOf(accountId, tokenId) < value) {
+      throw statusError('INVALID_WIPING_AMOUNT');
+    }
+
+    const charged = this.charge('TokenWipe', undefined, { memo, transactionId });
+    token.totalSupply -= value;
+    this.adjust(accountId, tokenId, -value);
+    return { newTotalSupply: token.totalSupply, ...charged };
+  }
+
+  /**
+   * Receipt of a transaction that reached consensus, or null
+   */
+  getTransactionReceipt(transactionId) {
+    const transaction = this.transactions.get(String(transactionId));
+    return transaction ? { transactionId: String(transactionId), status: transaction.status } : null;
+  }
+
+  balanceOf(accountId, tokenId) {
+    return this.accounts.get(accountId)?.tokens.get(tokenId) ?? 0n;
+  }
+
+  // ========== HFS ==========
+
+  createFile(contents, memo = '') {
+    const buffer = this.fileChunk(contents);
+    const charged = this.charge('FileCreate');
+    const fileId = this.nextEntityId();
+    this.files.set(fileId, { contents: buffer, memo, createdTimestamp: this.consensusTimestamp() });
+    return { fileId, ...charged };
+  }
+
+  appendFile(fileId, contents) {
+    const file = this.file(fileId);
+    const chunk = this.fileChunk(contents);
+    const charged = this.charge('FileAppend');
+    file.contents = Buffer.concat([file.contents, chunk]);
+    return charged;
+  }
+
+  getFileContents(fileId) {
+    return Buffer.from(this.file(fileId).contents);
+  }
+
+  // ========== Mirror node REST shapes ==========
+
+  /**
+   * GET /api/v1/topics/{topicId}/messages
+   * @param {Object} query - limit, order, sequencenumber and timestamp filters (eq, gt, gte, lt, lte)
+   */
+  mirrorTopicMessages(topicId, query = {}) {
+    const topic = this.storedTopic(topicId);
+    const limit = Math.min(Number(query.limit) || this.config.defaultPageSize, this.config.maxPageSize);
+    const order = query.order === 'desc' ? 'desc' : 'asc';
+    const bySequence = parseFilters(query.sequencenumber, BigInt);
+    const byTimestamp = parseFilters(query.timestamp, timestampNs);
+
+    const matching = topic.messages.filter((message) => bySequence(BigInt(message.sequenceNumber))
+      && byTimestamp(timestampNs(message.consensusTimestamp)));
+    if (order === 'desc') {
+      matching.reverse();
+    }
+
+    const page = matching.slice(0, limit);
+    let next = null;
+    if (matching.length > limit) {
+      const last = page[page.length - 1].sequenceNumber;
+      const params = new URLSearchParams({ limit: String(limit), order });
+      for (const filter of [].concat(query.timestamp || [])) {
+        params.append('timestamp', filter);
+      }
+      params.append('sequencenumber', `${order === 'asc' ? 'gt' : 'lt'}:${last}`);
+      next = `/api/v1/topics/${topicId}/messages?${params}`;
+    }
+
+    return { messages: page.map((message) => mirrorMessage(topicId, message)), links: { next } };
+  }
+
+  /**
+   * GET /api/v1/topics/{topicId}/messages/{sequenceNumber}
+   */
+  mirrorTopicMessage(topicId, sequenceNumber) {
+    const message = this.storedTopic(topicId).messages[Number(sequenceNumber) - 1];
+    if (!message) {
+      throw httpError('Not found', 404);
+    }
+    return mirrorMessage(topicId, message);
+  }
+
+  /**
+   * GET /api/v1/topics/{topicId}
+   */
+  mirrorTopic(topicId) {
+    const topic = this.storedTopic(topicId);
+    return {
+      topic_id: topicId,
+      memo: topic.memo,
+      admin_key: topic.adminKey,
+      submit_key: topic.submitKey,
+      created_timestamp: topic.createdTimestamp,
+      deleted: topic.deleted
+    };
+  }
+
+  /**
+   * GET /api/v1/tokens/{tokenId}
+   */
+  mirrorToken(tokenId) {
+    const token = this.token(tokenId);
+    return {
+      token_id: tokenId,
+      type: 'FUNGIBLE_COMMON',
+      name: token.name,
+      symbol: token.symbol,
+      decimals: String(token.decimals),
+      total_supply: token.totalSupply.toString(),
+      treasury_account_id: token.treasuryAccountId,
+      wipe_key: token.wipeKey,
+      memo: token.memo,
+      created_timestamp: token.createdTimestamp,
+      deleted: false
+    };
+  }
+
+  /**
+   * GET /api/v1/tokens/{tokenId}/balances
+   */
+  mirrorTokenBalances(tokenId) {
+    this.token(tokenId);
+    const balances = [...this.accounts]
+      .filter(([, account]) => account.tokens.has(tokenId))
+      .map(([accountId, account]) => ({ account: accountId, balance: Number(account.tokens.get(tokenId)), decimals: this.tokens.get(tokenId).decimals }));
+    return { timestamp: this.latestTimestamp(), balances, links: { next: null } };
+  }
+
+  /**
+   * GET /api/v1/accounts/{accountId}
+   */
+  mirrorAccount(accountId) {
+    const account = this.account(accountId);
+    return {
+      account: accountId,
+      balance: {
+        balance: Number(account.hbars),
+        timestamp: this.latestTimestamp(),
+        tokens: [...account.tokens].map(([tokenId, balance]) => ({ token_id: tokenId, balance: Number(balance) }))
+      },
+      deleted: false
+    };
+  }
+
+  /**
+   * GET /api/v1/transactions/{transactionId}, with the ID in the mirror node's `0.0.2-seconds-nanos` form
+   */
+  mirrorTransaction(mirrorTransactionId) {
+    const transactionId = String(mirrorTransactionId).replace(/^(\d+\.\d+\.\d+)-(\d+)-(\d+)$/, '$1@$2.$3');
+    const transaction = this.transactions.get(transactionId);
+    if (!transaction) {
+      throw httpError('Not found', 404);
+    }
+    return {
+      transactions: [{
+        transaction_id: mirrorTransactionId,
+        name: transaction.operation.toUpperCase(),
+        result: transaction.status,
+        memo_base64: Buffer.from(transaction.memo).toString('base64'),
+        consensus_timestamp: transaction.consensusTimestamp,
+        charged_tx_fee: transaction.fee
+      }]
+    };
+  }
+
+  /**
+   * GET /api/v1/accounts/{accountId}/tokens
+   * @param {Object} query - `token.id` filter (eq)
+   */
+  mirrorAccountTokens(accountId, query = {}) {
+    const account = this.account(accountId);
+    const byToken = parseFilters(query['token.id'], String);
+    const tokens = [...account.tokens]
+      .filter(([tokenId]) => byToken(tokenId))
+      .map(([tokenId, balance]) => ({
+        token_id: tokenId,
+        balance: Number(balance),
+        decimals: this.tokens.get(tokenId).decimals,
+        automatic_association: false
+      }));
+    return { tokens, links: { next: null } };
+  }
+
+  // ========== Internals ==========
+
+  nextEntityId() {
+    return `0.0.${this.nextEntityNum++}`;
+  }
+
+  /**
+   * Strictly increasing consensus timestamps in the `seconds.nanos` format
+   */
+  consensusTimestamp() {
+    const now = BigInt(Date.now()) * 1000000n;
+    this.lastConsensusNs = now > this.lastConsensusNs ? now : this.lastConsensusNs + 1n;
+    return formatTimestamp(this.lastConsensusNs);
+  }
+
+  latestTimestamp() {
+    return formatTimestamp(this.lastConsensusNs);
+  }
+
+  transactionId(payerAccountId = this.config.operatorId) {
+    const validStart = formatTimestamp(BigInt(Date.now()) * 1000000n + BigInt(crypto.randomInt(1000000)));
+    return `${payerAccountId}@${validStart}`;
+  }
+
+  /**
+   * Debit the payer for a transaction and keep its receipt. A transaction ID can only be used once.
+   * @param {Object} options - { memo, transactionId } as chosen by the sender
+   * @returns {Object} { transactionId, transactionFee } with the fee in tinybars
+   */
+  charge(operation, payerAccountId = this.config.operatorId, { memo = '', transactionId = this.transactionId(payerAccountId) } = {}) {
+    if (Buffer.byteLength(memo, 'utf8') > this.config.maxMemoBytes) {
+      throw statusError('MEMO_TOO_LONG');
+    }
+    if (this.transactions.has(transactionId)) {
+      throw statusError('DUPLICATE_TRANSACTION');
+    }
+    const fee = BigInt(this.config.fees[operation] || 0);
+    const payer = this.account(payerAccountId);
+    if (payer.hbars < fee) {
+      throw statusError('INSUFFICIENT_PAYER_BALANCE');
+    }
+    payer.hbars -= fee;
+    this.transactions.set(transactionId, { operation, memo, status: 'SUCCESS', consensusTimestamp: this.consensusTimestamp(), fee: Number(fee) });
+    return { transactionId, transactionFee: Number(fee) };
+  }
+
+  /**
+   * Fail with INVALID_SIGNATURE unless the key, when set, signed: the payer always signs
+   */
+  authorize(key, signers = [], payerAccountId = this.config.operatorId) {
+    if (key && key !== this.accountKey(payerAccountId) && !signers.includes(key)) {
+      throw statusError('INVALID_SIGNATURE');
+    }
+  }
+
+  /**
+   * Fail with INVALID_SIGNATURE unless the account, when it is not the payer, signed with its key
+   */
+  authorizeAccount(accountId, signers = [], payerAccountId = this.config.operatorId) {
+    const { key } = this.account(accountId);
+    if (accountId !== payerAccountId && !(key && signers.includes(key))) {
+      throw statusError('INVALID_SIGNATURE');
+    }
+  }
+
+  ensureAccount(accountId) {
+    if (!this.accounts.has(accountId)) {
+      this.accounts.set(accountId, { key: null, hbars: 0n, tokens: new Map() });
+    }
+    return this.accounts.get(accountId);
+  }
+
+  account(accountId) {
+    const account = this.accounts.get(accountId);
+    if (!account) {
+      throw statusError('INVALID_ACCOUNT_ID');
+    }
+    return account;
+  }
+
+  /**
+   * A live topic; deleted topics reject transactions and queries
+   */
+  topic(topicId) {
+    const topic = this.storedTopic(topicId);
+    if (topic.deleted) {
+      throw statusError('INVALID_TOPIC_ID');
+    }
+    return topic;
+  }
+
+  /**
+   * A topic whether deleted or not, as the mirror node keeps serving deleted topics
+   */
+  storedTopic(topicId) {
+    const topic = this.topics.get(String(topicId));
+    if (!topic) {
+      throw statusError('INVALID_TOPIC_ID');
+    }
+    return topic;
+  }
+
+  token(tokenId) {
+    const token = this.tokens.get(String(tokenId));
+    if (!token) {
+      throw statusError('INVALID_TOKEN_ID');
+    }
+    return token;
+  }
+
+  file(fileId) {
+    const file = this.files.get(String(fileId));
+    if (!file) {
+      throw statusError('INVALID_FILE_ID');
+    }
+    return file;
+  }
+
+  adjust(accountId, tokenId, delta) {
+    const account = this.account(accountId);
+    account.tokens.set(tokenId, (account.tokens.get(tokenId) ?? 0n) + delta);
+  }
+
+  fileChunk(contents) {
+    const buffer = Buffer.isBuffer(contents) ? contents : Buffer.from(contents ?? '');
+    if (buffer.length > this.config.maxTransactionBytes) {
+      throw statusError('TRANSACTION_OVERSIZE');
+    }
+    return buffer;
+  }
+}
+
+function mirrorMessage(topicId, message) {
+  return {
+    chunk_info: null,
+    consensus_timestamp: message.consensusTimestamp,
+    message: message.contents.toString('base64'),
+    payer_account_id: message.payerAccountId,
+    running_hash: message.runningHash.toString('base64'),
+    running_hash_version: 3,
+    sequence_number: message.sequenceNumber,
+    topic_id: topicId
+  };
+}
+
+/**
+ * Predicate for mirror node range filters such as `gt:5` or `lte:1700000000.000000000`
+ */
+function parseFilters(filters, parse) {
+  const predicates = [].concat(filters || []).map((filter) => {
+    const [operator, value] = String(filter).includes(':') ? String(filter).split(':') : ['eq', String(filter)];
+    let bound;
+    try {
+      bound = parse(value);
+    } catch {
+      throw httpError(`Invalid filter: ${filter}`, 400);
+    }
+    switch (operator) {
+      case 'eq': return (v) => v === bound;
+      case 'gt': return (v) => v > bound;
+      case 'gte': return (v) => v >= bound;
+      case 'lt': return (v) => v < bound;
+      case 'lte': return (v) => v <= bound;
+      default: throw httpError(`Invalid filter operator: ${operator}`, 400);
+    }
+  });
+  return (value) => predicates.every((predicate) => predicate(value));
+}
+
+function timestampNs(timestamp) {
+  const [seconds, nanos = ''] = String(timestamp).split('.');
+  if (!/^\d+$/.test(seconds) || !/^\d{0,9}$/.test(nanos)) {
+    throw new Error(`Invalid timestamp: ${timestamp}`);
+  }
+  return BigInt(seconds) * 1000000000n + BigInt(nanos.padEnd(9, '0'));
+}
+
+function formatTimestamp(ns) {
+  return `${ns / 1000000000n}.${String(ns % 1000000000n).padStart(9, '0')}`;
+}
+
+function toAmount(amount) {
+  let value;
+  try {
+    value = BigInt(amount);
+  } catch {
+    throw statusError('INVALID_TOKEN_AMOUNT');
+  }
+  if (value < 0n || value > MAX_INT64) {
+    throw statusError('INVALID_TOKEN_AMOUNT');
+  }
+  return value;
+}
+
+function generatePublicKey() {
+  const { publicKey } = crypto.generateKeyPairSync('ed25519');
+  return publicKey.export({ type: 'spki', format: 'der' }).toString('hex');
+}
+
+/**
+ * Error shaped like the SDK's receipt status errors
+ */
+function statusError(status) {
+  const unknownEntity = /^INVALID_(TOPIC|TOKEN|FILE|ACCOUNT)_ID$/.test(status);
+  const error = httpError(`Simulated transaction failed with status ${status}`, unknownEntity ? 404 : 400);
+  error.status = status;
+  return error;
+}
+
+export default HederaSimulator;
@@ -0,0 +1,415 @@
+/**
+ * @fileoverview HTS Share Reconciler
+ * @description Periodically checks the HTS share token against the vault: the token's total supply
+ * against the vault's `totalShares`, and each Hedera account's mirror-node balance against the
+ * vault shares of the users linked to it. Vault shares are scaled to token units and offset by
+ * sync jobs still pending, so a deposit that is being minted is not a discrepancy. Every run
+ * produces a report (kept in `<dataDir>/reports.json`); discrepancies raise alerts and, when
+ * enabled, one approval request with the mint, transfer and burn operations that would correct them.
+ */
+
+import { EventEmitter } from 'events';
+import path from 'path';
+import axios from 'axios';
+import { toUnits } from './htsShareSynchronizer.js';
+import { JsonStateFile } from './jsonStateFile.js';
+import { httpError } from './serviceUtils.js';
+
+export const DEFAULT_SHARE_RECONCILIATION = {
+  enabled: true,
+  interval: 15 * 60 * 1000,
+  mirrorNodeUrl: 'https://testnet.mirrornode.hedera.com',
+  tolerance: 1, // token units per account, for precision dropped when scaling shares
+  proposeCorrections: true,
+  historyLimit: 100,
+  dataDir: './data/hts-reconciliation'
+};
+
+export const CORRECTION_KIND = 'hts_share_correction';
+export const RECONCILIATION_SERVICE = 'shareReconciliation';
+
+export class HtsShareReconciler extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.config = { ...DEFAULT_SHARE_RECONCILIATION, ...options.config };
+    this.hederaService = options.hederaService || null;
+    this.synchronizer = options.shareSynchronizer || null;
+    this.alerting = options.alertingSystem || null;
+    this.approvalQueue = options.approvalQueue || null;
+    this.dataDir = options.dataDir || this.config.dataDir;
+    this.store = new JsonStateFile(path.join(this.dataDir, 'reports.json'), { label: 'HTS reconciliation reports' });
+
+    this.reports = []; // oldest first
+    this.counter = 0;
+    this.timer = null;
+    this.running = null;
+    this.started = false;
+    this.loaded = null;
+    this.persisting = Promise.resolve();
+
+    this.approvalQueue?.registerHandler(CORRECTION_KIND, (approval) => this.applyCorrections(approval));
+  }
+
+  isConfigured() {
+    return Boolean(this.config.enabled && this.hederaService && this.synchronizer?.tokenId && this.synchronizer.vault);
+  }
+
+  async start() {
+    if (this.started) return;
+    await this.load();
+
+    this.started = true;
+    if (this.isConfigured()) {
+      const reconcile = () => this.reconcile().catch((error) => console.warn(`⚠️ Share reconciliation failed: ${error.message}`));
+      this.timer = setInterval(reconcile, this.config.interval);
+      this.timer.unref?.();
+      reconcile();
+    }
+  }
+
+  async stop() {
+    if (!this.started) return;
+    this.started = false;
+
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.running) {
+      await this.running.catch(() => {});
+    }
+    await this.persisting;
+  }
+
+  /**
+   * Compare token and vault, record the report, alert on discrepancies and propose corrections.
+   * Concurrent calls share one run.
+   * @returns {Promise<Object>} The report
+   */
+  reconcile() {
+    if (!this.running) {
+      this.running = this.run().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async run() {
+    await this.load();
+    if (!this.isConfigured()) {
+      throw httpError('HTS share reconciliation is not configured (share token, vault and Hedera service required)', 503);
+    }
+
+    let report;
+    try {
+      report = await this.compare();
+    } catch (error) {
+      report = { status: 'error', error: error.message };
+      await this.alert('reconciliation_failed', 'warning', `HTS share reconciliation failed: ${error.message}`, {});
+    }
+
+    report = {
+      id: `recon_${Date.now()}_${++this.counter}`,
+      at: new Date().toISOString(),
+      tokenId: this.synchronizer.tokenId,
+      ...report
+    };
+    if (report.status === 'mismatch') {
+      await this.raiseAlerts(report);
+      report.proposal = this.config.proposeCorrections ? await this.propose(report) : null;
+    }
+
+    this.reports.push(report);
+    this.reports = this.reports.slice(-this.config.historyLimit);
+    await this.persist();
+    this.emit('reconciled', report);
+    return report;
+  }
+
+  /**
+   * Token supply and balances against vault shares, offset by pending sync jobs
+   */
+  async compare() {
+    const token = await this.synchronizer.tokenInfo();
+    const decimals = token.decimals;
+    const { shareDecimals } = this.synchronizer.config;
+    const tolerance = BigInt(this.config.tolerance);
+    const unsynced = await this.synchronizer.unsyncedUnits();
+
+    const [info, vaultTotal, holders] = await Promise.all([
+      this.hederaService.getTokenInfo(this.synchronizer.tokenId),
+      this.synchronizer.vault.totalShares(),
+      this.tokenBalances()
+    ]);
+    const totalShares = BigInt(vaultTotal);
+
+    // Users grouped by the Hedera account their shares are synced to
+    const accounts = new Map();
+    const unlinked = [];
+    for (const user of this.synchronizer.knownUsers()) {
+      const shares = BigInt(await this.synchronizer.vault.sharesOf(user));
+      const expected = toUnits(shares, shareDecimals, decimals) + (unsynced.users.get(user) || 0n);
+      let accountId;
+      try {
+        accountId = await this.synchronizer.resolveAccount(user);
+      } catch {
+        if (shares > 0n) unlinked.push({ user, vaultShares: shares.toString() });
+        continue;
+      }
+
+      const account = accounts.get(accountId) || { accountId, users: [], vaultShares: 0n, expected: 0n };
+      account.users.push(user);
+      account.vaultShares += shares;
+      account.expected += expected;
+      accounts.set(accountId, account);
+    }
+
+    const failedJobs = this.synchronizer.listJobs({ status: 'failed', limit: Infinity }).jobs;
+    const balances = Array.from(accounts.values()).map((account) => {
+      const hts = holders.get(account.accountId) || 0n;
+      const difference = hts - account.expected;
+      return {
+        accountId: account.accountId,
+        users: account.users,
+        vaultShares: account.vaultShares.toString(),
+        expected: account.expected.toString(),
+        hts: hts.toString(),
+        difference: difference.toString(),
+        failedJobs: failedJobs.filter((job) => account.users.includes(job.user)).map((job) => job.id),
+        ok: abs(difference) <= tolerance
+      };
+    });
+
+    // Holders other than the treasury that no known vault user maps to
+    const unknownHolders = Array.from(holders)
+      .filter(([accountId, balance]) => balance > 0n && accountId !== token.treasury && !accounts.has(accountId))
+      .map(([accountId, balance]) => ({ accountId, hts: balance.toString() }));
+
+    const expectedSupply = toUnits(totalShares, shareDecimals, decimals) + unsynced.supply;
+    const supplyDifference = BigInt(info.totalSupply) - expectedSupply;
+    const supply = {
+      vaultShares: totalShares.toString(),
+      expected: expectedSupply.toString(),
+      hts: String(info.totalSupply),
+      difference: supplyDifference.toString(),
+      ok: abs(supplyDifference) <= tolerance * BigInt(Math.max(1, accounts.size))
+    };
+
+    const discrepancies = balances.filter((balance) => !balance.ok).length
+      + unknownHolders.length + unlinked.length + (supply.ok ? 0 : 1);
+    return {
+      status: discrepancies > 0 ? 'mismatch' : 'ok',
+      discrepancies,
+      supply,
+      accounts: balances,
+      unknownHolders,
+      unlinked,
+      treasury: { accountId: token.treasury, hts: (holders.get(token.treasury) || 0n).toString() },
+      pendingJobs: this.synchronizer.getStatus().jobs.pending,
+      failedJobs: failedJobs.length
+    };
+  }
+
+  /**
+   * Balance of every holder of the share token, from the mirror node
+   * @returns {Promise<Map<string, bigint>>} accountId -> token units
+   */
+  async tokenBalances() {
+    const balances = new Map();
+    let url = `${this.config.mirrorNodeUrl}/api/v1/tokens/${this.synchronizer.tokenId}/balances`;
+    let params = { limit: 100 };
+
+    while (url) {
+      const response = await axios.get(url, { params, timeout: 15000 });
+      for (const entry of response.data.balances || []) {
+        balances.set(entry.account, BigInt(String(entry.balance)));
+      }
+      const next = response.data.links?.next;
+      url = next ? new URL(next, this.config.mirrorNodeUrl).toString() : null;
+      params = undefined; // the next link carries its own query
+    }
+    return balances;
+  }
+
+  async raiseAlerts(report) {
+    if (!report.supply.ok) {
+      await this.alert('hts_supply_mismatch', 'high',
+        `HTS share supply ${report.supply.hts} differs from the vault's ${report.supply.expected} by ${report.supply.difference} units`,
+        { reportId: report.id, supply: report.supply });
+    }
+
+    const accounts = report.accounts.filter((account) => !account.ok);
+    if (accounts.length > 0 || report.unknownHolders.length > 0 || report.unlinked.length > 0) {
+      await this.alert('hts_balance_mismatch', 'warning',
+        `${accounts.length} HTS share balances differ from vault shares, ${report.unknownHolders.length} unknown holders, ${report.unlinked.length} users without a Hedera account`,
+        {
+          reportId: report.id,
+          accounts: accounts.map(({ accountId, expected, hts, difference }) => ({ accountId, expected, hts, difference })),
+          unknownHolders: report.unknownHolders,
+          unlinked: report.unlinked
+        });
+    }
+  }
+
+  async alert(type, severity, message, data) {
+    this.emit('alert', { type, severity, message, data });
+    if (!this.alerting) return;
+    try {
+      await this.alerting.sendRealAlert({ type, severity, service: 'hts_share_token', message, data });
+    } catch (error) {
+      console.warn(`⚠️ Could not send HTS reconciliation alert: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mint, transfer and burn operations that would bring each account back in line with the vault.
+   * Accounts with failed sync jobs are left out: retrying the job is the correction.
+   * @returns {Promise<Object>} { operations, approvalId }
+   */
+  async propose(report) {
+    const operations = correctionsFor(report);
+    if (operations.length === 0 || !this.approvalQueue) {
+      return { operations, approvalId: null };
+    }
+
+    // Keep a pending request for the same corrections instead of queueing another
+    const signature = JSON.stringify(operations);
+    const pending = this.approvalQueue.list({ status: 'pending', kind: CORRECTION_KIND, limit: Infinity })
+      .find((approval) => JSON.stringify(approval.plan.operations) === signature);
+    if (pending) {
+      return { operations, approvalId: pending.id };
+    }
+
+    const approval = await this.approvalQueue.submit({
+      kind: CORRECTION_KIND,
+      plan: { tokenId: report.tokenId, reportId: report.id, operations },
+      summary: {
+        discrepancies: report.discrepancies,
+        supplyDifference: report.supply.difference,
+        minted: sumOf(operations, 'mint'),
+        transferred: sumOf(operations, 'transfer'),
+        burned: sumOf(operations, 'burn')
+      },
+      reasons: [{ code: 'hts_share_discrepancy', reportId: report.id }],
+      requestedBy: { userId: null, username: RECONCILIATION_SERVICE }
+    });
+    return { operations, approvalId: approval.id };
+  }
+
+  /**
+   * Carry out approved corrections. Balances may have moved since the proposal, so the token is
+   * reconciled again first and the corrections must still be the same. Excess units in a user's
+   * account are wiped, since the agent cannot sign a transfer out of it.
+   */
+  async applyCorrections(approval) {
+    const { operations } = approval.plan;
+    const current = await this.compare();
+    if (JSON.stringify(correctionsFor(current)) !== JSON.stringify(operations)) {
+      throw new Error('Discrepancies changed since the corrections were proposed; reconcile again');
+    }
+
+    const { treasury } = await this.synchronizer.tokenInfo();
+    const { tokenId } = approval.plan;
+    const options = { service: RECONCILIATION_SERVICE };
+    const memo = `aion:correction:${approval.id}`;
+    const results = [];
+
+    for (const operation of operations) {
+      // Units stay strings: Number() loses precision past 2^53
+      const { units, accountId } = operation;
+      if (operation.action === 'transfer') {
+        await this.hederaService.transferHTSTokens(tokenId, treasury, accountId, units, memo, options);
+      } else if (operation.action === 'mint') {
+        await this.hederaService.mintHTSTokens(tokenId, units, memo, options);
+        if (accountId !== treasury) {
+          await this.hederaService.transferHTSTokens(tokenId, treasury, accountId, units, memo, options);
+        }
+      } else if (accountId === treasury) {
+        await this.hederaService.burnHTSTokens(tokenId, units, memo, options);
+      } else {
+        await this.hederaService.wipeHTSTokens(tokenId, accountId, units, memo, options);
+      }
+      results.push({ ...operation, appliedAt: new Date().toISOString() });
+    }
+    return { operations: results };
+  }
+
+  /**
+   * Reports, newest first
+   */
+  getReports({ status = null, limit = 20 } = {}) {
+    return this.reports
+      .filter((report) => !status || report.status === status)
+      .slice(-limit)
+      .reverse();
+  }
+
+  getLatest() {
+    return this.reports[this.reports.length - 1] || null;
+  }
+
+  load() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        const state = await this.store.read();
+        if (!state) return;
+        this.reports = [...(state.reports || []), ...this.reports];
+        this.counter = state.counter || 0;
+      })();
+    }
+    return this.loaded;
+  }
+
+  persist() {
+    this.persisting = this.store.write({ counter: this.counter, reports: this.reports });
+    return this.persisting;
+  }
+}
+
+/**
+ * Corrective operations for the accounts of a report. Treasury units that no account or holder
+ * accounts for make up shortfalls first; only the rest is minted, and leftovers are burned.
+ */
+function correctionsFor(report) {
+  const unexplained = [...report.accounts, ...report.unknownHolders]
+    .reduce((sum, holder) => sum - BigInt(holder.difference ?? holder.hts), BigInt(report.supply.difference));
+  let spare = unexplained > 0n ? min(unexplained, BigInt(report.treasury.hts)) : 0n;
+  const operations = [];
+  const operation = (action, account, units) => ({ action, accountId: account.accountId, units: units.toString(), users: account.users });
+
+  for (const account of report.accounts) {
+    if (account.ok || account.failedJobs.length > 0) continue;
+    const difference = BigInt(account.difference);
+    if (difference > 0n) {
+      operations.push(operation('burn', account, difference));
+      continue;
+    }
+
+    const moved = min(spare, -difference);
+    if (moved > 0n) operations.push(operation('transfer', account, moved));
+    if (-difference > moved) operations.push(operation('mint', account, -difference - moved));
+    spare -= moved;
+  }
+
+  if (!report.supply.ok && spare > 0n) {
+    operations.push(operation('burn', { accountId: report.treasury.accountId, users: [] }, spare));
+  }
+  return operations;
+}
+
+function sumOf(operations, action) {
+  return operations
+    .filter((operation) => operation.action === action)
+    .reduce((sum, operation) => sum + BigInt(operation.units), 0n)
+    .toString();
+}
+
+function min(a, b) {
+  return a < b ? a : b;
+}
+
+function abs(value) {
+  return value < 0n ? -value : value;
+}
+
+export default HtsShareReconciler;
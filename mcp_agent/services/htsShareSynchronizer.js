@@ -0,0 +1,546 @@
+/**
+ * @fileoverview HTS Share Synchronizer
+ * @description Mirrors AIONVault share movements onto the HTS share token. A `Deposited` event mints
+ * the new shares to the token treasury and transfers them to the depositor's linked Hedera account;
+ * a `Withdrawn` event wipes the shares from that account with the token's wipe key, since the
+ * agent cannot sign transfers out of accounts it does not hold. For the same reason users associate
+ * their account with the token themselves; a deposit waits until the mirror node shows the
+ * association. Every vault log
+ * becomes one job keyed by `txHash:logIndex`, so a log that is seen twice is synced once. Each
+ * step's transaction ID is saved before the transaction is sent, and a retry asks the network
+ * what became of it before sending anything again, so a lost receipt never mints twice. Jobs
+ * run in chain order per user: a user's withdrawal waits for their earlier deposits. Failed
+ * attempts are retried with exponential backoff until `maxAttempts`, after which the job stays
+ * `failed` until retried by hand. Jobs and the block cursor are saved to `<dataDir>/share-sync.json`.
+ */
+
+import { EventEmitter } from 'events';
+import path from 'path';
+import { ethers } from 'ethers';
+import { JsonStateFile } from './jsonStateFile.js';
+import { httpError } from './serviceUtils.js';
+
+export const DEFAULT_SHARE_SYNC = {
+  enabled: true,
+  tokenId: null, // HTS share token; falls back to HTS_TOKEN_ID
+  vaultAddress: null, // falls back to VAULT_CONTRACT_ADDRESS
+  treasuryAccountId: null, // null = the token's treasury
+  accounts: {}, // vault address -> Hedera account, for users without an on-chain link
+  shareDecimals: 18,
+  tokenDecimals: null, // null = the token's decimals
+  startBlock: null, // null = the latest block at first start
+  confirmations: 2,
+  maxBlockRange: 2000,
+  pollInterval: 15000,
+  maxAttempts: 5,
+  retryDelay: 30000, // doubled after every failed attempt
+  dataDir: './data/hts-share-sync'
+};
+
+export const VAULT_SHARE_ABI = [
+  'event Deposited(address indexed user, uint256 amount, uint256 shares)',
+  'event Withdrawn(address indexed user, uint256 amount, uint256 shares)',
+  'event HederaAccountLinked(address indexed user, bytes32 hederaAccountId, uint256 timestamp)',
+  'function userHederaAccountIds(address user) view returns (bytes32)',
+  'function sharesOf(address user) view returns (uint256)',
+  'function totalShares() view returns (uint256)'
+];
+
+export const SYNC_SERVICE = 'shareSync';
+
+// A transaction neither the network nor the mirror node knows this long after it was submitted
+// was never executed (transactions are valid for 120 seconds), so it is safe to send again
+const UNCONFIRMED_GRACE = 5 * 60 * 1000;
+
+const JOB_TYPES = { Deposited: 'deposit', Withdrawn: 'withdraw' };
+// Steps run in this order; the ones a job has already recorded are skipped on retry
+const JOB_STEPS = { deposit: ['associate', 'mint', 'transfer'], withdraw: ['wipe'] };
+const ACCOUNT_ID_PATTERN = /^\d+\.\d+\.\d+$/;
+
+export class HtsShareSynchronizer extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.config = { ...DEFAULT_SHARE_SYNC, ...options.config };
+    this.config.accounts = Object.fromEntries(
+      Object.entries({ ...DEFAULT_SHARE_SYNC.accounts, ...options.config?.accounts })
+        .map(([address, accountId]) => [address.toLowerCase(), String(accountId)])
+    );
+    const env = options.env || process.env;
+    this.tokenId = this.config.tokenId || env.HTS_TOKEN_ID || null;
+    this.hederaService = options.hederaService || null;
+    this.provider = options.provider || options.vault?.runner?.provider || null;
+
+    const vaultAddress = this.config.vaultAddress || env.VAULT_CONTRACT_ADDRESS;
+    this.vault = options.vault
+      || (this.provider && vaultAddress ? new ethers.Contract(vaultAddress, VAULT_SHARE_ABI, this.provider) : null);
+
+    this.dataDir = options.dataDir || this.config.dataDir;
+    this.store = new JsonStateFile(path.join(this.dataDir, 'share-sync.json'), { label: 'HTS share sync state' });
+
+    this.jobs = new Map(); // `${txHash}:${logIndex}` -> job
+    this.linkedAccounts = new Map(); // lowercased vault address -> Hedera account linked on the vault
+    this.associated = new Set(); // Hedera accounts known to be associated with the token
+    this.token = null; // { treasury, decimals }
+    this.cursor = null; // last block scanned
+    this.lastPoll = null;
+    this.timer = null;
+    this.polling = null;
+    this.started = false;
+    this.loaded = null;
+    this.persisting = Promise.resolve();
+  }
+
+  isConfigured() {
+    return Boolean(this.config.enabled && this.tokenId && this.hederaService);
+  }
+
+  async start() {
+    if (this.started) return;
+    await this.load();
+
+    this.started = true;
+    if (this.isConfigured() && this.vault && this.provider) {
+      const poll = () => this.poll().catch((error) => console.warn(`⚠️ Share sync poll failed: ${error.message}`));
+      this.timer = setInterval(poll, this.config.pollInterval);
+      this.timer.unref?.();
+      poll();
+    }
+    this.emit('started', { tokenId: this.tokenId });
+  }
+
+  async stop() {
+    if (!this.started) return;
+    this.started = false;
+
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.polling) {
+      await this.polling.catch(() => {});
+    }
+    await this.persisting;
+    this.emit('stopped');
+  }
+
+  /**
+   * Scan new vault blocks, then run every job that is due. Concurrent calls share one run.
+   * @returns {Promise<Object>} { at, queued, synced, failed }
+   */
+  poll() {
+    if (!this.polling) {
+      this.polling = this.pollVault().finally(() => {
+        this.polling = null;
+      });
+    }
+    return this.polling;
+  }
+
+  async pollVault() {
+    await this.load();
+    if (!this.isConfigured()) {
+      throw httpError('HTS share sync is not configured (token ID and Hedera service required)', 503);
+    }
+
+    const queued = await this.scan();
+    const { synced, failed } = await this.processDue();
+    this.lastPoll = { at: new Date().toISOString(), queued, synced, failed };
+    this.emit('polled', this.lastPoll);
+    return this.lastPoll;
+  }
+
+  /**
+   * Queue the vault logs between the cursor and the latest confirmed block
+   * @returns {Promise<number>} Jobs queued
+   */
+  async scan() {
+    if (!this.vault || !this.provider) return 0;
+
+    const latest = (await this.provider.getBlockNumber()) - this.config.confirmations;
+    if (this.cursor === null) {
+      this.cursor = this.config.startBlock !== null ? Number(this.config.startBlock) - 1 : latest;
+      await this.persist();
+    }
+
+    let queued = 0;
+    while (this.cursor < latest) {
+      const from = this.cursor + 1;
+      const to = Math.min(latest, from + this.config.maxBlockRange - 1);
+      const logs = [];
+      for (const eventName of ['HederaAccountLinked', ...Object.keys(JOB_TYPES)]) {
+        logs.push(...await this.vault.queryFilter(this.vault.filters[eventName](), from, to));
+      }
+      logs.sort((a, b) => a.blockNumber - b.blockNumber || logIndexOf(a) - logIndexOf(b));
+      for (const log of logs) {
+        if (this.queue(log)) queued++;
+      }
+      this.cursor = to;
+      await this.persist();
+    }
+    return queued;
+  }
+
+  /**
+   * Queue a single vault log, e.g. one delivered by the event monitor
+   * @returns {Promise<Object|null>} The new job, or null for a log that is already queued or not a share movement
+   */
+  async ingest(log) {
+    await this.load();
+    const job = this.queue(log);
+    await this.persist();
+    return job;
+  }
+
+  queue(log) {
+    const eventName = log.eventName || log.fragment?.name;
+    const args = log.args || {};
+    if (eventName === 'HederaAccountLinked') {
+      this.linkAccount(args.user, args.hederaAccountId);
+      return null;
+    }
+
+    const type = JOB_TYPES[eventName];
+    const id = `${log.transactionHash}:${logIndexOf(log)}`;
+    if (!type || this.jobs.has(id)) return null;
+
+    const now = new Date().toISOString();
+    const job = {
+      id,
+      type,
+      txHash: log.transactionHash,
+      logIndex: logIndexOf(log),
+      blockNumber: Number(log.blockNumber),
+      user: ethers.getAddress(args.user),
+      amount: BigInt(args.amount).toString(),
+      shares: BigInt(args.shares).toString(),
+      units: null,
+      hederaAccountId: null,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: now,
+      lastError: null,
+      steps: {},
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null
+    };
+    this.jobs.set(id, job);
+    this.emit('queued', job);
+    return job;
+  }
+
+  /**
+   * A user linked a Hedera account on the vault; their jobs waiting for one run again
+   */
+  linkAccount(user, hederaAccountId) {
+    const accountId = hederaAccountFromBytes32(hederaAccountId);
+    if (!user || !accountId) return;
+
+    const address = ethers.getAddress(user);
+    this.linkedAccounts.set(address.toLowerCase(), accountId);
+    for (const job of this.jobs.values()) {
+      if (job.user === address && job.status !== 'done' && !job.hederaAccountId) {
+        this.requeue(job);
+      }
+    }
+  }
+
+  /**
+   * Run due jobs in chain order. A user's job waits while an earlier one of theirs is open.
+   */
+  async processDue() {
+    const now = Date.now();
+    const waiting = new Set(); // users with an earlier job that is not done
+    let synced = 0;
+    let failed = 0;
+
+    for (const job of this.sortedJobs()) {
+      if (job.status === 'done' || waiting.has(job.user)) continue;
+      if (job.status === 'failed' || Date.parse(job.nextAttemptAt) > now) {
+        waiting.add(job.user);
+        continue;
+      }
+
+      await this.process(job);
+      if (job.status === 'done') synced++;
+      else {
+        waiting.add(job.user);
+        if (job.status === 'failed') failed++;
+      }
+    }
+    return { synced, failed };
+  }
+
+  async process(job) {
+    job.attempts++;
+    try {
+      const token = await this.tokenInfo();
+      job.units = job.units ?? toUnits(job.shares, this.config.shareDecimals, token.decimals).toString();
+      const steps = job.units === '0' ? [] : JOB_STEPS[job.type];
+      if (steps.length > 0) {
+        job.hederaAccountId = job.hederaAccountId || await this.resolveAccount(job.user);
+      }
+
+      for (const step of steps) {
+        if (stepDone(job, step)) continue;
+        job.steps[step] = await this.runStep(step, job, token);
+        job.updatedAt = new Date().toISOString();
+        await this.persist();
+      }
+
+      job.status = 'done';
+      job.lastError = null;
+      job.completedAt = new Date().toISOString();
+      this.emit('synced', job);
+    } catch (error) {
+      job.lastError = error.message;
+      if (job.attempts >= this.config.maxAttempts) {
+        job.status = 'failed';
+        console.warn(`⚠️ HTS share sync of ${job.type} ${job.id} failed after ${job.attempts} attempts: ${error.message}`);
+        this.emit('failed', job);
+      } else {
+        job.nextAttemptAt = new Date(Date.now() + this.config.retryDelay * 2 ** (job.attempts - 1)).toISOString();
+      }
+    }
+    job.updatedAt = new Date().toISOString();
+    await this.persist();
+  }
+
+  async runStep(step, job, token) {
+    if (step === 'associate') {
+      await this.assertAssociated(job.hederaAccountId, token);
+      return { checked: true, at: new Date().toISOString() };
+    }
+
+    const submitted = job.steps[step];
+    if (submitted?.transactionId && await this.confirmed(submitted)) {
+      return { ...submitted, at: new Date().toISOString() };
+    }
+
+    const options = {
+      service: SYNC_SERVICE,
+      // Saved before the transaction goes out, so a lost outcome can be looked up on retry
+      onSubmit: async (transactionId) => {
+        job.steps[step] = { transactionId, submittedAt: new Date().toISOString(), at: null };
+        await this.persist();
+      }
+    };
+    const memo = `aion:${job.type}:${job.id}`;
+    switch (step) {
+      case 'mint':
+        await this.hederaService.mintHTSTokens(this.tokenId, job.units, memo, options);
+        break;
+      case 'transfer':
+        await this.hederaService.transferHTSTokens(this.tokenId, token.treasury, job.hederaAccountId, job.units, memo, options);
+        break;
+      case 'wipe':
+        await this.hederaService.wipeHTSTokens(this.tokenId, job.hederaAccountId, job.units, memo, options);
+        break;
+    }
+    return { ...job.steps[step], at: new Date().toISOString() };
+  }
+
+  /**
+   * Whether a step's earlier transaction went through. One that failed, or expired without being
+   * executed, is sent again; one that may still be on its way keeps the job waiting.
+   */
+  async confirmed({ transactionId, submittedAt }) {
+    const status = await this.hederaService.getTransactionStatus(transactionId);
+    if (status === 'SUCCESS') return true;
+    if (status === 'UNKNOWN' && Date.now() - Date.parse(submittedAt) < UNCONFIRMED_GRACE) {
+      throw httpError(`Transaction ${transactionId} is not confirmed yet`, 409);
+    }
+    return false;
+  }
+
+  /**
+   * Association needs the account's own signature, which the agent does not have, so the user
+   * associates their account and the job waits until the mirror node shows it
+   */
+  async assertAssociated(accountId, token) {
+    if (this.associated.has(accountId) || accountId === token.treasury) return;
+    if (!await this.hederaService.isTokenAssociated(accountId, this.tokenId)) {
+      throw httpError(`Hedera account ${accountId} is not associated with the share token ${this.tokenId}`, 409);
+    }
+    this.associated.add(accountId);
+  }
+
+  /**
+   * Hedera account for a vault user: the one linked on the vault, else the configured one
+   */
+  async resolveAccount(user) {
+    const address = user.toLowerCase();
+    if (!this.linkedAccounts.has(address) && this.vault?.userHederaAccountIds) {
+      const linked = hederaAccountFromBytes32(await this.vault.userHederaAccountIds(user));
+      if (linked) this.linkedAccounts.set(address, linked);
+    }
+
+    const accountId = this.linkedAccounts.get(address) || this.config.accounts[address];
+    if (!accountId) {
+      throw httpError(`No Hedera account linked for ${user}`, 404);
+    }
+    return accountId;
+  }
+
+  /**
+   * Treasury and decimals of the share token, from the config or the token itself
+   */
+  async tokenInfo() {
+    if (!this.token) {
+      const needsLookup = !this.config.treasuryAccountId || this.config.tokenDecimals === null;
+      const info = needsLookup ? await this.hederaService.getTokenInfo(this.tokenId) : {};
+      this.token = {
+        treasury: this.config.treasuryAccountId || info.treasury,
+        decimals: Number(this.config.tokenDecimals ?? info.decimals)
+      };
+    }
+    return this.token;
+  }
+
+  /**
+   * Vault users the synchronizer knows of: from sync jobs, vault links and configured accounts
+   */
+  knownUsers() {
+    const users = new Set([...this.jobs.values()].map((job) => job.user));
+    for (const address of [...this.linkedAccounts.keys(), ...Object.keys(this.config.accounts)]) {
+      users.add(ethers.getAddress(address));
+    }
+    return Array.from(users).sort();
+  }
+
+  /**
+   * Token units by which the token legitimately differs from the vault while jobs are pending:
+   * negative for deposits not yet minted or transferred, positive for withdrawals not yet wiped.
+   * Steps count once confirmed. Failed jobs are not counted; they are real discrepancies.
+   * @returns {Promise<Object>} { supply: bigint, users: Map<address, bigint> }
+   */
+  async unsyncedUnits() {
+    await this.load();
+    const token = await this.tokenInfo();
+    const users = new Map();
+    let supply = 0n;
+
+    for (const job of this.jobs.values()) {
+      if (job.status !== 'pending') continue;
+      const units = BigInt(job.units ?? toUnits(job.shares, this.config.shareDecimals, token.decimals));
+      const sign = job.type === 'deposit' ? -1n : 1n;
+      if (!stepDone(job, job.type === 'deposit' ? 'mint' : 'wipe')) {
+        supply += sign * units;
+      }
+      if (!stepDone(job, job.type === 'deposit' ? 'transfer' : 'wipe')) {
+        users.set(job.user, (users.get(job.user) || 0n) + sign * units);
+      }
+    }
+    return { supply, users };
+  }
+
+  /**
+   * Put a failed job back in the queue and run it
+   */
+  async retry(id) {
+    await this.load();
+    const job = this.jobs.get(id);
+    if (!job) {
+      throw httpError(`Unknown share sync job '${id}'`, 404);
+    }
+    if (job.status === 'done') {
+      throw httpError(`Share sync job '${id}' is already done`, 409);
+    }
+
+    this.requeue(job);
+    await this.persist();
+    await this.poll();
+    return this.jobs.get(id);
+  }
+
+  requeue(job) {
+    job.status = 'pending';
+    job.attempts = 0;
+    job.nextAttemptAt = new Date().toISOString();
+    job.updatedAt = job.nextAttemptAt;
+  }
+
+  /**
+   * Jobs in chain order, optionally filtered by status and user
+   * @returns {Object} { jobs, total }
+   */
+  listJobs({ status, user, limit = 50, offset = 0 } = {}) {
+    const jobs = this.sortedJobs().filter((job) => (!status || job.status === status)
+      && (!user || job.user.toLowerCase() === String(user).toLowerCase()));
+    return { jobs: jobs.slice(offset, offset + limit), total: jobs.length };
+  }
+
+  getStatus() {
+    const counts = { pending: 0, done: 0, failed: 0 };
+    for (const job of this.jobs.values()) {
+      counts[job.status]++;
+    }
+    return {
+      configured: this.isConfigured(),
+      running: this.started && this.timer !== null,
+      tokenId: this.tokenId,
+      vaultAddress: this.vault?.target || this.config.vaultAddress || null,
+      cursor: this.cursor,
+      jobs: counts,
+      lastPoll: this.lastPoll
+    };
+  }
+
+  sortedJobs() {
+    return Array.from(this.jobs.values()).sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  }
+
+  load() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        const state = await this.store.read();
+        if (!state) return;
+        this.cursor = state.cursor ?? null;
+        for (const job of state.jobs || []) {
+          this.jobs.set(job.id, job);
+        }
+      })();
+    }
+    return this.loaded;
+  }
+
+  persist() {
+    this.persisting = this.store.write({ cursor: this.cursor, jobs: this.sortedJobs() });
+    return this.persisting;
+  }
+}
+
+/**
+ * Hedera account ID stored in the vault's bytes32 slot: either the ID as a bytes32 string
+ * ("0.0.1234") or the account number, for shard and realm 0. Returns null when nothing is linked.
+ */
+export function hederaAccountFromBytes32(value) {
+  if (!value || /^0x0*$/.test(value)) return null;
+  try {
+    const text = ethers.decodeBytes32String(value);
+    if (ACCOUNT_ID_PATTERN.test(text)) return text;
+  } catch {
+    // Not a string; read it as an account number
+  }
+  return `0.0.${BigInt(value)}`;
+}
+
+/**
+ * Vault shares to token units; precision beyond the token's decimals is dropped
+ */
+export function toUnits(shares, shareDecimals, tokenDecimals) {
+  const scale = BigInt(shareDecimals) - BigInt(tokenDecimals);
+  return scale >= 0n ? BigInt(shares) / 10n ** scale : BigInt(shares) * 10n ** -scale;
+}
+
+/**
+ * A step counts as done once its transaction is confirmed, not when it was merely submitted
+ */
+function stepDone(job, step) {
+  return Boolean(job.steps[step]?.at);
+}
+
+function logIndexOf(log) {
+  return Number(log.logIndex ?? log.index);
+}
+
+export default HtsShareSynchronizer;
@@ -23,6 +23,23 @@ export { default as ValidationManager } from './validationManager.js';
 export { default as CacheManager } from './cacheManager.js'; // Original cache manager
 export { default as KeyManager } from './keyManager.js';
 export { default as PythonBridge } from './pythonBridge.js';
+export { default as PythonWorkerPool } from './pythonWorkerPool.js';
+export { default as StrategyEngine } from './strategyEngine.js';
+export { default as ExecutionGuardrails } from './executionGuardrails.js';
+export { default as PortfolioAllocator } from './portfolioAllocator.js';
+export { default as RebalanceScheduler } from './rebalanceScheduler.js';
+export { default as OutcomeEvaluator } from './outcomeEvaluator.js';
+export { default as ModelPerformanceAnalytics } from './modelPerformanceAnalytics.js';
+export { default as ShadowEvaluator } from './shadowEvaluator.js';
+export { default as SnapshotArchive } from './snapshotArchive.js';
+export { default as HcsMessageChain } from './hcsMessageChain.js';
+export { default as HcsTopicIndexer } from './hcsTopicIndexer.js';
+export { default as HcsTopicRegistry } from './hcsTopicRegistry.js';
+export { default as HederaSimulator } from './hederaSimulator.js';
+export { default as HederaFeeLedger } from './hederaFeeLedger.js';
+export { default as HtsShareSynchronizer } from './htsShareSynchronizer.js';
+export { default as HtsShareReconciler } from './htsShareReconciler.js';
+export { default as ApprovalQueue } from './approvalQueue.js';
 
 // Import classes for ServiceFactory
 import ServiceContainerClass from './serviceContainer.js';
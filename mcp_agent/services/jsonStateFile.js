@@ -0,0 +1,66 @@
+/**
+ * @fileoverview JSON State File
+ * @description The file a service keeps its state in. A missing file reads as no state, and an
+ * unreadable one is reported and read as no state. Writes go to a temporary file that is then
+ * renamed over the old one, and they run one at a time, so a crash or two overlapping writes
+ * never leave a half-written file.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export class JsonStateFile {
+  /**
+   * @param {string} file - Path of the JSON file
+   * @param {Object} [options] - { label } naming the state in warnings, e.g. 'guardrail state'
+   */
+  constructor(file, options = {}) {
+    this.file = file;
+    this.label = options.label || path.basename(file);
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * @returns {Promise<Object|null>} The stored state, or null when there is none
+   */
+  async read() {
+    try {
+      return JSON.parse(await fs.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Could not read ${this.label} ${this.file}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Queue a write of the state as it is now. A failed write is reported and does not stop later ones.
+   * @returns {Promise<void>} Resolves once this write is done
+   */
+  write(state) {
+    const content = JSON.stringify(state, null, 2);
+    this.writing = this.writing.then(async () => {
+      try {
+        await writeJsonFile(this.file, content);
+      } catch (error) {
+        console.warn(`⚠️ Could not persist ${this.label}: ${error.message}`);
+      }
+    });
+    return this.writing;
+  }
+}
+
+/**
+ * Write a JSON file through a temporary file, so readers never see it half-written
+ * @param {string} file - Path of the JSON file
+ * @param {Object|string} value - Value to store, or its JSON text
+ */
+export async function writeJsonFile(file, value) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmpFile = `${file}.tmp`;
+  await fs.writeFile(tmpFile, typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+  await fs.rename(tmpFile, file);
+}
+
+export default JsonStateFile;
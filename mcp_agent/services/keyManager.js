@@ -7,8 +7,21 @@ import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 
+/**
+ * Name of the Ed25519 key the agent signs its HCS messages with
+ */
+export const DEFAULT_SIGNING_KEY = 'agent-signing';
+
+/**
+ * Reader id of the agent's own X25519 reader key, so it can decrypt what it wrote
+ */
+export const AGENT_READER_ID = 'agent';
+
+const READER_KEY_PREFIX = 'reader:';
+
 export class KeyManager {
-  constructor() {
+  constructor(options = {}) {
+    this.keyDir = options.keyDir || path.join(process.cwd(), '.kiro');
     this.algorithm = 'aes-256-gcm';
     this.keyLength = 32;
     this.ivLength = 16;
@@ -17,6 +30,8 @@ export class KeyManager {
     this.encryptedKeys = new Map();
     this.keyRotationInterval = 24 * 60 * 60 * 1000; // 24 hours
     this.lastRotation = new Date();
+    this.signingKeys = new Map(); // name -> { keyId, publicKey, privateKey }
+    this.readerPrivateKeys = new Map(); // keyId -> KeyObject
   }
 
   /**
@@ -42,7 +57,7 @@ export class KeyManager {
    * Generate or load master key
    */
   async loadOrGenerateMasterKey() {
-    const masterKeyPath = path.join(process.cwd(), '.kiro', 'master.key');
+    const masterKeyPath = path.join(this.keyDir, 'master.key');
     
     try {
       // Try to load existing master key
@@ -72,7 +87,7 @@ export class KeyManager {
    * Load encrypted keys from storage
    */
   async loadEncryptedKeys() {
-    const keysPath = path.join(process.cwd(), '.kiro', 'keys.enc');
+    const keysPath = path.join(this.keyDir, 'keys.enc');
     
     if (fs.existsSync(keysPath)) {
       try {
@@ -95,7 +110,7 @@ export class KeyManager {
    * Save encrypted keys to storage
    */
   async saveEncryptedKeys() {
-    const keysPath = path.join(process.cwd(), '.kiro', 'keys.enc');
+    const keysPath = path.join(this.keyDir, 'keys.enc');
     
     try {
       const keysObject = Object.fromEntries(this.encryptedKeys);
@@ -255,7 +270,7 @@ export class KeyManager {
       }
       
       // Save new master key
-      const masterKeyPath = path.join(process.cwd(), '.kiro', 'master.key');
+      const masterKeyPath = path.join(this.keyDir, 'master.key');
       fs.writeFileSync(masterKeyPath, this.masterKey, { mode: 0o600 });
       
       this.lastRotation = now;
@@ -269,6 +284,170 @@ export class KeyManager {
     }
   }
 
+  /**
+   * Load the named signing key, generating it on first use
+   * @returns {Promise<Object>} { keyId, publicKey (PEM), privateKey (KeyObject) }
+   */
+  async getSigningKey(name = DEFAULT_SIGNING_KEY) {
+    if (!this.signingKeys.has(name)) {
+      if (!this.hasKey(name)) {
+        await this.rotateSigningKey(name);
+      } else {
+        const { keyId, publicKey } = this.encryptedKeys.get(name).metadata;
+        const privateKey = crypto.createPrivateKey(await this.getKey(name));
+        this.signingKeys.set(name, { keyId, publicKey, privateKey });
+      }
+    }
+    return this.signingKeys.get(name);
+  }
+
+  /**
+   * Replace the named signing key with a new Ed25519 key pair. The old public key is kept
+   * so signatures made before the rotation still verify.
+   */
+  async rotateSigningKey(name = DEFAULT_SIGNING_KEY) {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    const keyId = publicKeyId(publicKey);
+    const publicPem = publicKey.export({ type: 'spki', format: 'pem' });
+    const previous = this.encryptedKeys.get(name)?.metadata;
+    const retiredKeys = previous?.keyId
+      ? [...(previous.retiredKeys || []), { keyId: previous.keyId, publicKey: previous.publicKey, retiredAt: new Date().toISOString() }]
+      : [];
+
+    await this.storeKey(name, privateKey.export({ type: 'pkcs8', format: 'pem' }), {
+      type: 'signing',
+      algorithm: 'ed25519',
+      keyId,
+      publicKey: publicPem,
+      retiredKeys
+    });
+    this.signingKeys.set(name, { keyId, publicKey: publicPem, privateKey });
+
+    console.log(`🔏 Signing key '${name}' is now ${keyId}`);
+    return { keyId, publicKey: publicPem };
+  }
+
+  /**
+   * Sign data with the named signing key
+   * @returns {Promise<Object>} { algorithm, keyId, signature } with the signature in base64
+   */
+  async sign(data, name = DEFAULT_SIGNING_KEY) {
+    const { keyId, privateKey } = await this.getSigningKey(name);
+    return {
+      algorithm: 'ed25519',
+      keyId,
+      signature: crypto.sign(null, Buffer.from(data, 'utf8'), privateKey).toString('base64')
+    };
+  }
+
+  /**
+   * Public keys that verify the named key's signatures, current key first, then retired ones
+   */
+  getSigningPublicKeys(name = DEFAULT_SIGNING_KEY) {
+    const metadata = this.encryptedKeys.get(name)?.metadata;
+    if (!metadata?.keyId) {
+      return [];
+    }
+    return [
+      { keyId: metadata.keyId, algorithm: 'ed25519', publicKey: metadata.publicKey, current: true },
+      ...(metadata.retiredKeys || []).map((key) => ({ ...key, algorithm: 'ed25519', current: false }))
+    ];
+  }
+
+  /**
+   * Generate an X25519 reader key pair held by this key manager
+   * @returns {Promise<Object>} { readerId, keyId, publicKey (PEM) }
+   */
+  async createReaderKey(readerId = AGENT_READER_ID) {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('x25519');
+    return this.saveReaderKey(readerId, publicKey, privateKey.export({ type: 'pkcs8', format: 'pem' }));
+  }
+
+  /**
+   * Authorize an outside reader by its X25519 public key (PEM); its private key stays with the reader
+   */
+  async addReaderKey(readerId, publicKey) {
+    const key = crypto.createPublicKey(publicKey);
+    if (key.asymmetricKeyType !== 'x25519') {
+      throw new Error(`Reader key '${readerId}' must be an X25519 public key, got ${key.asymmetricKeyType}`);
+    }
+    return this.saveReaderKey(readerId, key, null);
+  }
+
+  /**
+   * Make the stored reader keys match the configured readers: outside readers are added or
+   * updated, outside readers no longer configured are removed so new messages are not encrypted
+   * for them, and the agent's own reader key is created if missing
+   * @param {Array} readers - [{ readerId, publicKey }]
+   */
+  async syncReaderKeys(readers = []) {
+    const configured = new Set(readers.map(({ readerId }) => readerId));
+    for (const reader of this.getReaderKeys()) {
+      if (!reader.hasPrivateKey && !configured.has(reader.readerId)) {
+        await this.removeReaderKey(reader.readerId);
+      }
+    }
+
+    for (const { readerId, publicKey } of readers) {
+      const stored = this.encryptedKeys.get(READER_KEY_PREFIX + readerId)?.metadata;
+      if (stored?.publicKey?.trim() !== publicKey.trim()) {
+        await this.addReaderKey(readerId, publicKey);
+      }
+    }
+    if (!this.hasKey(READER_KEY_PREFIX + AGENT_READER_ID)) {
+      await this.createReaderKey(AGENT_READER_ID);
+    }
+    return this.getReaderKeys();
+  }
+
+  async removeReaderKey(readerId) {
+    const keyId = this.encryptedKeys.get(READER_KEY_PREFIX + readerId)?.metadata.keyId;
+    this.readerPrivateKeys.delete(keyId);
+    return this.deleteKey(READER_KEY_PREFIX + readerId);
+  }
+
+  /**
+   * Public keys of every authorized reader
+   * @returns {Array} [{ readerId, keyId, publicKey, hasPrivateKey }]
+   */
+  getReaderKeys() {
+    return Array.from(this.encryptedKeys.entries())
+      .filter(([name]) => name.startsWith(READER_KEY_PREFIX))
+      .map(([, { key, metadata }]) => ({
+        readerId: metadata.readerId,
+        keyId: metadata.keyId,
+        publicKey: metadata.publicKey,
+        hasPrivateKey: Boolean(key)
+      }));
+  }
+
+  /**
+   * Private key of a reader key held here, or null when the key belongs to someone else
+   */
+  async getReaderPrivateKey(keyId) {
+    if (!this.readerPrivateKeys.has(keyId)) {
+      const reader = this.getReaderKeys().find((candidate) => candidate.keyId === keyId);
+      if (!reader?.hasPrivateKey) {
+        return null;
+      }
+      this.readerPrivateKeys.set(keyId, crypto.createPrivateKey(await this.getKey(READER_KEY_PREFIX + reader.readerId)));
+    }
+    return this.readerPrivateKeys.get(keyId);
+  }
+
+  async saveReaderKey(readerId, publicKey, privatePem) {
+    const keyId = publicKeyId(publicKey);
+    const publicPem = publicKey.export({ type: 'spki', format: 'pem' });
+    await this.storeKey(READER_KEY_PREFIX + readerId, privatePem, {
+      type: 'reader',
+      algorithm: 'x25519',
+      readerId,
+      keyId,
+      publicKey: publicPem
+    });
+    return { readerId, keyId, publicKey: publicPem };
+  }
+
   /**
    * Get key statistics
    */
@@ -325,4 +504,12 @@ export class KeyManager {
   }
 }
 
+/**
+ * Short fingerprint of a public key: the first 16 hex chars of the SHA-256 of its DER encoding
+ */
+function publicKeyId(publicKey) {
+  const der = publicKey.export({ type: 'spki', format: 'der' });
+  return crypto.createHash('sha256').update(der).digest('hex').slice(0, 16);
+}
+
 export default KeyManager;
\ No newline at end of file
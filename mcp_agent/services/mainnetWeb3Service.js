@@ -3,7 +3,27 @@
  * @description Enhanced Web3 service specifically configured for BSC Mainnet with real contract addresses
  */
 
-import { Web3Service } from './web3Service.js';
+import { ethers } from 'ethers';
+import Web3Service from './web3Service.js';
+
+const STRATEGY_ASSETS_ABI = ['function totalAssets() view returns (uint256)'];
+
+const VAULT_STATS_ABI = [
+  'function totalAssets() view returns (uint256)',
+  'function totalShares() view returns (uint256)',
+  'function owner() view returns (address)',
+  'function aiAgent() view returns (address)',
+  'function minDeposit() view returns (uint256)',
+  'function minYieldClaim() view returns (uint256)',
+  'function paused() view returns (bool)',
+  'function maxAllocationBps() view returns (uint256)'
+];
+
+const STRATEGY_INFO_ABI = [
+  'function owner() view returns (address)',
+  'function testMode() view returns (bool)',
+  'function paused() view returns (bool)'
+];
 
 export class MainnetWeb3Service extends Web3Service {
   constructor(configManager, errorManager, options = {}) {
@@ -13,10 +33,16 @@ export class MainnetWeb3Service extends Web3Service {
       defaultNetwork: 'bscMainnet',
       confirmations: 3, // Higher confirmations for mainnet
       timeout: 300000, // 5 minutes
-      ...options
+      ...options,
+      rpcUrls: {
+        bscMainnet: process.env.BSC_MAINNET_RPC_URL || 'https://bsc-dataseed1.binance.org/',
+        ...options.rpcUrls
+      }
     };
 
-    super(configManager, errorManager, mainnetOptions);
+    super(mainnetOptions);
+    this.configManager = configManager;
+    this.errorManager = errorManager;
 
     // Mainnet contract addresses
     this.mainnetContracts = {
@@ -116,7 +142,7 @@ export class MainnetWeb3Service extends Web3Service {
   async getVaultStats() {
     try {
       const vaultAddress = this.getMainnetContractAddress('aionVault');
-      const contract = await this.getContract(vaultAddress, 'bscMainnet');
+      const contract = this.getContract(vaultAddress, VAULT_STATS_ABI);
       
       const [
         totalAssets,
@@ -125,7 +151,8 @@ export class MainnetWeb3Service extends Web3Service {
         aiAgent,
         minDeposit,
         minYieldClaim,
-        paused
+        paused,
+        maxAllocationBps
       ] = await Promise.all([
         contract.totalAssets(),
         contract.totalShares(),
@@ -133,7 +160,8 @@ export class MainnetWeb3Service extends Web3Service {
         contract.aiAgent(),
         contract.minDeposit(),
         contract.minYieldClaim(),
-        contract.paused()
+        contract.paused(),
+        contract.maxAllocationBps()
       ]);
 
       return {
@@ -144,6 +172,7 @@ export class MainnetWeb3Service extends Web3Service {
         minDeposit: minDeposit.toString(),
         minYieldClaim: minYieldClaim.toString(),
         paused,
+        maxAllocationBps: Number(maxAllocationBps),
         network: 'bscMainnet',
         contractAddress: vaultAddress,
         timestamp: new Date().toISOString()
@@ -159,16 +188,17 @@ export class MainnetWeb3Service extends Web3Service {
   async getStrategyInfo(strategy) {
     try {
       const strategyAddress = this.getMainnetContractAddress('strategy', strategy);
-      const contract = await this.getContract(strategyAddress, 'bscMainnet');
+      const contract = this.getContract(strategyAddress, STRATEGY_INFO_ABI);
       
+      // Not every adapter implements testMode() and paused()
       const [
         owner,
         testMode,
         paused
       ] = await Promise.all([
         contract.owner(),
-        contract.testMode ? contract.testMode() : Promise.resolve(false),
-        contract.paused ? contract.paused() : Promise.resolve(false)
+        contract.testMode().catch(() => false),
+        contract.paused().catch(() => false)
       ]);
 
       return {
@@ -185,6 +215,34 @@ export class MainnetWeb3Service extends Web3Service {
     }
   }
 
+  /**
+   * Assets a strategy adapter holds on mainnet, in wei
+   */
+  async getStrategyAssets(strategy) {
+    const strategyAddress = this.getMainnetContractAddress('strategy', strategy);
+    if (!strategyAddress) {
+      throw new Error(`Unknown strategy: ${strategy}`);
+    }
+
+    const contract = this.getContract(strategyAddress, STRATEGY_ASSETS_ABI);
+    return (await contract.totalAssets()).toString();
+  }
+
+  /**
+   * Read-only contract on the bscMainnet provider
+   */
+  getContract(address, abi) {
+    if (!address) {
+      throw new Error('Contract address is required');
+    }
+    const provider = this.providers.get('bscMainnet');
+    if (!provider) {
+      throw new Error('No bscMainnet provider');
+    }
+
+    return new ethers.Contract(address, abi, provider);
+  }
+
   /**
    * Get all strategies information
    */
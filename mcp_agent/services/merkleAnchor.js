@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Merkle Anchoring
+ * @description Merkle trees over batches of decision entries. Only the root is anchored on HCS;
+ * the leaves stay in local storage or HFS, and any single decision can later be proven part of
+ * an anchored batch with its inclusion proof. Leaves and inner nodes are hashed with distinct
+ * prefixes, and an odd node is carried up unchanged rather than paired with itself.
+ */
+
+import crypto from 'crypto';
+import { canonicalize } from './strategyEngine.js';
+
+export const MERKLE_ALGORITHM = 'sha256';
+export const LEAF_ENCODING = 'canonical-json';
+export const BATCH_ROOT_MESSAGE_TYPE = 'AI_DECISION_BATCH_ROOT';
+
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
+/**
+ * Hash of a decision entry as a leaf
+ */
+export function hashLeaf(entry) {
+  return crypto.createHash(MERKLE_ALGORITHM)
+    .update(LEAF_PREFIX)
+    .update(canonicalize(entry))
+    .digest('hex');
+}
+
+function hashNode(left, right) {
+  return crypto.createHash(MERKLE_ALGORITHM)
+    .update(NODE_PREFIX)
+    .update(Buffer.from(left, 'hex'))
+    .update(Buffer.from(right, 'hex'))
+    .digest('hex');
+}
+
+/**
+ * Build every level of the tree, leaves first
+ * @param {string[]} leafHashes - Hex leaf hashes in batch order
+ * @returns {string[][]} Levels; the last level holds the root
+ */
+export function buildMerkleTree(leafHashes) {
+  if (leafHashes.length === 0) {
+    throw new Error('Cannot build a Merkle tree without leaves');
+  }
+
+  const levels = [leafHashes];
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? hashNode(level[i], level[i + 1]) : level[i]);
+    }
+    levels.push(next);
+  }
+  return levels;
+}
+
+export function merkleRoot(levels) {
+  return levels[levels.length - 1][0];
+}
+
+/**
+ * Sibling path from a leaf to the root
+ * @returns {Array} [{ position: 'left'|'right', hash }], position of the sibling
+ */
+export function merkleProof(levels, leafIndex) {
+  if (leafIndex < 0 || leafIndex >= levels[0].length) {
+    throw new Error(`Leaf index ${leafIndex} is out of range`);
+  }
+
+  const proof = [];
+  let index = leafIndex;
+  for (const level of levels.slice(0, -1)) {
+    const sibling = index % 2 === 0 ? index + 1 : index - 1;
+    if (sibling < level.length) {
+      proof.push({ position: index % 2 === 0 ? 'right' : 'left', hash: level[sibling] });
+    }
+    index = Math.floor(index / 2);
+  }
+  return proof;
+}
+
+/**
+ * Recompute the root from a leaf hash and its proof
+ */
+export function verifyMerkleProof(leafHash, proof, root) {
+  const computed = proof.reduce(
+    (hash, step) => (step.position === 'left' ? hashNode(step.hash, hash) : hashNode(hash, step.hash)),
+    leafHash
+  );
+  return computed === root;
+}
+
+/**
+ * Check a decision's inclusion proof against the batch root anchored on HCS. Works offline: the
+ * proof comes from the agent, the anchor message straight from the mirror node.
+ * @param {Object} proof - Result of AIDecisionLogger.getDecisionProof()
+ * @param {string|Object} anchorMessage - The HCS message at proof.anchor.sequenceNumber
+ * @returns {Object} { valid, checks }
+ */
+export function verifyDecisionProof(proof, anchorMessage) {
+  const anchor = typeof anchorMessage === 'string' ? JSON.parse(anchorMessage) : anchorMessage;
+  const anchored = anchor?.data || {};
+  const leafHash = hashLeaf(proof.entry);
+
+  const checks = [
+    { check: 'leafHash', valid: leafHash === proof.leafHash },
+    { check: 'decisionId', valid: proof.entry?.id === proof.decisionId },
+    { check: 'inclusion', valid: verifyMerkleProof(leafHash, proof.proof || [], proof.root) },
+    { check: 'anchorType', valid: anchor?.type === BATCH_ROOT_MESSAGE_TYPE },
+    { check: 'anchorBatch', valid: anchored.batchId === proof.batchId },
+    { check: 'anchorRoot', valid: anchored.root === proof.root }
+  ];
+
+  return { valid: checks.every((c) => c.valid), decisionId: proof.decisionId, batchId: proof.batchId, checks };
+}
+
+/**
+ * Store content in HFS, appending in chunks above the per-transaction size limit
+ * @param {Object} options - { service, decisionId } the fees are attributed to
+ * @returns {Promise<string>} File ID
+ */
+export async function uploadToHfs(hederaService, content, memo, chunkSize = 4096, options = {}) {
+  const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content);
+  const created = await hederaService.createFile(buffer.subarray(0, chunkSize), memo, options);
+  for (let offset = chunkSize; offset < buffer.length; offset += chunkSize) {
+    await hederaService.appendFile(created.fileId, buffer.subarray(offset, offset + chunkSize), options);
+  }
+  return created.fileId;
+}
@@ -350,6 +350,28 @@ class ModelMetadataManager extends EventEmitter {
         }
     }
     
+    /**
+     * Get a reference to the active model for tagging decisions
+     * @returns {object|null} { modelId, versionId, version, checksum, hfsFileId }
+     */
+    getModelReferenceForHCS() {
+        const active = Array.from(this.modelRegistry.values())
+            .filter(model => model.status === 'active')
+            .sort((a, b) => b.updatedAt - a.updatedAt)[0];
+
+        if (!active) {
+            return null;
+        }
+
+        return {
+            modelId: active.modelId,
+            versionId: active.versionId,
+            version: active.version,
+            checksum: active.checksum,
+            hfsFileId: this.config.hfsModelFileId || null
+        };
+    }
+
     // ========== Local Storage Operations ==========
     
     /**
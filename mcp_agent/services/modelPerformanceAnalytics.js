@@ -0,0 +1,227 @@
+/**
+ * @fileoverview Model Performance Analytics
+ * @description Aggregates realized-yield outcomes of logged decisions per model version: hit rate,
+ * APY error, confidence calibration and realized PnL contribution, plus a leaderboard across versions.
+ * Only outcomes priced from historical APY data are scored; those priced from a fallback value or a
+ * single spot snapshot are counted per version but left out of the metrics.
+ */
+
+import { modelOf } from './outcomeEvaluator.js';
+import { round } from './serviceUtils.js';
+
+export const DEFAULT_MODEL_ANALYTICS = {
+  horizon: '24h',
+  calibrationBins: 5,
+  minDecisions: 5, // versions with fewer evaluated decisions are listed but not ranked
+  defaultNotional: 1 // position size assumed when a decision carries no amount
+};
+
+export const UNVERSIONED = 'unversioned';
+
+export class ModelPerformanceAnalytics {
+  constructor(options = {}) {
+    this.config = { ...DEFAULT_MODEL_ANALYTICS, ...options.config };
+    this.aiDecisionLogger = options.aiDecisionLogger || null;
+    this.modelMetadataManager = options.modelMetadataManager || null;
+    this.outcomeEvaluator = options.outcomeEvaluator || null;
+  }
+
+  /**
+   * Realized-yield outcomes for one horizon from the evaluator's persisted history and the
+   * logger's in-memory outcomes, one per decision
+   */
+  collectOutcomes(horizon = this.config.horizon) {
+    const records = new Map();
+
+    for (const evaluation of this.outcomeEvaluator?.getEvaluations({ limit: Infinity, horizon }) || []) {
+      records.set(evaluation.decisionId, evaluation);
+    }
+
+    for (const entry of this.aiDecisionLogger?.getDecisionOutcomes?.() || []) {
+      const outcome = entry.outcome || {};
+      if (outcome.type !== 'realized_yield' || outcome.horizon !== horizon || records.has(entry.decisionId)) continue;
+
+      const decision = entry.originalDecision || {};
+      records.set(entry.decisionId, {
+        ...outcome,
+        decisionId: entry.decisionId,
+        model: modelOf(decision),
+        confidence: Number.isFinite(Number(decision.confidence)) ? Number(decision.confidence) : null,
+        amount: Number(decision.parameters?.amount) || null
+      });
+    }
+
+    return Array.from(records.values()).filter((record) => record.chosen && Number.isFinite(record.chosen.apyError));
+  }
+
+  /**
+   * Performance of one model (by modelId or version) and the leaderboard it sits in
+   * @returns {Object|null} null when the model is unknown and has no outcomes
+   */
+  async getModelPerformance(modelId, { horizon = this.config.horizon } = {}) {
+    const leaderboard = this.getLeaderboard({ horizon });
+    const metadata = await this.modelMetadataManager?.retrieveModelMetadata?.(modelId) || null;
+
+    const matches = (entry) => entry.modelId === modelId || entry.version === modelId ||
+      (metadata && entry.modelId === metadata.modelId);
+    const versions = leaderboard.entries.filter(matches);
+
+    if (!metadata && versions.length === 0) {
+      return null;
+    }
+
+    return {
+      modelId,
+      model: metadata ? {
+        modelId: metadata.modelId,
+        name: metadata.name,
+        version: metadata.version,
+        status: metadata.status,
+        checksum: metadata.checksum
+      } : null,
+      horizon,
+      versions,
+      leaderboard
+    };
+  }
+
+  /**
+   * Rank every model version with enough measured decisions: hit rate first, then calibration
+   * error and absolute APY error as tie-breakers
+   */
+  getLeaderboard({ horizon = this.config.horizon } = {}) {
+    const groups = new Map();
+    for (const record of this.collectOutcomes(horizon)) {
+      const key = versionKey(record.model);
+      if (!groups.has(key)) groups.set(key, { model: record.model, records: [], excluded: {} });
+      const group = groups.get(key);
+      const source = priceSourceOf(record);
+      if (source === MEASURED_SOURCE) {
+        group.records.push(record);
+      } else {
+        group.excluded[source] = (group.excluded[source] || 0) + 1;
+      }
+    }
+
+    const entries = Array.from(groups.entries()).map(([key, group]) => ({
+      key,
+      modelId: group.model?.modelId || null,
+      version: group.model?.version || UNVERSIONED,
+      checksum: group.model?.checksum || null,
+      ...this.summarize(group.records),
+      excluded: group.excluded,
+      eligible: group.records.length >= this.config.minDecisions
+    }));
+
+    entries.sort((a, b) =>
+      (b.eligible - a.eligible) ||
+      (b.hitRate - a.hitRate) ||
+      ((a.calibration.expectedCalibrationError ?? 1) - (b.calibration.expectedCalibrationError ?? 1)) ||
+      (a.meanAbsApyError - b.meanAbsApyError) ||
+      a.key.localeCompare(b.key));
+
+    let rank = 0;
+    for (const entry of entries) {
+      entry.rank = entry.eligible ? ++rank : null;
+    }
+
+    return {
+      horizon,
+      minDecisions: this.config.minDecisions,
+      entries,
+      leader: entries.find((entry) => entry.eligible && entry.version !== UNVERSIONED) || null,
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  summarize(records) {
+    const hits = records.map((record) => (record.outperformedAlternatives ? 1 : 0));
+    const apyErrors = records.map((record) => record.chosen.apyError);
+
+    const pnl = { notional: 0, realized: 0, vsExpected: 0, vsBestAlternative: 0 };
+    for (const record of records) {
+      const notional = record.amount || this.config.defaultNotional;
+      const best = (record.alternatives || []).find((alt) => alt.strategy === record.bestAlternative);
+      pnl.notional += notional;
+      pnl.realized += notional * record.chosen.realizedYield / 100;
+      pnl.vsExpected += notional * (record.chosen.realizedYield - record.chosen.expectedYield) / 100;
+      if (best && best.realizedYield !== null) {
+        pnl.vsBestAlternative += notional * (record.chosen.realizedYield - best.realizedYield) / 100;
+      }
+    }
+
+    return {
+      decisions: records.length,
+      hitRate: round(mean(hits)),
+      meanApyError: round(mean(apyErrors)),
+      meanAbsApyError: round(mean(apyErrors.map(Math.abs))),
+      meanRegret: round(mean(records.map((record) => record.regret || 0))),
+      calibration: this.calibrate(records),
+      pnl: mapValues(pnl, (value) => round(value, 8))
+    };
+  }
+
+  /**
+   * Compare stated confidence with the observed hit rate in equal-width confidence bins
+   */
+  calibrate(records) {
+    const scored = records.filter((record) => record.confidence !== null && record.confidence !== undefined);
+    if (scored.length === 0) {
+      return { samples: 0, brierScore: null, expectedCalibrationError: null, bins: [] };
+    }
+
+    const binCount = this.config.calibrationBins;
+    const bins = Array.from({ length: binCount }, (_, i) => ({
+      range: [round(i / binCount), round((i + 1) / binCount)],
+      confidences: [],
+      hits: []
+    }));
+    for (const record of scored) {
+      const index = Math.min(binCount - 1, Math.max(0, Math.floor(record.confidence * binCount)));
+      bins[index].confidences.push(record.confidence);
+      bins[index].hits.push(record.outperformedAlternatives ? 1 : 0);
+    }
+
+    let ece = 0;
+    const summary = bins.filter((bin) => bin.hits.length > 0).map((bin) => {
+      const meanConfidence = mean(bin.confidences);
+      const hitRate = mean(bin.hits);
+      ece += (bin.hits.length / scored.length) * Math.abs(hitRate - meanConfidence);
+      return { range: bin.range, count: bin.hits.length, meanConfidence: round(meanConfidence), hitRate: round(hitRate) };
+    });
+
+    return {
+      samples: scored.length,
+      brierScore: round(mean(scored.map((record) => (record.confidence - (record.outperformedAlternatives ? 1 : 0)) ** 2))),
+      expectedCalibrationError: round(ece),
+      bins: summary
+    };
+  }
+}
+
+const MEASURED_SOURCE = 'historical';
+
+/**
+ * Where an outcome's realized APYs came from: 'historical' only when the chosen strategy and every
+ * alternative it was compared with were priced from historical data, else the weakest source used
+ */
+function priceSourceOf(record) {
+  const sources = [record.chosen, ...(record.alternatives || []).filter((alt) => alt.realizedYield !== null)]
+    .map((candidate) => candidate.dataSource || 'unknown');
+  return ['fallback', 'unknown', 'snapshot'].find((source) => sources.includes(source)) || MEASURED_SOURCE;
+}
+
+function versionKey(model) {
+  if (!model) return UNVERSIONED;
+  return model.modelId ? `${model.modelId}@${model.version}` : model.version;
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+function mapValues(object, fn) {
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, fn(value)]));
+}
+
+export default ModelPerformanceAnalytics;
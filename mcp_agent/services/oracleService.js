@@ -48,7 +48,11 @@ export class OracleService {
         venus: { apy: 4.83, tvl_usd: 123456789, health: "healthy" },
         pancake: { apy: 12.4, tvl_usd: 98765432, health: "healthy" },
         beefy: { apy: 8.7, tvl_usd: 45678901, health: "healthy" },
-        aave: { apy: 6.2, tvl_usd: 78901234, health: "healthy" }
+        aave: { apy: 6.2, tvl_usd: 78901234, health: "healthy" },
+        compound: { apy: 3.9, tvl_usd: 35421876, health: "healthy" },
+        morpho: { apy: 5.6, tvl_usd: 25318442, health: "healthy" },
+        uniswap: { apy: 10.2, tvl_usd: 61234567, health: "healthy" },
+        wombat: { apy: 7.1, tvl_usd: 18765432, health: "healthy" }
       }
     };
   }
@@ -212,7 +216,11 @@ export class OracleService {
         venus: 'venus',
         pancake: 'pancakeswap',
         beefy: 'beefy',
-        aave: 'aave-v3'
+        aave: 'aave-v3',
+        compound: 'compound-v3',
+        morpho: 'morpho-blue',
+        uniswap: 'uniswap-v3',
+        wombat: 'wombat-exchange'
       };
 
       const protocols = {};
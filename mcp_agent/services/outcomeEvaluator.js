@@ -0,0 +1,416 @@
+/**
+ * @fileoverview Decision Outcome Evaluator
+ * @description Revisits logged decisions once each configured horizon has elapsed, measures the
+ * realized yield of the chosen strategy against its expected APY and against the alternatives
+ * that were not chosen, and records the result through AIDecisionLogger (local log and HCS).
+ */
+
+import { EventEmitter } from 'events';
+import path from 'path';
+import { JsonStateFile } from './jsonStateFile.js';
+import { round } from './serviceUtils.js';
+
+export const DEFAULT_OUTCOME_EVALUATOR = {
+  enabled: true,
+  horizons: ['24h', '7d'],
+  checkInterval: 15 * 60 * 1000,
+  historyLimit: 1000,
+  dataDir: './data/outcomes'
+};
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: DAY_MS };
+const FALLBACK_SOURCES = new Set(['fallback', 'generated', 'unknown']);
+
+export class OutcomeEvaluator extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    const config = { ...DEFAULT_OUTCOME_EVALUATOR, ...options.config };
+    this.config = config;
+    this.horizons = config.horizons
+      .map((horizon) => ({ label: String(horizon), ms: parseDuration(horizon) }))
+      .sort((a, b) => a.ms - b.ms);
+    this.oracleService = options.oracleService || null;
+    this.strategyEngine = options.strategyEngine || null;
+    this.aiDecisionLogger = options.aiDecisionLogger || null;
+    this.store = new JsonStateFile(path.join(options.dataDir || config.dataDir, 'outcome-evaluator.json'), {
+      label: 'outcome evaluator state'
+    });
+
+    this.pending = new Map(); // decisionId -> { decisionId, decidedAt, strategy, expectedApy, alternatives, remaining }
+    this.evaluations = [];
+    this.timer = null;
+    this.checking = null;
+    this.started = false;
+    this.persisting = Promise.resolve();
+
+    this.onDecisionQueued = ({ decisionId }) => this.trackLogged(decisionId);
+    this.onBatchQueued = ({ decisionIds = [] }) => decisionIds.forEach((id) => this.trackLogged(id));
+  }
+
+  async start() {
+    if (this.started) return;
+    await this.loadState();
+
+    if (typeof this.aiDecisionLogger?.on === 'function') {
+      this.aiDecisionLogger.on('decisionQueued', this.onDecisionQueued);
+      this.aiDecisionLogger.on('batchQueued', this.onBatchQueued);
+    }
+
+    this.started = true;
+    if (this.config.enabled) {
+      this.timer = setInterval(() => {
+        this.evaluateDue().catch((error) => console.warn(`⚠️ Outcome evaluation failed: ${error.message}`));
+      }, this.config.checkInterval);
+      this.timer.unref?.();
+    }
+    this.emit('started', { pending: this.pending.size, horizons: this.horizons.map((h) => h.label) });
+  }
+
+  async stop() {
+    if (!this.started) return;
+    this.started = false;
+
+    clearInterval(this.timer);
+    this.timer = null;
+    if (typeof this.aiDecisionLogger?.off === 'function') {
+      this.aiDecisionLogger.off('decisionQueued', this.onDecisionQueued);
+      this.aiDecisionLogger.off('batchQueued', this.onBatchQueued);
+    }
+
+    if (this.checking) {
+      await this.checking.catch(() => {});
+    }
+    await this.persisting;
+    this.emit('stopped');
+  }
+
+  trackLogged(decisionId) {
+    const entry = this.aiDecisionLogger?.getDecision?.(decisionId);
+    if (!entry?.expectedOutcome) return;
+    try {
+      this.track(decisionId, entry);
+    } catch (error) {
+      console.warn(`⚠️ Decision ${decisionId} cannot be evaluated: ${error.message}`);
+    }
+  }
+
+  /**
+   * Schedule a decision for evaluation at every horizon
+   * @param {string} decisionId - AIDecisionLogger decision ID
+   * @param {Object} decision - Logged entry with `timestamp` and `expectedOutcome` (see expectedOutcomeFrom)
+   */
+  track(decisionId, decision) {
+    const expected = decision.expectedOutcome || {};
+    const expectedApy = Number(expected.expectedApy);
+    if (!expected.strategy || !Number.isFinite(expectedApy)) {
+      throw new Error('Decision has no expected strategy APY to evaluate against');
+    }
+    if (this.pending.has(decisionId)) {
+      return this.pending.get(decisionId);
+    }
+
+    const entry = {
+      decisionId,
+      decidedAt: Number(decision.timestamp) || Date.now(),
+      type: decision.type || null,
+      network: expected.network || decision.context?.network || null,
+      model: modelOf(decision),
+      confidence: Number.isFinite(Number(decision.confidence)) ? Number(decision.confidence) : null,
+      amount: Number(decision.parameters?.amount) || null,
+      strategy: expected.strategy,
+      expectedApy,
+      alternatives: (expected.alternatives || [])
+        .filter((alt) => alt.strategy && alt.strategy !== expected.strategy)
+        .map((alt) => ({ strategy: alt.strategy, expectedApy: Number(alt.expectedApy) })),
+      remaining: this.horizons.map((h) => h.label)
+    };
+
+    this.pending.set(decisionId, entry);
+    this.persist();
+    return entry;
+  }
+
+  /**
+   * Evaluate every pending decision whose horizon has elapsed. Overlapping calls share one pass.
+   */
+  evaluateDue() {
+    if (!this.checking) {
+      this.checking = this.runChecks().finally(() => {
+        this.checking = null;
+      });
+    }
+    return this.checking;
+  }
+
+  async runChecks() {
+    const now = Date.now();
+    const results = [];
+
+    for (const entry of Array.from(this.pending.values())) {
+      for (const horizon of this.horizons) {
+        if (!entry.remaining.includes(horizon.label) || entry.decidedAt + horizon.ms > now) continue;
+
+        try {
+          const evaluation = await this.evaluate(entry, horizon);
+          entry.remaining = entry.remaining.filter((label) => label !== horizon.label);
+          results.push(evaluation);
+        } catch (error) {
+          console.warn(`⚠️ Outcome evaluation failed for ${entry.decisionId} (${horizon.label}): ${error.message}`);
+        }
+      }
+
+      if (entry.remaining.length === 0) {
+        this.pending.delete(entry.decisionId);
+      }
+    }
+
+    if (results.length > 0) {
+      await this.persist();
+    }
+    return results;
+  }
+
+  /**
+   * Compare the realized yield of the chosen strategy and its alternatives over one horizon
+   */
+  async evaluate(entry, horizon) {
+    const window = { from: entry.decidedAt, to: entry.decidedAt + horizon.ms };
+    const candidates = [{ strategy: entry.strategy, expectedApy: entry.expectedApy }, ...entry.alternatives];
+
+    const measured = [];
+    for (const candidate of candidates) {
+      const realized = await this.measureApy(this.protocolOf(candidate.strategy), window, entry.network);
+      measured.push({
+        strategy: candidate.strategy,
+        expectedApy: candidate.expectedApy,
+        realizedApy: realized.apy,
+        expectedYield: round(periodYield(candidate.expectedApy, horizon.ms)),
+        realizedYield: realized.apy === null ? null : round(periodYield(realized.apy, horizon.ms)),
+        apyError: realized.apy === null ? null : round(realized.apy - candidate.expectedApy),
+        samples: realized.samples,
+        dataSource: realized.source
+      });
+    }
+
+    const [chosen, ...alternatives] = measured;
+    if (chosen.realizedApy === null) {
+      throw new Error(`No realized APY data for ${chosen.strategy}`);
+    }
+
+    const comparable = alternatives.filter((alt) => alt.realizedYield !== null);
+    const bestAlternative = comparable.reduce((best, alt) => (!best || alt.realizedYield > best.realizedYield ? alt : best), null);
+    const rank = 1 + comparable.filter((alt) => alt.realizedYield > chosen.realizedYield).length;
+
+    const outcome = {
+      type: 'realized_yield',
+      horizon: horizon.label,
+      horizonMs: horizon.ms,
+      window: { from: new Date(window.from).toISOString(), to: new Date(window.to).toISOString() },
+      chosen,
+      alternatives,
+      bestAlternative: bestAlternative ? bestAlternative.strategy : null,
+      regret: bestAlternative ? round(Math.max(0, bestAlternative.realizedYield - chosen.realizedYield)) : 0,
+      rank,
+      outperformedAlternatives: rank === 1,
+      evaluatedAt: new Date().toISOString()
+    };
+
+    const recorded = await this.recordOutcome(entry.decisionId, outcome);
+    const evaluation = {
+      decisionId: entry.decisionId,
+      decisionType: entry.type,
+      model: entry.model || null,
+      confidence: entry.confidence ?? null,
+      amount: entry.amount ?? null,
+      ...outcome,
+      recorded
+    };
+
+    this.evaluations.push(evaluation);
+    if (this.evaluations.length > this.config.historyLimit) {
+      this.evaluations.splice(0, this.evaluations.length - this.config.historyLimit);
+    }
+    this.emit('evaluated', evaluation);
+    return evaluation;
+  }
+
+  /**
+   * Mean APY over the window from the oracle's historical series, falling back to the current snapshot
+   */
+  async measureApy(protocol, window, network) {
+    if (typeof this.oracleService?.getHistoricalData === 'function') {
+      try {
+        const timeframe = window.to - window.from <= DAY_MS ? '24h' : '30d';
+        const series = await this.oracleService.getHistoricalData(protocol, timeframe);
+        const points = (series || []).filter((point) =>
+          point.timestamp >= window.from && point.timestamp <= window.to && Number.isFinite(Number(point.value)));
+
+        if (points.length > 0) {
+          const mean = points.reduce((sum, point) => sum + Number(point.value), 0) / points.length;
+          const live = points.every((point) => !FALLBACK_SOURCES.has(point.source));
+          return { apy: round(mean), samples: points.length, source: live ? 'historical' : 'fallback' };
+        }
+      } catch (error) {
+        console.warn(`⚠️ Historical APY unavailable for ${protocol}: ${error.message}`);
+      }
+    }
+
+    if (typeof this.oracleService?.getSnapshot === 'function') {
+      try {
+        const snapshot = await this.oracleService.getSnapshot(network || undefined);
+        const data = snapshot?.protocols?.[protocol];
+        const apy = Number(data?.apy);
+        if (Number.isFinite(apy)) {
+          return { apy: round(apy), samples: 1, source: FALLBACK_SOURCES.has(data.source) ? 'fallback' : 'snapshot' };
+        }
+      } catch (error) {
+        console.warn(`⚠️ Snapshot APY unavailable for ${protocol}: ${error.message}`);
+      }
+    }
+
+    return { apy: null, samples: 0, source: null };
+  }
+
+  protocolOf(strategyId) {
+    return this.strategyEngine?.strategies?.[strategyId]?.protocol || strategyId;
+  }
+
+  async recordOutcome(decisionId, outcome) {
+    if (!this.aiDecisionLogger) return false;
+    try {
+      return await this.aiDecisionLogger.logDecisionOutcome(decisionId, outcome);
+    } catch (error) {
+      console.warn(`⚠️ Failed to record outcome for ${decisionId}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Recorded evaluations, newest first
+   */
+  getEvaluations({ limit = 50, decisionId = null, horizon = null } = {}) {
+    return this.evaluations
+      .filter((e) => (!decisionId || e.decisionId === decisionId) && (!horizon || e.horizon === horizon))
+      .slice(-limit)
+      .reverse();
+  }
+
+  getStatus() {
+    const summarize = (evaluations) => {
+      if (evaluations.length === 0) return { count: 0 };
+      const mean = (values) => round(values.reduce((sum, v) => sum + v, 0) / values.length);
+      return {
+        count: evaluations.length,
+        meanApyError: mean(evaluations.map((e) => e.chosen.apyError)),
+        meanAbsApyError: mean(evaluations.map((e) => Math.abs(e.chosen.apyError))),
+        meanRegret: mean(evaluations.map((e) => e.regret)),
+        hitRate: round(evaluations.filter((e) => e.outperformedAlternatives).length / evaluations.length)
+      };
+    };
+
+    const pending = Array.from(this.pending.values());
+    return {
+      enabled: this.config.enabled,
+      started: this.started,
+      horizons: this.horizons.map((h) => h.label),
+      pending: pending.length,
+      nextDue: pending.reduce((next, entry) => {
+        const horizon = this.horizons.find((h) => entry.remaining.includes(h.label));
+        const due = horizon ? entry.decidedAt + horizon.ms : null;
+        return due !== null && (next === null || due < next) ? due : next;
+      }, null),
+      byHorizon: Object.fromEntries(this.horizons.map((h) =>
+        [h.label, summarize(this.evaluations.filter((e) => e.horizon === h.label))]))
+    };
+  }
+
+  async loadState() {
+    const state = await this.store.read();
+    if (!state) return;
+
+    // Horizons removed from the config since the decision was tracked are dropped
+    const labels = new Set(this.horizons.map((h) => h.label));
+    for (const entry of state.pending || []) {
+      entry.remaining = (entry.remaining || []).filter((label) => labels.has(label));
+      if (entry.remaining.length > 0) {
+        this.pending.set(entry.decisionId, entry);
+      }
+    }
+    this.evaluations = Array.isArray(state.evaluations) ? state.evaluations.slice(-this.config.historyLimit) : [];
+  }
+
+  persist() {
+    this.persisting = this.store.write({
+      pending: Array.from(this.pending.values()),
+      evaluations: this.evaluations,
+      updatedAt: new Date().toISOString()
+    });
+    return this.persisting;
+  }
+}
+
+/**
+ * Expected outcome to attach to a logged decision so the evaluator can revisit it
+ * @param {Object} result - StrategyEngine.recommend() result
+ * @param {Object} extra - Additional fields, e.g. { network }
+ */
+export function expectedOutcomeFrom(result, extra = {}) {
+  return {
+    strategy: result.recommendation,
+    expectedApy: result.expectedApy,
+    alternatives: (result.ranking || [])
+      .filter((entry) => entry.strategy !== result.recommendation)
+      .map((entry) => ({ strategy: entry.strategy, expectedApy: entry.expectedApy, score: entry.score })),
+    ...extra
+  };
+}
+
+/**
+ * Model version a logged decision was made with, from the reference attached to its metadata
+ */
+export function modelOf(decision) {
+  const source = decision?.metadata?.modelVersion ? decision.metadata : decision?.context || {};
+  if (!source.modelVersion) return null;
+  return {
+    modelId: source.modelId || null,
+    version: source.modelVersion,
+    checksum: source.modelChecksum || null
+  };
+}
+
+/**
+ * Decision metadata tagging the active model version, so outcomes can be attributed to it
+ * @param {Object} modelMetadataManager - ModelMetadataManager, may be null
+ */
+export function modelMetadataFrom(modelMetadataManager) {
+  try {
+    const reference = modelMetadataManager?.getModelReferenceForHCS?.();
+    if (!reference) return {};
+    return { modelId: reference.modelId, modelVersion: reference.version, modelChecksum: reference.checksum };
+  } catch (error) {
+    console.warn('⚠️ Could not get model reference:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Parse '90m', '24h', '7d' or a number of milliseconds
+ */
+export function parseDuration(value) {
+  if (typeof value === 'number' && value > 0) return value;
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)([mhd])$/);
+  if (!match) {
+    throw new Error(`Invalid duration "${value}": expected e.g. 24h or 7d`);
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2]];
+}
+
+// Simple (non-compounded) return in percent over the period
+function periodYield(apy, periodMs) {
+  return apy * (periodMs / YEAR_MS);
+}
+
+export default OutcomeEvaluator;
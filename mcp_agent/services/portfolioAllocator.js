@@ -0,0 +1,371 @@
+/**
+ * @fileoverview Portfolio Allocator
+ * @description Target weights across every vault adapter from risk-adjusted oracle yields,
+ * plus the rebalance moves (with gas estimates) that take the vault from its current allocation there.
+ */
+
+import { ethers } from 'ethers';
+import StrategyEngine, { ENGINE_VERSION } from './strategyEngine.js';
+import { round } from './serviceUtils.js';
+
+/**
+ * On-chain adapters (contracts/src/strategies) in StrategyEngine catalog format.
+ * Keys match MainnetWeb3Service.mainnetContracts.strategies.
+ */
+export const ADAPTER_CATALOG = {
+  aave: { protocol: 'aave', baseRisk: 1, volatility: 0.08 },
+  beefy: { protocol: 'beefy', baseRisk: 3, volatility: 0.25 },
+  compound: { protocol: 'compound', baseRisk: 2, volatility: 0.10 },
+  morpho: { protocol: 'morpho', baseRisk: 2, volatility: 0.12 },
+  pancake: { protocol: 'pancake', baseRisk: 4, volatility: 0.35 },
+  uniswap: { protocol: 'uniswap', baseRisk: 4, volatility: 0.40 },
+  venus: { protocol: 'venus', baseRisk: 2, volatility: 0.10 },
+  wombat: { protocol: 'wombat', baseRisk: 3, volatility: 0.20 }
+};
+
+export const DEFAULT_ALLOCATOR = {
+  maxWeightPerAdapter: 0.5,
+  adapterCaps: {}, // adapter -> max weight, tighter than the global cap
+  minWeight: 0.05, // smaller positions are not worth their gas
+  concentration: 2, // weight ~ score^concentration
+  minMoveAmount: 0.01, // BNB
+  gasStrategy: 'standard'
+};
+
+// AIONVault.maxAllocationBps default
+export const VAULT_MAX_ALLOCATION_BPS = 9000;
+
+// Vault-held funds not deployed to any adapter
+export const IDLE = 'idle';
+
+const VAULT_INTERFACE = new ethers.Interface([
+  'function rebalance(address _fromAdapter, address _toAdapter, uint256 _amount, string _reason)'
+]);
+
+export class PortfolioAllocator {
+  constructor(options = {}) {
+    this.oracleService = options.oracleService || null;
+    this.gasOptimizer = options.gasOptimizer || null;
+    this.web3Service = options.web3Service || null;
+    this.config = {
+      ...DEFAULT_ALLOCATOR,
+      ...options.config,
+      adapterCaps: { ...DEFAULT_ALLOCATOR.adapterCaps, ...options.config?.adapterCaps }
+    };
+    this.engine = options.strategyEngine || new StrategyEngine({ strategies: ADAPTER_CATALOG });
+  }
+
+  /**
+   * Compute target weights and the moves needed to reach them
+   * @param {Object} params - { network, riskTolerance, gasPriceGwei, current, totalAssets, snapshot }
+   * `current` maps adapter (or `idle`) to BNB currently allocated; `totalAssets` defaults to its sum.
+   */
+  async allocate(params = {}) {
+    const network = params.network || 'bscMainnet';
+    const snapshot = params.snapshot || await this.getSnapshot(network);
+    const inputs = this.engine.normalizeInputs(snapshot, {
+      riskTolerance: params.riskTolerance,
+      gasPriceGwei: params.gasPriceGwei
+    });
+
+    const caps = await this.getCaps();
+    const adapters = Object.keys(this.engine.strategies).sort();
+    const scored = adapters.map((adapter) => this.engine.scoreStrategy(adapter, inputs));
+    const weights = this.computeWeights(scored, caps);
+
+    const allocation = adapters.map((adapter, index) => {
+      const score = scored[index];
+      return {
+        adapter,
+        weight: weights[adapter] || 0,
+        cap: caps[adapter].cap,
+        capped: weights[adapter] > 0 && weights[adapter] >= caps[adapter].cap,
+        score: score ? score.score : null,
+        expectedApy: score ? score.expectedApy : null,
+        riskScore: score ? score.riskScore : null,
+        health: score ? score.health : null,
+        source: score ? score.source : null,
+        excludedReason: this.getExclusionReason(score, caps[adapter], weights[adapter])
+      };
+    });
+
+    const expectedApy = portfolioApy(weights, allocation);
+    const result = {
+      network,
+      riskTolerance: inputs.riskTolerance,
+      weights,
+      allocation,
+      expectedApy,
+      moves: [],
+      inputHash: this.engine.hashInputs(inputs),
+      engineVersion: ENGINE_VERSION,
+      timestamp: new Date().toISOString()
+    };
+
+    const current = normalizeCurrent(params.current, adapters);
+    const currentTotal = Object.values(current).reduce((sum, amount) => sum + amount, 0);
+    const totalAssets = Number.parseFloat(params.totalAssets) || currentTotal;
+
+    if (totalAssets > 0) {
+      // Anything not reported as allocated sits idle in the vault
+      current[IDLE] = (current[IDLE] || 0) + Math.max(0, totalAssets - currentTotal);
+      const currentWeights = mapValues(current, (amount) => round(amount / totalAssets));
+
+      result.current = {
+        weights: currentWeights,
+        expectedApy: portfolioApy(currentWeights, allocation)
+      };
+      result.moves = this.planMoves(current, weights, totalAssets);
+      await this.estimateMoveGas(result.moves, network, inputs.bnbPriceUsd);
+      result.summary = this.summarize(result, totalAssets);
+    }
+
+    return result;
+  }
+
+  async getSnapshot(network) {
+    if (!this.oracleService) {
+      throw new Error('Oracle service is required to compute an allocation');
+    }
+    return this.oracleService.getSnapshot(network);
+  }
+
+  /**
+   * Per-adapter weight caps: the vault's max allocation, the configured caps and paused adapters
+   */
+  async getCaps() {
+    let vaultCap = VAULT_MAX_ALLOCATION_BPS / 10000;
+    let strategiesInfo = {};
+
+    if (this.web3Service) {
+      try {
+        const stats = await this.web3Service.getVaultStats();
+        if (stats.maxAllocationBps !== undefined && stats.maxAllocationBps !== null) {
+          vaultCap = Number(stats.maxAllocationBps) / 10000;
+        }
+      } catch (error) {
+        // Keep the contract default when the vault cannot be read
+      }
+
+      if (typeof this.web3Service.getAllStrategiesInfo === 'function') {
+        try {
+          strategiesInfo = await this.web3Service.getAllStrategiesInfo();
+        } catch (error) {
+          strategiesInfo = {};
+        }
+      }
+    }
+
+    const caps = {};
+    for (const adapter of Object.keys(this.engine.strategies)) {
+      const paused = strategiesInfo[adapter]?.paused === true;
+      const configured = this.config.adapterCaps[adapter] ?? 1;
+      caps[adapter] = {
+        cap: paused ? 0 : round(Math.min(vaultCap, this.config.maxWeightPerAdapter, configured)),
+        paused
+      };
+    }
+    return caps;
+  }
+
+  /**
+   * Weights proportional to score^concentration, filled up to each cap. Positions below
+   * `minWeight` are dropped and the rest recomputed; whatever no adapter can take stays idle.
+   */
+  computeWeights(scored, caps) {
+    let eligible = scored.filter((s) => s && s.score > 0 && caps[s.strategy].cap > 0);
+    let weights = {};
+
+    for (;;) {
+      weights = fillToCaps(eligible, caps, this.config.concentration);
+      const pruned = eligible.filter((s) => weights[s.strategy] >= this.config.minWeight);
+      if (pruned.length === eligible.length) break;
+      eligible = pruned;
+    }
+
+    const result = {};
+    for (const s of scored) {
+      if (s) result[s.strategy] = round(weights[s.strategy] || 0);
+    }
+    for (const adapter of Object.keys(caps)) {
+      if (result[adapter] === undefined) result[adapter] = 0;
+    }
+    result[IDLE] = round(Math.max(0, 1 - Object.values(result).reduce((sum, w) => sum + w, 0)));
+    return result;
+  }
+
+  getExclusionReason(score, cap, weight) {
+    if (weight > 0) return null;
+    if (!score) return 'no_oracle_data';
+    if (cap.paused) return 'adapter_paused';
+    if (cap.cap <= 0) return 'cap_zero';
+    if (score.score <= 0) return 'non_positive_score';
+    return 'below_min_weight';
+  }
+
+  /**
+   * Match surpluses to deficits, largest first. Moves out of idle funds are deposits,
+   * moves into idle are withdrawals, everything else is an adapter-to-adapter rebalance.
+   */
+  planMoves(current, weights, totalAssets) {
+    const keys = new Set([...Object.keys(weights), ...Object.keys(current)]);
+    const deltas = Array.from(keys).map((key) => ({
+      key,
+      delta: (weights[key] || 0) * totalAssets - (current[key] || 0)
+    }));
+
+    const sources = deltas.filter((d) => d.delta < 0).map((d) => ({ key: d.key, amount: -d.delta }))
+      .sort((a, b) => b.amount - a.amount || a.key.localeCompare(b.key));
+    const sinks = deltas.filter((d) => d.delta > 0).map((d) => ({ key: d.key, amount: d.delta }))
+      .sort((a, b) => b.amount - a.amount || a.key.localeCompare(b.key));
+
+    const moves = [];
+    let i = 0;
+    let j = 0;
+    while (i < sources.length && j < sinks.length) {
+      const amount = Math.min(sources[i].amount, sinks[j].amount);
+      if (amount >= this.config.minMoveAmount) {
+        const from = sources[i].key;
+        const to = sinks[j].key;
+        moves.push({
+          type: from === IDLE ? 'deposit' : to === IDLE ? 'withdraw' : 'rebalance',
+          from,
+          to,
+          amount: round(amount, 6)
+        });
+      }
+
+      sources[i].amount -= amount;
+      sinks[j].amount -= amount;
+      if (sources[i].amount <= 1e-9) i++;
+      if (sinks[j].amount <= 1e-9) j++;
+    }
+
+    return moves;
+  }
+
+  /**
+   * Attach a gas estimate to each move, from GasOptimizer when available
+   */
+  async estimateMoveGas(moves, network, bnbPriceUsd) {
+    for (const move of moves) {
+      let gasLimit = BigInt(this.engine.rebalanceGasLimit);
+      let gasPrice = ethers.parseUnits(String(this.engine.defaultGasPriceGwei), 'gwei');
+      let source = 'default';
+
+      if (this.gasOptimizer) {
+        try {
+          const estimate = await this.gasOptimizer.estimateGas(network, this.buildTransaction(move), {
+            strategy: this.config.gasStrategy
+          });
+          gasLimit = estimate.gasLimit;
+          gasPrice = estimate.gasPrice;
+          source = 'gas-optimizer';
+        } catch (error) {
+          source = 'default';
+        }
+      }
+
+      const costBnb = Number(ethers.formatEther(gasLimit * gasPrice));
+      move.gas = {
+        gasLimit: Number(gasLimit),
+        gasPriceGwei: Number(ethers.formatUnits(gasPrice, 'gwei')),
+        costBnb: round(costBnb, 8),
+        costUsd: round(costBnb * bnbPriceUsd, 4),
+        source
+      };
+    }
+  }
+
+  /**
+   * Vault rebalance call for a move, used for gas estimation
+   */
+  buildTransaction(move) {
+    const contracts = this.web3Service?.mainnetContracts || {};
+    const addressOf = (key) => (key === IDLE ? ethers.ZeroAddress : contracts.strategies?.[key] || ethers.ZeroAddress);
+
+    return {
+      to: contracts.aionVault || ethers.ZeroAddress,
+      data: VAULT_INTERFACE.encodeFunctionData('rebalance', [
+        addressOf(move.from),
+        addressOf(move.to),
+        ethers.parseEther(move.amount.toFixed(6)),
+        'AION_ALLOCATOR'
+      ])
+    };
+  }
+
+  /**
+   * Gas cost against the yearly APY gain from moving to the target weights
+   */
+  summarize(result, totalAssets) {
+    const gasCostBnb = result.moves.reduce((sum, move) => sum + move.gas.costBnb, 0);
+    const gasCostUsd = result.moves.reduce((sum, move) => sum + move.gas.costUsd, 0);
+    const apyGain = result.expectedApy - result.current.expectedApy;
+    const annualGainBnb = totalAssets * apyGain / 100;
+
+    return {
+      totalAssets: round(totalAssets, 6),
+      moveCount: result.moves.length,
+      gasCostBnb: round(gasCostBnb, 8),
+      gasCostUsd: round(gasCostUsd, 4),
+      apyGain: round(apyGain),
+      annualGainBnb: round(annualGainBnb, 6),
+      breakEvenDays: annualGainBnb > 0 ? round(gasCostBnb / annualGainBnb * 365, 2) : null
+    };
+  }
+}
+
+/**
+ * Water-filling: distribute weight proportionally, fixing adapters at their cap
+ * and redistributing the excess until nothing exceeds a cap
+ */
+function fillToCaps(eligible, caps, concentration) {
+  const weights = {};
+  let active = eligible.map((s) => ({ id: s.strategy, raw: Math.pow(s.score, concentration) }));
+  let remaining = 1;
+
+  while (active.length > 0 && remaining > 1e-9) {
+    const total = active.reduce((sum, a) => sum + a.raw, 0);
+    const over = active.filter((a) => remaining * a.raw / total > caps[a.id].cap);
+
+    if (over.length === 0) {
+      for (const a of active) weights[a.id] = remaining * a.raw / total;
+      break;
+    }
+
+    for (const a of over) {
+      weights[a.id] = caps[a.id].cap;
+      remaining -= caps[a.id].cap;
+    }
+    active = active.filter((a) => !over.includes(a));
+  }
+
+  return weights;
+}
+
+function portfolioApy(weights, allocation) {
+  const apy = allocation.reduce((sum, a) => sum + (weights[a.adapter] || 0) * (a.expectedApy || 0), 0);
+  return round(apy);
+}
+
+function normalizeCurrent(current, adapters) {
+  const result = {};
+  for (const [key, value] of Object.entries(current || {})) {
+    const id = key.toLowerCase();
+    if (id !== IDLE && !adapters.includes(id)) {
+      throw new Error(`Unknown adapter in current allocation: ${key}`);
+    }
+    const amount = Number.parseFloat(value);
+    if (Number.isFinite(amount) && amount > 0) {
+      result[id] = (result[id] || 0) + amount;
+    }
+  }
+  return result;
+}
+
+function mapValues(obj, fn) {
+  return Object.fromEntries(Object.entries(obj).map(([k, v]) => [k, fn(v)]));
+}
+
+export default PortfolioAllocator;
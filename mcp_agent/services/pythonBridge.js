@@ -3,16 +3,79 @@
  * @description Secure integration with Python bridge for AI operations
  */
 
-import { spawn } from 'child_process';
-import path from 'path';
+import { fileURLToPath } from 'url';
+import PythonWorkerPool from './pythonWorkerPool.js';
 
 export class PythonBridge {
-  constructor(errorManager) {
+  constructor(errorManager, options = {}) {
     this.errorManager = errorManager;
+    this.configManager = options.configManager || null;
     this.pythonPath = process.env.PYTHON_BIN || 'python3';
-    this.bridgePath = path.join(process.cwd(), 'mcp_agent', 'server', 'bridge.py');
+    this.bridgePath = options.bridgePath || fileURLToPath(new URL('../server/bridge.py', import.meta.url));
     this.timeout = 30000; // 30 seconds
-    this.maxRetries = 3;
+    this.options = options;
+    this.pool = null;
+    this.stopped = false;
+  }
+
+  /**
+   * Start the persistent worker pool
+   */
+  async start() {
+    this.stopped = false;
+    if (this.pool) return;
+
+    const config = {
+      ...(this.configManager ? this.configManager.get('ai.pythonBridge', {}) : {}),
+      ...this.options.pool
+    };
+
+    const pool = new PythonWorkerPool({
+      pythonPath: this.pythonPath,
+      scriptPath: this.bridgePath,
+      size: config.workers,
+      maxConcurrentPerWorker: config.maxConcurrentPerWorker,
+      maxQueueSize: config.maxQueueSize,
+      requestTimeout: config.requestTimeout || this.timeout,
+      pingInterval: config.pingInterval,
+      pingTimeout: config.pingTimeout,
+      respawnDelay: config.respawnDelay,
+      spawn: this.options.spawn
+    });
+
+    pool.on('workerExit', ({ slot, code, signal }) => {
+      if (pool.state === 'running') {
+        console.warn(`⚠️ Python worker ${slot} exited (code ${code}${signal ? `, ${signal}` : ''}), respawning`);
+      }
+    });
+
+    this.pool = pool;
+    await pool.start();
+  }
+
+  /**
+   * Get the running pool, starting it on first use
+   */
+  async getPool() {
+    if (!this.pool) {
+      if (this.stopped) {
+        throw new Error('Python bridge is stopped');
+      }
+      await this.start();
+    }
+    return this.pool;
+  }
+
+  /**
+   * Drain in-flight requests and stop the worker pool
+   */
+  async stop() {
+    this.stopped = true;
+    if (!this.pool) return;
+
+    const pool = this.pool;
+    this.pool = null;
+    await pool.stop();
   }
 
   /**
@@ -20,21 +83,10 @@ export class PythonBridge {
    */
   async execute(operation, params = {}) {
     const context = this.errorManager.createContext('python-bridge', operation);
-    
-    try {
-      const requestData = {
-        operation,
-        params,
-        timestamp: new Date().toISOString()
-      };
-
-      const result = await this.runPythonScript(requestData);
-      
-      if (!result.success) {
-        throw new Error(result.error || 'Python bridge operation failed');
-      }
 
-      return result.data;
+    try {
+      const pool = await this.getPool();
+      return await pool.call(operation, params);
 
     } catch (error) {
       this.errorManager.handleError(error, context, 'EXTERNAL_API');
@@ -42,70 +94,6 @@ export class PythonBridge {
     }
   }
 
-  /**
-   * Run Python script with proper error handling
-   */
-  async runPythonScript(data, retryCount = 0) {
-    return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        pythonProcess.kill();
-        reject(new Error('Python bridge timeout'));
-      }, this.timeout);
-
-      const pythonProcess = spawn(this.pythonPath, [this.bridgePath], {
-        stdio: ['pipe', 'pipe', 'pipe']
-      });
-
-      let stdout = '';
-      let stderr = '';
-
-      pythonProcess.stdout.on('data', (data) => {
-        stdout += data.toString();
-      });
-
-      pythonProcess.stderr.on('data', (data) => {
-        stderr += data.toString();
-      });
-
-      pythonProcess.on('close', (code) => {
-        clearTimeout(timeout);
-
-        if (code !== 0) {
-          const error = new Error(`Python bridge exited with code ${code}: ${stderr}`);
-          
-          // Retry on failure
-          if (retryCount < this.maxRetries) {
-            setTimeout(() => {
-              this.runPythonScript(data, retryCount + 1)
-                .then(resolve)
-                .catch(reject);
-            }, 1000 * (retryCount + 1)); // Exponential backoff
-            return;
-          }
-          
-          reject(error);
-          return;
-        }
-
-        try {
-          const result = JSON.parse(stdout);
-          resolve(result);
-        } catch (parseError) {
-          reject(new Error(`Failed to parse Python bridge response: ${parseError.message}`));
-        }
-      });
-
-      pythonProcess.on('error', (error) => {
-        clearTimeout(timeout);
-        reject(new Error(`Failed to start Python bridge: ${error.message}`));
-      });
-
-      // Send input data
-      pythonProcess.stdin.write(JSON.stringify(data));
-      pythonProcess.stdin.end();
-    });
-  }
-
   /**
    * Analyze market data
    */
@@ -139,10 +127,11 @@ export class PythonBridge {
    */
   async getHealthStatus() {
     try {
-      const result = await this.runPythonScript({ operation: 'health' });
-      return result.success ? result.data : { healthy: false, error: result.error };
+      const pool = await this.getPool();
+      const health = await pool.call('health', {}, { timeout: 5000 });
+      return { ...health, pool: pool.getStats() };
     } catch (error) {
-      return { healthy: false, error: error.message };
+      return { healthy: false, error: error.message, pool: this.pool ? this.pool.getStats() : null };
     }
   }
 
@@ -160,4 +149,4 @@ export class PythonBridge {
   }
 }
 
-export default PythonBridge;
\ No newline at end of file
+export default PythonBridge;
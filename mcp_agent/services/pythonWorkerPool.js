@@ -0,0 +1,351 @@
+/**
+ * @fileoverview Python Worker Pool
+ * @description Long-lived Python worker processes speaking line-delimited JSON-RPC over stdio
+ */
+
+import { EventEmitter } from 'events';
+import { spawn as spawnProcess } from 'child_process';
+import readline from 'readline';
+
+export class PythonWorkerPool extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.pythonPath = options.pythonPath || 'python3';
+    this.scriptPath = options.scriptPath;
+    this.args = options.args || ['--worker'];
+    this.size = options.size || 2;
+    this.maxConcurrentPerWorker = options.maxConcurrentPerWorker || 1;
+    this.maxQueueSize = options.maxQueueSize ?? 100;
+    this.requestTimeout = options.requestTimeout || 30000;
+    this.pingInterval = options.pingInterval || 15000;
+    this.pingTimeout = options.pingTimeout || 5000;
+    this.respawnDelay = options.respawnDelay || 1000;
+    this.maxRespawnDelay = options.maxRespawnDelay || 30000;
+    this.maxRetries = options.maxRetries ?? 1;
+    this.shutdownTimeout = options.shutdownTimeout || 5000;
+    this.spawn = options.spawn || spawnProcess;
+
+    this.workers = [];
+    this.queue = [];
+    this.nextRequestId = 1;
+    this.pingTimer = null;
+    this.state = 'stopped'; // stopped, running, stopping
+
+    this.metrics = {
+      requests: 0,
+      completed: 0,
+      failed: 0,
+      timeouts: 0,
+      rejected: 0,
+      respawns: 0,
+      averageLatency: 0
+    };
+  }
+
+  /**
+   * Spawn all workers and start health pings
+   */
+  async start() {
+    if (this.state === 'running') return;
+    if (!this.scriptPath) {
+      throw new Error('Python worker script path is required');
+    }
+
+    this.state = 'running';
+    for (let slot = 0; slot < this.size; slot++) {
+      this.workers[slot] = this.spawnWorker(slot);
+    }
+
+    this.pingTimer = setInterval(() => this.pingWorkers(), this.pingInterval);
+    this.pingTimer.unref?.();
+    this.emit('started', { size: this.size });
+  }
+
+  /**
+   * Call a worker method
+   * @param {string} method - JSON-RPC method name
+   * @param {Object} params - Method parameters
+   * @param {Object} options - { timeout }
+   */
+  call(method, params = {}, options = {}) {
+    if (this.state !== 'running') {
+      return Promise.reject(new Error('Python worker pool is not running'));
+    }
+    if (this.queue.length >= this.maxQueueSize) {
+      this.metrics.rejected++;
+      return Promise.reject(new Error('Python worker queue is full'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.metrics.requests++;
+      const request = this.createRequest(method, params, options.timeout || this.requestTimeout, resolve, reject);
+      this.queue.push(request);
+      this.dispatch();
+    });
+  }
+
+  /**
+   * The timeout covers both queue wait and execution
+   */
+  createRequest(method, params, timeout, resolve, reject, internal = false) {
+    const request = {
+      method,
+      params,
+      timeout,
+      internal,
+      attempts: 0,
+      enqueuedAt: Date.now(),
+      worker: null,
+      id: null,
+      resolve,
+      reject
+    };
+    request.timer = setTimeout(() => this.handleTimeout(request), timeout);
+    return request;
+  }
+
+  /**
+   * Assign queued requests to workers with free capacity
+   */
+  dispatch() {
+    while (this.queue.length > 0) {
+      const worker = this.workers
+        .filter((w) => w && w.ready && w.pending.size < this.maxConcurrentPerWorker)
+        .sort((a, b) => a.pending.size - b.pending.size)[0];
+      if (!worker) return;
+
+      this.send(worker, this.queue.shift());
+    }
+  }
+
+  send(worker, request) {
+    const id = this.nextRequestId++;
+    request.attempts++;
+    request.worker = worker;
+    request.id = id;
+    worker.pending.set(id, request);
+
+    worker.process.stdin.write(`${JSON.stringify({ jsonrpc: '2.0', id, method: request.method, params: request.params })}\n`);
+  }
+
+  spawnWorker(slot) {
+    const child = this.spawn(this.pythonPath, [this.scriptPath, ...this.args], {
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+
+    const worker = {
+      slot,
+      process: child,
+      pid: child.pid,
+      ready: true,
+      pending: new Map(),
+      handled: 0,
+      startedAt: Date.now(),
+      lastPong: null,
+      stderr: ''
+    };
+
+    readline.createInterface({ input: child.stdout }).on('line', (line) => this.handleLine(worker, line));
+
+    child.stderr.on('data', (data) => {
+      // Keep the tail of stderr for crash reports
+      worker.stderr = (worker.stderr + data.toString()).slice(-2000);
+    });
+
+    // 'close' fires after stdout is drained, so responses written just before exit are not lost
+    child.on('close', (code, signal) => this.handleExit(worker, code, signal));
+    child.on('error', (error) => {
+      this.emit('workerError', { slot, error });
+      this.handleExit(worker, null, null, error);
+    });
+    child.stdin.on('error', () => {}); // EPIPE surfaces through the exit handler
+
+    this.emit('workerSpawned', { slot, pid: child.pid });
+    return worker;
+  }
+
+  handleLine(worker, line) {
+    if (!line.trim()) return;
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      this.emit('workerError', { slot: worker.slot, error: new Error(`Invalid worker output: ${line.slice(0, 200)}`) });
+      return;
+    }
+
+    const request = worker.pending.get(message.id);
+    if (!request) return;
+
+    worker.pending.delete(message.id);
+    clearTimeout(request.timer);
+    worker.handled++;
+    worker.crashes = 0;
+
+    if (request.internal) {
+      if (message.error) request.reject(new Error(message.error.message));
+      else request.resolve(message.result);
+    } else if (message.error) {
+      const error = new Error(message.error.message);
+      error.code = message.error.code;
+      error.data = message.error.data;
+      this.metrics.failed++;
+      request.reject(error);
+    } else {
+      this.recordLatency(Date.now() - request.enqueuedAt);
+      this.metrics.completed++;
+      request.resolve(message.result);
+    }
+
+    this.dispatch();
+  }
+
+  handleTimeout(request) {
+    if (!request.internal) this.metrics.timeouts++;
+    request.reject(new Error(`Python worker timeout after ${request.timeout}ms (${request.method})`));
+
+    const queued = this.queue.indexOf(request);
+    if (queued !== -1) {
+      this.queue.splice(queued, 1);
+      return;
+    }
+
+    const { worker } = request;
+    if (!worker || !worker.pending.has(request.id)) return;
+    worker.pending.delete(request.id);
+
+    // Requests are processed in order, so a stuck worker blocks everything behind it
+    this.emit('workerUnresponsive', { slot: worker.slot, pid: worker.pid, method: request.method });
+    worker.process.kill('SIGKILL');
+  }
+
+  handleExit(worker, code, signal, spawnError = null) {
+    if (this.workers[worker.slot] !== worker) return; // already replaced
+    worker.ready = false;
+    this.workers[worker.slot] = null;
+
+    const reason = spawnError
+      ? `Failed to start Python worker: ${spawnError.message}`
+      : `Python worker exited with code ${code}${signal ? ` (${signal})` : ''}: ${worker.stderr.trim().split('\n').pop() || ''}`;
+
+    for (const [, request] of worker.pending) {
+      if (this.state === 'running' && !request.internal && request.attempts <= this.maxRetries) {
+        request.worker = null;
+        this.queue.unshift(request);
+      } else {
+        clearTimeout(request.timer);
+        if (!request.internal) this.metrics.failed++;
+        request.reject(new Error(reason));
+      }
+    }
+    worker.pending.clear();
+
+    this.emit('workerExit', { slot: worker.slot, pid: worker.pid, code, signal });
+
+    if (this.state === 'running') {
+      this.scheduleRespawn(worker);
+      this.dispatch();
+    }
+  }
+
+  scheduleRespawn(worker) {
+    const crashes = (worker.crashes || 0) + 1;
+    const delay = Math.min(this.respawnDelay * Math.pow(2, crashes - 1), this.maxRespawnDelay);
+
+    const timer = setTimeout(() => {
+      if (this.state !== 'running' || this.workers[worker.slot]) return;
+
+      const replacement = this.spawnWorker(worker.slot);
+      replacement.crashes = crashes;
+      this.workers[worker.slot] = replacement;
+      this.metrics.respawns++;
+      this.emit('workerRespawned', { slot: worker.slot, pid: replacement.pid, attempt: crashes });
+      this.dispatch();
+    }, delay);
+    timer.unref?.();
+  }
+
+  /**
+   * Ping idle workers; a worker that misses a ping is restarted
+   */
+  pingWorkers() {
+    for (const worker of this.workers) {
+      if (!worker || !worker.ready || worker.pending.size > 0) continue;
+
+      const ping = this.createRequest('ping', {}, this.pingTimeout, () => {
+        worker.lastPong = new Date().toISOString();
+      }, () => {}, true);
+      this.send(worker, ping);
+    }
+  }
+
+  /**
+   * Stop accepting work, drain in-flight requests and stop all workers
+   */
+  async stop() {
+    if (this.state !== 'running') return;
+    this.state = 'stopping';
+
+    clearInterval(this.pingTimer);
+    this.pingTimer = null;
+
+    for (const request of this.queue.splice(0)) {
+      clearTimeout(request.timer);
+      request.reject(new Error('Python worker pool is shutting down'));
+    }
+
+    const workers = this.workers.filter(Boolean);
+    await Promise.all(workers.map((worker) => this.stopWorker(worker)));
+
+    this.workers = [];
+    this.state = 'stopped';
+    this.emit('stopped');
+  }
+
+  stopWorker(worker) {
+    return new Promise((resolve) => {
+      if (worker.process.exitCode !== null || worker.process.signalCode !== null) {
+        resolve();
+        return;
+      }
+
+      const forceKill = setTimeout(() => worker.process.kill('SIGKILL'), this.shutdownTimeout);
+      worker.process.once('close', () => {
+        clearTimeout(forceKill);
+        resolve();
+      });
+
+      // Closing stdin lets the worker finish its current request and exit on EOF
+      worker.process.stdin.end();
+    });
+  }
+
+  recordLatency(latency) {
+    const completed = this.metrics.completed;
+    this.metrics.averageLatency = (this.metrics.averageLatency * completed + latency) / (completed + 1);
+  }
+
+  getStats() {
+    return {
+      state: this.state,
+      size: this.size,
+      queued: this.queue.length,
+      workers: this.workers.map((worker, slot) => worker
+        ? {
+          slot,
+          pid: worker.pid,
+          ready: worker.ready,
+          inFlight: worker.pending.size,
+          handled: worker.handled,
+          lastPong: worker.lastPong,
+          uptime: Date.now() - worker.startedAt
+        }
+        : { slot, ready: false }),
+      metrics: { ...this.metrics }
+    };
+  }
+}
+
+export default PythonWorkerPool;
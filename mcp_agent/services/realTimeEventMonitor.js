@@ -384,7 +384,9 @@ class RealTimeEventMonitor extends EventEmitter {
             let hcsResult = null;
             if (this.hederaService) {
                 try {
-                    hcsResult = await this.hederaService.submitDecisionWithRetry(decisionData, 2, 500);
+                    hcsResult = await this.hederaService.submitDecisionWithRetry(decisionData, 2, 500, {
+                        service: 'realTimeEventMonitor'
+                    });
                     this.stats.successfulSubmissions++;
                     console.log(`✅ Event logged to HCS: ${hcsResult.sequenceNumber}`);
                 } catch (hcsError) {
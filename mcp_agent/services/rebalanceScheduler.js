@@ -0,0 +1,652 @@
+/**
+ * @fileoverview Rebalance Scheduler
+ * @description In-process scheduler that periodically runs the decision pipeline
+ * (oracle snapshot, strategy engine, guardrails) and submits or dry-runs the rebalance.
+ * Schedules are cron expressions evaluated in UTC; run history is persisted to disk.
+ */
+
+import { EventEmitter } from 'events';
+import path from 'path';
+import { ethers } from 'ethers';
+import { JsonStateFile } from './jsonStateFile.js';
+import { expectedOutcomeFrom, modelMetadataFrom, modelOf } from './outcomeEvaluator.js';
+
+export const DEFAULT_SCHEDULER = {
+  enabled: false,
+  dryRun: true,
+  network: 'bscMainnet',
+  riskTolerance: 'medium',
+  amount: 1, // BNB moved per rebalance
+  currentStrategy: null,
+  historyLimit: 500,
+  dataDir: './data/scheduler',
+  schedules: [
+    { name: 'rebalance', cron: '0 * * * *' }
+  ]
+};
+
+export const RUN_STATUS = {
+  EXECUTED: 'executed',
+  DRY_RUN: 'dry_run',
+  NO_ACTION: 'no_action',
+  REJECTED: 'rejected',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+  AWAITING_APPROVAL: 'awaiting_approval'
+};
+
+export const REBALANCE_APPROVAL_KIND = 'scheduled_rebalance';
+
+// setTimeout delays are 32-bit; longer waits are re-armed
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+export class RebalanceScheduler extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    const config = { ...DEFAULT_SCHEDULER, ...options.config };
+    this.config = config;
+    this.oracleService = options.oracleService || null;
+    this.strategyEngine = options.strategyEngine || null;
+    this.guardrails = options.guardrails || null;
+    this.aiDecisionLogger = options.aiDecisionLogger || null;
+    this.modelMetadataManager = options.modelMetadataManager || null;
+    this.shadowEvaluator = options.shadowEvaluator || null;
+    this.snapshotArchive = options.snapshotArchive || null;
+    this.web3Service = options.web3Service || null;
+    this.approvalQueue = options.approvalQueue || null;
+    this.executor = options.executor || ((plan) => this.submitRebalance(plan));
+    this.store = new JsonStateFile(path.join(options.dataDir || config.dataDir, 'rebalance-scheduler.json'), {
+      label: 'scheduler history'
+    });
+
+    this.schedules = new Map(); // name -> { name, cron, fields, timer, nextRun, paused, options }
+    this.runs = [];
+    this.running = null; // promise of the run in progress
+    this.paused = false;
+    this.currentStrategy = config.currentStrategy;
+    this.started = false;
+    this.runCounter = 0;
+    this.persisting = Promise.resolve();
+
+    this.approvalQueue?.registerHandler(REBALANCE_APPROVAL_KIND, (approval) => this.executeApproved(approval));
+  }
+
+  /**
+   * Load persisted state and arm every enabled schedule
+   */
+  async start() {
+    if (this.started) return;
+    const pausedSchedules = await this.loadState();
+
+    for (const schedule of this.config.schedules || []) {
+      this.schedules.set(schedule.name, {
+        name: schedule.name,
+        cron: schedule.cron,
+        fields: parseCron(schedule.cron),
+        options: schedule,
+        paused: pausedSchedules.includes(schedule.name) || schedule.enabled === false,
+        timer: null,
+        nextRun: null
+      });
+    }
+
+    this.started = true;
+    if (this.config.enabled) {
+      for (const schedule of this.schedules.values()) {
+        this.arm(schedule);
+      }
+    }
+    this.emit('started', { schedules: this.schedules.size, enabled: this.config.enabled });
+  }
+
+  /**
+   * Disarm timers, wait for an in-flight run and flush history
+   */
+  async stop() {
+    if (!this.started) return;
+    this.started = false;
+
+    for (const schedule of this.schedules.values()) {
+      clearTimeout(schedule.timer);
+      schedule.timer = null;
+      schedule.nextRun = null;
+    }
+
+    if (this.running) {
+      await this.running.catch(() => {});
+    }
+    await this.persisting;
+    this.emit('stopped');
+  }
+
+  arm(schedule) {
+    clearTimeout(schedule.timer);
+    schedule.timer = null;
+    schedule.nextRun = null;
+    if (!this.started || !this.config.enabled || this.paused || schedule.paused) return;
+
+    const nextRun = nextCronTime(schedule.fields, Date.now());
+    schedule.nextRun = nextRun;
+
+    const wait = () => {
+      const delay = nextRun - Date.now();
+      if (delay > MAX_TIMER_DELAY) {
+        schedule.timer = setTimeout(wait, MAX_TIMER_DELAY);
+      } else {
+        schedule.timer = setTimeout(() => this.fire(schedule), Math.max(0, delay));
+      }
+      schedule.timer.unref?.();
+    };
+    wait();
+  }
+
+  async fire(schedule) {
+    schedule.timer = null;
+    try {
+      await this.run(schedule.name, { trigger: 'cron' });
+    } catch (error) {
+      console.warn(`⚠️ Scheduled rebalance ${schedule.name} failed: ${error.message}`);
+    }
+    this.arm(schedule);
+  }
+
+  /**
+   * Pause every schedule, or a single one by name
+   */
+  async pause(name = null) {
+    if (name) {
+      const schedule = this.getSchedule(name);
+      schedule.paused = true;
+      this.arm(schedule);
+    } else {
+      this.paused = true;
+      for (const schedule of this.schedules.values()) this.arm(schedule);
+    }
+    await this.persist();
+    return this.getStatus();
+  }
+
+  async resume(name = null) {
+    if (name) {
+      const schedule = this.getSchedule(name);
+      schedule.paused = false;
+      this.arm(schedule);
+    } else {
+      this.paused = false;
+      for (const schedule of this.schedules.values()) this.arm(schedule);
+    }
+    await this.persist();
+    return this.getStatus();
+  }
+
+  /**
+   * Run a schedule now, regardless of pause state
+   * @param {string} name - Schedule name, defaults to the first schedule
+   * @param {Object} overrides - { dryRun }
+   */
+  async trigger(name = null, overrides = {}) {
+    const scheduleName = name || this.schedules.keys().next().value;
+    if (!scheduleName) {
+      throw new Error('No schedules configured');
+    }
+    return this.run(scheduleName, { ...overrides, trigger: 'manual' });
+  }
+
+  getSchedule(name) {
+    const schedule = this.schedules.get(name);
+    if (!schedule) {
+      const error = new Error(`Unknown schedule: ${name}`);
+      error.statusCode = 404;
+      throw error;
+    }
+    return schedule;
+  }
+
+  /**
+   * Execute one pass of the pipeline and record it. Overlapping runs are skipped.
+   */
+  async run(name, options = {}) {
+    const schedule = this.getSchedule(name);
+    const settings = { ...this.config, ...schedule.options, ...pickDefined(options, ['dryRun']) };
+
+    const record = {
+      id: `run_${Date.now()}_${++this.runCounter}`,
+      schedule: name,
+      trigger: options.trigger || 'manual',
+      startedAt: new Date().toISOString(),
+      network: settings.network,
+      dryRun: settings.dryRun !== false
+    };
+
+    if (this.running) {
+      return this.finish(record, { status: RUN_STATUS.SKIPPED, reason: 'A run is already in progress' });
+    }
+
+    const execution = this.execute(record, settings);
+    this.running = execution;
+    try {
+      return await execution;
+    } finally {
+      this.running = null;
+    }
+  }
+
+  async execute(record, settings) {
+    const amount = Number(settings.amount);
+    let reservationId = null;
+
+    try {
+      const snapshot = await this.oracleService.getSnapshot(settings.network);
+      const params = { currentStrategy: this.currentStrategy, amount, riskTolerance: settings.riskTolerance };
+      const decision = this.strategyEngine.recommend(snapshot, params);
+
+      record.decision = {
+        recommendation: decision.recommendation,
+        currentStrategy: decision.currentStrategy,
+        confidence: decision.confidence,
+        expectedApy: decision.expectedApy,
+        reasoning: decision.reasoning,
+        inputHash: decision.inputHash,
+        engineVersion: decision.engineVersion
+      };
+
+      if (!decision.shouldRebalance) {
+        await this.shadowDecision(snapshot, params, decision, null);
+        return this.finish(record, { status: RUN_STATUS.NO_ACTION, reason: 'Current strategy is already optimal' });
+      }
+
+      const evaluation = this.guardrails
+        ? await this.guardrails.evaluate({
+          strategyId: decision.recommendation,
+          action: 'rebalance',
+          amount,
+          confidence: decision.confidence
+        })
+        : { approved: true, reasons: [], checks: {} };
+      record.guardrails = { approved: evaluation.approved, reasons: evaluation.reasons };
+      reservationId = evaluation.reservationId || null;
+
+      record.snapshotHash = await this.archiveSnapshot(snapshot, params, settings.network);
+      record.decisionId = await this.logDecision(decision, record, evaluation);
+      await this.shadowDecision(snapshot, params, decision, record.decisionId);
+
+      if (!evaluation.approved) {
+        return this.finish(record, { status: RUN_STATUS.REJECTED });
+      }
+
+      const plan = {
+        fromStrategy: this.currentStrategy,
+        toStrategy: decision.recommendation,
+        amount,
+        network: settings.network,
+        reason: `AION_SCHEDULER:${record.decisionId || record.id}`
+      };
+
+      if (record.dryRun) {
+        await this.guardrails?.release(reservationId);
+        return this.finish(record, { status: RUN_STATUS.DRY_RUN, plan });
+      }
+
+      // Large, risky or low-confidence rebalances wait for a human approver
+      const approvalReasons = this.approvalQueue
+        ? this.approvalQueue.requiresApproval({ amount, riskScore: decision.riskScore, confidence: decision.confidence })
+        : [];
+      if (approvalReasons.length > 0) {
+        await this.guardrails?.release(reservationId);
+        reservationId = null;
+        const approval = await this.approvalQueue.submit({
+          kind: REBALANCE_APPROVAL_KIND,
+          decisionId: record.decisionId,
+          plan,
+          summary: {
+            strategyId: plan.toStrategy,
+            amount,
+            riskScore: decision.riskScore,
+            confidence: decision.confidence,
+            runId: record.id
+          },
+          reasons: approvalReasons,
+          requestedBy: { userId: null, username: 'rebalanceScheduler' }
+        });
+        return this.finish(record, { status: RUN_STATUS.AWAITING_APPROVAL, plan, approvalId: approval.id });
+      }
+
+      const result = await this.submitPlan(plan, record.decisionId, reservationId);
+      return this.finish(record, { status: RUN_STATUS.EXECUTED, plan, result });
+
+    } catch (error) {
+      // An execution that did not happen gives its reserved amount and cooldown back
+      await this.guardrails?.release(reservationId);
+      return this.finish(record, { status: RUN_STATUS.FAILED, error: error.message });
+    }
+  }
+
+  /**
+   * Run the executor for a plan and record it against the guardrails and the decision log
+   */
+  async submitPlan(plan, decisionId, reservationId) {
+    let result;
+    try {
+      result = await this.executor(plan);
+    } catch (error) {
+      await this.guardrails?.recordFailure(plan.toStrategy, error.message);
+      throw error;
+    }
+
+    await this.guardrails?.recordExecution({ reservationId, strategyId: plan.toStrategy, action: 'rebalance', amount: plan.amount });
+    this.currentStrategy = plan.toStrategy;
+    await this.persist();
+    await this.logOutcome(decisionId, { success: true, ...result });
+    return result;
+  }
+
+  /**
+   * Approval handler for held rebalances. The vault must still hold the strategy the plan
+   * moves from, and guardrails are checked again since limits may have moved.
+   */
+  async executeApproved(approval) {
+    const { plan } = approval;
+    if (plan.fromStrategy !== this.currentStrategy) {
+      throw new Error(`Current strategy changed from ${plan.fromStrategy} to ${this.currentStrategy} since the rebalance was proposed`);
+    }
+
+    const evaluation = this.guardrails
+      ? await this.guardrails.evaluate({
+        strategyId: plan.toStrategy,
+        action: 'rebalance',
+        amount: plan.amount,
+        confidence: approval.summary.confidence
+      })
+      : { approved: true, reasons: [] };
+    if (!evaluation.approved) {
+      throw new Error(`Guardrails no longer pass: ${evaluation.reasons.map((r) => r.code).join(', ')}`);
+    }
+
+    try {
+      return await this.submitPlan(plan, approval.decisionId, evaluation.reservationId || null);
+    } catch (error) {
+      await this.guardrails?.release(evaluation.reservationId || null);
+      throw error;
+    }
+  }
+
+  async logDecision(decision, record, evaluation) {
+    if (!this.aiDecisionLogger) return null;
+
+    try {
+      return await this.aiDecisionLogger.logDecision({
+        type: 'scheduled_rebalance',
+        action: evaluation.approved ? `rebalance_${decision.recommendation}` : `reject_${decision.recommendation}`,
+        confidence: decision.confidence,
+        reasoning: evaluation.approved
+          ? decision.reasoning
+          : `${decision.reasoning}; rejected by guardrails: ${evaluation.reasons.map((r) => r.code).join(', ')}`,
+        context: {
+          schedule: record.schedule,
+          runId: record.id,
+          trigger: record.trigger,
+          dryRun: record.dryRun,
+          network: record.network,
+          inputHash: decision.inputHash,
+          engineVersion: decision.engineVersion,
+          snapshotHash: record.snapshotHash || null,
+          guardrails: evaluation
+        },
+        parameters: {
+          fromStrategy: decision.currentStrategy,
+          toStrategy: decision.recommendation
+        },
+        expectedOutcome: expectedOutcomeFrom(decision, { network: record.network }),
+        explanation: decision.explanation,
+        metadata: modelMetadataFrom(this.modelMetadataManager)
+      });
+    } catch (error) {
+      console.warn('⚠️ Failed to log scheduled decision:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Archive the exact inputs of a logged decision so it can be replayed later
+   */
+  async archiveSnapshot(snapshot, params, network) {
+    if (!this.snapshotArchive) return null;
+    try {
+      const archived = await this.snapshotArchive.archive({ snapshot, params, network });
+      return archived?.hash || null;
+    } catch (error) {
+      console.warn('⚠️ Failed to archive snapshot:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Let the shadow model decide on the same inputs; its decision is stored, never executed
+   */
+  async shadowDecision(snapshot, params, decision, decisionId) {
+    if (!this.shadowEvaluator) return;
+    try {
+      await this.shadowEvaluator.shadow({
+        snapshot,
+        params,
+        production: { ...decision, model: modelOf({ metadata: modelMetadataFrom(this.modelMetadataManager) }) },
+        productionDecisionId: decisionId,
+        source: 'scheduler'
+      });
+    } catch (error) {
+      console.warn('⚠️ Shadow decision failed:', error.message);
+    }
+  }
+
+  async logOutcome(decisionId, outcome) {
+    if (!this.aiDecisionLogger || !decisionId) return;
+    try {
+      await this.aiDecisionLogger.logDecisionOutcome(decisionId, outcome);
+    } catch (error) {
+      console.warn('⚠️ Failed to log scheduled decision outcome:', error.message);
+    }
+  }
+
+  /**
+   * Default executor: call AIONVault.rebalance through the Web3 service
+   */
+  async submitRebalance(plan) {
+    if (!this.web3Service || typeof this.web3Service.executeVaultFunction !== 'function') {
+      throw new Error('Web3 service is not available for rebalance submission');
+    }
+    if (!plan.fromStrategy) {
+      throw new Error('Current strategy is unknown; set scheduler.currentStrategy');
+    }
+
+    const adapterAddress = (strategyId) => {
+      const adapter = this.strategyEngine.strategies[strategyId]?.protocol || strategyId;
+      return this.web3Service.getMainnetContractAddress('strategy', adapter);
+    };
+
+    const tx = await this.web3Service.executeVaultFunction('rebalance', [
+      adapterAddress(plan.fromStrategy),
+      adapterAddress(plan.toStrategy),
+      ethers.parseEther(String(plan.amount)),
+      plan.reason
+    ]);
+
+    return {
+      txHash: tx?.hash || tx?.transactionHash || null,
+      gasUsed: tx?.gasUsed ? tx.gasUsed.toString() : null
+    };
+  }
+
+  async finish(record, outcome) {
+    Object.assign(record, outcome);
+    record.finishedAt = new Date().toISOString();
+    record.durationMs = Date.parse(record.finishedAt) - Date.parse(record.startedAt);
+
+    this.runs.push(record);
+    if (this.runs.length > this.config.historyLimit) {
+      this.runs.splice(0, this.runs.length - this.config.historyLimit);
+    }
+
+    await this.persist();
+    this.emit('run', record);
+    return record;
+  }
+
+  /**
+   * Run history, newest first
+   */
+  getRuns({ limit = 50, schedule = null, status = null } = {}) {
+    return this.runs
+      .filter((run) => (!schedule || run.schedule === schedule) && (!status || run.status === status))
+      .slice(-limit)
+      .reverse();
+  }
+
+  getStatus() {
+    return {
+      enabled: this.config.enabled,
+      started: this.started,
+      paused: this.paused,
+      running: !!this.running,
+      dryRun: this.config.dryRun !== false,
+      currentStrategy: this.currentStrategy,
+      schedules: Array.from(this.schedules.values()).map((schedule) => ({
+        name: schedule.name,
+        cron: schedule.cron,
+        paused: schedule.paused,
+        nextRun: schedule.nextRun ? new Date(schedule.nextRun).toISOString() : null,
+        lastRun: this.getRuns({ limit: 1, schedule: schedule.name })[0] || null
+      })),
+      totalRuns: this.runs.length
+    };
+  }
+
+  /**
+   * Restore history and pause state; returns the names of paused schedules
+   */
+  async loadState() {
+    const state = await this.store.read();
+    if (!state) return [];
+
+    this.runs = Array.isArray(state.runs) ? state.runs.slice(-this.config.historyLimit) : [];
+    this.paused = state.paused === true;
+    this.currentStrategy = state.currentStrategy || this.currentStrategy;
+    return Array.isArray(state.pausedSchedules) ? state.pausedSchedules : [];
+  }
+
+  persist() {
+    this.persisting = this.store.write({
+      paused: this.paused,
+      pausedSchedules: Array.from(this.schedules.values()).filter((s) => s.paused).map((s) => s.name),
+      currentStrategy: this.currentStrategy,
+      runs: this.runs,
+      updatedAt: new Date().toISOString()
+    });
+    return this.persisting;
+  }
+}
+
+const CRON_ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+/**
+ * Parse a five-field cron expression (minute hour day-of-month month day-of-week).
+ * Supports `*`, lists, ranges and steps; day-of-week 7 is Sunday.
+ */
+export function parseCron(expression) {
+  const source = CRON_ALIASES[String(expression).trim()] || String(expression).trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Invalid cron expression "${expression}": expected 5 fields`);
+  }
+
+  const fields = {};
+  parts.forEach((part, index) => {
+    const { name, min, max } = CRON_FIELDS[index];
+    const values = new Set();
+
+    for (const item of part.split(',')) {
+      const match = item.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+      if (!match) {
+        throw new Error(`Invalid cron ${name} field "${part}"`);
+      }
+
+      const [start, rangeEnd] = match[1] === '*' ? [min, max] : match[1].split('-').map(Number);
+      const end = rangeEnd ?? (match[2] ? max : start);
+      const step = match[2] ? Number(match[2]) : 1;
+
+      if (start < min || end > max || start > end || step < 1) {
+        throw new Error(`Invalid cron ${name} field "${part}": out of range ${min}-${max}`);
+      }
+      for (let value = start; value <= end; value += step) {
+        values.add(name === 'dayOfWeek' && value === 7 ? 0 : value);
+      }
+    }
+
+    fields[name] = values;
+    fields[`${name}Wildcard`] = part === '*';
+  });
+
+  return fields;
+}
+
+/**
+ * Next matching minute strictly after `from` (ms), in UTC
+ */
+export function nextCronTime(fields, from) {
+  const date = new Date(from);
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  // Cron semantics: when both day fields are restricted, either may match
+  const dayMatches = () => {
+    const dom = fields.dayOfMonth.has(date.getUTCDate());
+    const dow = fields.dayOfWeek.has(date.getUTCDay());
+    if (fields.dayOfMonthWildcard) return dow;
+    if (fields.dayOfWeekWildcard) return dom;
+    return dom || dow;
+  };
+
+  const limit = from + 5 * 366 * 24 * 60 * 60 * 1000;
+  while (date.getTime() <= limit) {
+    if (!fields.month.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0);
+      continue;
+    }
+    if (!dayMatches()) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0);
+      continue;
+    }
+    if (!fields.hour.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0);
+      continue;
+    }
+    if (!fields.minute.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+      continue;
+    }
+    return date.getTime();
+  }
+
+  throw new Error('Cron expression never matches');
+}
+
+function pickDefined(obj, keys) {
+  return Object.fromEntries(keys.filter((key) => obj[key] !== undefined).map((key) => [key, obj[key]]));
+}
+
+export default RebalanceScheduler;
@@ -39,6 +39,13 @@ export class SecurityManager {
       points: 30, // Number of requests
       duration: 60, // Per 60 seconds
     }));
+
+    // Backtest endpoint rate limiter (replays are CPU bound)
+    this.rateLimiters.set('backtest', new RateLimiterMemory({
+      keyGenerator: (req) => req.ip,
+      points: 5, // Number of requests
+      duration: 60, // Per 60 seconds
+    }));
   }
 
   /**
@@ -0,0 +1,22 @@
+/**
+ * @fileoverview Service Utilities
+ * @description Small helpers shared by the agent's services.
+ */
+
+/**
+ * Error carrying the HTTP status the routes should answer with
+ */
+export function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Round to a number of decimals. `|| 0` also turns -0 into 0, so rounded values hash and
+ * compare the same way.
+ */
+export function round(value, decimals = 4) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor || 0;
+}
@@ -0,0 +1,232 @@
+/**
+ * @fileoverview Shadow Model Evaluator
+ * @description Runs a candidate model version registered in ModelMetadataManager next to production.
+ * For every production decision the candidate's StrategyEngine produces its own decision, which is
+ * stored locally and tagged as shadow; it is never logged as a decision or executed. The report
+ * compares agreement and, using the outcome evaluator's realized yields, hypothetical outcomes.
+ */
+
+import path from 'path';
+import { JsonStateFile } from './jsonStateFile.js';
+import { StrategyEngine } from './strategyEngine.js';
+import { round } from './serviceUtils.js';
+
+export const DEFAULT_SHADOW = {
+  enabled: false,
+  modelId: null, // candidate model in ModelMetadataManager; register it with status 'candidate'
+  historyLimit: 1000,
+  dataDir: './data/shadow'
+};
+
+// Model parameters passed through to the candidate's StrategyEngine
+export const ENGINE_PARAMETERS = [
+  'strategies',
+  'riskAversion',
+  'degradedHealthMultiplier',
+  'targetTvlUsd',
+  'liquidityPenalty',
+  'rebalanceGasLimit',
+  'defaultGasPriceGwei',
+  'marginScale'
+];
+
+export class ShadowEvaluator {
+  constructor(options = {}) {
+    this.config = { ...DEFAULT_SHADOW, ...options.config };
+    this.modelMetadataManager = options.modelMetadataManager || null;
+    this.outcomeEvaluator = options.outcomeEvaluator || null;
+    this.store = new JsonStateFile(path.join(options.dataDir || this.config.dataDir, 'shadow-decisions.json'), {
+      label: 'shadow decisions'
+    });
+
+    this.candidate = null; // { model, engine }
+    this.records = [];
+    this.counter = 0;
+    this.loaded = null;
+    this.persisting = Promise.resolve();
+  }
+
+  /**
+   * Switch the candidate model; null disables shadowing
+   */
+  setCandidate(modelId) {
+    this.config.modelId = modelId || null;
+    this.candidate = null;
+  }
+
+  /**
+   * Build (or reuse) the candidate engine from the registered model's parameters
+   */
+  async loadCandidate() {
+    if (!this.config.modelId || !this.modelMetadataManager) return null;
+
+    const metadata = await this.modelMetadataManager.retrieveModelMetadata(this.config.modelId);
+    if (!metadata) {
+      throw new Error(`Shadow model ${this.config.modelId} is not registered`);
+    }
+    if (this.candidate?.model.checksum === metadata.checksum && this.candidate.model.modelId === metadata.modelId) {
+      return this.candidate;
+    }
+
+    this.candidate = {
+      model: { modelId: metadata.modelId, version: metadata.version, checksum: metadata.checksum },
+      engine: engineForModel(metadata)
+    };
+    return this.candidate;
+  }
+
+  /**
+   * Produce and store the candidate's decision for the same inputs as a production decision
+   * @param {Object} params - { snapshot, params, production, productionDecisionId, source }
+   * @returns {Promise<Object|null>} Shadow record, or null when shadowing is off
+   */
+  async shadow({ snapshot, params = {}, production, productionDecisionId = null, source = 'api' }) {
+    if (!this.config.enabled) return null;
+
+    const candidate = await this.loadCandidate();
+    if (!candidate) return null;
+    await this.load();
+
+    const result = candidate.engine.recommend(snapshot, params);
+    const productionPick = candidate.engine.normalizeStrategy(production.recommendation) || production.recommendation;
+
+    const record = {
+      id: `shadow_${Date.now()}_${++this.counter}`,
+      shadow: true,
+      source,
+      createdAt: new Date().toISOString(),
+      model: candidate.model,
+      production: {
+        decisionId: productionDecisionId,
+        recommendation: production.recommendation,
+        confidence: production.confidence,
+        expectedApy: production.expectedApy,
+        model: production.model || null
+      },
+      decision: {
+        recommendation: result.recommendation,
+        confidence: result.confidence,
+        expectedApy: result.expectedApy,
+        shouldRebalance: result.shouldRebalance,
+        reasoning: result.reasoning,
+        inputHash: result.inputHash,
+        engineVersion: result.engineVersion
+      },
+      agree: result.recommendation === productionPick,
+      expectedApyDelta: round(result.expectedApy - production.expectedApy)
+    };
+
+    this.records.push(record);
+    if (this.records.length > this.config.historyLimit) {
+      this.records.splice(0, this.records.length - this.config.historyLimit);
+    }
+    await this.persist();
+    return record;
+  }
+
+  /**
+   * Stored shadow decisions, newest first
+   */
+  async getRecords({ limit = 50, source = null, modelId = null } = {}) {
+    await this.load();
+    return this.records
+      .filter((r) => (!source || r.source === source) && (!modelId || r.model.modelId === modelId))
+      .slice(-limit)
+      .reverse();
+  }
+
+  /**
+   * Agreement with production and hypothetical outcome differences. The realized yield of the
+   * shadow pick is read from the production decision's evaluation, which covers every strategy
+   * that was ranked.
+   */
+  async getReport({ modelId = this.config.modelId, source = null, horizon = null } = {}) {
+    const records = await this.getRecords({ limit: Infinity, source, modelId });
+    const agreements = records.filter((r) => r.agree).length;
+
+    const outcomes = {};
+    for (const record of records) {
+      if (!record.production.decisionId || !this.outcomeEvaluator) continue;
+
+      const evaluations = this.outcomeEvaluator.getEvaluations({
+        decisionId: record.production.decisionId,
+        horizon,
+        limit: Infinity
+      });
+      for (const evaluation of evaluations) {
+        const realized = [evaluation.chosen, ...(evaluation.alternatives || [])];
+        const shadowPick = realized.find((entry) => entry.strategy === record.decision.recommendation);
+        if (!shadowPick || shadowPick.realizedYield === null) continue;
+
+        const delta = shadowPick.realizedYield - evaluation.chosen.realizedYield;
+        const bucket = outcomes[evaluation.horizon] ||
+          (outcomes[evaluation.horizon] = { compared: 0, shadowBetter: 0, productionBetter: 0, equal: 0, totalYieldDelta: 0 });
+        bucket.compared++;
+        bucket.totalYieldDelta += delta;
+        if (Math.abs(delta) < 1e-9) bucket.equal++;
+        else if (delta > 0) bucket.shadowBetter++;
+        else bucket.productionBetter++;
+      }
+    }
+
+    for (const bucket of Object.values(outcomes)) {
+      bucket.meanYieldDelta = round(bucket.totalYieldDelta / bucket.compared);
+      bucket.totalYieldDelta = round(bucket.totalYieldDelta);
+    }
+
+    return {
+      enabled: this.config.enabled,
+      modelId,
+      model: records[0]?.model || this.candidate?.model || null,
+      decisions: records.length,
+      agreements,
+      agreementRate: records.length > 0 ? round(agreements / records.length) : null,
+      meanExpectedApyDelta: records.length > 0
+        ? round(records.reduce((sum, r) => sum + r.expectedApyDelta, 0) / records.length)
+        : null,
+      bySource: countBy(records, (r) => r.source),
+      disagreements: countBy(records.filter((r) => !r.agree), (r) => `${r.production.recommendation}->${r.decision.recommendation}`),
+      outcomes,
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  load() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        const state = await this.store.read();
+        if (state) {
+          this.records = [...(state.records || []), ...this.records].slice(-this.config.historyLimit);
+          this.counter = Math.max(this.counter, state.counter || 0);
+        }
+      })();
+    }
+    return this.loaded;
+  }
+
+  persist() {
+    this.persisting = this.store.write({ counter: this.counter, records: this.records, updatedAt: new Date().toISOString() });
+    return this.persisting;
+  }
+}
+
+/**
+ * Strategy engine configured from a registered model's ENGINE_PARAMETERS
+ */
+export function engineForModel(metadata) {
+  const parameters = metadata.parameters || {};
+  return new StrategyEngine(Object.fromEntries(
+    ENGINE_PARAMETERS.filter((key) => parameters[key] !== undefined).map((key) => [key, parameters[key]])
+  ));
+}
+
+function countBy(items, keyOf) {
+  const counts = {};
+  for (const item of items) {
+    const key = keyOf(item);
+    counts[key] = (counts[key] || 0) + 1;
+  }
+  return counts;
+}
+
+export default ShadowEvaluator;
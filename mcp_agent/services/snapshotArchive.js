@@ -0,0 +1,203 @@
+/**
+ * @fileoverview Market Snapshot Archive
+ * @description Content-addressed archive of the full input behind each decision: the oracle
+ * snapshot, the engine parameters, gas price and vault state. Archives are stored locally under
+ * their SHA-256 hash, optionally uploaded to HFS, and can be fed back to the strategy engine to
+ * confirm that a logged decision reproduces. Capture times are kept outside the hashed payload, so
+ * identical inputs share one archive.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { canonicalize, ENGINE_VERSION } from './strategyEngine.js';
+import { modelOf } from './outcomeEvaluator.js';
+import { engineForModel } from './shadowEvaluator.js';
+import { uploadToHfs } from './merkleAnchor.js';
+import { writeJsonFile } from './jsonStateFile.js';
+import { httpError } from './serviceUtils.js';
+
+export const DEFAULT_SNAPSHOT_ARCHIVE = {
+  enabled: true,
+  uploadToHfs: false,
+  hfsChunkSize: 4096, // bytes per FileCreate/FileAppend transaction
+  dataDir: './data/snapshots'
+};
+
+export const ARCHIVE_VERSION = 1;
+
+export class SnapshotArchive {
+  constructor(options = {}) {
+    this.config = { ...DEFAULT_SNAPSHOT_ARCHIVE, ...options.config };
+    this.dataDir = options.dataDir || this.config.dataDir;
+    this.strategyEngine = options.strategyEngine || null;
+    this.modelMetadataManager = options.modelMetadataManager || null;
+    this.hederaService = options.hederaService || null;
+    this.web3Service = options.web3Service || null;
+  }
+
+  /**
+   * Archive the input of a decision
+   * @param {Object} params - { snapshot, params, network }
+   * @returns {Promise<Object|null>} { hash, hfsFileId, archivedAt }, or null when archiving is off
+   */
+  async archive({ snapshot, params = {}, network = snapshot?.network || null }) {
+    if (!this.config.enabled) return null;
+
+    // Round-trip through JSON so the hash covers exactly what is stored
+    const payload = JSON.parse(JSON.stringify({
+      archiveVersion: ARCHIVE_VERSION,
+      network,
+      oracle: snapshot,
+      params,
+      gas: await this.captureGas(network),
+      vault: await this.captureVault()
+    }));
+    const hash = hashPayload(payload);
+    const file = this.fileFor(hash);
+
+    try {
+      return await this.readRecord(file);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const record = { hash, archivedAt: new Date().toISOString(), hfsFileId: null, payload };
+    if (this.config.uploadToHfs && this.hederaService) {
+      try {
+        record.hfsFileId = await this.uploadToHfs(hash, payload);
+      } catch (error) {
+        console.warn(`⚠️ Could not upload snapshot ${hash} to HFS: ${error.message}`);
+      }
+    }
+
+    await writeJsonFile(file, record);
+    return record;
+  }
+
+  /**
+   * Archived snapshot by hash; the content is re-hashed so tampering is detected
+   */
+  async get(hash) {
+    if (!/^[0-9a-f]{64}$/.test(String(hash))) {
+      throw httpError(`Invalid snapshot hash: ${hash}`, 400);
+    }
+
+    let record;
+    try {
+      record = await this.readRecord(this.fileFor(hash));
+    } catch (error) {
+      if (error.code === 'ENOENT') throw httpError(`Unknown snapshot: ${hash}`, 404);
+      throw error;
+    }
+
+    if (hashPayload(record.payload) !== hash) {
+      throw httpError(`Snapshot ${hash} does not match its content hash`, 409);
+    }
+    return record;
+  }
+
+  /**
+   * Feed a decision's archived snapshot back to the strategy engine and compare the result
+   * with what was recorded. The engine is built from the recorded model's registered parameters,
+   * like a shadow candidate; decisions without them replay on the production engine.
+   * @param {Object} decision - Logged decision with context.snapshotHash
+   */
+  async replay(decision) {
+    const hash = decision?.context?.snapshotHash;
+    if (!hash) {
+      throw httpError(`Decision ${decision?.id} has no archived snapshot`, 422);
+    }
+
+    const recordedModel = modelOf(decision);
+    const registeredModel = recordedModel?.modelId && this.modelMetadataManager
+      ? await this.modelMetadataManager.retrieveModelMetadata(recordedModel.modelId)
+      : null;
+    const engine = registeredModel?.parameters ? engineForModel(registeredModel) : this.strategyEngine;
+    if (!engine) {
+      throw httpError('Strategy engine not available', 503);
+    }
+
+    const { payload } = await this.get(hash);
+    const result = engine.recommend(payload.oracle, payload.params);
+
+    const checks = [
+      check('engineVersion', decision.context.engineVersion, ENGINE_VERSION),
+      check('inputHash', decision.context.inputHash, result.inputHash),
+      check('recommendation', decision.strategy ?? decision.parameters?.toStrategy, result.recommendation),
+      check('confidence', decision.confidence, result.confidence)
+    ].filter((entry) => entry.recorded !== undefined && entry.recorded !== null);
+    if (recordedModel) {
+      checks.push(check('modelChecksum', recordedModel.checksum, registeredModel?.checksum ?? null));
+    }
+
+    return {
+      decisionId: decision.id,
+      snapshotHash: hash,
+      model: recordedModel,
+      reproduced: checks.every((entry) => entry.match),
+      checks,
+      replay: {
+        recommendation: result.recommendation,
+        confidence: result.confidence,
+        expectedApy: result.expectedApy,
+        inputHash: result.inputHash,
+        engineVersion: result.engineVersion
+      },
+      replayedAt: new Date().toISOString()
+    };
+  }
+
+  async captureGas(network) {
+    if (!this.web3Service?.getNetworkStatus || !network) return null;
+    try {
+      const status = await this.web3Service.getNetworkStatus(network);
+      return { gasPriceWei: status.gasPrice ?? null, blockNumber: status.blockNumber ?? null };
+    } catch (error) {
+      console.warn(`⚠️ Could not capture gas price for snapshot: ${error.message}`);
+      return null;
+    }
+  }
+
+  async captureVault() {
+    if (!this.web3Service?.getVaultStats) return null;
+    try {
+      const stats = { ...await this.web3Service.getVaultStats() };
+      delete stats.timestamp; // the read time would make every archive unique
+      return stats;
+    } catch (error) {
+      console.warn(`⚠️ Could not capture vault state for snapshot: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Upload the canonical payload to HFS, appending in chunks above the transaction size limit
+   */
+  uploadToHfs(hash, payload) {
+    return uploadToHfs(this.hederaService, canonicalize(payload), `AION snapshot ${hash.slice(0, 16)}`, this.config.hfsChunkSize, {
+      service: 'snapshotArchive'
+    });
+  }
+
+  fileFor(hash) {
+    return path.join(this.dataDir, `${hash}.json`);
+  }
+
+  async readRecord(file) {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  }
+}
+
+/**
+ * SHA-256 of the canonical JSON form, independent of key order
+ */
+export function hashPayload(payload) {
+  return crypto.createHash('sha256').update(canonicalize(payload)).digest('hex');
+}
+
+function check(field, recorded, replayed) {
+  return { field, recorded, replayed, match: recorded === replayed };
+}
+
+export default SnapshotArchive;
@@ -0,0 +1,345 @@
+/**
+ * @fileoverview Deterministic Strategy Scoring Engine
+ * @description Ranks yield strategies by risk-adjusted APY using oracle snapshot data.
+ * The same inputs always produce the same recommendation so logged decisions can be replayed.
+ */
+
+import crypto from 'crypto';
+import { round } from './serviceUtils.js';
+
+export const ENGINE_VERSION = '1.0.0';
+
+// Score factors as they appear in explanations, in APY percentage points
+export const EXPLANATION_FACTORS = ['apy', 'tvl', 'health', 'gasCost', 'volatility', 'risk'];
+
+/**
+ * Strategy catalog keyed by strategy id. `protocol` is the key in the oracle snapshot,
+ * `baseRisk` is a 1-5 protocol risk grade and `volatility` the relative APY volatility.
+ */
+export const DEFAULT_STRATEGIES = {
+  venus: { protocol: 'venus', baseRisk: 2, volatility: 0.10 },
+  pancakeswap: { protocol: 'pancake', baseRisk: 4, volatility: 0.35 },
+  beefy: { protocol: 'beefy', baseRisk: 3, volatility: 0.25 },
+  aave: { protocol: 'aave', baseRisk: 1, volatility: 0.08 }
+};
+
+const STRATEGY_ALIASES = {
+  pancake: 'pancakeswap'
+};
+
+// APY points deducted per unit of risk, by caller risk tolerance
+const RISK_AVERSION = {
+  low: 1.5,
+  medium: 0.75,
+  high: 0.25
+};
+
+export class StrategyEngine {
+  constructor(options = {}) {
+    this.strategies = options.strategies || DEFAULT_STRATEGIES;
+    this.riskAversion = { ...RISK_AVERSION, ...options.riskAversion };
+    this.degradedHealthMultiplier = options.degradedHealthMultiplier ?? 0.5;
+    this.targetTvlUsd = options.targetTvlUsd || 100_000_000;
+    this.liquidityPenalty = options.liquidityPenalty ?? 2;
+    this.rebalanceGasLimit = options.rebalanceGasLimit || 350000;
+    this.defaultGasPriceGwei = options.defaultGasPriceGwei || 5;
+    this.marginScale = options.marginScale || 1;
+  }
+
+  /**
+   * Normalize a strategy name to its catalog id
+   */
+  normalizeStrategy(name) {
+    if (name === undefined || name === null) return null;
+    const key = String(name).toLowerCase().trim();
+    const id = STRATEGY_ALIASES[key] || key;
+    return this.strategies[id] ? id : null;
+  }
+
+  /**
+   * Recommend a strategy for the given snapshot and request parameters
+   * @param {Object} snapshot - OracleService.getSnapshot() result
+   * @param {Object} params - { currentStrategy, amount, riskTolerance, preferredStrategies, gasPriceGwei }
+   */
+  recommend(snapshot, params = {}) {
+    const inputs = this.normalizeInputs(snapshot, params);
+    const ranking = this.rankStrategies(inputs);
+
+    if (ranking.length === 0) {
+      throw new Error('No strategy has usable oracle data');
+    }
+
+    const [best, runnerUp] = ranking;
+    const confidenceFactors = this.calculateConfidenceFactors(best, runnerUp, inputs);
+    const reasoning = this.buildReasoning(best, runnerUp, inputs);
+
+    return {
+      recommendation: best.strategy,
+      confidence: confidenceFactors.confidence,
+      expectedApy: best.expectedApy,
+      riskScore: best.riskScore,
+      reasoning,
+      shouldRebalance: inputs.currentStrategy !== best.strategy,
+      currentStrategy: inputs.currentStrategy,
+      ranking,
+      confidenceFactors,
+      explanation: this.buildExplanation(ranking, inputs, confidenceFactors, reasoning),
+      inputHash: this.hashInputs(inputs),
+      engineVersion: ENGINE_VERSION
+    };
+  }
+
+  /**
+   * Reduce raw inputs to the fields that influence scoring
+   */
+  normalizeInputs(snapshot, params) {
+    if (!snapshot || typeof snapshot.protocols !== 'object' || snapshot.protocols === null) {
+      throw new Error('Oracle snapshot with protocol data is required');
+    }
+
+    const protocols = {};
+    for (const name of Object.keys(snapshot.protocols).sort()) {
+      const data = snapshot.protocols[name] || {};
+      protocols[name] = {
+        apy: toNumberOrNull(data.apy),
+        tvl_usd: toNumberOrNull(data.tvl_usd ?? data.tvl),
+        health: data.health || 'unknown',
+        source: data.source || 'unknown'
+      };
+    }
+
+    const amount = Number.parseFloat(params.amount);
+    const gasPriceGwei = Number.parseFloat(params.gasPriceGwei);
+    const preferred = (params.preferredStrategies || [])
+      .map((name) => this.normalizeStrategy(name))
+      .filter(Boolean);
+
+    return {
+      protocols,
+      bnbPriceUsd: Number(snapshot.bnb_price_usd ?? snapshot.bnbPrice) || 0,
+      currentStrategy: this.normalizeStrategy(params.currentStrategy),
+      amount: Number.isFinite(amount) && amount > 0 ? amount : 0,
+      riskTolerance: this.riskAversion[params.riskTolerance] !== undefined ? params.riskTolerance : 'medium',
+      preferredStrategies: [...new Set(preferred)].sort(),
+      gasPriceGwei: Number.isFinite(gasPriceGwei) && gasPriceGwei > 0 ? gasPriceGwei : this.defaultGasPriceGwei
+    };
+  }
+
+  /**
+   * Score and rank every eligible strategy, best first
+   */
+  rankStrategies(inputs) {
+    let candidates = Object.keys(this.strategies);
+    if (inputs.preferredStrategies.length > 0) {
+      candidates = candidates.filter((id) => inputs.preferredStrategies.includes(id));
+    }
+
+    return candidates
+      .map((id) => this.scoreStrategy(id, inputs))
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score || a.strategy.localeCompare(b.strategy));
+  }
+
+  /**
+   * Score a single strategy. Every factor is expressed in APY percentage points.
+   */
+  scoreStrategy(strategyId, inputs) {
+    const strategy = this.strategies[strategyId];
+    const data = inputs.protocols[strategy.protocol];
+    if (!data || data.apy === null) {
+      return null;
+    }
+
+    const apy = Math.max(0, data.apy);
+    const healthy = data.health === 'healthy';
+    const healthMultiplier = healthy ? 1 : this.degradedHealthMultiplier;
+    const aversion = this.riskAversion[inputs.riskTolerance];
+    const liquidityScore = this.calculateLiquidityScore(data.tvl_usd);
+
+    const factors = {
+      apy: apy,
+      health: -apy * (1 - healthMultiplier),
+      tvl: -(1 - liquidityScore) * this.liquidityPenalty,
+      risk: -strategy.baseRisk * aversion,
+      volatility: -strategy.volatility * apy * aversion,
+      gasCost: -this.calculateSwitchCost(strategyId, inputs)
+    };
+
+    const score = Object.values(factors).reduce((sum, value) => sum + value, 0);
+    const riskScore = Math.min(5, Math.max(1, strategy.baseRisk + (healthy ? 0 : 1) + (liquidityScore < 0.5 ? 1 : 0)));
+
+    return {
+      strategy: strategyId,
+      protocol: strategy.protocol,
+      score: round(score),
+      apy: round(apy),
+      expectedApy: round(apy * healthMultiplier),
+      riskScore,
+      health: data.health,
+      source: data.source,
+      factors: mapValues(factors, round)
+    };
+  }
+
+  /**
+   * Liquidity score in [0, 1] on a log scale relative to the target TVL
+   */
+  calculateLiquidityScore(tvlUsd) {
+    if (!tvlUsd || tvlUsd <= 1) return 0;
+    return Math.min(1, Math.log10(tvlUsd) / Math.log10(this.targetTvlUsd));
+  }
+
+  /**
+   * One-off cost of moving the position into a strategy, as APY points over one year
+   */
+  calculateSwitchCost(strategyId, inputs) {
+    if (!inputs.currentStrategy || inputs.currentStrategy === strategyId) return 0;
+
+    const positionUsd = inputs.amount * inputs.bnbPriceUsd;
+    if (positionUsd <= 0) return 0;
+
+    const gasCostUsd = this.rebalanceGasLimit * inputs.gasPriceGwei * 1e-9 * inputs.bnbPriceUsd;
+    return (gasCostUsd / positionUsd) * 100;
+  }
+
+  /**
+   * Confidence grows with the lead over the runner-up and with live (non-fallback) data
+   */
+  calculateConfidenceFactors(best, runnerUp, inputs) {
+    const margin = runnerUp ? best.score - runnerUp.score : this.marginScale;
+    const marginComponent = margin / (margin + this.marginScale);
+
+    // Only the protocols this catalog scores count towards data quality
+    const catalogProtocols = new Set(Object.values(this.strategies).map((s) => s.protocol));
+    const sources = Object.entries(inputs.protocols)
+      .filter(([name]) => catalogProtocols.has(name))
+      .map(([, p]) => p.source);
+    const liveShare = sources.length > 0 ? sources.filter(isLiveSource).length / sources.length : 0;
+    const dataQuality = 0.7 + 0.3 * liveShare;
+    const healthComponent = best.health === 'healthy' ? 1 : 0.8;
+
+    return {
+      margin: round(margin),
+      marginComponent: round(marginComponent),
+      dataQuality: round(dataQuality),
+      health: healthComponent,
+      confidence: round((0.5 + 0.5 * marginComponent) * dataQuality * healthComponent)
+    };
+  }
+
+  /**
+   * Build a human-readable explanation from the scores
+   */
+  buildReasoning(best, runnerUp, inputs) {
+    let reasoning = `${best.strategy} ranks first with a risk-adjusted score of ${best.score.toFixed(2)} ` +
+      `(APY ${best.apy.toFixed(2)}%, risk ${best.riskScore}/5, ${inputs.riskTolerance} risk tolerance)`;
+
+    if (runnerUp) {
+      reasoning += `; runner-up ${runnerUp.strategy} scores ${runnerUp.score.toFixed(2)}`;
+    }
+
+    if (inputs.currentStrategy && inputs.currentStrategy === best.strategy) {
+      reasoning += '; current allocation is already optimal';
+    }
+
+    return reasoning;
+  }
+
+  /**
+   * Structured explanation of a recommendation: how much each factor contributed to the chosen
+   * strategy's score, how every alternative compared, and whether the data behind it was live
+   */
+  buildExplanation(ranking, inputs, confidenceFactors, summary) {
+    const [best, ...alternatives] = ranking;
+    const catalogProtocols = new Set(Object.values(this.strategies).map((s) => s.protocol));
+
+    const dataSources = { live: [], fallback: [], byProtocol: {} };
+    for (const [name, data] of Object.entries(inputs.protocols)) {
+      if (!catalogProtocols.has(name)) continue;
+      dataSources.byProtocol[name] = data.source;
+      dataSources[isLiveSource(data.source) ? 'live' : 'fallback'].push(name);
+    }
+    dataSources.liveShare = round(dataSources.live.length / Math.max(1, dataSources.live.length + dataSources.fallback.length));
+
+    const magnitude = EXPLANATION_FACTORS.reduce((sum, factor) => sum + Math.abs(best.factors[factor] || 0), 0);
+
+    return {
+      summary,
+      chosen: {
+        strategy: best.strategy,
+        protocol: best.protocol,
+        score: best.score,
+        expectedApy: best.expectedApy,
+        riskScore: best.riskScore,
+        source: best.source,
+        contributions: EXPLANATION_FACTORS.map((factor) => ({
+          factor,
+          value: best.factors[factor] || 0,
+          share: magnitude > 0 ? round(Math.abs(best.factors[factor] || 0) / magnitude) : 0
+        }))
+      },
+      alternatives: alternatives.map((alt) => {
+        // Positive deltas are factors in which the chosen strategy did better
+        const deltas = Object.fromEntries(
+          EXPLANATION_FACTORS.map((factor) => [factor, round((best.factors[factor] || 0) - (alt.factors[factor] || 0))])
+        );
+        return {
+          strategy: alt.strategy,
+          protocol: alt.protocol,
+          score: alt.score,
+          scoreGap: round(best.score - alt.score),
+          expectedApy: alt.expectedApy,
+          riskScore: alt.riskScore,
+          source: alt.source,
+          factorDeltas: deltas,
+          decidingFactor: EXPLANATION_FACTORS.reduce((top, factor) => (deltas[factor] > deltas[top] ? factor : top))
+        };
+      }),
+      dataSources,
+      confidence: confidenceFactors,
+      inputs: {
+        riskTolerance: inputs.riskTolerance,
+        currentStrategy: inputs.currentStrategy,
+        amount: inputs.amount,
+        gasPriceGwei: inputs.gasPriceGwei
+      }
+    };
+  }
+
+  /**
+   * Hash the normalized inputs so a decision can be matched to the data it was made from
+   */
+  hashInputs(inputs) {
+    const canonical = canonicalize({ engineVersion: ENGINE_VERSION, ...inputs });
+    return crypto.createHash('sha256').update(canonical).digest('hex');
+  }
+}
+
+/**
+ * JSON serialization with sorted object keys
+ */
+export function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${canonicalize(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function isLiveSource(source) {
+  return source !== 'fallback' && source !== 'unknown';
+}
+
+function toNumberOrNull(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+}
+
+function mapValues(obj, fn) {
+  return Object.fromEntries(Object.entries(obj).map(([k, v]) => [k, fn(v)]));
+}
+
+export default StrategyEngine;
@@ -72,6 +72,10 @@ export class ValidationManager {
           type: 'string',
           enum: ['low', 'medium', 'high']
         },
+        currentStrategy: {
+          type: 'string',
+          maxLength: 64
+        },
         preferredStrategies: {
           type: 'array',
           items: { type: 'string' },
@@ -81,6 +85,151 @@ export class ValidationManager {
       additionalProperties: false
     };
 
+    // Network selector schema (oracle snapshot, vault stats)
+    this.networkSchema = {
+      type: 'object',
+      properties: {
+        network: {
+          type: 'string',
+          enum: ['bscTestnet', 'bscMainnet'],
+          format: 'network'
+        }
+      },
+      additionalProperties: false
+    };
+
+    // AI decision logging schema
+    this.logDecisionSchema = {
+      type: 'object',
+      required: ['type', 'action', 'confidence'],
+      properties: {
+        type: { type: 'string', maxLength: 64 },
+        action: { type: 'string', maxLength: 128 },
+        strategy: { type: 'string', maxLength: 64 },
+        confidence: { type: 'number', minimum: 0, maximum: 1 },
+        reasoning: { type: 'string', maxLength: 1000 },
+        context: { type: 'object' },
+        parameters: { type: 'object' }
+      },
+      additionalProperties: false
+    };
+
+    // On-chain strategy lookup schema
+    this.strategyQuerySchema = {
+      type: 'object',
+      properties: {
+        strategy: {
+          type: 'string',
+          enum: ['venus', 'aave', 'compound', 'wombat', 'beefy', 'morpho', 'pancake', 'uniswap']
+        }
+      },
+      additionalProperties: false
+    };
+
+    // Model metadata lookup schema
+    this.modelQuerySchema = {
+      type: 'object',
+      properties: {
+        modelId: { type: 'string', maxLength: 128 },
+        type: { type: 'string', maxLength: 64 },
+        status: { type: 'string', maxLength: 32 }
+      },
+      additionalProperties: false
+    };
+
+    // Backtest request schema
+    this.backtestSchema = {
+      type: 'object',
+      properties: {
+        dataset: {
+          type: 'string',
+          pattern: '^[\\w.-]+\\.json$',
+          maxLength: 128
+        },
+        timeframe: {
+          type: 'string',
+          enum: ['24h', '30d']
+        },
+        initialCapital: {
+          type: 'string',
+          format: 'amount'
+        },
+        riskTolerance: {
+          type: 'string',
+          enum: ['low', 'medium', 'high']
+        },
+        gasPriceGwei: {
+          type: 'number',
+          exclusiveMinimum: 0,
+          maximum: 1000
+        },
+        minConfidence: {
+          type: 'number',
+          minimum: 0,
+          maximum: 1
+        },
+        baselineStrategy: {
+          type: 'string',
+          enum: ['venus', 'pancakeswap', 'beefy', 'aave']
+        },
+        includeEquityCurve: {
+          type: 'boolean'
+        }
+      },
+      additionalProperties: false
+    };
+
+    // Portfolio allocation request schema
+    this.allocationSchema = {
+      type: 'object',
+      properties: {
+        network: {
+          type: 'string',
+          format: 'network'
+        },
+        riskTolerance: {
+          type: 'string',
+          enum: ['low', 'medium', 'high']
+        },
+        gasPriceGwei: {
+          type: 'number',
+          exclusiveMinimum: 0,
+          maximum: 1000
+        },
+        totalAssets: {
+          type: 'number',
+          exclusiveMinimum: 0
+        },
+        current: {
+          type: 'object',
+          propertyNames: {
+            enum: ['aave', 'beefy', 'compound', 'morpho', 'pancake', 'uniswap', 'venus', 'wombat', 'idle']
+          },
+          additionalProperties: {
+            type: 'number',
+            minimum: 0
+          }
+        }
+      },
+      additionalProperties: false
+    };
+
+    // Scheduler pause/resume/trigger schema
+    this.schedulerActionSchema = {
+      type: 'object',
+      properties: {
+        schedule: {
+          type: 'string',
+          pattern: '^[\\w.-]+$',
+          maxLength: 64
+        },
+        dryRun: {
+          type: 'boolean'
+        }
+      },
+      additionalProperties: false
+    };
+
     // Execution request schema
     this.executeSchema = {
       type: 'object',
@@ -127,16 +276,9 @@ export class ValidationManager {
    */
   validateRequest(schema) {
     return (request, reply, done) => {
-      const validate = this.ajv.compile(schema);
-      const valid = validate(request.body);
+      const { valid, errors } = this.validateData(schema, request.body);
 
       if (!valid) {
-        const errors = validate.errors.map(err => ({
-          field: err.instancePath || err.schemaPath,
-          message: err.message,
-          value: err.data
-        }));
-
         reply.status(400).send({
           success: false,
           error: 'Validation failed',
@@ -149,6 +291,23 @@ export class ValidationManager {
     };
   }
 
+  /**
+   * Validate data against a schema outside of a request pipeline
+   */
+  validateData(schema, data) {
+    const validate = this.ajv.compile(schema);
+    const valid = validate(data);
+
+    return {
+      valid,
+      errors: valid ? [] : validate.errors.map(err => ({
+        field: err.instancePath || err.schemaPath,
+        message: err.message,
+        value: err.data
+      }))
+    };
+  }
+
   /**
    * Get schema by name
    */
@@ -160,6 +319,34 @@ export class ValidationManager {
     return this.executeSchema;
   }
 
+  getBacktestSchema() {
+    return this.backtestSchema;
+  }
+
+  getAllocationSchema() {
+    return this.allocationSchema;
+  }
+
+  getSchedulerActionSchema() {
+    return this.schedulerActionSchema;
+  }
+
+  getNetworkSchema() {
+    return this.networkSchema;
+  }
+
+  getLogDecisionSchema() {
+    return this.logDecisionSchema;
+  }
+
+  getStrategyQuerySchema() {
+    return this.strategyQuerySchema;
+  }
+
+  getModelQuerySchema() {
+    return this.modelQuerySchema;
+  }
+
   /**
    * Sanitize string input
    */
@@ -568,7 +568,8 @@ class Web3Service extends EventEmitter {
             
             await this.config.hederaService.submitToHCS(
                 this.config.hederaService.config.hcsTopicId,
-                message
+                message,
+                { service: 'web3Service' }
             );
             
         } catch (error) {
@@ -0,0 +1,130 @@
+/**
+ * @fileoverview MCP Server Unit Tests
+ * @description Tests for MCP tool listing, argument validation and resources over an in-memory transport
+ */
+
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { createMcpServer } from '../../../server/mcpServer.js';
+import ValidationManager from '../../../services/validationManager.js';
+import StrategyEngine from '../../../services/strategyEngine.js';
+
+describe('MCP Server', () => {
+  let client;
+  let server;
+
+  const snapshot = {
+    network: 'bscMainnet',
+    bnb_price_usd: 300,
+    protocols: {
+      venus: { apy: 4.8, tvl_usd: 120000000, health: 'healthy', source: 'defillama' },
+      aave: { apy: 6.2, tvl_usd: 78000000, health: 'healthy', source: 'defillama' }
+    }
+  };
+
+  const connect = async (services, options) => {
+    server = createMcpServer({ validationManager: new ValidationManager(), ...services }, options);
+    client = new Client({ name: 'test-client', version: '1.0.0' });
+
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await Promise.all([
+      server.connect(serverTransport),
+      client.connect(clientTransport)
+    ]);
+  };
+
+  afterEach(async () => {
+    await client?.close();
+    await server?.close();
+  });
+
+  test('should only list tools whose services are available', async () => {
+    await connect({
+      oracleService: { getSnapshot: async () => snapshot },
+      strategyEngine: new StrategyEngine()
+    });
+
+    const { tools } = await client.listTools();
+    expect(tools.map(t => t.name).sort()).toEqual(['get_oracle_snapshot', 'recommend_strategy']);
+  });
+
+  test('should leave out tools that write when read-only', async () => {
+    await connect({
+      oracleService: { getSnapshot: async () => snapshot },
+      aiDecisionLogger: { logDecision: async () => 'decision-1' }
+    }, { readOnly: true });
+
+    const { tools } = await client.listTools();
+    expect(tools.map(t => t.name)).toEqual(['get_oracle_snapshot']);
+
+    const result = await client.callTool({ name: 'log_decision', arguments: { type: 'rebalance', confidence: 0.9 } });
+    expect(result.isError).toBe(true);
+  });
+
+  test('should reuse validation schemas as tool input schemas', async () => {
+    const validationManager = new ValidationManager();
+    await connect({
+      validationManager,
+      oracleService: { getSnapshot: async () => snapshot },
+      strategyEngine: new StrategyEngine()
+    });
+
+    const { tools } = await client.listTools();
+    const recommend = tools.find(t => t.name === 'recommend_strategy');
+    expect(recommend.inputSchema.properties).toEqual(validationManager.getDecideSchema().properties);
+  });
+
+  test('should return a strategy recommendation', async () => {
+    await connect({
+      oracleService: { getSnapshot: async () => snapshot },
+      strategyEngine: new StrategyEngine()
+    });
+
+    const result = await client.callTool({
+      name: 'recommend_strategy',
+      arguments: { network: 'bscMainnet', amount: '1.5', riskTolerance: 'low' }
+    });
+    const data = JSON.parse(result.content[0].text);
+
+    expect(result.isError).toBeFalsy();
+    expect(['venus', 'aave']).toContain(data.recommendation);
+    expect(data.inputHash).toHaveLength(64);
+  });
+
+  test('should reject arguments that fail schema validation', async () => {
+    await connect({
+      aiDecisionLogger: { logDecision: async () => 'decision-1' }
+    });
+
+    const result = await client.callTool({ name: 'log_decision', arguments: { type: 'rebalance', confidence: 2 } });
+
+    expect(result.isError).toBe(true);
+    expect(JSON.parse(result.content[0].text).error).toBe('Validation failed');
+  });
+
+  test('should report service errors as tool errors', async () => {
+    await connect({
+      web3Service: {
+        getVaultStats: async () => { throw new Error('RPC unavailable'); },
+        getAllStrategiesInfo: async () => ({})
+      }
+    });
+
+    const result = await client.callTool({ name: 'get_vault_stats', arguments: {} });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toBe('RPC unavailable');
+  });
+
+  test('should serialize BigInt values in resources', async () => {
+    await connect({
+      web3Service: {
+        getVaultStats: async () => ({ totalAssets: 10n ** 18n }),
+        getAllStrategiesInfo: async () => ({})
+      }
+    });
+
+    const { contents } = await client.readResource({ uri: 'aion://vault/stats' });
+    expect(JSON.parse(contents[0].text).totalAssets).toBe('1000000000000000000');
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * @fileoverview AI Decision Logger Unit Tests
+ * @description Tests for decision explanations, lookups from the local decision logs and Merkle anchoring
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import AIDecisionLogger, { createDecisionLogger } from '../../../services/aiDecisionLogger.js';
+import HederaService from '../../../services/hederaService.js';
+import { reassembleMessages } from '../../../services/hcsChunking.js';
+import { StrategyEngine } from '../../../services/strategyEngine.js';
+import { verifyDecisionProof, BATCH_ROOT_MESSAGE_TYPE } from '../../../services/merkleAnchor.js';
+
+const snapshot = {
+  bnb_price_usd: 300,
+  protocols: {
+    venus: { apy: 4.8, tvl_usd: 120000000, health: 'healthy', source: 'live' },
+    pancake: { apy: 12.4, tvl_usd: 98000000, health: 'healthy', source: 'live' },
+    beefy: { apy: 8.7, tvl_usd: 45000000, health: 'healthy', source: 'fallback' },
+    aave: { apy: 6.2, tvl_usd: 80000000, health: 'healthy', source: 'live' }
+  }
+};
+
+describe('AIDecisionLogger', () => {
+  let logDir;
+  let logger;
+
+  const createLogger = async (config = {}) => {
+    logger = new AIDecisionLogger({
+      enableHederaLogging: false,
+      enableMetrics: false,
+      localLogPath: logDir,
+      batchTimeout: 60 * 60 * 1000,
+      ...config
+    });
+    await new Promise((resolve) => logger.once('initialized', resolve));
+    return logger;
+  };
+
+  const logRecommendation = () => {
+    const result = new StrategyEngine().recommend(snapshot, { currentStrategy: 'venus', amount: 1 });
+    return logger.logDecision({
+      type: 'ai_decision',
+      strategy: result.recommendation,
+      confidence: result.confidence,
+      reasoning: result.reasoning,
+      explanation: result.explanation
+    });
+  };
+
+  beforeEach(async () => {
+    logDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aion-decisions-'));
+  });
+
+  afterEach(async () => {
+    await logger?.shutdown();
+    await fs.rm(logDir, { recursive: true, force: true });
+  });
+
+  test('should store the structured explanation with the decision', async () => {
+    await createLogger();
+
+    const decisionId = await logRecommendation();
+    const { explanation } = logger.getDecision(decisionId);
+
+    expect(explanation.chosen.strategy).toBe('pancakeswap');
+    expect(explanation.chosen.contributions).toHaveLength(6);
+    expect(explanation.alternatives).toHaveLength(3);
+    expect(explanation.dataSources.fallback).toEqual(['beefy']);
+  });
+
+  test('should find logged decisions in the local logs after a restart', async () => {
+    await createLogger();
+    const decisionId = await logRecommendation();
+    await logger.shutdown();
+
+    await createLogger();
+
+    expect(logger.getDecision(decisionId)).toBeNull();
+    const decision = await logger.findDecision(decisionId);
+    expect(decision).toMatchObject({ id: decisionId, logged: true, explanation: { chosen: { strategy: 'pancakeswap' } } });
+    expect(await logger.findDecision('missing')).toBeNull();
+  });
+
+  test('should keep every action when several are logged at once', async () => {
+    await createLogger();
+
+    await Promise.all(['submitted', 'approved', 'executed'].map((action) =>
+      logger.logDecisionAction('decision-1', { type: 'approval', action })));
+
+    const [file] = (await fs.readdir(logDir)).filter((name) => name.startsWith('actions-'));
+    const { actions } = JSON.parse(await fs.readFile(path.join(logDir, file), 'utf8'));
+    expect(actions.map((entry) => entry.action.action)).toEqual(['submitted', 'approved', 'executed']);
+  });
+
+  test('should write decisions and outcomes to the decision topic of the Hedera service it is created with', async () => {
+    const hederaService = new HederaService({ simulate: true, chain: { dataDir: path.join(logDir, 'chain') } });
+    await hederaService.initialize();
+    ({ topicId: hederaService.config.hcsTopicId } = await hederaService.createHCSTopic());
+
+    logger = createDecisionLogger(hederaService, { enableMetrics: false, localLogPath: logDir, batchTimeout: 60 * 60 * 1000 });
+    await new Promise((resolve) => logger.once('initialized', resolve));
+    const decisionId = await logRecommendation();
+    await logger.processBatch();
+    await logger.logDecisionOutcome(decisionId, { success: true });
+
+    const { messages } = reassembleMessages(hederaService.simulator.topic(hederaService.config.hcsTopicId).messages.map((m) => ({
+      sequenceNumber: m.sequenceNumber,
+      consensusTimestamp: m.consensusTimestamp,
+      message: m.contents.toString('utf8')
+    })));
+    expect(messages.map((m) => JSON.parse(m.message)).map((m) => m.type)).toEqual(['AI_DECISION', 'AI_DECISION_OUTCOME']);
+    await hederaService.shutdown();
+  });
+
+  describe('Merkle anchoring', () => {
+    let hederaService;
+    let topic;
+
+    const createMerkleLogger = (config = {}) => createLogger({
+      anchoringMode: 'merkle',
+      enableHederaLogging: true,
+      hederaService,
+      hcsTopicId: '0.0.5005',
+      ...config
+    });
+
+    beforeEach(() => {
+      topic = [];
+      hederaService = {
+        submitToHCS: jest.fn(async (topicId, message) => {
+          topic.push(JSON.stringify(message));
+          return { sequenceNumber: String(topic.length), consensusTimestamp: '1700000000.000000001', transactionId: 'tx-1' };
+        }),
+        submitBatchToHCS: jest.fn(),
+        createFile: jest.fn(async () => ({ fileId: '0.0.7007' })),
+        appendFile: jest.fn(async () => ({ success: true }))
+      };
+    });
+
+    test('should anchor only the batch root and prove each decision against it', async () => {
+      await createMerkleLogger();
+      const decisionIds = [];
+      for (let i = 0; i < 3; i++) {
+        decisionIds.push(await logger.logDecision({ type: 'ai_decision', confidence: 0.7, context: { i } }));
+      }
+      await logger.processBatch();
+
+      expect(hederaService.submitBatchToHCS).not.toHaveBeenCalled();
+      expect(hederaService.submitToHCS).toHaveBeenCalledTimes(1);
+      const anchorMessage = JSON.parse(topic[0]);
+      expect(anchorMessage).toMatchObject({ type: BATCH_ROOT_MESSAGE_TYPE, data: { leafCount: 3, hfsFileId: null } });
+
+      for (const decisionId of decisionIds) {
+        const proof = await logger.getDecisionProof(decisionId);
+        expect(proof).toMatchObject({
+          decisionId,
+          root: anchorMessage.data.root,
+          anchor: { topicId: '0.0.5005', sequenceNumber: '1' }
+        });
+        expect(verifyDecisionProof(proof, topic[0]).valid).toBe(true);
+      }
+    });
+
+    test('should keep proofs available after a restart and store leaves in HFS when enabled', async () => {
+      await createMerkleLogger({ storeLeavesInHfs: true });
+      const decisionId = await logger.logDecision({ type: 'ai_decision', confidence: 0.9 });
+      await logger.shutdown();
+
+      await createMerkleLogger();
+      const proof = await logger.getDecisionProof(decisionId);
+
+      expect(hederaService.createFile).toHaveBeenCalled();
+      expect(proof.hfsFileId).toBe('0.0.7007');
+      expect(verifyDecisionProof(proof, topic[0]).valid).toBe(true);
+      expect(await logger.getDecisionProof('missing')).toBeNull();
+    });
+
+    test('should re-queue the batch and drop its leaves when anchoring fails', async () => {
+      hederaService.submitToHCS.mockRejectedValueOnce(new Error('BUSY'));
+      await createMerkleLogger();
+      const decisionId = await logger.logDecision({ type: 'ai_decision', confidence: 0.6 });
+
+      await logger.processBatch();
+      expect(await logger.getDecisionProof(decisionId)).toBeNull();
+      expect(logger.batchQueue).toHaveLength(1);
+
+      await logger.processBatch();
+      expect(verifyDecisionProof(await logger.getDecisionProof(decisionId), topic[0]).valid).toBe(true);
+    });
+
+    test('should keep the leaves and not re-queue when the root was sent before anchoring failed', async () => {
+      hederaService.submitToHCS.mockImplementationOnce(async (topicId, message) => {
+        topic.push(JSON.stringify(message));
+        throw Object.assign(new Error('receipt timeout'), { submittedTransactionId: 'tx-sent' });
+      });
+      await createMerkleLogger();
+      const decisionId = await logger.logDecision({ type: 'ai_decision', confidence: 0.6 });
+
+      await logger.processBatch();
+
+      expect(logger.batchQueue).toHaveLength(0);
+      const proof = await logger.getDecisionProof(decisionId);
+      expect(proof.anchor).toEqual({
+        topicId: '0.0.5005', sequenceNumber: null, consensusTimestamp: null, transactionId: 'tx-sent', pending: true
+      });
+      expect(verifyDecisionProof(proof, topic[0]).valid).toBe(true);
+      expect(hederaService.submitToHCS).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * @fileoverview Approval Queue Unit Tests
+ * @description Tests for approval thresholds, approve/reject/expire transitions, action logging and persistence
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { ApprovalQueue, APPROVAL_STATUS, APPROVAL_REASONS } from '../../../services/approvalQueue.js';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('ApprovalQueue', () => {
+  let dataDir;
+  let queue;
+  let aiDecisionLogger;
+
+  const createQueue = (config = {}) => {
+    queue = new ApprovalQueue({ config, dataDir, aiDecisionLogger });
+    return queue;
+  };
+
+  const submit = () => queue.submit({
+    kind: 'strategy_execution',
+    decisionId: 'decision-1',
+    plan: { strategyId: 'venus', parameters: { amount: 20 } },
+    summary: { strategyId: 'venus', amount: 20, confidence: 0.9 },
+    reasons: [{ code: APPROVAL_REASONS.AMOUNT_ABOVE_THRESHOLD, limit: 5, actual: 20 }],
+    requestedBy: { userId: 'user-1', username: 'trader' }
+  });
+
+  const approver = { userId: 'user-2', username: 'approver' };
+  const actions = () => aiDecisionLogger.logDecisionAction.mock.calls.map(([, action]) => action.action);
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aion-approvals-'));
+    aiDecisionLogger = { logDecisionAction: jest.fn(async () => true) };
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    await queue?.stop();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('should require approval above the amount and risk thresholds and below the confidence threshold', () => {
+    createQueue({ thresholds: { amount: 10, riskScore: 4, minConfidence: 0.8 } });
+
+    expect(queue.requiresApproval({ amount: 5, riskScore: 2, confidence: 0.9 })).toEqual([]);
+    expect(queue.requiresApproval({ amount: 20, riskScore: 4, confidence: 0.5 }).map((r) => r.code)).toEqual([
+      APPROVAL_REASONS.AMOUNT_ABOVE_THRESHOLD,
+      APPROVAL_REASONS.RISK_ABOVE_THRESHOLD,
+      APPROVAL_REASONS.CONFIDENCE_BELOW_THRESHOLD
+    ]);
+    expect(queue.requiresApproval({ amount: 1, confidence: null })).toEqual([
+      { code: APPROVAL_REASONS.CONFIDENCE_BELOW_THRESHOLD, limit: 0.8, actual: null }
+    ]);
+    expect(createQueue({ enabled: false }).requiresApproval({ amount: 1000 })).toEqual([]);
+  });
+
+  test('should run the registered handler when a request is approved', async () => {
+    createQueue();
+    const handler = jest.fn(async () => ({ executionId: 'exec-1' }));
+    queue.registerHandler('strategy_execution', handler);
+
+    const request = await submit();
+    expect(request.status).toBe(APPROVAL_STATUS.PENDING);
+
+    const approved = await queue.approve(request.id, { ...approver, comment: 'checked' });
+
+    expect(handler).toHaveBeenCalledWith(expect.objectContaining({ id: request.id, plan: request.plan }));
+    expect(approved).toMatchObject({
+      status: APPROVAL_STATUS.EXECUTED,
+      result: { executionId: 'exec-1' },
+      approvedBy: { userId: 'user-2', username: 'approver' }
+    });
+    expect(actions()).toEqual(['submitted', 'approved', 'executed']);
+    expect(aiDecisionLogger.logDecisionAction).toHaveBeenCalledWith('decision-1', expect.objectContaining({
+      type: 'approval',
+      approvalId: request.id,
+      comment: 'checked'
+    }));
+  });
+
+  test('should mark the request failed when the handler throws', async () => {
+    createQueue();
+    queue.registerHandler('strategy_execution', async () => { throw new Error('Guardrails no longer pass'); });
+
+    const request = await submit();
+    const result = await queue.approve(request.id, approver);
+
+    expect(result).toMatchObject({ status: APPROVAL_STATUS.FAILED, error: 'Guardrails no longer pass' });
+  });
+
+  test('should reject requests and refuse further actions on settled ones', async () => {
+    createQueue();
+    const request = await submit();
+
+    const rejected = await queue.reject(request.id, { ...approver, reason: 'Too large' });
+
+    expect(rejected).toMatchObject({ status: APPROVAL_STATUS.REJECTED, rejectionReason: 'Too large' });
+    await expect(queue.approve(request.id, approver)).rejects.toMatchObject({ statusCode: 409 });
+    await expect(queue.reject('approval_missing', approver)).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('should not let the submitter approve their own request', async () => {
+    createQueue();
+    const request = await submit();
+
+    await expect(queue.approve(request.id, { userId: 'user-1' })).rejects.toMatchObject({ statusCode: 403 });
+    expect(queue.get(request.id).status).toBe(APPROVAL_STATUS.PENDING);
+  });
+
+  test('should expire requests after the timeout', async () => {
+    jest.useFakeTimers({ now: Date.parse('2025-01-01T00:00:00Z') });
+    createQueue({ expiresAfter: HOUR, checkInterval: 60 * 1000 });
+    await queue.start();
+    const first = await submit();
+    const second = await submit();
+
+    await jest.advanceTimersByTimeAsync(HOUR + 60 * 1000);
+
+    expect(queue.get(first.id).status).toBe(APPROVAL_STATUS.EXPIRED);
+    await expect(queue.approve(second.id, approver)).rejects.toMatchObject({ statusCode: 409 });
+    expect(queue.getStatus().counts).toMatchObject({ pending: 0, expired: 2 });
+    expect(actions().filter((action) => action === 'expired')).toHaveLength(2);
+  });
+
+  test('should keep requests across restarts', async () => {
+    createQueue();
+    await queue.start();
+    const request = await submit();
+    await queue.stop();
+
+    const restored = createQueue();
+    await restored.start();
+    restored.registerHandler('strategy_execution', async () => ({ executionId: 'exec-2' }));
+
+    expect(restored.list({ status: APPROVAL_STATUS.PENDING }).map((r) => r.id)).toEqual([request.id]);
+    expect((await restored.approve(request.id, approver)).status).toBe(APPROVAL_STATUS.EXECUTED);
+    expect((await submit()).id).not.toBe(request.id);
+  });
+
+  test('should fail requests whose execution was cut off by a restart', async () => {
+    createQueue();
+    let started;
+    const executing = new Promise((resolve) => { started = resolve; });
+    queue.registerHandler('strategy_execution', () => {
+      started();
+      return new Promise(() => {});
+    });
+    const request = await submit();
+    queue.approve(request.id, approver);
+    await executing;
+    await queue.persisting;
+
+    const restored = createQueue();
+    await restored.start();
+
+    expect(restored.get(request.id)).toMatchObject({ status: APPROVAL_STATUS.FAILED, error: expect.stringContaining('Interrupted by a restart') });
+    expect(actions()).toEqual(['submitted', 'approved', 'failed']);
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Backtest Runner Unit Tests
+ * @description Tests for replaying recorded APY series and computing performance metrics
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { BacktestRunner } from '../../../services/backtestRunner.js';
+
+describe('BacktestRunner', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+  const start = Date.UTC(2025, 0, 1);
+  let runner;
+
+  const series = (values) => values.map((value, i) => ({ timestamp: start + i * DAY, value }));
+
+  const flatDataset = {
+    bnb_price_usd: 300,
+    tvl_usd: { venus: 120000000, pancake: 98000000, beefy: 45000000, aave: 78000000 },
+    protocols: {
+      venus: series([5, 5, 5, 5, 5]),
+      pancake: series([3, 3, 3, 3, 3]),
+      beefy: series([2, 2, 2, 2, 2]),
+      aave: series([4, 4, 4, 4, 4])
+    }
+  };
+
+  beforeEach(() => {
+    runner = new BacktestRunner();
+  });
+
+  describe('run', () => {
+    test('should hold the best strategy and match buy-and-hold on flat data', () => {
+      const result = runner.run(flatDataset, { initialCapital: '10', riskTolerance: 'medium' });
+
+      expect(result.strategy.rebalances).toBe(0);
+      expect(result.baseline.strategy).toBe('venus');
+      expect(result.strategy.finalEquity).toBe(result.baseline.finalEquity);
+      expect(result.strategy.realizedApy).toBeCloseTo(5, 2);
+      expect(result.strategy.maxDrawdown).toBe(0);
+      expect(result.strategy.equityCurve).toHaveLength(5);
+      expect(result.period.steps).toBe(5);
+    });
+
+    test('should rebalance when the leader changes and charge gas', () => {
+      const dataset = {
+        ...flatDataset,
+        protocols: {
+          ...flatDataset.protocols,
+          venus: series([5, 5, 1, 1, 1]),
+          aave: series([4, 4, 9, 9, 9])
+        }
+      };
+
+      const result = runner.run(dataset, { initialCapital: '100', gasPriceGwei: 5 });
+
+      expect(result.strategy.rebalances).toBe(1);
+      expect(result.strategy.trades[0]).toMatchObject({ from: 'venus', to: 'aave' });
+      expect(result.strategy.gasCost).toBeCloseTo(0.00175, 8);
+      expect(result.baseline.strategy).toBe('venus');
+      expect(result.outperformance.totalReturn).toBeGreaterThan(0);
+    });
+
+    test('should report drawdown caused by rebalance gas costs', () => {
+      const dataset = {
+        ...flatDataset,
+        protocols: {
+          ...flatDataset.protocols,
+          venus: series([5, 0, 0, 0, 0]),
+          aave: series([4, 9, 9, 9, 9])
+        }
+      };
+
+      const result = runner.run(dataset, { initialCapital: '0.5', gasPriceGwei: 5 });
+
+      expect(result.strategy.rebalances).toBe(1);
+      expect(result.strategy.maxDrawdown).toBeGreaterThan(0);
+      expect(result.strategy.equityCurve[1].sharePrice).toBeLessThan(result.strategy.equityCurve[0].sharePrice);
+    });
+
+    test('should skip rebalances below the confidence threshold', () => {
+      const dataset = {
+        ...flatDataset,
+        protocols: { ...flatDataset.protocols, aave: series([4, 4, 9, 9, 9]) }
+      };
+
+      const result = runner.run(dataset, { minConfidence: 1 });
+      expect(result.strategy.rebalances).toBe(0);
+    });
+
+    test('should carry the last known value forward for sparse series', () => {
+      const steps = runner.alignSeries({
+        protocols: {
+          venus: series([5, 6]),
+          aave: [{ timestamp: start + DAY / 2, value: 4 }]
+        }
+      });
+
+      expect(steps.map(s => s.apy.venus)).toEqual([5, 5, 6]);
+      expect(steps.map(s => s.apy.aave)).toEqual([null, 4, 4]);
+    });
+
+    test('should omit the equity curve on request', () => {
+      const result = runner.run(flatDataset, { includeEquityCurve: false });
+
+      expect(result.strategy.equityCurve).toBeUndefined();
+      expect(result.baseline.equityCurve).toBeUndefined();
+    });
+
+    test('should reject datasets that cannot be replayed', () => {
+      expect(() => runner.run({})).toThrow('protocols map');
+      expect(() => runner.run({ protocols: { venus: series([5]) } })).toThrow('at least two time steps');
+      expect(() => runner.run({ protocols: { venus: [{ timestamp: 'x', value: 1 }] } })).toThrow('invalid point');
+    });
+  });
+
+  describe('Datasets', () => {
+    let dataDir;
+
+    beforeEach(() => {
+      dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aion-backtest-'));
+      runner = new BacktestRunner({ dataDir });
+    });
+
+    afterEach(() => {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('should save and load recorded datasets', async () => {
+      await runner.saveDataset(flatDataset, 'flat.json');
+
+      expect(await runner.listDatasets()).toEqual(['flat.json']);
+      expect(await runner.loadDataset('flat.json')).toEqual(flatDataset);
+    });
+
+    test('should reject dataset names outside the data directory', async () => {
+      await expect(runner.saveDataset(flatDataset, '../escape.json')).rejects.toThrow('Invalid dataset name');
+      await expect(runner.loadDataset('missing.json')).rejects.toThrow('Backtest dataset not found');
+    });
+
+    test('should record historical series from the oracle', async () => {
+      runner.oracleService = {
+        getHistoricalData: async (protocol) => flatDataset.protocols[protocol],
+        getSnapshot: async () => ({ bnb_price_usd: 310, protocols: { venus: { tvl_usd: 1000 } } })
+      };
+
+      const dataset = await runner.recordDataset('30d');
+
+      expect(dataset.protocols.venus).toEqual(flatDataset.protocols.venus);
+      expect(dataset.bnb_price_usd).toBe(310);
+      expect(dataset.tvl_usd.venus).toBe(1000);
+      expect(dataset.tvl_usd.aave).toBeNull();
+    });
+  });
+});
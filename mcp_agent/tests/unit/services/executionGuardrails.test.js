@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Execution Guardrails Unit Tests
+ * @description Tests for confidence, amount, allocation, cooldown and circuit breaker rules,
+ * reservations and persisted state
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+import { ExecutionGuardrails, GUARDRAIL_REASONS } from '../../../services/executionGuardrails.js';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('ExecutionGuardrails', () => {
+  let clock;
+  let web3Service;
+  let dataDir;
+
+  const createGuardrails = (config = {}) => new ExecutionGuardrails({
+    config,
+    web3Service,
+    dataDir,
+    now: () => clock
+  });
+
+  const codes = (evaluation) => evaluation.reasons.map(reason => reason.code);
+
+  beforeEach(async () => {
+    clock = Date.parse('2025-01-01T00:00:00Z');
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aion-guardrails-'));
+    web3Service = {
+      getVaultStats: async () => ({ totalAssets: ethers.parseEther('100').toString(), paused: false }),
+      getStrategyAssets: async () => '0',
+      getStrategyInfo: async () => ({ paused: false })
+    };
+  });
+
+  afterEach(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('should approve an execution within every limit', async () => {
+    const guardrails = createGuardrails();
+
+    const evaluation = await guardrails.evaluate({ strategyId: 'Venus', amount: 5, confidence: 0.9 });
+
+    expect(evaluation.approved).toBe(true);
+    expect(evaluation.reasons).toEqual([]);
+    expect(evaluation.checks.allocation.value).toBeCloseTo(5 / 100, 5);
+    expect(evaluation.reservationId).toEqual(expect.any(String));
+  });
+
+  test('should reject low or missing confidence', async () => {
+    const guardrails = createGuardrails();
+
+    const low = await guardrails.evaluate({ strategyId: 'venus', amount: 1, confidence: 0.5 });
+    const missing = await guardrails.evaluate({ strategyId: 'venus', amount: 1 });
+
+    expect(low.approved).toBe(false);
+    expect(low.reasons[0]).toMatchObject({ code: GUARDRAIL_REASONS.CONFIDENCE_BELOW_MINIMUM, limit: 0.7, actual: 0.5 });
+    expect(codes(missing)).toEqual([GUARDRAIL_REASONS.CONFIDENCE_UNAVAILABLE]);
+  });
+
+  test('should enforce per-transaction and rolling daily limits', async () => {
+    const guardrails = createGuardrails({ maxAmountPerTransaction: 10, maxAmountPerDay: 15, rebalanceCooldown: 0 });
+
+    expect(codes(await guardrails.evaluate({ strategyId: 'venus', amount: 12, confidence: 0.9 })))
+      .toContain(GUARDRAIL_REASONS.TRANSACTION_LIMIT_EXCEEDED);
+
+    await guardrails.recordExecution({ strategyId: 'venus', amount: 10 });
+    const overDaily = await guardrails.evaluate({ strategyId: 'aave', amount: 6, confidence: 0.9 });
+    expect(overDaily.reasons).toEqual([
+      expect.objectContaining({ code: GUARDRAIL_REASONS.DAILY_LIMIT_EXCEEDED, remaining: 5 })
+    ]);
+
+    clock += 25 * HOUR;
+    expect((await guardrails.evaluate({ strategyId: 'aave', amount: 6, confidence: 0.9 })).approved).toBe(true);
+  });
+
+  test('should reject allocations above the per-protocol cap, using on-chain strategy assets', async () => {
+    web3Service.getStrategyAssets = async (strategy) => ethers.parseEther(strategy === 'beefy' ? '9' : '0').toString();
+    const guardrails = createGuardrails({ maxAllocationPerProtocol: 0.1, rebalanceCooldown: 0 });
+
+    const evaluation = await guardrails.evaluate({ strategyId: 'beefy', amount: 9, confidence: 0.9 });
+
+    expect(evaluation.reasons).toEqual([
+      expect.objectContaining({ code: GUARDRAIL_REASONS.PROTOCOL_ALLOCATION_EXCEEDED, strategyId: 'beefy', limit: 0.1 })
+    ]);
+    expect((await guardrails.evaluate({ strategyId: 'beefy', action: 'withdraw', amount: 9, confidence: 0.9 })).approved).toBe(true);
+  });
+
+  test('should reject deposits when vault or strategy assets are unavailable', async () => {
+    web3Service.getVaultStats = async () => { throw new Error('RPC down'); };
+    const guardrails = createGuardrails();
+
+    const evaluation = await guardrails.evaluate({ strategyId: 'venus', action: 'deposit', amount: 5, confidence: 0.9 });
+
+    expect(evaluation.approved).toBe(false);
+    expect(evaluation.reasons).toEqual([
+      expect.objectContaining({ code: GUARDRAIL_REASONS.ALLOCATION_UNAVAILABLE, strategyId: 'venus' })
+    ]);
+    expect(evaluation.checks.allocation).toEqual({ unavailable: true, reason: 'Vault assets unavailable' });
+
+    web3Service.getVaultStats = async () => ({ totalAssets: ethers.parseEther('100').toString() });
+    web3Service.getStrategyAssets = async () => { throw new Error('RPC down'); };
+    const strategyDown = await guardrails.evaluate({ strategyId: 'venus', action: 'deposit', amount: 5, confidence: 0.9 });
+    expect(codes(strategyDown)).toEqual([GUARDRAIL_REASONS.ALLOCATION_UNAVAILABLE]);
+    expect(strategyDown.checks.allocation).toEqual({ unavailable: true, reason: 'Strategy assets unavailable' });
+
+    expect((await guardrails.evaluate({ strategyId: 'venus', action: 'withdraw', amount: 5, confidence: 0.9 })).approved).toBe(true);
+  });
+
+  test('should skip the allocation check when no on-chain reader is configured', async () => {
+    web3Service = null;
+    const evaluation = await createGuardrails().evaluate({ strategyId: 'venus', amount: 5, confidence: 0.9 });
+
+    expect(evaluation.approved).toBe(true);
+    expect(evaluation.checks.allocation).toEqual({ skipped: true, reason: 'No on-chain reader configured' });
+  });
+
+  test('should enforce the rebalance cooldown', async () => {
+    const guardrails = createGuardrails({ rebalanceCooldown: HOUR });
+    await guardrails.recordExecution({ strategyId: 'venus', amount: 1 });
+
+    clock += HOUR / 2;
+    const early = await guardrails.evaluate({ strategyId: 'aave', amount: 1, confidence: 0.9 });
+    expect(early.reasons).toEqual([
+      expect.objectContaining({ code: GUARDRAIL_REASONS.REBALANCE_COOLDOWN, retryAfter: HOUR / 2 })
+    ]);
+    expect((await guardrails.evaluate({ strategyId: 'aave', action: 'deposit', amount: 1, confidence: 0.9 })).approved).toBe(true);
+
+    clock += HOUR / 2;
+    expect((await guardrails.evaluate({ strategyId: 'aave', amount: 1, confidence: 0.9 })).approved).toBe(true);
+  });
+
+  test('should open the circuit breaker after repeated failures and recover', async () => {
+    const guardrails = createGuardrails({ rebalanceCooldown: 0, circuitBreaker: { failureThreshold: 2, recoveryTimeout: HOUR } });
+
+    await guardrails.recordFailure('venus', 'revert');
+    expect((await guardrails.evaluate({ strategyId: 'venus', amount: 1, confidence: 0.9 })).approved).toBe(true);
+
+    await guardrails.recordFailure('venus', 'revert');
+    const blocked = await guardrails.evaluate({ strategyId: 'venus', amount: 1, confidence: 0.9 });
+    expect(codes(blocked)).toEqual([GUARDRAIL_REASONS.CIRCUIT_BREAKER_OPEN]);
+
+    clock += HOUR;
+    const probe = await guardrails.evaluate({ strategyId: 'venus', amount: 1, confidence: 0.9 });
+    expect(probe.approved).toBe(true);
+    expect(probe.checks.circuitBreaker.state).toBe('HALF_OPEN');
+
+    await guardrails.recordExecution({ reservationId: probe.reservationId, strategyId: 'venus', amount: 1 });
+    expect(guardrails.getStatus().circuitBreakers).toEqual({});
+  });
+
+  test('should block adapters that are paused on-chain', async () => {
+    web3Service.getStrategyInfo = async (strategy) => ({ paused: strategy === 'aave' });
+    const guardrails = createGuardrails();
+
+    const evaluation = await guardrails.evaluate({ strategyId: 'aave', amount: 1, confidence: 0.9 });
+
+    expect(evaluation.reasons).toEqual([
+      expect.objectContaining({ code: GUARDRAIL_REASONS.CIRCUIT_BREAKER_OPEN, strategyId: 'aave' })
+    ]);
+  });
+
+  test('should report every failing rule at once', async () => {
+    const guardrails = createGuardrails();
+    await guardrails.tripCircuitBreaker('venus', 'Oracle mismatch');
+
+    const evaluation = await guardrails.evaluate({ strategyId: 'venus', amount: 200, confidence: 0.1 });
+
+    expect(codes(evaluation)).toEqual([
+      GUARDRAIL_REASONS.CONFIDENCE_BELOW_MINIMUM,
+      GUARDRAIL_REASONS.CIRCUIT_BREAKER_OPEN,
+      GUARDRAIL_REASONS.TRANSACTION_LIMIT_EXCEEDED,
+      GUARDRAIL_REASONS.DAILY_LIMIT_EXCEEDED,
+      GUARDRAIL_REASONS.PROTOCOL_ALLOCATION_EXCEEDED
+    ]);
+  });
+
+  test('should reserve approved amounts so concurrent executions cannot both pass a limit', async () => {
+    const guardrails = createGuardrails({ maxAmountPerDay: 15, rebalanceCooldown: 0 });
+
+    const [first, second] = await Promise.all([
+      guardrails.evaluate({ strategyId: 'venus', amount: 10, confidence: 0.9 }),
+      guardrails.evaluate({ strategyId: 'aave', amount: 10, confidence: 0.9 })
+    ]);
+
+    expect(first.approved).toBe(true);
+    expect(codes(second)).toEqual([GUARDRAIL_REASONS.DAILY_LIMIT_EXCEEDED]);
+
+    expect(await guardrails.release(first.reservationId)).toBe(true);
+    const retried = await guardrails.evaluate({ strategyId: 'aave', amount: 10, confidence: 0.9 });
+    expect(retried.approved).toBe(true);
+    await guardrails.recordExecution({ reservationId: retried.reservationId, strategyId: 'aave', amount: 10 });
+    expect(await guardrails.release(retried.reservationId)).toBe(false);
+    expect(guardrails.getStatus()).toMatchObject({ dailyVolume: 10, reserved: 0 });
+  });
+
+  test('should keep volumes, cooldown and breakers across restarts', async () => {
+    const guardrails = createGuardrails();
+    await guardrails.recordExecution({ strategyId: 'venus', amount: 4 });
+    await guardrails.tripCircuitBreaker('aave', 'Oracle mismatch');
+    await guardrails.persisting;
+
+    const restarted = createGuardrails();
+    const evaluation = await restarted.evaluate({ strategyId: 'aave', amount: 1, confidence: 0.9 });
+
+    expect(codes(evaluation)).toEqual([GUARDRAIL_REASONS.CIRCUIT_BREAKER_OPEN, GUARDRAIL_REASONS.REBALANCE_COOLDOWN]);
+    expect(restarted.getStatus()).toMatchObject({
+      dailyVolume: 4,
+      lastRebalanceAt: new Date(clock).toISOString(),
+      circuitBreakers: { aave: { state: 'OPEN', reason: 'Oracle mismatch' } }
+    });
+  });
+});
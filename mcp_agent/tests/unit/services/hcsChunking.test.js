@@ -0,0 +1,94 @@
+/**
+ * @fileoverview HCS Chunking Unit Tests
+ * @description Tests for splitting large HCS messages and reassembling them from mirror node records
+ */
+
+import { jest } from '@jest/globals';
+import HederaService from '../../../services/hederaService.js';
+import {
+  splitMessage,
+  parseChunk,
+  reassembleMessages,
+  hashContent,
+  HCS_MAX_MESSAGE_BYTES
+} from '../../../services/hcsChunking.js';
+
+const largeDecision = {
+  type: 'AI_DECISION',
+  id: 'd-large',
+  reasoning: 'Rebalance towards the higher-yield strategy — ünïcödé included. '.repeat(60),
+  explanation: { alternatives: Array.from({ length: 20 }, (_, i) => ({ strategy: `s-${i}`, scoreGap: i / 10 })) }
+};
+const largeMessage = JSON.stringify(largeDecision);
+
+// Mirror node records for a list of submitted messages, starting at a sequence number
+const toRecords = (messages, first = 1) => messages.map((message, i) => ({
+  sequenceNumber: first + i,
+  consensusTimestamp: `${1700000000 + first + i}.000000000`,
+  message
+}));
+
+describe('HCS chunking', () => {
+  test('should leave messages within the limit untouched', () => {
+    expect(splitMessage('{"type":"PING"}')).toEqual(['{"type":"PING"}']);
+    expect(parseChunk('{"type":"PING"}')).toBeNull();
+  });
+
+  test('should split large messages into chunks that fit the HCS limit', () => {
+    const chunks = splitMessage(largeMessage);
+    const headers = chunks.map(parseChunk);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach((chunk) => expect(Buffer.byteLength(chunk, 'utf8')).toBeLessThanOrEqual(HCS_MAX_MESSAGE_BYTES));
+    expect(headers.map((h) => h.index)).toEqual(chunks.map((_, i) => i));
+    expect(new Set(headers.map((h) => h.groupId)).size).toBe(1);
+    expect(headers[0]).toMatchObject({ v: 1, total: chunks.length, hash: hashContent(Buffer.from(largeMessage)) });
+    expect(() => splitMessage(largeMessage, { maxChunks: 2 })).toThrow('limit 2');
+  });
+
+  test('should reassemble chunks in either order around ordinary messages', () => {
+    const chunks = splitMessage(largeMessage);
+    const records = toRecords(['before', ...chunks, 'after']);
+
+    const ascending = reassembleMessages(records);
+    const descending = reassembleMessages([...records].reverse());
+
+    expect(ascending.messages.map((m) => m.message)).toEqual(['before', largeMessage, 'after']);
+    expect(ascending.messages[1]).toMatchObject({
+      sequenceNumber: 2,
+      chunks: { total: chunks.length, sequenceNumbers: chunks.map((_, i) => i + 2) }
+    });
+    expect(descending.messages.map((m) => m.message)).toEqual(['after', largeMessage, 'before']);
+    expect(JSON.parse(descending.messages[1].message)).toEqual(largeDecision);
+  });
+
+  test('should hold back incomplete groups and drop corrupted ones', () => {
+    const [first, ...rest] = splitMessage(largeMessage);
+    const tampered = JSON.parse(rest[0]);
+    tampered.data = Buffer.from('x'.repeat(30)).toString('base64');
+
+    const incomplete = reassembleMessages(toRecords([first, ...rest.slice(1)]));
+    const corrupted = reassembleMessages(toRecords([first, JSON.stringify(tampered), ...rest.slice(1)]));
+
+    expect(incomplete.messages).toEqual([]);
+    expect(incomplete.incomplete).toEqual([expect.objectContaining({ missing: [1] })]);
+    expect(corrupted.messages).toEqual([]);
+    expect(corrupted.corrupted).toHaveLength(1);
+  });
+
+  test('should submit large messages as consecutive chunks through HederaService', async () => {
+    const submitted = [];
+    const hederaService = new HederaService({ hcsTopicId: '0.0.5005', chain: { enabled: false } });
+    hederaService.sendMessageToHCS = jest.fn(async (topicId, message) => {
+      submitted.push(message);
+      return { success: true, sequenceNumber: String(submitted.length), transactionId: `tx-${submitted.length}` };
+    });
+
+    const result = await hederaService.submitToHCS('0.0.5005', largeDecision, { includeRecord: true });
+
+    expect(hederaService.sendMessageToHCS.mock.calls[0][2]).toEqual({ includeRecord: true });
+    expect(hederaService.sendMessageToHCS.mock.calls[1][2]).toEqual({});
+    expect(result).toMatchObject({ sequenceNumber: '1', transactionId: 'tx-1', chunks: { total: submitted.length } });
+    expect(reassembleMessages(toRecords(submitted)).messages[0].message).toBe(largeMessage);
+  });
+});
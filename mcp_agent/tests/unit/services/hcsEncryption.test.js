@@ -0,0 +1,138 @@
+/**
+ * @fileoverview HCS Field Encryption Unit Tests
+ * @description Tests for encrypting confidential decision fields for reader keys and reading them back
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import HederaService from '../../../services/hederaService.js';
+import KeyManager from '../../../services/keyManager.js';
+import { decryptMessages, encryptFields, openMessage } from '../../../services/hcsEncryption.js';
+import { verifyChain } from '../../../services/hcsMessageChain.js';
+import { verifySignatures } from '../../../services/hcsSignatures.js';
+import { reassembleMessages } from '../../../services/hcsChunking.js';
+
+const USER = '0x4625bB7f14D4e34F9D11a5Df7566cd7Ec1994849';
+
+describe('HCS field encryption', () => {
+  let dataDir;
+  let keyManager;
+  let auditor;
+  let hederaService;
+  let topicId;
+
+  const createKeyManager = async (name) => {
+    const manager = new KeyManager({ keyDir: path.join(dataDir, name) });
+    await manager.initialize();
+    return manager;
+  };
+  const createService = async (fieldEncryption) => {
+    const service = new HederaService({
+      simulate: true,
+      signer: keyManager,
+      keyring: keyManager,
+      fieldEncryption,
+      chain: { dataDir: path.join(dataDir, 'chain') }
+    });
+    await service.initialize();
+    return service;
+  };
+  // Reads the simulator's topic back the way HederaRealDataMonitor.getAllHCSMessages does
+  const readTopic = () => reassembleMessages(hederaService.simulator.topic(topicId).messages.map((m) => ({
+    sequenceNumber: m.sequenceNumber,
+    consensusTimestamp: m.consensusTimestamp,
+    message: m.contents.toString('utf8')
+  }))).messages;
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aion-encryption-'));
+    keyManager = await createKeyManager('agent');
+    auditor = await createKeyManager('auditor');
+    const { publicKey } = await auditor.createReaderKey('auditor');
+    await keyManager.syncReaderKeys([{ readerId: 'auditor', publicKey }]);
+
+    hederaService = await createService({ enabled: true, fields: ['amount', 'userAddress', 'params.slippage'] });
+    ({ topicId } = await hederaService.createHCSTopic());
+  });
+
+  afterEach(async () => {
+    await hederaService.shutdown();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('should hide confidential fields on the topic while the chain and signatures still verify', async () => {
+    const result = await hederaService.submitDecisionToHCS({
+      type: 'ai_decision',
+      decisionId: 'd-1',
+      strategy: 'venus',
+      amount: 10n ** 18n,
+      userAddress: USER,
+      params: { slippage: 0.005, deadline: 600 }
+    }, topicId);
+    await hederaService.submitToHCS(topicId, { type: 'AI_DECISION_OUTCOME', data: { decisionId: 'd-1' } });
+
+    const messages = readTopic();
+    const envelope = JSON.parse(messages[0].message);
+
+    expect(result.encryptedFields).toEqual(['amount', 'userAddress', 'params.slippage']);
+    expect(messages[0].message).not.toContain(USER);
+    expect(envelope.payload).toEqual({ type: 'ai_decision', decisionId: 'd-1', strategy: 'venus', params: { deadline: 600 } });
+    expect(envelope.encrypted.recipients.map((r) => r.keyId).sort())
+      .toEqual(keyManager.getReaderKeys().map((key) => key.keyId).sort());
+    expect(verifyChain(messages).valid).toBe(true);
+    expect(verifySignatures(messages, keyManager.getSigningPublicKeys()).valid).toBe(true);
+  });
+
+  test('should restore the fields for any authorized reader and flag the rest', async () => {
+    await hederaService.submitDecisionToHCS({ type: 'ai_decision', decisionId: 'd-1', amount: '250', userAddress: USER }, topicId);
+    await hederaService.submitToHCS(topicId, 'plain text');
+    const messages = readTopic();
+
+    const [own, plain] = await decryptMessages(messages, keyManager);
+    const [audited] = await decryptMessages(messages, auditor);
+    const [unreadable] = await decryptMessages(messages, await createKeyManager('stranger'));
+
+    expect(own.decrypted.payload).toMatchObject({ decisionId: 'd-1', amount: '250', userAddress: USER });
+    expect(own.decrypted.encrypted).toBeUndefined();
+    expect(own.message).toBe(messages[0].message);
+    expect(audited.decrypted.payload.amount).toBe('250');
+    expect(plain).toBe(messages[1]);
+    expect(unreadable).toMatchObject({ decryptionError: 'No reader key for this message' });
+    expect(unreadable.decrypted).toBeUndefined();
+  });
+
+  test('should reject ciphertext moved to another decision', async () => {
+    const recipients = keyManager.getReaderKeys();
+    const first = encryptFields({ decisionId: 'd-1', payload: { amount: '1' } }, ['amount'], recipients);
+    const second = encryptFields({ decisionId: 'd-2', payload: { amount: '2' } }, ['amount'], recipients);
+
+    const swapped = await openMessage(JSON.stringify({ ...second, encrypted: first.encrypted }), keyManager);
+
+    expect(swapped.status).toBe('failed');
+    expect((await openMessage(JSON.stringify(first), keyManager)).envelope.payload).toEqual({ amount: '1' });
+    expect(encryptFields({ decisionId: 'd-3', payload: { strategy: 'venus' } }, ['amount'], recipients).encrypted).toBeUndefined();
+  });
+
+  test('should stop encrypting for readers removed from the config', async () => {
+    await keyManager.syncReaderKeys([]);
+
+    expect(keyManager.getReaderKeys().map((reader) => reader.readerId)).toEqual(['agent']);
+
+    await hederaService.submitDecisionToHCS({ type: 'ai_decision', decisionId: 'd-1', amount: '250' }, topicId);
+    const messages = readTopic();
+
+    expect(JSON.parse(messages[0].message).encrypted.recipients.map((r) => r.keyId))
+      .toEqual(keyManager.getReaderKeys().map((key) => key.keyId));
+    expect((await decryptMessages(messages, auditor))[0]).toMatchObject({ decryptionError: 'No reader key for this message' });
+  });
+
+  test('should refuse to submit when encryption is on but no reader keys exist', async () => {
+    keyManager = await createKeyManager('empty');
+    const service = await createService({ enabled: true });
+
+    await expect(service.submitDecisionToHCS({ type: 'ai_decision', amount: '1' }, topicId))
+      .rejects.toThrow('no reader keys are configured');
+    await service.shutdown();
+  });
+});
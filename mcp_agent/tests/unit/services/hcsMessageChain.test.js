@@ -0,0 +1,179 @@
+/**
+ * @fileoverview HCS Message Chain Unit Tests
+ * @description Tests for chained submissions and the topic history verifier
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import HederaService from '../../../services/hederaService.js';
+import {
+  HcsMessageChain,
+  GENESIS_HASH,
+  hashMessage,
+  verifyChain,
+  verifyTopic
+} from '../../../services/hcsMessageChain.js';
+
+describe('HcsMessageChain', () => {
+  let dataDir;
+  let chain;
+  let topic;
+
+  // Stands in for the topic: records what was submitted in consensus order
+  const submit = async (messageString) => {
+    topic.push(messageString);
+    return { sequenceNumber: String(topic.length) };
+  };
+  const history = () => topic.map((message, i) => ({ sequenceNumber: i + 1, consensusTimestamp: `${1700000000 + i}.0`, message }));
+  const chainOf = (message) => JSON.parse(message).chain;
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aion-hcs-chain-'));
+    chain = new HcsMessageChain({ dataDir });
+    topic = [];
+  });
+
+  afterEach(async () => {
+    await chain.persisting;
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('should link each message to the hash of the previous one', async () => {
+    const first = await chain.append('0.0.5005', { type: 'AI_DECISION', id: 'd-1' }, submit);
+    const second = await chain.append('0.0.5005', { type: 'AI_DECISION', id: 'd-2' }, submit);
+
+    expect(chainOf(topic[0])).toEqual({ version: 1, counter: 1, prevHash: GENESIS_HASH });
+    expect(chainOf(topic[1])).toEqual({ version: 1, counter: 2, prevHash: hashMessage(topic[0]) });
+    expect(first.chain.hash).toBe(hashMessage(topic[0]));
+    expect(second.result).toEqual({ sequenceNumber: '2' });
+    expect(chain.getHead('0.0.5005')).toMatchObject({ counter: 2, hash: hashMessage(topic[1]) });
+    expect(chain.getHead('0.0.6006')).toBeNull();
+  });
+
+  test('should serialize concurrent submissions and only advance on success', async () => {
+    const failing = jest.fn(async () => { throw new Error('BUSY'); });
+
+    const results = await Promise.allSettled([
+      chain.append('0.0.5005', { id: 1 }, submit),
+      chain.append('0.0.5005', { id: 2 }, failing),
+      chain.append('0.0.5005', { id: 3 }, submit)
+    ]);
+
+    expect(results.map((r) => r.status)).toEqual(['fulfilled', 'rejected', 'fulfilled']);
+    expect(topic.map((m) => chainOf(m).counter)).toEqual([1, 2]);
+    expect(verifyChain(history()).valid).toBe(true);
+  });
+
+  test('should link to a message whose submit failed after its transaction was sent', async () => {
+    const sentThenFailed = async (messageString) => {
+      topic.push(messageString);
+      throw Object.assign(new Error('receipt timeout'), { submittedTransactionId: '0.0.2@1700000000.000000001' });
+    };
+
+    await chain.append('0.0.5005', { id: 1 }, submit);
+    const failed = await chain.append('0.0.5005', { id: 2 }, sentThenFailed).catch((error) => error);
+    expect(failed.chain).toEqual({ counter: 2, prevHash: hashMessage(topic[0]), hash: hashMessage(topic[1]) });
+    expect(chain.getHead('0.0.5005')).toMatchObject({ counter: 2, pending: '0.0.2@1700000000.000000001' });
+
+    await chain.append('0.0.5005', { id: 3 }, submit);
+
+    expect(chain.getHead('0.0.5005').pending).toBeUndefined();
+    expect(verifyChain(history())).toMatchObject({ valid: true, chained: 3 });
+  });
+
+  test('should continue the chain after a restart', async () => {
+    await chain.append('0.0.5005', { id: 1 }, submit);
+    await chain.persisting;
+
+    const restored = new HcsMessageChain({ dataDir });
+    await restored.append('0.0.5005', { id: 2 }, submit);
+
+    expect(chainOf(topic[1]).counter).toBe(2);
+    expect(verifyChain(history())).toMatchObject({ valid: true, chained: 2, head: { counter: 2 } });
+  });
+
+  test('should chain JSON messages submitted through HederaService', async () => {
+    const hederaService = new HederaService({ hcsTopicId: '0.0.5005', messageChain: chain });
+    hederaService.sendToHCS = jest.fn(async (topicId, message) => submit(message));
+
+    const result = await hederaService.submitToHCS('0.0.5005', { type: 'AI_DECISION', amount: 10n });
+    await hederaService.submitToHCS('0.0.5005', JSON.stringify({ type: 'AI_DECISION_OUTCOME' }));
+    await hederaService.submitToHCS('0.0.5005', 'plain text');
+    await hederaService.submitToHCS('0.0.5005', { type: 'PING' }, { chain: false });
+
+    expect(result).toMatchObject({ sequenceNumber: '1', chain: { counter: 1, prevHash: GENESIS_HASH } });
+    expect(JSON.parse(topic[0]).amount).toBe('10');
+    expect(topic.slice(0, 2).map((m) => chainOf(m).counter)).toEqual([1, 2]);
+    expect(topic.slice(2)).toEqual(['plain text', { type: 'PING' }]);
+  });
+
+  describe('verifyChain', () => {
+    const build = async (count) => {
+      for (let i = 1; i <= count; i++) {
+        await chain.append('0.0.5005', { type: 'AI_DECISION', id: `d-${i}` }, submit);
+      }
+      return history();
+    };
+
+    test('should accept an intact history and skip unchained messages', async () => {
+      const messages = await build(4);
+      messages.unshift({ sequenceNumber: 0, message: 'legacy message' });
+
+      expect(verifyChain(messages)).toEqual({
+        valid: true,
+        messages: 5,
+        chained: 4,
+        unchained: 1,
+        head: { counter: 4, hash: hashMessage(topic[3]), sequenceNumber: 4 },
+        issues: { brokenLinks: [], gaps: [], duplicates: [], reordered: [] }
+      });
+    });
+
+    test('should report altered messages as broken links', async () => {
+      const messages = await build(3);
+      messages[1].message = messages[1].message.replace('d-2', 'd-X');
+
+      const report = verifyChain(messages);
+
+      expect(report.valid).toBe(false);
+      expect(report.issues.brokenLinks).toEqual([
+        expect.objectContaining({ counter: 3, sequenceNumber: 3, prevHash: hashMessage(topic[1]) })
+      ]);
+    });
+
+    test('should report gaps and duplicates', async () => {
+      const messages = await build(5);
+      const tampered = [messages[0], messages[1], messages[1], messages[4]]
+        .map((m, i) => ({ ...m, sequenceNumber: i + 1 }));
+
+      const { issues } = verifyChain(tampered);
+
+      expect(issues.gaps).toEqual([{ from: 3, to: 4, missing: 2 }]);
+      expect(issues.duplicates).toEqual([{ counter: 2, sequenceNumber: 3, firstSequenceNumber: 2, identical: true }]);
+      expect(issues.brokenLinks).toEqual([]);
+    });
+
+    test('should report entries that arrive out of order', async () => {
+      const messages = await build(3);
+      const swapped = [messages[0], messages[2], messages[1]].map((m, i) => ({ ...m, sequenceNumber: i + 1 }));
+
+      const report = verifyChain(swapped);
+
+      expect(report.issues.reordered).toEqual([{ counter: 2, sequenceNumber: 3, after: 3 }]);
+      expect(report.issues.gaps).toEqual([]);
+      expect(report.valid).toBe(false);
+    });
+
+    test('should verify a topic through a mirror reader', async () => {
+      await build(2);
+      const mirror = { getAllHCSMessages: jest.fn(async () => history()) };
+
+      const report = await verifyTopic(mirror, '0.0.5005', { maxMessages: 50 });
+
+      expect(mirror.getAllHCSMessages).toHaveBeenCalledWith('0.0.5005', { maxMessages: 50 });
+      expect(report).toMatchObject({ topicId: '0.0.5005', valid: true, chained: 2 });
+    });
+  });
+});
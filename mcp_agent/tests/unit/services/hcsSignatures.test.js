@@ -0,0 +1,95 @@
+/**
+ * @fileoverview HCS Message Signature Unit Tests
+ * @description Tests for signing HCS envelopes with the agent key and verifying them from the mirror node
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import HederaService from '../../../services/hederaService.js';
+import KeyManager from '../../../services/keyManager.js';
+import { signEnvelope, verifyEnvelope, verifyTopicSignatures } from '../../../services/hcsSignatures.js';
+import { verifyChain } from '../../../services/hcsMessageChain.js';
+import { reassembleMessages } from '../../../services/hcsChunking.js';
+
+describe('HCS message signatures', () => {
+  let dataDir;
+  let keyManager;
+  let hederaService;
+  let topicId;
+
+  // Reads the simulator's topic back the way HederaRealDataMonitor.getAllHCSMessages does
+  const mirror = {
+    getAllHCSMessages: async (id) => reassembleMessages(hederaService.simulator.topic(id).messages.map((m) => ({
+      sequenceNumber: m.sequenceNumber,
+      consensusTimestamp: m.consensusTimestamp,
+      message: m.contents.toString('utf8')
+    }))).messages
+  };
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aion-signatures-'));
+    keyManager = new KeyManager({ keyDir: path.join(dataDir, 'keys') });
+    await keyManager.initialize();
+    hederaService = new HederaService({ simulate: true, signer: keyManager, chain: { dataDir } });
+    await hederaService.initialize();
+    ({ topicId } = await hederaService.createHCSTopic());
+  });
+
+  afterEach(async () => {
+    await hederaService.shutdown();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('should sign decision, outcome and bridge envelopes so they verify from the mirror node', async () => {
+    await hederaService.submitDecisionToHCS({ type: 'ai_decision', decisionId: 'd-1', reasoning: 'z'.repeat(3000), amount: 10n ** 18n }, topicId);
+    await hederaService.submitToHCS(topicId, { type: 'AI_DECISION_OUTCOME', data: { decisionId: 'd-1', horizon: '24h' } });
+    await hederaService.submitToHCS(topicId, JSON.stringify({ type: 'BRIDGE_COMPLETED', operationId: 'op-1' }));
+
+    const report = await verifyTopicSignatures(mirror, topicId, keyManager.getSigningPublicKeys());
+    const messages = await mirror.getAllHCSMessages(topicId);
+
+    expect(report).toMatchObject({ valid: true, messages: 3, signed: 3, verified: 3 });
+    expect(JSON.parse(messages[0].message).signature).toMatchObject({ alg: 'ed25519', keyId: report.trustedKeys[0] });
+    expect(verifyChain(messages).valid).toBe(true);
+  });
+
+  test('should flag unsigned, mis-signed and unknown-key messages', async () => {
+    await hederaService.submitToHCS(topicId, { type: 'AI_DECISION', id: 'd-1' });
+    const [original] = await mirror.getAllHCSMessages(topicId);
+    const tampered = original.message.replace('"d-1"', '"d-2"');
+
+    const stranger = new KeyManager({ keyDir: path.join(dataDir, 'other-keys') });
+    await stranger.initialize();
+    const foreign = await signEnvelope({ type: 'AI_DECISION', id: 'd-3' }, stranger);
+
+    hederaService.simulator.submitMessage(topicId, tampered);
+    hederaService.simulator.submitMessage(topicId, JSON.stringify({ type: 'AI_DECISION', id: 'd-4' }));
+    hederaService.simulator.submitMessage(topicId, 'plain text');
+    hederaService.simulator.submitMessage(topicId, JSON.stringify(foreign));
+
+    const report = await verifyTopicSignatures(mirror, topicId, keyManager.getSigningPublicKeys());
+
+    expect(report).toMatchObject({ valid: false, messages: 5, signed: 3, verified: 1 });
+    expect(report.issues.invalid).toEqual([expect.objectContaining({ sequenceNumber: 2, reason: 'Signature does not match message' })]);
+    expect(report.issues.unsigned.map((i) => i.sequenceNumber)).toEqual([3, 4]);
+    expect(report.issues.unknownKeys).toEqual([expect.objectContaining({ sequenceNumber: 5, keyId: foreign.signature.keyId })]);
+  });
+
+  test('should keep the signing key across restarts and still verify retired keys after rotation', async () => {
+    const before = await signEnvelope({ type: 'AI_DECISION', id: 'd-1' }, keyManager);
+
+    const restarted = new KeyManager({ keyDir: path.join(dataDir, 'keys') });
+    await restarted.initialize();
+    expect((await restarted.getSigningKey()).keyId).toBe(before.signature.keyId);
+
+    const { keyId } = await restarted.rotateSigningKey();
+    const after = await signEnvelope({ type: 'AI_DECISION', id: 'd-2' }, restarted);
+    const trustedKeys = restarted.getSigningPublicKeys();
+
+    expect(keyId).not.toBe(before.signature.keyId);
+    expect(trustedKeys.map((key) => [key.keyId, key.current])).toEqual([[keyId, true], [before.signature.keyId, false]]);
+    expect(verifyEnvelope(before, trustedKeys).status).toBe('valid');
+    expect(verifyEnvelope(JSON.stringify(after), trustedKeys)).toEqual({ status: 'valid', keyId });
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * @fileoverview HCS Topic Indexer Unit Tests
+ * @description Tests for cursor-based mirror polling, envelope parsing and index queries
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import axios from 'axios';
+import HederaService from '../../../services/hederaService.js';
+import { HcsTopicIndexer, parseMessage } from '../../../services/hcsTopicIndexer.js';
+import { splitMessage } from '../../../services/hcsChunking.js';
+
+const TOPIC = '0.0.5005';
+const hederaService = new HederaService({ hcsTopicId: TOPIC, chain: { enabled: false } });
+
+const decision = (decisionId, strategy, modelVersion) => JSON.stringify(hederaService.createDecisionEnvelope({
+  type: 'ai_decision',
+  decisionId,
+  strategy,
+  confidence: 0.8,
+  metadata: { modelVersion }
+}));
+
+describe('HcsTopicIndexer', () => {
+  let dataDir;
+  let topic;
+
+  // Stands in for the mirror node REST API: ascending pages after a sequence number, with next links
+  const mirror = async (url, { params }) => {
+    const query = params || Object.fromEntries(new URL(url).searchParams);
+    const after = query.sequencenumber ? Number(query.sequencenumber.slice(3)) : 0;
+    const page = topic.filter((m) => m.sequence_number > after).slice(0, Number(query.limit));
+    const last = page[page.length - 1]?.sequence_number;
+    const next = last && last < topic.length
+      ? `/api/v1/topics/${TOPIC}/messages?limit=${query.limit}&order=asc&sequencenumber=gt:${last}`
+      : null;
+    return { data: { messages: page, links: { next } } };
+  };
+  const publish = (...messages) => {
+    for (const message of messages) {
+      const sequence = topic.length + 1;
+      topic.push({
+        sequence_number: sequence,
+        consensus_timestamp: `${1700000000 + sequence * 60}.000000000`,
+        message: Buffer.from(message).toString('base64'),
+        topic_id: TOPIC
+      });
+    }
+  };
+  const createIndexer = () => new HcsTopicIndexer({
+    dataDir,
+    config: { topics: [{ topicId: TOPIC, name: 'decisions' }], pageSize: 2, chunkTimeout: Infinity }
+  });
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aion-hcs-index-'));
+    topic = [];
+    jest.spyOn(axios, 'get').mockImplementation(mirror);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('should index new messages and resume from the stored cursor after a restart', async () => {
+    publish(decision('d-1', 'venus', 'v1'), decision('d-2', 'pancake', 'v2'), 'plain text');
+    const indexer = createIndexer();
+
+    expect(await indexer.poll()).toEqual({ [TOPIC]: 3 });
+    await indexer.persisting;
+
+    publish(decision('d-3', 'venus', 'v2'));
+    const restored = createIndexer();
+    expect(await restored.poll()).toEqual({ [TOPIC]: 1 });
+
+    expect(axios.get).toHaveBeenLastCalledWith(expect.any(String), expect.objectContaining({
+      params: expect.objectContaining({ sequencenumber: 'gt:3' })
+    }));
+    const { total, records } = await restored.query({ order: 'asc' });
+    expect(total).toBe(4);
+    expect(records.map((r) => r.sequenceNumber)).toEqual([1, 2, 3, 4]);
+    expect(restored.getStatus().topics[0]).toMatchObject({ indexed: 4, cursor: { sequenceNumber: 4 } });
+  });
+
+  test('should skip a torn record left by a crash', async () => {
+    publish(decision('d-1', 'venus', 'v1'), decision('d-2', 'pancake', 'v2'));
+    const indexer = createIndexer();
+    await indexer.poll();
+    await indexer.persisting;
+    await fs.appendFile(indexer.topicFile(TOPIC), '{"sequenceNumber":3,"top');
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    publish(decision('d-3', 'venus', 'v2'));
+    const restored = createIndexer();
+    await restored.poll();
+    const again = createIndexer();
+
+    expect((await again.query({ order: 'asc' })).records.map((r) => r.sequenceNumber)).toEqual([1, 2, 3]);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Skipped 1 unreadable record(s)'));
+  });
+
+  test('should filter by type, strategy, model version and time range', async () => {
+    publish(decision('d-1', 'venus', 'v1'), decision('d-2', 'pancake', 'v2'), decision('d-3', 'venus', 'v2'));
+    publish(JSON.stringify({ type: 'AI_DECISION_OUTCOME', data: { decisionId: 'd-1', horizon: '24h' } }));
+    const indexer = createIndexer();
+    await indexer.poll();
+
+    const byStrategy = await indexer.query({ kind: 'decision', strategy: 'venus' });
+    const byModel = await indexer.query({ modelVersion: 'v2', order: 'asc' });
+    const byTime = await indexer.query({ from: '1700000120.000000000', to: new Date(1700000180 * 1000).toISOString() });
+    const outcomes = await indexer.query({ type: 'AI_DECISION_OUTCOME' });
+
+    expect(byStrategy.records.map((r) => r.decisionId)).toEqual(['d-3', 'd-1']);
+    expect(byModel.records.map((r) => r.decisionId)).toEqual(['d-2', 'd-3']);
+    expect(byTime.records.map((r) => r.sequenceNumber)).toEqual([3, 2]);
+    expect(outcomes.records[0]).toMatchObject({ kind: 'outcome', decisionId: 'd-1' });
+    await expect(indexer.query({ from: 'yesterday' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('should wait for every chunk of a large message before moving past it', async () => {
+    const large = decision('d-large', 'venus', 'v1').replace('"confidence"', `"reasoning":"${'x'.repeat(2500)}","confidence"`);
+    const chunks = splitMessage(large);
+    publish(decision('d-1', 'venus', 'v1'), ...chunks.slice(0, -1));
+    const indexer = createIndexer();
+
+    await indexer.poll();
+    expect(indexer.getStatus().topics[0]).toMatchObject({ indexed: 1, cursor: { sequenceNumber: 1 } });
+
+    publish(chunks[chunks.length - 1]);
+    await indexer.poll();
+
+    const { records } = await indexer.query({ decisionId: 'd-large' });
+    expect(records[0]).toMatchObject({ sequenceNumber: 2, chunks: chunks.length, strategy: 'venus' });
+    expect(records[0].payload.reasoning).toHaveLength(2500);
+  });
+
+  test('should recognize the envelopes written to our topics', () => {
+    expect(parseMessage(JSON.stringify({ id: 'd-9', type: 'rebalance', strategy: 'beefy', metadata: { source: 'AION_AI_Agent' }, chain: { counter: 7 } })))
+      .toMatchObject({ kind: 'decision', type: 'rebalance', decisionId: 'd-9', strategy: 'beefy', chainCounter: 7 });
+    expect(parseMessage(JSON.stringify({ type: 'AI_DECISION_BATCH_ROOT', data: { root: 'ab' } })))
+      .toMatchObject({ kind: 'batch_root', payload: { root: 'ab' } });
+    expect(parseMessage(JSON.stringify({ type: 'BRIDGE_COMPLETED', operationId: 'op-1' }))).toMatchObject({ kind: 'bridge' });
+    expect(parseMessage('hello')).toMatchObject({ kind: 'text', payload: 'hello' });
+  });
+});
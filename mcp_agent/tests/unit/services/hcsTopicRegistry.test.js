@@ -0,0 +1,130 @@
+/**
+ * @fileoverview HCS Topic Lifecycle Unit Tests
+ * @description Tests for creating, updating, rotating and deleting topics and for the topic name registry
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { PrivateKey } from '@hashgraph/sdk';
+import HederaService from '../../../services/hederaService.js';
+import HederaSimulator from '../../../services/hederaSimulator.js';
+import KeyManager from '../../../services/keyManager.js';
+import HcsTopicRegistry from '../../../services/hcsTopicRegistry.js';
+
+describe('HCS topic lifecycle', () => {
+  let dataDir;
+  let simulator;
+  let hederaService;
+
+  const createService = async () => {
+    const keyStore = new KeyManager({ keyDir: path.join(dataDir, 'keys') });
+    await keyStore.initialize();
+    const service = new HederaService({ simulator, keyStore, chain: { dataDir: path.join(dataDir, 'chain') } });
+    await service.initialize();
+    return service;
+  };
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aion-topics-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    simulator = new HederaSimulator();
+    hederaService = await createService();
+  });
+
+  afterEach(async () => {
+    await hederaService.shutdown();
+    jest.restoreAllMocks();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('should create topics with the operator key by default and with generated or external keys on request', async () => {
+    const external = PrivateKey.generateED25519().publicKey.toStringDer();
+    const plain = await hederaService.createHCSTopic();
+    const custom = await hederaService.createHCSTopic('bridge log', { adminKey: 'generate', submitKey: 'generate' });
+    const foreign = await hederaService.createHCSTopic('governance', { submitKey: external });
+    const open = await hederaService.createHCSTopic('open', { adminKey: null, submitKey: 'none' });
+
+    await hederaService.submitToHCS(custom.topicId, 'signed with the generated key');
+    simulator.submitMessage(open.topicId, 'anyone may post');
+
+    expect(() => simulator.submitMessage(custom.topicId, 'operator only')).toThrow(expect.objectContaining({ status: 'INVALID_SIGNATURE' }));
+    await expect(hederaService.submitToHCS(foreign.topicId, 'not ours')).rejects.toMatchObject({ status: 'INVALID_SIGNATURE' });
+    expect(plain.adminKey).toBe(simulator.accountKey());
+    expect(await hederaService.getHCSTopicInfo(custom.topicId)).toMatchObject({
+      memo: 'bridge log',
+      sequenceNumber: '1',
+      adminKey: custom.adminKey,
+      submitKey: custom.submitKey,
+      keyHolders: { admin: 'agent', submit: 'agent' }
+    });
+    expect((await hederaService.getHCSTopicInfo(foreign.topicId)).keyHolders).toEqual({ admin: 'operator', submit: 'external' });
+    expect((await hederaService.getHCSTopicInfo(open.topicId)).keyHolders).toEqual({ admin: null, submit: null });
+    await expect(hederaService.updateHCSTopic(open.topicId, { memo: 'x' })).rejects.toMatchObject({ status: 'UNAUTHORIZED' });
+    await expect(hederaService.createHCSTopic('', { adminKey: external })).rejects.toMatchObject({ status: 'INVALID_SIGNATURE' });
+    await expect(hederaService.createHCSTopic('', { submitKey: 'not-a-key' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('should rotate the submit key, keep it across restarts and update memo and keys', async () => {
+    const { topicId } = await hederaService.createHCSTopic('decisions');
+    const first = await hederaService.rotateTopicSubmitKey(topicId);
+    const second = await hederaService.rotateTopicSubmitKey(topicId);
+
+    expect(second.submitKey).not.toBe(first.submitKey);
+    expect(simulator.getTopicInfo(topicId).submitKey).toBe(second.submitKey);
+
+    await hederaService.shutdown();
+    hederaService = await createService();
+    await expect(hederaService.submitToHCS(topicId, { type: 'AI_DECISION', id: 'd-1' })).resolves.toMatchObject({ sequenceNumber: '1' });
+    expect((await hederaService.getHCSTopicInfo(topicId)).keyHolders.submit).toBe('agent');
+
+    const updated = await hederaService.updateHCSTopic(topicId, { memo: 'AION decisions v2', submitKey: 'operator' });
+    expect(updated).toMatchObject({ topicId, submitKey: simulator.accountKey() });
+    expect(hederaService.keyStore.hasKey(`hcs-topic:${topicId}:submit`)).toBe(false);
+    expect(simulator.getTopicInfo(topicId)).toMatchObject({ memo: 'AION decisions v2', submitKey: simulator.accountKey() });
+  });
+
+  test('should delete topics with the admin key and forget their keys', async () => {
+    const { topicId } = await hederaService.createHCSTopic('temporary', { adminKey: 'generate', submitKey: 'generate' });
+    await hederaService.submitToHCS(topicId, 'before delete');
+
+    await hederaService.deleteHCSTopic(topicId);
+
+    await expect(hederaService.submitToHCS(topicId, 'after delete')).rejects.toMatchObject({ status: 'INVALID_TOPIC_ID' });
+    await expect(hederaService.getHCSTopicInfo(topicId)).rejects.toMatchObject({ statusCode: 404 });
+    expect(simulator.mirrorTopic(topicId).deleted).toBe(true);
+    expect(simulator.mirrorTopicMessages(topicId).messages).toHaveLength(1);
+    expect(hederaService.keyStore.listKeys().filter((name) => name.startsWith('hcs-topic:'))).toEqual([]);
+  });
+
+  test('should resolve names from the registry, config and environment in that order', async () => {
+    const createRegistry = () => new HcsTopicRegistry({
+      config: { topics: { decisions: '0.0.1001', governance: null }, dataDir: path.join(dataDir, 'registry') },
+      env: { HCS_TOPIC_ID: '0.0.9', HCS_BRIDGE_TOPIC_ID: '0.0.1002' }
+    });
+    const registry = createRegistry();
+    await registry.load();
+
+    expect(registry.resolve('decisions')).toBe('0.0.1001');
+    expect(registry.resolve('bridge')).toBe('0.0.1002');
+    expect(registry.resolve('0.0.42')).toBe('0.0.42');
+    expect(() => registry.resolve('governance')).toThrow(expect.objectContaining({ statusCode: 404 }));
+    await expect(registry.register('Not A Name', '0.0.5')).rejects.toMatchObject({ statusCode: 400 });
+
+    await registry.register('governance', '0.0.2001');
+    await registry.register('outcomes', '0.0.1001');
+    await registry.unregister('bridge');
+
+    const restarted = createRegistry();
+    await restarted.load();
+    expect(restarted.list()).toEqual([
+      { name: 'bridge', topicId: null, source: null },
+      { name: 'decisions', topicId: '0.0.1001', source: 'config' },
+      { name: 'governance', topicId: '0.0.2001', source: 'registry' },
+      { name: 'outcomes', topicId: '0.0.1001', source: 'registry' }
+    ]);
+    expect(await restarted.removeTopic('0.0.1001')).toEqual(['decisions', 'outcomes']);
+    expect(restarted.get('decisions')).toBeNull();
+  });
+});
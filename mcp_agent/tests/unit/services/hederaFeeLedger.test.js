@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Hedera Fee Ledger Unit Tests
+ * @description Tests for recording transaction fees per service and decision and enforcing daily budgets
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import HederaService from '../../../services/hederaService.js';
+import HederaFeeLedger from '../../../services/hederaFeeLedger.js';
+import { uploadToHfs } from '../../../services/merkleAnchor.js';
+
+describe('HederaFeeLedger', () => {
+  let dataDir;
+  let hederaService;
+  let feeLedger;
+
+  const createLedger = (config = {}) => new HederaFeeLedger({ config: { ...config, dataDir: path.join(dataDir, 'fees') } });
+  const createService = async (ledger) => {
+    const service = new HederaService({ simulate: true, feeLedger: ledger, chain: { dataDir: path.join(dataDir, 'chain') } });
+    await service.initialize();
+    return service;
+  };
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aion-fees-'));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    feeLedger = createLedger();
+    hederaService = await createService(feeLedger);
+  });
+
+  afterEach(async () => {
+    await hederaService.shutdown();
+    await feeLedger.persisting;
+    jest.restoreAllMocks();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('should record the fee of every HCS, HTS and HFS transaction against its service and decision', async () => {
+    const { topicId } = await hederaService.createHCSTopic('decisions', { service: 'setup' });
+    await hederaService.submitDecisionToHCS({ type: 'ai_decision', decisionId: 'd-1', strategy: 'venus' }, topicId, { service: 'decide' });
+    await hederaService.submitToHCS(topicId, { type: 'AI_DECISION_OUTCOME', data: { decisionId: 'd-1' } }, { service: 'aiDecisionLogger' });
+    const { tokenId } = await hederaService.createHTSToken({ name: 'AION Share', symbol: 'AIONS' }, { service: 'setup' });
+    await hederaService.mintHTSTokens(tokenId, 100, {}, { service: 'vault', decisionId: 'd-2' });
+    await uploadToHfs(hederaService, 'x'.repeat(5000), 'leaves', 4096, { service: 'snapshotArchive' });
+
+    const report = await feeLedger.getReport();
+
+    expect(report.byService).toEqual({
+      setup: { hbar: 10.1, tinybars: 1.01e9, transactions: 2 },
+      decide: { hbar: 0.001, tinybars: 1e5, transactions: 1 },
+      aiDecisionLogger: { hbar: 0.001, tinybars: 1e5, transactions: 1 },
+      vault: { hbar: 0.01, tinybars: 1e6, transactions: 1 },
+      snapshotArchive: { hbar: 1, tinybars: 1e8, transactions: 2 }
+    });
+    expect(report.byCategory).toMatchObject({ hcs: { transactions: 3 }, hts: { transactions: 2 }, hfs: { transactions: 2 } });
+    expect(report.topDecisions.map((d) => d.decisionId)).toEqual(['d-2', 'd-1']);
+    expect(report.topDecisions[1].transactions).toBe(2);
+    expect(report.total.tinybars).toBe(1.1112e9);
+    expect(hederaService.getMetrics().totalGasUsed).toBeCloseTo(11.112, 8);
+  });
+
+  test('should count token wipes as HTS spend', async () => {
+    const entry = await feeLedger.record({ operation: 'TokenWipe', transactionId: '0.0.2@1.1', fee: 1e6, service: 'shareSync' });
+
+    expect(entry.category).toBe('hts');
+    expect((await feeLedger.getReport()).byCategory.hts).toMatchObject({ transactions: 1, tinybars: 1e6 });
+  });
+
+  test('should warn once at the warning threshold and refuse transactions once the budget is spent', async () => {
+    await hederaService.shutdown();
+    feeLedger = createLedger({ budgets: { default: null, aiDecisionLogger: 0.003 }, warnAt: 0.5 });
+    hederaService = await createService(feeLedger);
+    const warning = jest.fn();
+    feeLedger.on('budgetWarning', warning);
+
+    const { topicId } = await hederaService.createHCSTopic();
+    hederaService.config.hcsTopicId = topicId;
+    const options = { service: 'aiDecisionLogger' };
+    await hederaService.submitToHCS(topicId, 'one', options);
+    await hederaService.submitToHCS(topicId, 'two', options);
+    await hederaService.submitToHCS(topicId, 'three', options);
+
+    await expect(hederaService.submitToHCS(topicId, 'four', options))
+      .rejects.toMatchObject({ statusCode: 429, code: 'FEE_BUDGET_EXCEEDED' });
+    await expect(hederaService.submitDecisionWithRetry({ type: 'ai_decision' }, 2, 1, options))
+      .rejects.toMatchObject({ code: 'FEE_BUDGET_EXCEEDED' });
+    await expect(hederaService.submitToHCS(topicId, 'other service', { service: 'api' })).resolves.toMatchObject({ success: true });
+
+    expect(warning).toHaveBeenCalledTimes(1);
+    expect(warning).toHaveBeenCalledWith({ service: 'aiDecisionLogger', budget: 0.003, spent: 0.002 });
+    expect(hederaService.simulator.topic(topicId).messages).toHaveLength(4);
+    expect(feeLedger.getBudgetStatus()).toEqual([
+      expect.objectContaining({ service: 'aiDecisionLogger', budget: 0.003, spent: 0.003, remaining: 0, status: 'blocked' }),
+      expect.objectContaining({ service: 'api', budget: null, remaining: null, status: 'ok' }),
+      expect.objectContaining({ service: 'unattributed', budget: null, status: 'ok' })
+    ]);
+  });
+
+  test('should keep spend across restarts and filter reports by service, decision and date', async () => {
+    const { topicId } = await hederaService.createHCSTopic();
+    await hederaService.submitToHCS(topicId, { type: 'AI_DECISION', decisionId: 'd-1' }, { service: 'decide' });
+    await feeLedger.persisting;
+
+    const restarted = createLedger({ budgets: { decide: 0.001 } });
+    await expect(restarted.assertWithinBudget('decide')).rejects.toMatchObject({ statusCode: 429 });
+
+    const byDecision = await restarted.getReport({ decisionId: 'd-1' });
+    const byService = await restarted.getReport({ service: 'unattributed' });
+    const past = await restarted.getReport({ from: '2020-01-01', to: '2020-01-31' });
+
+    expect(byDecision.total).toEqual({ hbar: 0.001, tinybars: 1e5, transactions: 1 });
+    expect(byDecision.byOperation).toEqual({ ConsensusSubmitMessage: { hbar: 0.001, tinybars: 1e5, transactions: 1 } });
+    expect(byService.byOperation).toEqual({ ConsensusCreateTopic: { hbar: 0.1, tinybars: 1e7, transactions: 1 } });
+    expect(past.total.transactions).toBe(0);
+    await expect(restarted.getReport({ from: 'yesterday' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
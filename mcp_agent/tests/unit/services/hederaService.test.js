@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Hedera Service Unit Tests
+ * @description Tests for HCS decision submission with a stubbed Hedera client
+ */
+
+import { jest } from '@jest/globals';
+import HederaService, { DECISION_ENVELOPE_VERSION } from '../../../services/hederaService.js';
+
+describe('HederaService', () => {
+  let hederaService;
+
+  beforeEach(() => {
+    hederaService = new HederaService({
+      operatorId: '0.0.1001',
+      operatorKey: 'test-key',
+      hcsTopicId: '0.0.5005'
+    });
+    hederaService.client = {};
+  });
+
+  describe('initialize', () => {
+    const credentialVars = ['HEDERA_ACCOUNT_ID', 'HEDERA_PRIVATE_KEY', 'HEDERA_SIMULATOR'];
+    let saved;
+
+    beforeEach(() => {
+      saved = Object.fromEntries(credentialVars.map((name) => [name, process.env[name]]));
+      credentialVars.forEach((name) => delete process.env[name]);
+    });
+
+    afterEach(() => {
+      credentialVars.forEach((name) => {
+        if (saved[name] === undefined) delete process.env[name];
+        else process.env[name] = saved[name];
+      });
+    });
+
+    test('should refuse to start without credentials instead of falling back to the simulator', async () => {
+      const service = new HederaService({ chain: { enabled: false } });
+
+      await expect(service.initialize()).rejects.toThrow('Missing Hedera credentials');
+      expect(service.simulator).toBeNull();
+      expect(service.isConnected).toBe(false);
+    });
+
+    test('should run against the simulator when HEDERA_SIMULATOR is true', async () => {
+      process.env.HEDERA_SIMULATOR = 'true';
+      const service = new HederaService({ chain: { enabled: false } });
+
+      await service.initialize();
+
+      expect(service.simulator).not.toBeNull();
+      expect(service.getStatus().simulated).toBe(true);
+    });
+  });
+
+  describe('Decision Envelope', () => {
+    test('should wrap decision data in a versioned envelope', () => {
+      const envelope = hederaService.createDecisionEnvelope({ decisionId: 'd-1', type: 'ai_decision' });
+
+      expect(envelope.schema).toBe('aion.decision');
+      expect(envelope.version).toBe(DECISION_ENVELOPE_VERSION);
+      expect(envelope.decisionId).toBe('d-1');
+      expect(envelope.payload).toEqual({ decisionId: 'd-1', type: 'ai_decision' });
+    });
+  });
+
+  describe('submitDecisionWithRetry', () => {
+    test('should submit to the configured topic and return consensus details', async () => {
+      const submitSpy = jest.spyOn(hederaService, 'submitToHCS').mockResolvedValue({
+        success: true,
+        transactionId: '0.0.1001@1700000000.000000001',
+        sequenceNumber: '42',
+        consensusTimestamp: '1700000001.000000002'
+      });
+
+      const result = await hederaService.submitDecisionWithRetry({ decisionId: 'd-1', amount: 10n }, 3, 1);
+
+      expect(submitSpy).toHaveBeenCalledWith('0.0.5005', expect.any(String), { includeRecord: true });
+      const message = JSON.parse(submitSpy.mock.calls[0][1]);
+      expect(message.payload.amount).toBe('10');
+
+      expect(result).toMatchObject({
+        success: true,
+        topicId: '0.0.5005',
+        sequenceNumber: '42',
+        consensusTimestamp: '1700000001.000000002',
+        envelopeVersion: DECISION_ENVELOPE_VERSION,
+        attempts: 1
+      });
+    });
+
+    test('should retry failed submissions with backoff', async () => {
+      const submitSpy = jest.spyOn(hederaService, 'submitToHCS')
+        .mockRejectedValueOnce(new Error('BUSY'))
+        .mockResolvedValueOnce({ sequenceNumber: '7', consensusTimestamp: '1.2', transactionId: 'tx' });
+
+      const result = await hederaService.submitDecisionWithRetry({ decisionId: 'd-2' }, 3, 1);
+
+      expect(submitSpy).toHaveBeenCalledTimes(2);
+      expect(result.attempts).toBe(2);
+    });
+
+    test('should throw the last error after exhausting retries', async () => {
+      jest.spyOn(hederaService, 'submitToHCS').mockRejectedValue(new Error('TIMEOUT'));
+      const failed = jest.fn();
+      hederaService.on('decisionSubmitFailed', failed);
+
+      await expect(hederaService.submitDecisionWithRetry({ decisionId: 'd-3' }, 2, 1)).rejects.toThrow('TIMEOUT');
+      expect(hederaService.submitToHCS).toHaveBeenCalledTimes(2);
+      expect(failed).toHaveBeenCalled();
+    });
+
+    test('should not resend a decision whose transaction was already submitted', async () => {
+      const error = Object.assign(new Error('Receipt timed out'), { submittedTransactionId: '0.0.1001@1700000000.000000001' });
+      jest.spyOn(hederaService, 'submitToHCS').mockRejectedValue(error);
+
+      await expect(hederaService.submitDecisionWithRetry({ decisionId: 'd-5' }, 3, 1)).rejects.toThrow('Receipt timed out');
+      expect(hederaService.submitToHCS).toHaveBeenCalledTimes(1);
+    });
+
+    test('should fail fast when no decision topic is configured', async () => {
+      hederaService.config.hcsTopicId = undefined;
+      const submitSpy = jest.spyOn(hederaService, 'submitToHCS');
+
+      await expect(hederaService.submitDecisionWithRetry({ decisionId: 'd-4' }, 3, 1))
+        .rejects.toThrow('No HCS decision topic configured');
+      expect(submitSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sendMessageToHCS', () => {
+    const transactionId = { toString: () => '0.0.1001@1700000000.000000001' };
+    const submitWith = (response) => jest.spyOn(hederaService, 'signTransaction')
+      .mockResolvedValue({ execute: async () => ({ transactionId, ...response }) });
+
+    test('should return the submitted message when its record cannot be read', async () => {
+      submitWith({
+        getReceipt: async () => ({ topicSequenceNumber: 9 }),
+        getRecord: async () => { throw new Error('RECORD_NOT_FOUND'); }
+      });
+
+      const result = await hederaService.sendMessageToHCS('0.0.5005', 'hello', { includeRecord: true });
+
+      expect(result).toMatchObject({ sequenceNumber: '9', transactionFee: null, consensusTimestamp: null });
+    });
+
+    test('should mark receipt failures with the submitted transaction ID', async () => {
+      submitWith({ getReceipt: async () => { throw new Error('Receipt timed out'); } });
+
+      await expect(hederaService.sendMessageToHCS('0.0.5005', 'hello'))
+        .rejects.toMatchObject({ submittedTransactionId: '0.0.1001@1700000000.000000001' });
+    });
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Hedera Simulator Unit Tests
+ * @description Tests for HederaService running against the in-process simulator and its mirror node API
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import Fastify from 'fastify';
+import { PrivateKey } from '@hashgraph/sdk';
+import HederaService from '../../../services/hederaService.js';
+import HederaSimulator from '../../../services/hederaSimulator.js';
+import HcsTopicIndexer from '../../../services/hcsTopicIndexer.js';
+import { uploadToHfs } from '../../../services/merkleAnchor.js';
+import { registerMirrorRoutes } from '../../../server/mirrorRoutes.js';
+
+describe('HederaSimulator', () => {
+  let dataDir;
+  let hederaService;
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aion-simulator-'));
+    hederaService = new HederaService({ simulate: true, chain: { dataDir } });
+    await hederaService.initialize();
+  });
+
+  afterEach(async () => {
+    await hederaService.shutdown();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('should run HederaService without a network', async () => {
+    expect(hederaService.getStatus()).toMatchObject({ isConnected: true, simulated: true, operatorId: '0.0.2' });
+    expect((await hederaService.healthCheck()).healthy).toBe(true);
+
+    const { topicId } = await hederaService.createHCSTopic('decisions');
+    const first = await hederaService.submitToHCS(topicId, { type: 'AI_DECISION', id: 'd-1' });
+    const second = await hederaService.submitDecisionToHCS({ type: 'ai_decision', reasoning: 'x'.repeat(3000) }, topicId);
+
+    expect(first).toMatchObject({ sequenceNumber: '1', chain: { counter: 1 } });
+    expect(second).toMatchObject({ sequenceNumber: '2', chunks: { total: expect.any(Number) }, chain: { counter: 2 } });
+    expect(hederaService.simulator.getTopicInfo(topicId).sequenceNumber).toBeGreaterThan(3);
+    expect(hederaService.getMetrics().successfulTransactions).toBeGreaterThan(3);
+    await expect(hederaService.submitToHCS('0.0.9999', 'lost')).rejects.toMatchObject({ status: 'INVALID_TOPIC_ID' });
+  });
+
+  test('should track HTS supply, associations and balances, and require the sender to sign', async () => {
+    const { tokenId } = await hederaService.createHTSToken({ name: 'AION Vault Shares', symbol: 'AIONS', decimals: 8 });
+    const accountKey = PrivateKey.generateED25519();
+    const { accountId } = hederaService.simulator.createAccount(0, accountKey.publicKey.toStringDer());
+
+    await expect(hederaService.transferHTSTokens(tokenId, '0.0.2', accountId, 10)).rejects.toMatchObject({ status: 'TOKEN_NOT_ASSOCIATED_TO_ACCOUNT' });
+    await expect(hederaService.associateHTSToken(accountId, tokenId)).rejects.toMatchObject({ status: 'INVALID_SIGNATURE' });
+    expect(await hederaService.isTokenAssociated(accountId, tokenId)).toBe(false);
+    await hederaService.associateHTSToken(accountId, tokenId, { accountKey });
+    expect(await hederaService.isTokenAssociated(accountId, tokenId)).toBe(true);
+    expect((await hederaService.mintHTSTokens(tokenId, 1000)).newTotalSupply).toBe('1000');
+    await hederaService.transferHTSTokens(tokenId, '0.0.2', accountId, 400);
+    expect((await hederaService.burnHTSTokens(tokenId, 600)).newTotalSupply).toBe('400');
+
+    await expect(hederaService.burnHTSTokens(tokenId, 1)).rejects.toMatchObject({ status: 'INVALID_TOKEN_BURN_AMOUNT' });
+    await expect(hederaService.transferHTSTokens(tokenId, accountId, '0.0.2', 100)).rejects.toMatchObject({ status: 'INVALID_SIGNATURE' });
+    expect(() => hederaService.simulator.transferTokens(tokenId, accountId, '0.0.2', 401, { signers: [hederaService.simulator.accountKey(accountId)] }))
+      .toThrow(expect.objectContaining({ status: 'INSUFFICIENT_TOKEN_BALANCE' }));
+    await expect(hederaService.wipeHTSTokens(tokenId, '0.0.2', 1)).rejects.toMatchObject({ status: 'CANNOT_WIPE_TOKEN_TREASURY_ACCOUNT' });
+    expect((await hederaService.wipeHTSTokens(tokenId, accountId, 100)).newTotalSupply).toBe('300');
+    expect(await hederaService.getTokenInfo(tokenId)).toMatchObject({ symbol: 'AIONS', decimals: 8, totalSupply: '300', treasury: '0.0.2' });
+    expect((await hederaService.getAccountBalance(accountId)).tokens).toEqual({ [tokenId]: '300' });
+  });
+
+  test('should send memos and let the sender choose the transaction ID up front', async () => {
+    const { tokenId } = await hederaService.createHTSToken({ name: 'AION Vault Shares', symbol: 'AIONS', decimals: 8 });
+    const onSubmit = jest.fn();
+
+    const { transactionId } = await hederaService.mintHTSTokens(tokenId, '9007199254740993', { depositId: 'd-1' }, { onSubmit });
+
+    expect(onSubmit).toHaveBeenCalledWith(transactionId);
+    expect(hederaService.simulator.transactions.get(transactionId).memo).toBe('{"depositId":"d-1"}');
+    expect((await hederaService.getTokenInfo(tokenId)).totalSupply).toBe('9007199254740993');
+    expect(await hederaService.getTransactionStatus(transactionId)).toBe('SUCCESS');
+    expect(await hederaService.getTransactionStatus('0.0.2@1.000000001')).toBe('UNKNOWN');
+    await expect(hederaService.burnHTSTokens(tokenId, 1, 'x'.repeat(101))).rejects.toMatchObject({ status: 'MEMO_TOO_LONG' });
+    expect(() => hederaService.simulator.burnTokens(tokenId, 1, { transactionId })).toThrow(expect.objectContaining({ status: 'DUPLICATE_TRANSACTION' }));
+  });
+
+  test('should store HFS files across appends', async () => {
+    const content = 'model-metadata '.repeat(1000);
+
+    const fileId = await uploadToHfs(hederaService, content, 'model', 4096);
+
+    expect((await hederaService.getFileContents(fileId)).contents).toBe(content);
+    await expect(hederaService.createFile(Buffer.alloc(7000))).rejects.toMatchObject({ status: 'TRANSACTION_OVERSIZE' });
+  });
+
+  describe('mirror node API', () => {
+    let app;
+    let mirrorNodeUrl;
+
+    beforeEach(async () => {
+      app = Fastify();
+      await registerMirrorRoutes(app, { hederaSimulator: hederaService.simulator });
+      mirrorNodeUrl = await app.listen({ port: 0, host: '127.0.0.1' });
+    });
+
+    afterEach(async () => {
+      await app.close();
+    });
+
+    test('should page through topic messages like the mirror node', async () => {
+      const { topicId } = await hederaService.createHCSTopic();
+      for (let i = 1; i <= 5; i++) {
+        await hederaService.submitToHCS(topicId, `message ${i}`);
+      }
+
+      const first = await app.inject({ url: `/api/v1/topics/${topicId}/messages?limit=2&order=desc` });
+      const next = await app.inject({ url: first.json().links.next });
+      const single = await app.inject({ url: `/api/v1/topics/${topicId}/messages/3` });
+      const missing = await app.inject({ url: '/api/v1/topics/0.0.9999/messages' });
+
+      expect(first.json().messages.map((m) => m.sequence_number)).toEqual([5, 4]);
+      expect(next.json().messages.map((m) => m.sequence_number)).toEqual([3, 2]);
+      expect(Buffer.from(single.json().message, 'base64').toString()).toBe('message 3');
+      expect(missing.statusCode).toBe(404);
+      expect(missing.json()).toEqual({ _status: { messages: [{ message: 'Not found' }] } });
+
+      const { tokenId } = await hederaService.createHTSToken({ name: 'AION Vault Shares', symbol: 'AIONS' });
+      const { transactionId } = await hederaService.mintHTSTokens(tokenId, 5, 'deposit d-1');
+      const transaction = await app.inject({ url: `/api/v1/transactions/${transactionId.replace('@', '-').replace(/\.(\d+)$/, '-$1')}` });
+      expect(transaction.json().transactions[0]).toMatchObject({ result: 'SUCCESS', name: 'TOKENMINT', memo_base64: Buffer.from('deposit d-1').toString('base64') });
+    });
+
+    test('should serve the mirror readers end to end', async () => {
+      const { topicId } = await hederaService.createHCSTopic();
+      await hederaService.submitToHCS(topicId, { id: 'd-1', type: 'ai_decision', metadata: { source: 'AION_AI_Agent' } });
+      await hederaService.submitDecisionToHCS({ type: 'ai_decision', decisionId: 'd-2', strategy: 'venus', reasoning: 'y'.repeat(2000) }, topicId);
+
+      const indexer = new HcsTopicIndexer({ dataDir, config: { mirrorNodeUrl, topics: [{ topicId }] } });
+      await indexer.poll();
+      const { records } = await indexer.query({ order: 'asc' });
+
+      expect(records.map((r) => r.decisionId)).toEqual(['d-1', 'd-2']);
+      expect(records.map((r) => r.chainCounter)).toEqual([1, 2]);
+      expect(records[1].strategy).toBe('venus');
+      expect(records[1].chunks).toBeGreaterThan(1);
+    });
+  });
+
+  test('should issue strictly increasing consensus timestamps', () => {
+    const simulator = new HederaSimulator();
+    const { topicId } = simulator.createTopic();
+    const timestamps = Array.from({ length: 5 }, () => simulator.submitMessage(topicId, 'tick').consensusTimestamp);
+
+    expect([...timestamps].sort()).toEqual(timestamps);
+    expect(new Set(timestamps).size).toBe(5);
+  });
+});
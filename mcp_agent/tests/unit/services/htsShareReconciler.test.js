@@ -0,0 +1,191 @@
+/**
+ * @fileoverview HTS Share Reconciler Unit Tests
+ * @description Tests for comparing the HTS share token with vault shares, alerting and approval-gated corrections
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import axios from 'axios';
+import { ethers } from 'ethers';
+import HederaService from '../../../services/hederaService.js';
+import HtsShareSynchronizer from '../../../services/htsShareSynchronizer.js';
+import HtsShareReconciler, { CORRECTION_KIND } from '../../../services/htsShareReconciler.js';
+import ApprovalQueue from '../../../services/approvalQueue.js';
+
+const ALICE = ethers.getAddress('0x00000000000000000000000000000000000a11ce');
+const BOB = ethers.getAddress('0x0000000000000000000000000000000000000b0b');
+const SHARE = 10n ** 18n;
+
+// Stands in for the AIONVault contract: share events, share balances and account links
+function createVault() {
+  const vault = {
+    logs: [],
+    links: {},
+    filters: {
+      Deposited: () => 'Deposited',
+      Withdrawn: () => 'Withdrawn',
+      HederaAccountLinked: () => 'HederaAccountLinked'
+    },
+    queryFilter: async (eventName, from, to) => vault.logs.filter((log) => log.eventName === eventName && log.blockNumber >= from && log.blockNumber <= to),
+    userHederaAccountIds: async (user) => vault.links[user.toLowerCase()] || ethers.ZeroHash,
+    sharesOf: async (user) => vault.logs
+      .filter((log) => log.args.user === user)
+      .reduce((sum, log) => sum + (log.eventName === 'Deposited' ? log.args.shares : -log.args.shares), 0n),
+    totalShares: async () => vault.logs.reduce((sum, log) => sum + (log.eventName === 'Deposited' ? log.args.shares : -log.args.shares), 0n),
+    emit(eventName, blockNumber, args) {
+      const log = { eventName, blockNumber, transactionHash: ethers.id(`${eventName}:${vault.logs.length}`), index: 0, args };
+      vault.logs.push(log);
+      return log;
+    }
+  };
+  return vault;
+}
+
+describe('HtsShareReconciler', () => {
+  let dataDir;
+  let hederaService;
+  let simulator;
+  let tokenId;
+  let treasury;
+  let vault;
+  let synchronizer;
+  let approvalQueue;
+  let alertingSystem;
+  let reconciler;
+  let alice;
+
+  const provider = { getBlockNumber: async () => 10 };
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aion-share-recon-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    hederaService = new HederaService({ simulate: true, chain: { dataDir: path.join(dataDir, 'chain') } });
+    await hederaService.initialize();
+    simulator = hederaService.simulator;
+    treasury = simulator.config.operatorId;
+    ({ tokenId } = await hederaService.createHTSToken({ name: 'AION Vault Share', symbol: 'AIONS', decimals: 8 }));
+    jest.spyOn(axios, 'get').mockImplementation(async () => ({ data: simulator.mirrorTokenBalances(tokenId) }));
+
+    vault = createVault();
+    ({ accountId: alice } = simulator.createAccount());
+    simulator.associateToken(alice, tokenId, { signers: [simulator.accountKey(alice)] });
+    vault.links[ALICE.toLowerCase()] = ethers.encodeBytes32String(alice);
+    synchronizer = new HtsShareSynchronizer({
+      config: { tokenId, startBlock: 1, confirmations: 0, retryDelay: 0, maxAttempts: 1, dataDir: path.join(dataDir, 'sync') },
+      hederaService,
+      vault,
+      provider
+    });
+    approvalQueue = new ApprovalQueue({ dataDir: path.join(dataDir, 'approvals') });
+    alertingSystem = { sendRealAlert: jest.fn(async (alert) => alert) };
+    reconciler = new HtsShareReconciler({
+      config: { dataDir: path.join(dataDir, 'recon') },
+      hederaService,
+      shareSynchronizer: synchronizer,
+      alertingSystem,
+      approvalQueue
+    });
+
+    vault.emit('Deposited', 2, { user: ALICE, amount: 4n * SHARE, shares: 4n * SHARE });
+    await synchronizer.poll();
+  });
+
+  afterEach(async () => {
+    await reconciler.persisting;
+    await synchronizer.persisting;
+    await approvalQueue.persisting;
+    await hederaService.shutdown();
+    jest.restoreAllMocks();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('should report the token in line with the vault, counting pending sync jobs', async () => {
+    // Withdrawn on the vault but not yet synced
+    await synchronizer.ingest(vault.emit('Withdrawn', 11, { user: ALICE, amount: SHARE, shares: SHARE }));
+
+    const report = await reconciler.reconcile();
+
+    expect(report).toMatchObject({
+      status: 'ok',
+      discrepancies: 0,
+      supply: { vaultShares: (3n * SHARE).toString(), expected: '400000000', hts: '400000000', difference: '0' },
+      accounts: [{ accountId: alice, users: [ALICE], expected: '400000000', hts: '400000000', ok: true }],
+      pendingJobs: 1
+    });
+    expect(report.proposal).toBeUndefined();
+    expect(alertingSystem.sendRealAlert).not.toHaveBeenCalled();
+    expect(reconciler.getLatest().id).toBe(report.id);
+  });
+
+  test('should alert on discrepancies and correct them once the proposal is approved', async () => {
+    // Units moved back to the treasury outside the vault, plus an unbacked mint
+    simulator.transferTokens(tokenId, alice, treasury, 150000000n, { signers: [simulator.accountKey(alice)] });
+    simulator.mintTokens(tokenId, 70000000n);
+
+    const report = await reconciler.reconcile();
+
+    expect(report).toMatchObject({
+      status: 'mismatch',
+      supply: { expected: '400000000', hts: '470000000', difference: '70000000', ok: false },
+      accounts: [{ accountId: alice, hts: '250000000', difference: '-150000000', ok: false }],
+      treasury: { accountId: treasury, hts: '220000000' }
+    });
+    expect(report.proposal.operations).toEqual([
+      { action: 'transfer', accountId: alice, units: '150000000', users: [ALICE] },
+      { action: 'burn', accountId: treasury, units: '70000000', users: [] }
+    ]);
+    expect(alertingSystem.sendRealAlert.mock.calls.map(([alert]) => [alert.type, alert.severity])).toEqual([
+      ['hts_supply_mismatch', 'high'],
+      ['hts_balance_mismatch', 'warning']
+    ]);
+    expect((await reconciler.reconcile()).proposal.approvalId).toBe(report.proposal.approvalId);
+    expect(approvalQueue.list({ kind: CORRECTION_KIND })).toHaveLength(1);
+
+    const approval = await approvalQueue.approve(report.proposal.approvalId, { userId: 'ops-1' });
+
+    expect(approval.status).toBe('executed');
+    expect(await reconciler.reconcile()).toMatchObject({ status: 'ok', supply: { hts: '400000000' } });
+    expect(simulator.balanceOf(alice, tokenId)).toBe(400000000n);
+  });
+
+  test('should wipe excess units from a user account when the correction is approved', async () => {
+    simulator.mintTokens(tokenId, 30000000n);
+    simulator.transferTokens(tokenId, treasury, alice, 30000000n);
+    const wipe = jest.spyOn(hederaService, 'wipeHTSTokens');
+
+    const { proposal } = await reconciler.reconcile();
+    expect(proposal.operations).toEqual([{ action: 'burn', accountId: alice, units: '30000000', users: [ALICE] }]);
+
+    expect(await approvalQueue.approve(proposal.approvalId, { userId: 'ops-1' })).toMatchObject({ status: 'executed' });
+    expect(wipe).toHaveBeenCalledWith(tokenId, alice, '30000000', `aion:correction:${proposal.approvalId}`, { service: 'shareReconciliation' });
+    expect(await reconciler.reconcile()).toMatchObject({ status: 'ok', supply: { hts: '400000000' } });
+    expect(simulator.balanceOf(alice, tokenId)).toBe(400000000n);
+  });
+
+  test('should refuse stale corrections and leave accounts with failed sync jobs to a retry', async () => {
+    simulator.mintTokens(tokenId, 5000000n);
+    const { proposal } = await reconciler.reconcile();
+    simulator.burnTokens(tokenId, 5000000n);
+
+    const approval = await approvalQueue.approve(proposal.approvalId, { userId: 'ops-1' });
+    expect(approval).toMatchObject({ status: 'failed', error: expect.stringContaining('Discrepancies changed') });
+
+    await synchronizer.ingest(vault.emit('Deposited', 11, { user: BOB, amount: SHARE, shares: SHARE }));
+    await synchronizer.ingest(vault.emit('Withdrawn', 12, { user: ALICE, amount: SHARE, shares: SHARE }));
+    jest.spyOn(hederaService, 'wipeHTSTokens').mockRejectedValueOnce(new Error('BUSY'));
+    await synchronizer.poll();
+
+    const report = await reconciler.reconcile();
+    expect(report).toMatchObject({
+      status: 'mismatch',
+      unlinked: [{ user: BOB, vaultShares: SHARE.toString() }],
+      accounts: [{ accountId: alice, expected: '300000000', hts: '400000000', ok: false, failedJobs: [expect.any(String)] }],
+      supply: { expected: '400000000', hts: '400000000' },
+      failedJobs: 2
+    });
+    expect(report.proposal.operations).toEqual([]);
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * @fileoverview HTS Share Synchronizer Unit Tests
+ * @description Tests for minting, transferring and wiping the HTS share token from vault deposit and withdrawal events
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+import HederaService from '../../../services/hederaService.js';
+import HtsShareSynchronizer, { hederaAccountFromBytes32 } from '../../../services/htsShareSynchronizer.js';
+
+const ALICE = '0x00000000000000000000000000000000000a11ce';
+const BOB = '0x0000000000000000000000000000000000000b0b';
+const SHARE = 10n ** 18n;
+
+// Stands in for the AIONVault contract: logs by event name and the userHederaAccountIds view
+function createVault() {
+  const vault = {
+    logs: [],
+    links: {},
+    filters: {
+      Deposited: () => 'Deposited',
+      Withdrawn: () => 'Withdrawn',
+      HederaAccountLinked: () => 'HederaAccountLinked'
+    },
+    queryFilter: async (eventName, from, to) => vault.logs.filter((log) => log.eventName === eventName && log.blockNumber >= from && log.blockNumber <= to),
+    userHederaAccountIds: async (user) => vault.links[user.toLowerCase()] || ethers.ZeroHash,
+    emit(eventName, blockNumber, args) {
+      const log = { eventName, blockNumber, transactionHash: ethers.id(`${eventName}:${blockNumber}`), index: vault.logs.length, args };
+      vault.logs.push(log);
+      return log;
+    }
+  };
+  return vault;
+}
+
+describe('HtsShareSynchronizer', () => {
+  let dataDir;
+  let hederaService;
+  let simulator;
+  let tokenId;
+  let vault;
+  let block;
+  let synchronizer;
+
+  const provider = { getBlockNumber: async () => block };
+  const createSynchronizer = (config = {}) => new HtsShareSynchronizer({
+    config: { tokenId, startBlock: 1, confirmations: 0, retryDelay: 0, maxAttempts: 2, dataDir: path.join(dataDir, 'sync'), ...config },
+    hederaService,
+    vault,
+    provider
+  });
+  const balance = (accountId) => simulator.balanceOf(accountId, tokenId).toString();
+  // A user account that has associated itself with the share token
+  const createAccount = () => {
+    const account = simulator.createAccount();
+    simulator.associateToken(account.accountId, tokenId, { signers: [account.key] });
+    return account;
+  };
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aion-share-sync-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    hederaService = new HederaService({ simulate: true, chain: { dataDir: path.join(dataDir, 'chain') } });
+    await hederaService.initialize();
+    simulator = hederaService.simulator;
+    ({ tokenId } = await hederaService.createHTSToken({ name: 'AION Vault Share', symbol: 'AIONS', decimals: 8 }));
+    vault = createVault();
+    block = 10;
+    synchronizer = createSynchronizer();
+  });
+
+  afterEach(async () => {
+    await synchronizer.stop();
+    await synchronizer.persisting;
+    await hederaService.shutdown();
+    jest.restoreAllMocks();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('should mint deposits to the linked account and wipe withdrawals from it, once per log', async () => {
+    const { accountId } = createAccount();
+    vault.links[ALICE] = ethers.encodeBytes32String(accountId);
+    const deposit = vault.emit('Deposited', 2, { user: ALICE, amount: 5n * SHARE, shares: 5n * SHARE });
+    vault.emit('Withdrawn', 3, { user: ALICE, amount: 2n * SHARE, shares: 2n * SHARE });
+
+    const first = await synchronizer.poll();
+    await synchronizer.ingest(deposit);
+    block = 12;
+    const second = await synchronizer.poll();
+
+    expect(first).toMatchObject({ queued: 2, synced: 2, failed: 0 });
+    expect(second).toMatchObject({ queued: 0, synced: 0 });
+    expect(balance(accountId)).toBe('300000000');
+    expect(simulator.getTokenInfo(tokenId).totalSupply).toBe(300000000n);
+    expect(synchronizer.listJobs().jobs).toEqual([
+      expect.objectContaining({ id: `${deposit.transactionHash}:0`, type: 'deposit', status: 'done', units: '500000000', hederaAccountId: accountId }),
+      expect.objectContaining({ type: 'withdraw', status: 'done', units: '200000000', attempts: 1 })
+    ]);
+    expect(Object.keys(synchronizer.listJobs().jobs[0].steps)).toEqual(['associate', 'mint', 'transfer']);
+    expect(Object.keys(synchronizer.listJobs().jobs[1].steps)).toEqual(['wipe']);
+    expect(synchronizer.getStatus()).toMatchObject({ cursor: 12, jobs: { pending: 0, done: 2, failed: 0 } });
+  });
+
+  test('should retry, keep later jobs of the user waiting and resume when the account is linked', async () => {
+    const { accountId } = createAccount();
+    vault.emit('Deposited', 2, { user: BOB, amount: SHARE, shares: SHARE });
+    vault.emit('Withdrawn', 3, { user: BOB, amount: SHARE, shares: SHARE });
+
+    await synchronizer.poll();
+    const { failed } = await synchronizer.poll();
+    const [depositJob, withdrawJob] = synchronizer.listJobs().jobs;
+
+    expect(failed).toBe(1);
+    expect(depositJob).toMatchObject({ status: 'failed', attempts: 2, lastError: `No Hedera account linked for ${ethers.getAddress(BOB)}` });
+    expect(withdrawJob).toMatchObject({ status: 'pending', attempts: 0 });
+
+    vault.emit('HederaAccountLinked', 11, { user: BOB, hederaAccountId: ethers.toBeHex(Number(accountId.split('.')[2]), 32) });
+    block = 11;
+    await synchronizer.poll();
+
+    expect(synchronizer.getStatus().jobs).toEqual({ pending: 0, done: 2, failed: 0 });
+    expect(balance(accountId)).toBe('0');
+    expect(simulator.getTokenInfo(tokenId).totalSupply).toBe(0n);
+  });
+
+  test('should resume a job after its last completed step, also across restarts', async () => {
+    const { accountId } = createAccount();
+    vault.links[ALICE] = ethers.encodeBytes32String(accountId);
+    vault.emit('Deposited', 2, { user: ALICE, amount: 3n * SHARE, shares: 3n * SHARE });
+    jest.spyOn(hederaService, 'transferHTSTokens').mockRejectedValueOnce(new Error('BUSY'));
+
+    await synchronizer.poll();
+    expect(synchronizer.listJobs({ status: 'pending' }).jobs[0]).toMatchObject({ lastError: 'BUSY', attempts: 1 });
+    expect(Object.keys(synchronizer.listJobs().jobs[0].steps)).toEqual(['associate', 'mint']);
+    await synchronizer.stop();
+
+    synchronizer = createSynchronizer();
+    await synchronizer.poll();
+
+    expect(synchronizer.listJobs().jobs[0]).toMatchObject({ status: 'done', attempts: 2, lastError: null });
+    expect(simulator.getTokenInfo(tokenId).totalSupply).toBe(300000000n);
+    expect(balance(accountId)).toBe('300000000');
+    await expect(synchronizer.retry(synchronizer.listJobs().jobs[0].id)).rejects.toMatchObject({ statusCode: 409 });
+    await expect(synchronizer.retry('0xunknown:0')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('should look up a submitted transaction instead of sending it again', async () => {
+    const { accountId } = createAccount();
+    vault.links[ALICE] = ethers.encodeBytes32String(accountId);
+    vault.emit('Deposited', 2, { user: ALICE, amount: 2n * SHARE, shares: 2n * SHARE });
+    const mint = hederaService.mintHTSTokens.bind(hederaService);
+    jest.spyOn(hederaService, 'mintHTSTokens')
+      // Minted, but the receipt never arrived
+      .mockImplementationOnce(async (...args) => {
+        await mint(...args);
+        throw new Error('Receipt timed out');
+      })
+      .mockImplementationOnce(async (tokenId, amount, memo, options) => {
+        await options.onSubmit('0.0.2@1700000000.000000001');
+        throw new Error('Connection reset');
+      });
+
+    await synchronizer.poll();
+    const [job] = synchronizer.listJobs().jobs;
+    expect(job).toMatchObject({ status: 'pending', lastError: 'Receipt timed out', steps: { mint: { transactionId: expect.any(String), at: null } } });
+    expect(simulator.transactions.get(job.steps.mint.transactionId).memo).toBe(`aion:deposit:${job.id}`);
+
+    await synchronizer.poll();
+    expect(job).toMatchObject({ status: 'done', steps: { mint: { at: expect.any(String) } } });
+    expect(simulator.getTokenInfo(tokenId).totalSupply).toBe(200000000n);
+    expect(hederaService.mintHTSTokens).toHaveBeenCalledTimes(1);
+
+    // A transaction nobody has seen waits until it can no longer execute, then goes out again
+    vault.emit('Deposited', 11, { user: ALICE, amount: SHARE, shares: SHARE });
+    block = 11;
+    await synchronizer.poll();
+    const second = synchronizer.listJobs().jobs[1];
+    await synchronizer.poll();
+    expect(second).toMatchObject({ status: 'failed', lastError: 'Transaction 0.0.2@1700000000.000000001 is not confirmed yet' });
+
+    second.steps.mint.submittedAt = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+    expect(await synchronizer.retry(second.id)).toMatchObject({ status: 'done' });
+    expect(simulator.getTokenInfo(tokenId).totalSupply).toBe(300000000n);
+  });
+
+  test('should mint nothing until the user has associated their account with the token', async () => {
+    const { accountId, key } = simulator.createAccount();
+    vault.links[ALICE] = ethers.encodeBytes32String(accountId);
+    vault.emit('Deposited', 2, { user: ALICE, amount: SHARE, shares: SHARE });
+
+    await synchronizer.poll();
+    const [job] = synchronizer.listJobs().jobs;
+
+    expect(job).toMatchObject({ status: 'pending', steps: {}, lastError: `Hedera account ${accountId} is not associated with the share token ${tokenId}` });
+    expect(simulator.getTokenInfo(tokenId).totalSupply).toBe(0n);
+
+    simulator.associateToken(accountId, tokenId, { signers: [key] });
+    await synchronizer.poll();
+
+    expect(synchronizer.listJobs().jobs[0].status).toBe('done');
+    expect(balance(accountId)).toBe('100000000');
+  });
+
+  test('should read linked accounts stored as strings or account numbers', () => {
+    expect(hederaAccountFromBytes32(ethers.encodeBytes32String('0.0.4821'))).toBe('0.0.4821');
+    expect(hederaAccountFromBytes32(ethers.toBeHex(4821, 32))).toBe('0.0.4821');
+    expect(hederaAccountFromBytes32(ethers.ZeroHash)).toBeNull();
+  });
+});
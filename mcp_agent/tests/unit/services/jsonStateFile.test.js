@@ -0,0 +1,52 @@
+/**
+ * @fileoverview JSON State File Unit Tests
+ * @description Tests for reading missing and unreadable state and for ordered, atomic writes
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { JsonStateFile } from '../../../services/jsonStateFile.js';
+
+describe('JsonStateFile', () => {
+  let dataDir;
+  let file;
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aion-state-'));
+    file = path.join(dataDir, 'nested', 'state.json');
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('should read no state from a missing or unreadable file', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const store = new JsonStateFile(file, { label: 'test state' });
+
+    expect(await store.read()).toBeNull();
+    expect(warn).not.toHaveBeenCalled();
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, '{"torn":');
+    expect(await store.read()).toBeNull();
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('Could not read test state'));
+  });
+
+  test('should write in call order and keep the state as it was when the write was queued', async () => {
+    const store = new JsonStateFile(file);
+    const state = { runs: [1] };
+
+    const written = store.write(state);
+    state.runs.push(2);
+    await written;
+    expect(await store.read()).toEqual({ runs: [1] });
+
+    await Promise.all([store.write({ runs: [1, 2] }), store.write({ runs: [1, 2, 3] })]);
+    expect(await store.read()).toEqual({ runs: [1, 2, 3] });
+    expect(await fs.readdir(path.dirname(file))).toEqual(['state.json']);
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Mainnet Web3 Service Unit Tests
+ * @description Tests for the vault and strategy reads against the bscMainnet provider
+ */
+
+import { jest } from '@jest/globals';
+import { ethers } from 'ethers';
+import { MainnetWeb3Service } from '../../../services/mainnetWeb3Service.js';
+
+const VAULT_INTERFACE = new ethers.Interface([
+  'function totalAssets() view returns (uint256)',
+  'function totalShares() view returns (uint256)',
+  'function owner() view returns (address)',
+  'function aiAgent() view returns (address)',
+  'function minDeposit() view returns (uint256)',
+  'function minYieldClaim() view returns (uint256)',
+  'function paused() view returns (bool)',
+  'function maxAllocationBps() view returns (uint256)',
+  'function testMode() view returns (bool)'
+]);
+
+const OWNER = '0x000000000000000000000000000000000000dEaD';
+
+describe('MainnetWeb3Service', () => {
+  let results;
+  let service;
+
+  // Answers eth_call from `results`, keyed by function name; missing functions revert
+  const provider = {
+    call: async (tx) => {
+      const fragment = VAULT_INTERFACE.getFunction(tx.data.slice(0, 10));
+      if (!(fragment.name in results)) {
+        throw new Error('execution reverted');
+      }
+      return VAULT_INTERFACE.encodeFunctionResult(fragment, [results[fragment.name]]);
+    }
+  };
+
+  beforeEach(() => {
+    results = {
+      totalAssets: ethers.parseEther('120'),
+      totalShares: ethers.parseEther('100'),
+      owner: OWNER,
+      aiAgent: OWNER,
+      minDeposit: 10n ** 15n,
+      minYieldClaim: 10n ** 14n,
+      paused: false,
+      maxAllocationBps: 5000n
+    };
+    // The constructor connects to every network; these tests use a stub provider instead
+    jest.spyOn(MainnetWeb3Service.prototype, 'initialize').mockResolvedValue(undefined);
+    service = new MainnetWeb3Service();
+    service.providers.set('bscMainnet', provider);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should read the vault stats from the mainnet vault', async () => {
+    const stats = await service.getVaultStats();
+
+    expect(stats).toEqual(expect.objectContaining({
+      totalAssets: ethers.parseEther('120').toString(),
+      totalShares: ethers.parseEther('100').toString(),
+      owner: OWNER,
+      paused: false,
+      maxAllocationBps: 5000,
+      contractAddress: service.mainnetContracts.aionVault
+    }));
+  });
+
+  test('should read strategy info when the adapter lacks testMode()', async () => {
+    const info = await service.getStrategyInfo('venus');
+
+    expect(info).toEqual(expect.objectContaining({ strategy: 'venus', owner: OWNER, testMode: false, paused: false }));
+  });
+
+  test('should fail clearly without a mainnet provider', async () => {
+    service.providers.clear();
+
+    await expect(service.getVaultStats()).rejects.toThrow('Failed to get vault stats: No bscMainnet provider');
+  });
+});
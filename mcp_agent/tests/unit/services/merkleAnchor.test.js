@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Merkle Anchoring Unit Tests
+ * @description Tests for tree construction, inclusion proofs and verification against an anchored root
+ */
+
+import {
+  hashLeaf,
+  buildMerkleTree,
+  merkleRoot,
+  merkleProof,
+  verifyMerkleProof,
+  verifyDecisionProof,
+  BATCH_ROOT_MESSAGE_TYPE
+} from '../../../services/merkleAnchor.js';
+
+const entries = Array.from({ length: 5 }, (_, i) => ({ id: `d-${i}`, type: 'ai_decision', confidence: 0.5 + i / 10 }));
+
+describe('Merkle anchoring', () => {
+  test('should hash leaves independently of key order', () => {
+    expect(hashLeaf({ a: 1, b: { c: 2, d: 3 } })).toBe(hashLeaf({ b: { d: 3, c: 2 }, a: 1 }));
+    expect(hashLeaf({ a: 1 })).not.toBe(hashLeaf({ a: 2 }));
+  });
+
+  test('should prove every leaf of trees of any size', () => {
+    for (let size = 1; size <= entries.length; size++) {
+      const leaves = entries.slice(0, size).map(hashLeaf);
+      const levels = buildMerkleTree(leaves);
+      const root = merkleRoot(levels);
+
+      leaves.forEach((leaf, index) => {
+        expect(verifyMerkleProof(leaf, merkleProof(levels, index), root)).toBe(true);
+      });
+    }
+    expect(() => buildMerkleTree([])).toThrow('without leaves');
+  });
+
+  test('should reject a proof for a different leaf or root', () => {
+    const leaves = entries.map(hashLeaf);
+    const levels = buildMerkleTree(leaves);
+    const proof = merkleProof(levels, 2);
+
+    expect(verifyMerkleProof(leaves[3], proof, merkleRoot(levels))).toBe(false);
+    expect(verifyMerkleProof(leaves[2], proof, hashLeaf({ other: true }))).toBe(false);
+    expect(() => merkleProof(levels, 5)).toThrow('out of range');
+  });
+
+  describe('verifyDecisionProof', () => {
+    const leaves = entries.map(hashLeaf);
+    const levels = buildMerkleTree(leaves);
+    const proof = {
+      decisionId: 'd-1',
+      batchId: 'batch_1',
+      root: merkleRoot(levels),
+      leafIndex: 1,
+      leafHash: leaves[1],
+      proof: merkleProof(levels, 1),
+      entry: entries[1]
+    };
+    const anchor = { type: BATCH_ROOT_MESSAGE_TYPE, data: { batchId: 'batch_1', root: merkleRoot(levels), leafCount: 5 } };
+
+    test('should verify a proof against the on-topic root message', () => {
+      const result = verifyDecisionProof(proof, JSON.stringify(anchor));
+
+      expect(result.valid).toBe(true);
+      expect(result.checks.map((c) => c.check)).toEqual(['leafHash', 'decisionId', 'inclusion', 'anchorType', 'anchorBatch', 'anchorRoot']);
+    });
+
+    test('should fail when the entry was altered or the anchored root differs', () => {
+      const altered = verifyDecisionProof({ ...proof, entry: { ...entries[1], confidence: 0.99 } }, anchor);
+      const otherRoot = verifyDecisionProof(proof, { ...anchor, data: { ...anchor.data, root: leaves[0] } });
+
+      expect(altered.checks.filter((c) => !c.valid).map((c) => c.check)).toEqual(['leafHash', 'inclusion']);
+      expect(otherRoot.checks.filter((c) => !c.valid).map((c) => c.check)).toEqual(['anchorRoot']);
+    });
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * @fileoverview Model Performance Analytics Unit Tests
+ * @description Tests for per-version hit rate, APY error, calibration, PnL and the version leaderboard
+ */
+
+import { ModelPerformanceAnalytics, UNVERSIONED } from '../../../services/modelPerformanceAnalytics.js';
+
+const model = (modelId, version) => ({ modelId, version, checksum: `sha-${version}` });
+
+// A 24h realized-yield evaluation as produced by the outcome evaluator
+const evaluation = (decisionId, {
+  model: tagged = null, confidence = 0.8, hit = true, apyError = 0, amount = null, dataSource = 'historical'
+} = {}) => {
+  const realizedApy = 10 + apyError;
+  const alternativeApy = hit ? realizedApy - 1 : realizedApy + 1;
+  const yieldOf = (apy) => apy / 365;
+  return {
+    decisionId,
+    model: tagged,
+    confidence,
+    amount,
+    type: 'realized_yield',
+    horizon: '24h',
+    chosen: {
+      strategy: 'pancake',
+      expectedApy: 10,
+      realizedApy,
+      expectedYield: yieldOf(10),
+      realizedYield: yieldOf(realizedApy),
+      apyError,
+      dataSource
+    },
+    alternatives: [{
+      strategy: 'beefy', expectedApy: 8, realizedApy: alternativeApy, realizedYield: yieldOf(alternativeApy), dataSource: 'historical'
+    }],
+    bestAlternative: 'beefy',
+    regret: hit ? 0 : yieldOf(1),
+    rank: hit ? 1 : 2,
+    outperformedAlternatives: hit
+  };
+};
+
+describe('ModelPerformanceAnalytics', () => {
+  const v1 = model('aion-strategy-v1', 'v1.0.0');
+  const v2 = model('aion-strategy-v2', 'v2.0.0');
+
+  const createAnalytics = (evaluations, options = {}) => new ModelPerformanceAnalytics({
+    config: { minDecisions: 2 },
+    outcomeEvaluator: { getEvaluations: ({ horizon }) => evaluations.filter((e) => e.horizon === horizon) },
+    ...options
+  });
+
+  test('should aggregate hit rate, APY error and PnL per model version', () => {
+    const analytics = createAnalytics([
+      evaluation('a', { model: v1, hit: true, apyError: -2, amount: 10 }),
+      evaluation('b', { model: v1, hit: false, apyError: 1 }),
+      evaluation('c', { model: v2, hit: true, apyError: 0.5 })
+    ]);
+
+    const { entries } = analytics.getLeaderboard();
+    const stats = entries.find((entry) => entry.version === 'v1.0.0');
+
+    expect(stats).toMatchObject({
+      key: 'aion-strategy-v1@v1.0.0',
+      decisions: 2,
+      hitRate: 0.5,
+      meanApyError: -0.5,
+      meanAbsApyError: 1.5,
+      eligible: true
+    });
+    expect(stats.pnl.notional).toBe(11);
+    expect(stats.pnl.realized).toBeCloseTo((10 * 8 + 1 * 11) / 365 / 100, 8);
+    expect(stats.pnl.vsExpected).toBeCloseTo((10 * -2 + 1 * 1) / 365 / 100, 8);
+    expect(stats.pnl.vsBestAlternative).toBeCloseTo((10 * 1 - 1 * 1) / 365 / 100, 8);
+  });
+
+  test('should measure confidence calibration', () => {
+    const analytics = createAnalytics([
+      evaluation('a', { model: v1, confidence: 0.9, hit: true }),
+      evaluation('b', { model: v1, confidence: 0.9, hit: false }),
+      evaluation('c', { model: v1, confidence: 0.3, hit: false }),
+      evaluation('d', { model: v1, confidence: null, hit: true })
+    ]);
+
+    const { calibration } = analytics.getLeaderboard().entries[0];
+
+    expect(calibration.samples).toBe(3);
+    expect(calibration.bins).toEqual([
+      { range: [0.2, 0.4], count: 1, meanConfidence: 0.3, hitRate: 0 },
+      { range: [0.8, 1], count: 2, meanConfidence: 0.9, hitRate: 0.5 }
+    ]);
+    expect(calibration.expectedCalibrationError).toBeCloseTo((1 / 3) * 0.3 + (2 / 3) * 0.4, 4);
+    expect(calibration.brierScore).toBeCloseTo((0.01 + 0.81 + 0.09) / 3, 4);
+  });
+
+  test('should rank eligible versions by hit rate and list the rest unranked', () => {
+    const analytics = createAnalytics([
+      evaluation('a', { model: v1, hit: false }),
+      evaluation('b', { model: v1, hit: true }),
+      evaluation('c', { model: v2, hit: true }),
+      evaluation('d', { model: v2, hit: true }),
+      evaluation('e', { hit: true })
+    ]);
+
+    const leaderboard = analytics.getLeaderboard();
+
+    expect(leaderboard.entries.map((entry) => [entry.version, entry.rank])).toEqual([
+      ['v2.0.0', 1],
+      ['v1.0.0', 2],
+      [UNVERSIONED, null]
+    ]);
+    expect(leaderboard.leader.key).toBe('aion-strategy-v2@v2.0.0');
+  });
+
+  test('should leave outcomes priced from fallback or snapshot data out of the ranking', () => {
+    const fallbackAlternative = evaluation('f', { model: v2, hit: true });
+    fallbackAlternative.alternatives[0].dataSource = 'fallback';
+    const analytics = createAnalytics([
+      evaluation('a', { model: v1, hit: true }),
+      evaluation('b', { model: v1, hit: false }),
+      evaluation('c', { model: v2, hit: true }),
+      evaluation('d', { model: v2, hit: true, dataSource: 'fallback' }),
+      evaluation('e', { model: v2, hit: true, dataSource: 'snapshot' }),
+      fallbackAlternative
+    ]);
+
+    const { entries, leader } = analytics.getLeaderboard();
+    const stats = entries.find((entry) => entry.version === 'v2.0.0');
+
+    expect(stats).toMatchObject({ decisions: 1, excluded: { fallback: 2, snapshot: 1 }, eligible: false, rank: null });
+    expect(entries.find((entry) => entry.version === 'v1.0.0')).toMatchObject({ decisions: 2, excluded: {}, rank: 1 });
+    expect(leader.version).toBe('v1.0.0');
+  });
+
+  test('should read outcomes from the decision logger and skip other horizons', () => {
+    const logged = evaluation('a', { model: v1 });
+    const aiDecisionLogger = {
+      getDecisionOutcomes: () => [
+        {
+          decisionId: 'a',
+          outcome: logged,
+          originalDecision: { confidence: 0.7, parameters: { amount: '2' }, metadata: { modelId: v1.modelId, modelVersion: 'v1.0.0' } }
+        },
+        { decisionId: 'b', outcome: { ...evaluation('b'), horizon: '7d' }, originalDecision: {} },
+        { decisionId: 'c', outcome: { success: true, txHash: '0xabc' }, originalDecision: {} }
+      ]
+    };
+    const analytics = new ModelPerformanceAnalytics({ aiDecisionLogger });
+
+    const records = analytics.collectOutcomes('24h');
+
+    expect(records).toHaveLength(1);
+    expect(records[0]).toMatchObject({ decisionId: 'a', confidence: 0.7, amount: 2, model: { modelId: v1.modelId, version: 'v1.0.0' } });
+  });
+
+  test('should report a model by ID or version and return null when unknown', async () => {
+    const modelMetadataManager = {
+      retrieveModelMetadata: async (modelId) => (modelId === 'aion-strategy-v3'
+        ? { modelId, name: 'aion-strategy', version: 'v3.0.0', status: 'active', checksum: 'sha-v3' }
+        : null)
+    };
+    const analytics = createAnalytics([
+      evaluation('a', { model: v1 }),
+      evaluation('b', { model: v1 })
+    ], { modelMetadataManager });
+
+    const byId = await analytics.getModelPerformance('aion-strategy-v1');
+    const byVersion = await analytics.getModelPerformance('v1.0.0');
+    const untested = await analytics.getModelPerformance('aion-strategy-v3');
+
+    expect(byId.versions).toHaveLength(1);
+    expect(byVersion.versions[0].key).toBe(byId.versions[0].key);
+    expect(byId.leaderboard.entries).toHaveLength(1);
+    expect(untested).toMatchObject({ model: { version: 'v3.0.0' }, versions: [] });
+    expect(await analytics.getModelPerformance('missing')).toBeNull();
+  });
+});
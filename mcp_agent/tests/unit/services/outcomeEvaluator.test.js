@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Outcome Evaluator Unit Tests
+ * @description Tests for horizon scheduling, realized yield against expected APY and alternatives, and persisted state
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { jest } from '@jest/globals';
+import { OutcomeEvaluator, expectedOutcomeFrom, parseDuration } from '../../../services/outcomeEvaluator.js';
+import { StrategyEngine } from '../../../services/strategyEngine.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const decidedAt = Date.parse('2025-01-01T00:00:00Z');
+
+const snapshot = {
+  bnb_price_usd: 300,
+  protocols: {
+    venus: { apy: 4.8, tvl_usd: 120000000, health: 'healthy', source: 'live' },
+    pancake: { apy: 12.4, tvl_usd: 98000000, health: 'healthy', source: 'live' },
+    beefy: { apy: 8.7, tvl_usd: 45000000, health: 'healthy', source: 'live' },
+    aave: { apy: 6.2, tvl_usd: 80000000, health: 'healthy', source: 'live' }
+  }
+};
+
+// Hourly points at a flat APY per protocol over the first week
+const realizedApy = { venus: 5, pancake: 9, beefy: 10, aave: 6 };
+const series = (protocol) => Array.from({ length: 7 * 24 + 1 }, (_, i) => ({
+  timestamp: decidedAt + i * HOUR,
+  value: realizedApy[protocol],
+  source: 'defillama'
+}));
+
+describe('OutcomeEvaluator', () => {
+  let dataDir;
+  let evaluator;
+  let aiDecisionLogger;
+  let oracleService;
+
+  const decision = (overrides = {}) => ({
+    id: 'decision-1',
+    timestamp: decidedAt,
+    type: 'ai_decision',
+    expectedOutcome: {
+      strategy: 'pancake',
+      expectedApy: 12.4,
+      alternatives: [{ strategy: 'beefy', expectedApy: 8.7 }, { strategy: 'venus', expectedApy: 4.8 }]
+    },
+    ...overrides
+  });
+
+  const createEvaluator = (config = {}) => {
+    evaluator = new OutcomeEvaluator({
+      config: { checkInterval: HOUR, ...config },
+      dataDir,
+      oracleService,
+      strategyEngine: new StrategyEngine(),
+      aiDecisionLogger
+    });
+    return evaluator;
+  };
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aion-outcomes-'));
+    const decisions = new Map();
+    aiDecisionLogger = Object.assign(new EventEmitter(), {
+      decisions,
+      getDecision: (id) => decisions.get(id) || null,
+      logDecisionOutcome: jest.fn(async () => true)
+    });
+    oracleService = {
+      getHistoricalData: jest.fn(async (protocol) => series(protocol)),
+      getSnapshot: jest.fn(async () => snapshot)
+    };
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    await evaluator?.stop();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('should parse horizon durations', () => {
+    expect(parseDuration('24h')).toBe(DAY);
+    expect(parseDuration('7d')).toBe(7 * DAY);
+    expect(parseDuration('90m')).toBe(90 * 60 * 1000);
+    expect(() => parseDuration('1w')).toThrow('Invalid duration');
+  });
+
+  test('should build the expected outcome from a recommendation', () => {
+    const result = new StrategyEngine().recommend(snapshot, { riskTolerance: 'medium' });
+
+    const expected = expectedOutcomeFrom(result, { network: 'bscMainnet' });
+
+    expect(expected).toMatchObject({ strategy: result.recommendation, expectedApy: result.expectedApy, network: 'bscMainnet' });
+    expect(expected.alternatives.map((alt) => alt.strategy)).toEqual(
+      result.ranking.slice(1).map((entry) => entry.strategy)
+    );
+  });
+
+  test('should evaluate each horizon once it has elapsed', async () => {
+    jest.useFakeTimers({ now: decidedAt + HOUR });
+    createEvaluator();
+    await evaluator.start();
+    evaluator.track('decision-1', decision());
+
+    expect(await evaluator.evaluateDue()).toEqual([]);
+
+    jest.setSystemTime(decidedAt + DAY);
+    const [daily] = await evaluator.evaluateDue();
+    expect(daily).toMatchObject({ decisionId: 'decision-1', horizon: '24h' });
+    expect(evaluator.getStatus().pending).toBe(1);
+
+    jest.setSystemTime(decidedAt + 7 * DAY);
+    const [weekly] = await evaluator.evaluateDue();
+    expect(weekly.horizon).toBe('7d');
+    expect(evaluator.getStatus().pending).toBe(0);
+    expect(aiDecisionLogger.logDecisionOutcome).toHaveBeenCalledTimes(2);
+    expect(oracleService.getHistoricalData).toHaveBeenCalledWith('pancake', '24h');
+    expect(oracleService.getHistoricalData).toHaveBeenCalledWith('pancake', '30d');
+  });
+
+  test('should compare realized yield against the expected APY and the alternatives', async () => {
+    jest.useFakeTimers({ now: decidedAt + 7 * DAY });
+    createEvaluator({ horizons: ['7d'] });
+    evaluator.track('decision-1', decision());
+
+    const [evaluation] = await evaluator.evaluateDue();
+
+    expect(evaluation.chosen).toMatchObject({
+      strategy: 'pancake',
+      expectedApy: 12.4,
+      realizedApy: 9,
+      apyError: -3.4,
+      realizedYield: expect.closeTo(9 * 7 / 365, 4),
+      dataSource: 'historical'
+    });
+    expect(evaluation.bestAlternative).toBe('beefy');
+    expect(evaluation.rank).toBe(2);
+    expect(evaluation.outperformedAlternatives).toBe(false);
+    expect(evaluation.regret).toBeCloseTo((10 - 9) * 7 / 365, 4);
+    expect(aiDecisionLogger.logDecisionOutcome).toHaveBeenCalledWith('decision-1', expect.objectContaining({
+      type: 'realized_yield',
+      horizon: '7d',
+      chosen: expect.objectContaining({ realizedApy: 9 })
+    }));
+    expect(evaluation.recorded).toBe(true);
+  });
+
+  test('should fall back to the oracle snapshot when no history covers the window', async () => {
+    oracleService.getHistoricalData = jest.fn(async () => { throw new Error('DeFiLlama down'); });
+    jest.useFakeTimers({ now: decidedAt + DAY });
+    createEvaluator({ horizons: ['24h'] });
+    evaluator.track('decision-1', decision());
+
+    const [evaluation] = await evaluator.evaluateDue();
+
+    expect(evaluation.chosen).toMatchObject({ realizedApy: 12.4, apyError: 0, dataSource: 'snapshot', samples: 1 });
+    expect(evaluation.outperformedAlternatives).toBe(true);
+    expect(evaluation.regret).toBe(0);
+  });
+
+  test('should pick up decisions with an expected outcome as they are logged', async () => {
+    createEvaluator();
+    await evaluator.start();
+
+    aiDecisionLogger.decisions.set('decision-1', decision());
+    aiDecisionLogger.decisions.set('decision-2', decision({ id: 'decision-2', expectedOutcome: null }));
+    aiDecisionLogger.emit('decisionQueued', { decisionId: 'decision-1' });
+    aiDecisionLogger.emit('decisionQueued', { decisionId: 'decision-2' });
+
+    expect(evaluator.getStatus()).toMatchObject({ pending: 1, nextDue: decidedAt + DAY });
+    expect(() => evaluator.track('decision-3', { expectedOutcome: { strategy: 'venus' } }))
+      .toThrow('no expected strategy APY');
+  });
+
+  test('should keep pending decisions and evaluations across restarts', async () => {
+    jest.useFakeTimers({ now: decidedAt + DAY });
+    createEvaluator();
+    await evaluator.start();
+    evaluator.track('decision-1', decision());
+    await evaluator.evaluateDue();
+    await evaluator.stop();
+
+    const restored = createEvaluator();
+    await restored.start();
+
+    expect(restored.getStatus()).toMatchObject({ pending: 1, nextDue: decidedAt + 7 * DAY });
+    expect(restored.getEvaluations()).toHaveLength(1);
+    expect(restored.getStatus().byHorizon['24h']).toMatchObject({ count: 1, meanApyError: -3.4, hitRate: 0 });
+  });
+});
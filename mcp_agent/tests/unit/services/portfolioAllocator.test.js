@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Portfolio Allocator Unit Tests
+ * @description Tests for capped weight vectors, rebalance move planning and gas estimation
+ */
+
+import { ethers } from 'ethers';
+import { PortfolioAllocator, ADAPTER_CATALOG, IDLE } from '../../../services/portfolioAllocator.js';
+
+const snapshot = {
+  bnb_price_usd: 300,
+  protocols: {
+    aave: { apy: 6.2, tvl_usd: 80000000, health: 'healthy', source: 'live' },
+    beefy: { apy: 8.7, tvl_usd: 45000000, health: 'healthy', source: 'live' },
+    compound: { apy: 3.9, tvl_usd: 35000000, health: 'healthy', source: 'live' },
+    morpho: { apy: 5.6, tvl_usd: 25000000, health: 'healthy', source: 'live' },
+    pancake: { apy: 12.4, tvl_usd: 98000000, health: 'healthy', source: 'live' },
+    uniswap: { apy: 10.2, tvl_usd: 60000000, health: 'degraded', source: 'live' },
+    venus: { apy: 4.8, tvl_usd: 120000000, health: 'healthy', source: 'live' },
+    wombat: { apy: 7.1, tvl_usd: 18000000, health: 'healthy', source: 'live' }
+  }
+};
+
+const sum = (weights) => Object.values(weights).reduce((total, w) => total + w, 0);
+
+describe('PortfolioAllocator', () => {
+  test('should output a weight for every adapter that sums to one', async () => {
+    const allocator = new PortfolioAllocator();
+
+    const result = await allocator.allocate({ snapshot, riskTolerance: 'medium' });
+
+    expect(Object.keys(result.weights).sort()).toEqual([...Object.keys(ADAPTER_CATALOG), IDLE].sort());
+    expect(sum(result.weights)).toBeCloseTo(1, 3);
+    expect(result.allocation).toHaveLength(8);
+    expect(result.moves).toEqual([]);
+
+    const [best] = [...result.allocation].sort((a, b) => b.score - a.score);
+    expect(result.weights[best.adapter]).toBe(Math.max(...result.allocation.map(a => a.weight)));
+  });
+
+  test('should be deterministic for the same inputs', async () => {
+    const allocator = new PortfolioAllocator();
+
+    const a = await allocator.allocate({ snapshot, riskTolerance: 'high' });
+    const b = await allocator.allocate({ snapshot, riskTolerance: 'high' });
+
+    expect(a.weights).toEqual(b.weights);
+    expect(a.inputHash).toBe(b.inputHash);
+  });
+
+  test('should respect the global, vault and per-adapter caps', async () => {
+    const web3Service = { getVaultStats: async () => ({ maxAllocationBps: 3000 }) };
+    const allocator = new PortfolioAllocator({
+      web3Service,
+      config: { maxWeightPerAdapter: 0.4, adapterCaps: { pancake: 0.1 } }
+    });
+
+    const result = await allocator.allocate({ snapshot, riskTolerance: 'high' });
+
+    for (const entry of result.allocation) {
+      expect(entry.weight).toBeLessThanOrEqual(entry.cap);
+      expect(entry.cap).toBeLessThanOrEqual(0.3);
+    }
+    expect(result.weights.pancake).toBe(0.1);
+    expect(result.allocation.find(a => a.adapter === 'pancake').capped).toBe(true);
+    expect(sum(result.weights)).toBeCloseTo(1, 3);
+  });
+
+  test('should keep funds idle when caps cannot absorb the whole vault', async () => {
+    const onlyTwo = { ...snapshot, protocols: { aave: snapshot.protocols.aave, venus: snapshot.protocols.venus } };
+    const allocator = new PortfolioAllocator({ config: { maxWeightPerAdapter: 0.3 } });
+
+    const result = await allocator.allocate({ snapshot: onlyTwo });
+
+    expect(result.weights.aave).toBe(0.3);
+    expect(result.weights.venus).toBe(0.3);
+    expect(result.weights[IDLE]).toBeCloseTo(0.4, 4);
+    expect(result.allocation.find(a => a.adapter === 'morpho').excludedReason).toBe('no_oracle_data');
+  });
+
+  test('should exclude paused adapters and drop positions below the minimum weight', async () => {
+    const web3Service = {
+      getVaultStats: async () => { throw new Error('RPC down'); },
+      getAllStrategiesInfo: async () => ({ pancake: { paused: true }, venus: { paused: false } })
+    };
+    const allocator = new PortfolioAllocator({ web3Service, config: { minWeight: 0.1 } });
+
+    const result = await allocator.allocate({ snapshot, riskTolerance: 'low' });
+
+    expect(result.weights.pancake).toBe(0);
+    expect(result.allocation.find(a => a.adapter === 'pancake').excludedReason).toBe('adapter_paused');
+    for (const entry of result.allocation) {
+      expect(entry.weight === 0 || entry.weight >= 0.1).toBe(true);
+    }
+  });
+
+  test('should plan moves from the current allocation to the target', async () => {
+    const allocator = new PortfolioAllocator({ config: { maxWeightPerAdapter: 0.5, minMoveAmount: 0.001 } });
+
+    const result = await allocator.allocate({
+      snapshot,
+      riskTolerance: 'medium',
+      current: { venus: 6, compound: 2 },
+      totalAssets: 10
+    });
+
+    expect(result.current.weights).toEqual({ venus: 0.6, compound: 0.2, [IDLE]: 0.2 });
+
+    // Applying the moves lands on the target weights
+    const balances = { venus: 6, compound: 2, [IDLE]: 2 };
+    for (const move of result.moves) {
+      balances[move.from] = (balances[move.from] || 0) - move.amount;
+      balances[move.to] = (balances[move.to] || 0) + move.amount;
+      expect(move.type).toBe(move.from === IDLE ? 'deposit' : move.to === IDLE ? 'withdraw' : 'rebalance');
+    }
+    for (const [adapter, weight] of Object.entries(result.weights)) {
+      expect(balances[adapter] || 0).toBeCloseTo(weight * 10, 2);
+    }
+    expect(result.summary.moveCount).toBe(result.moves.length);
+    expect(result.expectedApy).toBeGreaterThan(result.current.expectedApy);
+  });
+
+  test('should estimate gas for each move through the gas optimizer', async () => {
+    const transactions = [];
+    const gasOptimizer = {
+      estimateGas: async (network, transaction, options) => {
+        transactions.push({ network, transaction, options });
+        return { gasLimit: 400000n, gasPrice: ethers.parseUnits('3', 'gwei') };
+      }
+    };
+    const web3Service = {
+      getVaultStats: async () => ({ maxAllocationBps: 9000 }),
+      mainnetContracts: {
+        aionVault: '0xB176c1FA7B3feC56cB23681B6E447A7AE60C5254',
+        strategies: { venus: '0x9D20A69E95CFEc37E5BC22c0D4218A705d90EdcB' }
+      }
+    };
+    const allocator = new PortfolioAllocator({ gasOptimizer, web3Service });
+
+    const result = await allocator.allocate({ snapshot, network: 'bscMainnet', current: { venus: 10 } });
+
+    expect(result.moves.length).toBeGreaterThan(0);
+    expect(transactions).toHaveLength(result.moves.length);
+    expect(transactions[0].transaction.to).toBe(web3Service.mainnetContracts.aionVault);
+    expect(transactions[0].options).toEqual({ strategy: 'standard' });
+    expect(result.moves[0].gas).toEqual({
+      gasLimit: 400000,
+      gasPriceGwei: 3,
+      costBnb: 0.0012,
+      costUsd: 0.36,
+      source: 'gas-optimizer'
+    });
+    expect(result.summary.gasCostBnb).toBeCloseTo(0.0012 * result.moves.length, 8);
+  });
+
+  test('should fall back to default gas when estimation fails', async () => {
+    const gasOptimizer = { estimateGas: async () => { throw new Error('no provider'); } };
+    const allocator = new PortfolioAllocator({ gasOptimizer });
+
+    const result = await allocator.allocate({ snapshot, current: { venus: 10 } });
+
+    expect(result.moves[0].gas.source).toBe('default');
+    expect(result.moves[0].gas.gasLimit).toBe(350000);
+  });
+
+  test('should reject unknown adapters in the current allocation', async () => {
+    const allocator = new PortfolioAllocator();
+
+    await expect(allocator.allocate({ snapshot, current: { curve: 1 } }))
+      .rejects.toThrow('Unknown adapter in current allocation: curve');
+  });
+});
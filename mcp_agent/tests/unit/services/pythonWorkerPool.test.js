@@ -0,0 +1,189 @@
+/**
+ * @fileoverview Python Worker Pool Unit Tests
+ * @description Tests for JSON-RPC dispatch, concurrency, respawn and shutdown with fake worker processes
+ */
+
+import { EventEmitter } from 'events';
+import { PassThrough } from 'stream';
+import readline from 'readline';
+import { PythonWorkerPool } from '../../../services/pythonWorkerPool.js';
+
+/**
+ * Fake child process answering JSON-RPC lines through `handler(message, child)`
+ */
+function createFakeSpawn(handler) {
+  const children = [];
+
+  const spawn = () => {
+    const child = new EventEmitter();
+    child.pid = 1000 + children.length;
+    child.stdin = new PassThrough();
+    child.stdout = new PassThrough();
+    child.stderr = new PassThrough();
+    child.exitCode = null;
+    child.signalCode = null;
+    child.received = [];
+
+    child.exit = (code, signal = null) => {
+      if (child.exitCode !== null || child.signalCode !== null) return;
+      child.exitCode = code;
+      child.signalCode = signal;
+      child.stdout.end();
+      setImmediate(() => child.emit('close', code, signal));
+    };
+    child.kill = (signal = 'SIGTERM') => child.exit(null, signal);
+    child.respond = (message) => child.stdout.write(`${JSON.stringify(message)}\n`);
+
+    readline.createInterface({ input: child.stdin }).on('line', (line) => {
+      const message = JSON.parse(line);
+      child.received.push(message);
+      handler(message, child);
+    });
+    child.stdin.on('finish', () => child.exit(0));
+
+    children.push(child);
+    return child;
+  };
+
+  return { spawn, children };
+}
+
+const echo = (message, child) => {
+  child.respond({ jsonrpc: '2.0', id: message.id, result: { method: message.method, params: message.params } });
+};
+
+describe('PythonWorkerPool', () => {
+  let pool;
+
+  const createPool = (handler, options = {}) => {
+    const fake = createFakeSpawn(handler);
+    pool = new PythonWorkerPool({
+      scriptPath: 'bridge.py',
+      size: 2,
+      respawnDelay: 5,
+      pingInterval: 60000,
+      spawn: fake.spawn,
+      ...options
+    });
+    return fake;
+  };
+
+  afterEach(async () => {
+    await pool?.stop();
+  });
+
+  test('should match responses to requests by id', async () => {
+    const { children } = createPool(echo);
+    await pool.start();
+
+    const [a, b] = await Promise.all([
+      pool.call('predict', { strategy: 'venus' }),
+      pool.call('analyze', { market: 'bnb' })
+    ]);
+
+    expect(a).toEqual({ method: 'predict', params: { strategy: 'venus' } });
+    expect(b).toEqual({ method: 'analyze', params: { market: 'bnb' } });
+    expect(children).toHaveLength(2);
+    expect(pool.getStats().metrics.completed).toBe(2);
+  });
+
+  test('should surface JSON-RPC errors with their code', async () => {
+    createPool((message, child) => {
+      child.respond({ jsonrpc: '2.0', id: message.id, error: { code: -32601, message: 'Method not found: nope' } });
+    });
+    await pool.start();
+
+    await expect(pool.call('nope')).rejects.toMatchObject({ code: -32601, message: 'Method not found: nope' });
+  });
+
+  test('should limit in-flight requests per worker and queue the rest', async () => {
+    const held = [];
+    const { children } = createPool((message, child) => held.push(() => echo(message, child)), { size: 1 });
+    await pool.start();
+
+    const calls = [pool.call('analyze'), pool.call('predict'), pool.call('optimize')];
+    await new Promise(setImmediate);
+
+    expect(children[0].received).toHaveLength(1);
+    expect(pool.getStats().queued).toBe(2);
+
+    while (held.length > 0 || children[0].received.length < 3) {
+      await new Promise(setImmediate);
+      held.shift()?.();
+    }
+
+    await expect(Promise.all(calls)).resolves.toHaveLength(3);
+  });
+
+  test('should reject requests when the queue is full', async () => {
+    createPool(() => {}, { size: 1, maxQueueSize: 1 });
+    await pool.start();
+
+    pool.call('analyze').catch(() => {});
+    pool.call('predict').catch(() => {});
+
+    await expect(pool.call('optimize')).rejects.toThrow('Python worker queue is full');
+    expect(pool.getStats().metrics.rejected).toBe(1);
+  });
+
+  test('should time out stuck requests and restart the worker', async () => {
+    const { children } = createPool(() => {}, { size: 1, requestTimeout: 20 });
+    await pool.start();
+
+    await expect(pool.call('analyze')).rejects.toThrow('Python worker timeout after 20ms (analyze)');
+    expect(children[0].signalCode).toBe('SIGKILL');
+  });
+
+  test('should respawn crashed workers and retry their requests', async () => {
+    let crashed = false;
+    const { children } = createPool((message, child) => {
+      if (!crashed) {
+        crashed = true;
+        child.exit(1);
+        return;
+      }
+      echo(message, child);
+    }, { size: 1 });
+    const respawned = new Promise(resolve => pool.once('workerRespawned', resolve));
+    await pool.start();
+
+    const result = await pool.call('predict');
+
+    expect(result.method).toBe('predict');
+    await respawned;
+    expect(children).toHaveLength(2);
+    expect(pool.getStats().metrics.respawns).toBe(1);
+  });
+
+  test('should ping idle workers', async () => {
+    const { children } = createPool(echo, { size: 1, pingInterval: 10 });
+    await pool.start();
+
+    await new Promise(resolve => setTimeout(resolve, 40));
+
+    expect(children[0].received.some(m => m.method === 'ping')).toBe(true);
+    expect(pool.getStats().workers[0].lastPong).not.toBeNull();
+    expect(pool.getStats().metrics.completed).toBe(0);
+  });
+
+  test('should drain in-flight requests on stop and reject queued ones', async () => {
+    const held = [];
+    const { children } = createPool((message, child) => held.push(() => echo(message, child)), { size: 1 });
+    await pool.start();
+
+    const inFlight = pool.call('analyze');
+    const queued = pool.call('predict');
+    await new Promise(setImmediate);
+
+    const stopping = pool.stop();
+    await expect(queued).rejects.toThrow('shutting down');
+
+    held.shift()();
+    await expect(inFlight).resolves.toMatchObject({ method: 'analyze' });
+    await stopping;
+
+    expect(children[0].exitCode).toBe(0);
+    expect(pool.getStats().state).toBe('stopped');
+    await expect(pool.call('analyze')).rejects.toThrow('not running');
+  });
+});
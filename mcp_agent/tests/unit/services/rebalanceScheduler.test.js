@@ -0,0 +1,246 @@
+/**
+ * @fileoverview Rebalance Scheduler Unit Tests
+ * @description Tests for cron parsing, the scheduled decision pipeline, pause/resume and persisted history
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { RebalanceScheduler, RUN_STATUS, parseCron, nextCronTime } from '../../../services/rebalanceScheduler.js';
+import { StrategyEngine } from '../../../services/strategyEngine.js';
+import { ExecutionGuardrails } from '../../../services/executionGuardrails.js';
+import { ApprovalQueue, APPROVAL_STATUS } from '../../../services/approvalQueue.js';
+
+const snapshot = {
+  bnb_price_usd: 300,
+  protocols: {
+    venus: { apy: 4.8, tvl_usd: 120000000, health: 'healthy', source: 'live' },
+    pancake: { apy: 12.4, tvl_usd: 98000000, health: 'healthy', source: 'live' },
+    beefy: { apy: 8.7, tvl_usd: 45000000, health: 'healthy', source: 'live' },
+    aave: { apy: 6.2, tvl_usd: 80000000, health: 'healthy', source: 'live' }
+  }
+};
+
+describe('cron schedules', () => {
+  const at = (iso) => Date.parse(iso);
+
+  test('should find the next matching minute in UTC', () => {
+    expect(nextCronTime(parseCron('0 * * * *'), at('2025-01-01T10:15:30Z'))).toBe(at('2025-01-01T11:00:00Z'));
+    expect(nextCronTime(parseCron('*/15 * * * *'), at('2025-01-01T10:15:00Z'))).toBe(at('2025-01-01T10:30:00Z'));
+    expect(nextCronTime(parseCron('30 9-17/4 * * 1-5'), at('2025-01-03T18:00:00Z'))).toBe(at('2025-01-06T09:30:00Z'));
+    expect(nextCronTime(parseCron('@daily'), at('2025-12-31T23:59:00Z'))).toBe(at('2026-01-01T00:00:00Z'));
+  });
+
+  test('should match either day field when both are restricted', () => {
+    // 15th of the month or any Sunday
+    expect(nextCronTime(parseCron('0 0 15 * 7'), at('2025-01-01T00:00:00Z'))).toBe(at('2025-01-05T00:00:00Z'));
+  });
+
+  test('should reject invalid expressions', () => {
+    expect(() => parseCron('* * * *')).toThrow('expected 5 fields');
+    expect(() => parseCron('61 * * * *')).toThrow('out of range');
+    expect(() => parseCron('* * * * mon')).toThrow('Invalid cron dayOfWeek field');
+  });
+});
+
+describe('RebalanceScheduler', () => {
+  let dataDir;
+  let scheduler;
+  let aiDecisionLogger;
+  let executor;
+
+  const createScheduler = (config = {}, options = {}) => {
+    scheduler = new RebalanceScheduler({
+      config: { currentStrategy: 'venus', amount: 1, schedules: [{ name: 'hourly', cron: '0 * * * *' }], ...config },
+      dataDir,
+      oracleService: { getSnapshot: async () => snapshot },
+      strategyEngine: new StrategyEngine(),
+      guardrails: new ExecutionGuardrails({ config: { minConfidence: 0.5 }, dataDir }),
+      aiDecisionLogger,
+      executor,
+      ...options
+    });
+    return scheduler;
+  };
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aion-scheduler-'));
+    aiDecisionLogger = {
+      logDecision: jest.fn(async () => 'decision-1'),
+      logDecisionOutcome: jest.fn(async () => true)
+    };
+    executor = jest.fn(async () => ({ txHash: '0xabc', gasUsed: '210000' }));
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    await scheduler?.stop();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('should dry-run a rebalance by default without executing', async () => {
+    createScheduler();
+    await scheduler.start();
+
+    const run = await scheduler.trigger();
+
+    expect(run.status).toBe(RUN_STATUS.DRY_RUN);
+    expect(run.plan).toMatchObject({ fromStrategy: 'venus', toStrategy: run.decision.recommendation, amount: 1 });
+    expect(run.decisionId).toBe('decision-1');
+    expect(executor).not.toHaveBeenCalled();
+    expect(scheduler.getStatus().currentStrategy).toBe('venus');
+  });
+
+  test('should submit the rebalance and log the outcome when not in dry-run mode', async () => {
+    createScheduler({ dryRun: false });
+    await scheduler.start();
+
+    const run = await scheduler.trigger('hourly');
+
+    expect(run.status).toBe(RUN_STATUS.EXECUTED);
+    expect(executor).toHaveBeenCalledWith(expect.objectContaining({ fromStrategy: 'venus', amount: 1 }));
+    expect(aiDecisionLogger.logDecisionOutcome).toHaveBeenCalledWith('decision-1', expect.objectContaining({ success: true, txHash: '0xabc' }));
+    expect(scheduler.getStatus().currentStrategy).toBe(run.decision.recommendation);
+
+    // Already on the best strategy: nothing to do
+    expect((await scheduler.trigger('hourly')).status).toBe(RUN_STATUS.NO_ACTION);
+  });
+
+  test('should let the shadow model decide on every scheduled run', async () => {
+    const shadowEvaluator = { shadow: jest.fn(async () => null) };
+    createScheduler({ dryRun: false }, { shadowEvaluator });
+    await scheduler.start();
+
+    await scheduler.trigger();
+    await scheduler.trigger();
+
+    expect(shadowEvaluator.shadow).toHaveBeenCalledTimes(2);
+    expect(shadowEvaluator.shadow).toHaveBeenNthCalledWith(1, expect.objectContaining({
+      snapshot,
+      params: { currentStrategy: 'venus', amount: 1, riskTolerance: expect.any(String) },
+      productionDecisionId: 'decision-1',
+      source: 'scheduler'
+    }));
+    expect(shadowEvaluator.shadow.mock.calls[1][0].productionDecisionId).toBeNull();
+  });
+
+  test('should archive the snapshot of every logged decision', async () => {
+    const snapshotArchive = { archive: jest.fn(async () => ({ hash: 'a'.repeat(64) })) };
+    createScheduler({}, { snapshotArchive });
+    await scheduler.start();
+
+    const run = await scheduler.trigger();
+
+    expect(snapshotArchive.archive).toHaveBeenCalledWith(expect.objectContaining({ snapshot, params: expect.objectContaining({ currentStrategy: 'venus' }) }));
+    expect(run.snapshotHash).toBe('a'.repeat(64));
+    expect(aiDecisionLogger.logDecision).toHaveBeenCalledWith(expect.objectContaining({
+      context: expect.objectContaining({ snapshotHash: 'a'.repeat(64), engineVersion: run.decision.engineVersion })
+    }));
+  });
+
+  test('should record guardrail rejections without executing', async () => {
+    createScheduler({ dryRun: false, amount: 100 });
+    await scheduler.start();
+
+    const run = await scheduler.trigger();
+
+    expect(run.status).toBe(RUN_STATUS.REJECTED);
+    expect(run.guardrails.reasons.map(r => r.code)).toContain('transaction_limit_exceeded');
+    expect(aiDecisionLogger.logDecision).toHaveBeenCalledWith(expect.objectContaining({ type: 'scheduled_rebalance' }));
+    expect(executor).not.toHaveBeenCalled();
+  });
+
+  test('should record failures from the pipeline', async () => {
+    executor = jest.fn(async () => { throw new Error('execution reverted'); });
+    createScheduler({ dryRun: false });
+    await scheduler.start();
+
+    const run = await scheduler.trigger();
+
+    expect(run.status).toBe(RUN_STATUS.FAILED);
+    expect(run.error).toBe('execution reverted');
+    expect(scheduler.guardrails.getStatus().circuitBreakers[run.decision.recommendation].failures).toBe(1);
+  });
+
+  test('should hold rebalances above the approval threshold until approved', async () => {
+    const approvalQueue = new ApprovalQueue({
+      config: { thresholds: { amount: 0.5, riskScore: null, minConfidence: null } },
+      dataDir
+    });
+    await approvalQueue.start();
+    createScheduler({ dryRun: false }, { approvalQueue });
+    await scheduler.start();
+
+    const run = await scheduler.trigger();
+
+    expect(run.status).toBe(RUN_STATUS.AWAITING_APPROVAL);
+    expect(executor).not.toHaveBeenCalled();
+    expect(scheduler.guardrails.getStatus().reserved).toBe(0);
+
+    const approval = await approvalQueue.approve(run.approvalId, { userId: 'approver-1', username: 'approver' });
+
+    expect(approval.status).toBe(APPROVAL_STATUS.EXECUTED);
+    expect(executor).toHaveBeenCalledWith(expect.objectContaining({ fromStrategy: 'venus', toStrategy: run.decision.recommendation }));
+    expect(aiDecisionLogger.logDecisionOutcome).toHaveBeenCalledWith('decision-1', expect.objectContaining({ success: true }));
+    expect(scheduler.getStatus().currentStrategy).toBe(run.decision.recommendation);
+    await approvalQueue.stop();
+  });
+
+  test('should skip a run while another is in progress', async () => {
+    let release;
+    createScheduler({}, {
+      oracleService: { getSnapshot: () => new Promise(resolve => { release = () => resolve(snapshot); }) }
+    });
+    await scheduler.start();
+
+    const first = scheduler.trigger();
+    const second = await scheduler.trigger();
+    release();
+
+    expect(second.status).toBe(RUN_STATUS.SKIPPED);
+    expect((await first).status).toBe(RUN_STATUS.DRY_RUN);
+  });
+
+  test('should fire on schedule and stop firing while paused', async () => {
+    jest.useFakeTimers({ now: Date.parse('2025-01-01T10:59:00Z') });
+    createScheduler({ enabled: true });
+    await scheduler.start();
+
+    expect(scheduler.getStatus().schedules[0].nextRun).toBe('2025-01-01T11:00:00.000Z');
+
+    const fired = new Promise(resolve => scheduler.once('run', resolve));
+    await jest.advanceTimersByTimeAsync(60 * 1000);
+    expect((await fired).trigger).toBe('cron');
+
+    await scheduler.pause('hourly');
+    expect(scheduler.getStatus().schedules[0]).toMatchObject({ paused: true, nextRun: null });
+    await jest.advanceTimersByTimeAsync(2 * 60 * 60 * 1000);
+    expect(scheduler.getRuns()).toHaveLength(1);
+
+    await scheduler.resume('hourly');
+    expect(scheduler.getStatus().schedules[0].nextRun).not.toBeNull();
+  });
+
+  test('should persist history and pause state across restarts', async () => {
+    createScheduler({ dryRun: false });
+    await scheduler.start();
+    await scheduler.trigger();
+    await scheduler.pause();
+    await scheduler.stop();
+
+    const restored = createScheduler({ dryRun: false });
+    await restored.start();
+
+    expect(restored.getStatus()).toMatchObject({ paused: true, totalRuns: 1 });
+    expect(restored.getRuns()[0].status).toBe(RUN_STATUS.EXECUTED);
+    expect(restored.getStatus().currentStrategy).toBe(restored.getRuns()[0].decision.recommendation);
+  });
+
+  test('should reject unknown schedules', async () => {
+    createScheduler();
+    await scheduler.start();
+
+    await expect(scheduler.trigger('nightly')).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Shadow Evaluator Unit Tests
+ * @description Tests for candidate engines, agreement tracking, the comparison report and persistence
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { ShadowEvaluator } from '../../../services/shadowEvaluator.js';
+import { StrategyEngine } from '../../../services/strategyEngine.js';
+
+const snapshot = {
+  bnb_price_usd: 300,
+  protocols: {
+    venus: { apy: 4.8, tvl_usd: 120000000, health: 'healthy', source: 'live' },
+    pancake: { apy: 12.4, tvl_usd: 98000000, health: 'healthy', source: 'live' },
+    beefy: { apy: 8.7, tvl_usd: 45000000, health: 'healthy', source: 'live' },
+    aave: { apy: 6.2, tvl_usd: 80000000, health: 'healthy', source: 'live' }
+  }
+};
+
+const params = { currentStrategy: 'venus', amount: 1, riskTolerance: 'medium' };
+
+describe('ShadowEvaluator', () => {
+  let dataDir;
+  let models;
+  let modelMetadataManager;
+  let outcomeEvaluator;
+  let production;
+
+  const createEvaluator = (config = {}) => new ShadowEvaluator({
+    config: { enabled: true, modelId: 'candidate', ...config },
+    dataDir,
+    modelMetadataManager,
+    outcomeEvaluator
+  });
+
+  const registerCandidate = (parameters, checksum = 'sha-1') => {
+    models.set('candidate', { modelId: 'candidate', version: '2.0.0', checksum, status: 'candidate', parameters });
+  };
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aion-shadow-'));
+    models = new Map();
+    modelMetadataManager = { retrieveModelMetadata: jest.fn(async (modelId) => models.get(modelId) || null) };
+    outcomeEvaluator = { getEvaluations: jest.fn(() => []) };
+    production = new StrategyEngine().recommend(snapshot, params);
+  });
+
+  afterEach(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('should store a shadow decision that agrees with production for identical parameters', async () => {
+    registerCandidate({});
+    const evaluator = createEvaluator();
+
+    const record = await evaluator.shadow({ snapshot, params, production, productionDecisionId: 'decision-1' });
+
+    expect(record).toMatchObject({
+      shadow: true,
+      source: 'api',
+      model: { modelId: 'candidate', version: '2.0.0', checksum: 'sha-1' },
+      production: { decisionId: 'decision-1', recommendation: production.recommendation },
+      decision: { recommendation: production.recommendation, inputHash: production.inputHash },
+      agree: true,
+      expectedApyDelta: 0
+    });
+  });
+
+  test('should build the candidate engine from the model parameters', async () => {
+    registerCandidate({ riskAversion: { medium: 5 } });
+    const evaluator = createEvaluator();
+
+    const record = await evaluator.shadow({ snapshot, params, production, source: 'scheduler' });
+
+    expect(production.recommendation).toBe('pancakeswap');
+    expect(record.decision.recommendation).not.toBe('pancakeswap');
+    expect(record.agree).toBe(false);
+
+    // The engine is rebuilt only when the registered model changes
+    await evaluator.shadow({ snapshot, params, production });
+    expect(evaluator.candidate.engine.riskAversion.medium).toBe(5);
+    registerCandidate({}, 'sha-2');
+    expect((await evaluator.shadow({ snapshot, params, production })).agree).toBe(true);
+  });
+
+  test('should do nothing when disabled or without a candidate', async () => {
+    registerCandidate({});
+
+    expect(await createEvaluator({ enabled: false }).shadow({ snapshot, params, production })).toBeNull();
+    expect(await createEvaluator({ modelId: null }).shadow({ snapshot, params, production })).toBeNull();
+    await expect(createEvaluator({ modelId: 'missing' }).shadow({ snapshot, params, production }))
+      .rejects.toThrow('Shadow model missing is not registered');
+  });
+
+  test('should compare realized yields of the shadow and production picks', async () => {
+    registerCandidate({ riskAversion: { medium: 5 } });
+    const evaluator = createEvaluator();
+    const record = await evaluator.shadow({ snapshot, params, production, productionDecisionId: 'decision-1' });
+    await evaluator.shadow({ snapshot, params, production, source: 'scheduler' });
+
+    outcomeEvaluator.getEvaluations.mockImplementation(({ decisionId }) => (decisionId !== 'decision-1' ? [] : [{
+      horizon: '24h',
+      chosen: { strategy: 'pancakeswap', realizedYield: 0.02 },
+      alternatives: [
+        { strategy: record.decision.recommendation, realizedYield: 0.05 },
+        { strategy: 'other', realizedYield: 0.01 }
+      ]
+    }]));
+
+    const report = await evaluator.getReport();
+
+    expect(report).toMatchObject({
+      modelId: 'candidate',
+      decisions: 2,
+      agreements: 0,
+      agreementRate: 0,
+      bySource: { api: 1, scheduler: 1 },
+      disagreements: { [`pancakeswap->${record.decision.recommendation}`]: 2 },
+      outcomes: { '24h': { compared: 1, shadowBetter: 1, productionBetter: 0, equal: 0, meanYieldDelta: 0.03 } }
+    });
+    expect(outcomeEvaluator.getEvaluations).toHaveBeenCalledWith(expect.objectContaining({ decisionId: 'decision-1' }));
+  });
+
+  test('should keep shadow decisions across restarts', async () => {
+    registerCandidate({});
+    const record = await createEvaluator().shadow({ snapshot, params, production });
+
+    const restored = createEvaluator();
+    const next = await restored.shadow({ snapshot, params, production });
+
+    expect((await restored.getRecords()).map((r) => r.id)).toEqual([next.id, record.id]);
+    expect(next.id).not.toBe(record.id);
+  });
+});
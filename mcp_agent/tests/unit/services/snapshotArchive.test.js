@@ -0,0 +1,178 @@
+/**
+ * @fileoverview Snapshot Archive Unit Tests
+ * @description Tests for content-addressed archiving, HFS upload, tamper detection and decision replay
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { SnapshotArchive, hashPayload } from '../../../services/snapshotArchive.js';
+import { StrategyEngine, ENGINE_VERSION } from '../../../services/strategyEngine.js';
+
+const snapshot = {
+  network: 'bscMainnet',
+  bnb_price_usd: 300,
+  protocols: {
+    venus: { apy: 4.8, tvl_usd: 120000000, health: 'healthy', source: 'live' },
+    pancake: { apy: 12.4, tvl_usd: 98000000, health: 'healthy', source: 'live' },
+    beefy: { apy: 8.7, tvl_usd: 45000000, health: 'healthy', source: 'live' },
+    aave: { apy: 6.2, tvl_usd: 80000000, health: 'healthy', source: 'fallback' }
+  }
+};
+
+const params = { currentStrategy: 'venus', amount: 1, riskTolerance: 'medium' };
+
+describe('SnapshotArchive', () => {
+  let dataDir;
+  let web3Service;
+  let modelMetadataManager;
+  let strategyEngine;
+
+  const createArchive = (config = {}, options = {}) => new SnapshotArchive({
+    config,
+    dataDir,
+    strategyEngine,
+    modelMetadataManager,
+    web3Service,
+    ...options
+  });
+
+  // A decision as AIDecisionLogger stores it
+  const decisionFor = (archived, overrides = {}) => {
+    const result = strategyEngine.recommend(snapshot, params);
+    return {
+      id: 'decision-1',
+      strategy: result.recommendation,
+      confidence: result.confidence,
+      context: { inputHash: result.inputHash, engineVersion: ENGINE_VERSION, snapshotHash: archived.hash },
+      metadata: { modelId: 'model-1', modelVersion: '1.0.0', modelChecksum: 'sha-1' },
+      ...overrides
+    };
+  };
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aion-snapshots-'));
+    strategyEngine = new StrategyEngine();
+    web3Service = {
+      getNetworkStatus: jest.fn(async () => ({ gasPrice: '3000000000', blockNumber: 123 })),
+      getVaultStats: jest.fn(async () => ({ totalAssets: '1000', totalShares: '900', paused: false }))
+    };
+    modelMetadataManager = {
+      retrieveModelMetadata: jest.fn(async () => ({ modelId: 'model-1', version: '1.0.0', checksum: 'sha-1' }))
+    };
+  });
+
+  afterEach(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('should store the full input under its content hash', async () => {
+    const archive = createArchive();
+
+    const archived = await archive.archive({ snapshot, params, network: 'bscMainnet' });
+
+    expect(archived.hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(archived.hash).toBe(hashPayload(archived.payload));
+    expect(archived.payload).toMatchObject({
+      network: 'bscMainnet',
+      oracle: snapshot,
+      params,
+      gas: { gasPriceWei: '3000000000', blockNumber: 123 },
+      vault: { totalAssets: '1000', totalShares: '900' }
+    });
+    expect((await archive.get(archived.hash)).payload).toEqual(archived.payload);
+    expect(await createArchive({ enabled: false }).archive({ snapshot, params })).toBeNull();
+  });
+
+  test('should archive identical inputs captured at different times once', async () => {
+    web3Service.getVaultStats.mockImplementation(async () => ({ totalAssets: '1000', timestamp: new Date().toISOString() }));
+    const archive = createArchive();
+
+    const first = await archive.archive({ snapshot, params, network: 'bscMainnet' });
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    const second = await archive.archive({ snapshot, params, network: 'bscMainnet' });
+
+    expect(second.hash).toBe(first.hash);
+    expect(second.archivedAt).toBe(first.archivedAt);
+    expect(await fs.readdir(dataDir)).toHaveLength(1);
+  });
+
+  test('should archive without gas or vault data when they cannot be read', async () => {
+    web3Service.getVaultStats.mockRejectedValue(new Error('rpc down'));
+
+    const archived = await createArchive().archive({ snapshot, params, network: 'bscMainnet' });
+
+    expect(archived.payload.vault).toBeNull();
+    expect(archived.payload.gas).not.toBeNull();
+  });
+
+  test('should detect archives whose content no longer matches the hash', async () => {
+    const archive = createArchive();
+    const archived = await archive.archive({ snapshot, params });
+
+    const file = path.join(dataDir, `${archived.hash}.json`);
+    const record = JSON.parse(await fs.readFile(file, 'utf8'));
+    record.payload.oracle.protocols.venus.apy = 40;
+    await fs.writeFile(file, JSON.stringify(record));
+
+    await expect(archive.get(archived.hash)).rejects.toMatchObject({ statusCode: 409 });
+    await expect(archive.get('0'.repeat(64))).rejects.toMatchObject({ statusCode: 404 });
+    await expect(archive.get('../../etc/passwd')).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('should upload the canonical payload to HFS in chunks', async () => {
+    const hederaService = {
+      createFile: jest.fn(async () => ({ fileId: '0.0.5005' })),
+      appendFile: jest.fn(async () => ({ success: true }))
+    };
+    const archive = createArchive({ uploadToHfs: true, hfsChunkSize: 256 }, { hederaService });
+
+    const archived = await archive.archive({ snapshot, params });
+
+    expect(archived.hfsFileId).toBe('0.0.5005');
+    const uploaded = Buffer.concat([
+      hederaService.createFile.mock.calls[0][0],
+      ...hederaService.appendFile.mock.calls.map(([, chunk]) => chunk)
+    ]);
+    expect(hederaService.appendFile.mock.calls.length).toBeGreaterThan(0);
+    expect(hashPayload(JSON.parse(uploaded.toString('utf8')))).toBe(archived.hash);
+  });
+
+  test('should reproduce a decision from its archived snapshot', async () => {
+    const archive = createArchive();
+    const archived = await archive.archive({ snapshot, params });
+
+    const replay = await archive.replay(decisionFor(archived));
+
+    expect(replay.reproduced).toBe(true);
+    expect(replay.checks.map((c) => c.field)).toEqual(['engineVersion', 'inputHash', 'recommendation', 'confidence', 'modelChecksum']);
+    expect(replay.replay.recommendation).toBe('pancakeswap');
+  });
+
+  test('should replay on an engine built from the recorded model parameters', async () => {
+    const parameters = { marginScale: 10 };
+    modelMetadataManager.retrieveModelMetadata.mockResolvedValue({ modelId: 'model-1', version: '1.0.0', checksum: 'sha-1', parameters });
+    const archive = createArchive();
+    const archived = await archive.archive({ snapshot, params });
+    const recorded = new StrategyEngine(parameters).recommend(snapshot, params);
+
+    const replay = await archive.replay(decisionFor(archived, { confidence: recorded.confidence }));
+
+    expect(recorded.confidence).not.toBe(strategyEngine.recommend(snapshot, params).confidence);
+    expect(replay.reproduced).toBe(true);
+    expect(replay.replay.confidence).toBe(recorded.confidence);
+  });
+
+  test('should report the checks that do not reproduce', async () => {
+    const archive = createArchive();
+    const archived = await archive.archive({ snapshot, params });
+    modelMetadataManager.retrieveModelMetadata.mockResolvedValue({ modelId: 'model-1', checksum: 'sha-2' });
+
+    const replay = await archive.replay(decisionFor(archived, { strategy: 'venus' }));
+
+    expect(replay.reproduced).toBe(false);
+    expect(replay.checks.filter((c) => !c.match).map((c) => c.field)).toEqual(['recommendation', 'modelChecksum']);
+    await expect(archive.replay({ id: 'decision-2', context: {} })).rejects.toMatchObject({ statusCode: 422 });
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Strategy Engine Unit Tests
+ * @description Tests for deterministic strategy scoring and ranking
+ */
+
+import { StrategyEngine, ENGINE_VERSION } from '../../../services/strategyEngine.js';
+
+describe('StrategyEngine', () => {
+  let engine;
+
+  const snapshot = {
+    network: 'bscMainnet',
+    bnb_price_usd: 300,
+    protocols: {
+      venus: { apy: 4.8, tvl_usd: 120000000, health: 'healthy', source: 'defillama' },
+      pancake: { apy: 12.4, tvl_usd: 98000000, health: 'healthy', source: 'defillama' },
+      beefy: { apy: 8.7, tvl_usd: 45000000, health: 'healthy', source: 'beefy-api' },
+      aave: { apy: 6.2, tvl_usd: 78000000, health: 'healthy', source: 'fallback' }
+    },
+    last_updated: '2025-01-01T00:00:00.000Z'
+  };
+
+  beforeEach(() => {
+    engine = new StrategyEngine();
+  });
+
+  describe('Determinism', () => {
+    test('should return identical results for identical inputs', () => {
+      const params = { amount: '10', riskTolerance: 'medium', currentStrategy: 'venus' };
+
+      const first = engine.recommend(snapshot, params);
+      const second = engine.recommend(snapshot, params);
+
+      expect(second).toEqual(first);
+      expect(first.engineVersion).toBe(ENGINE_VERSION);
+    });
+
+    test('should ignore snapshot timestamps when hashing inputs', () => {
+      const params = { amount: '10', riskTolerance: 'medium' };
+      const later = { ...snapshot, last_updated: '2025-06-01T00:00:00.000Z' };
+
+      expect(engine.recommend(later, params).inputHash)
+        .toBe(engine.recommend(snapshot, params).inputHash);
+    });
+
+    test('should change the input hash when market data changes', () => {
+      const params = { amount: '10', riskTolerance: 'medium' };
+      const changed = {
+        ...snapshot,
+        protocols: { ...snapshot.protocols, venus: { ...snapshot.protocols.venus, apy: 5 } }
+      };
+
+      expect(engine.recommend(changed, params).inputHash)
+        .not.toBe(engine.recommend(snapshot, params).inputHash);
+    });
+  });
+
+  describe('Ranking', () => {
+    test('should rank every strategy with usable data', () => {
+      const result = engine.recommend(snapshot, { riskTolerance: 'medium' });
+
+      expect(result.ranking.map(r => r.strategy).sort())
+        .toEqual(['aave', 'beefy', 'pancakeswap', 'venus']);
+      expect(result.ranking[0].strategy).toBe(result.recommendation);
+
+      for (let i = 1; i < result.ranking.length; i++) {
+        expect(result.ranking[i - 1].score).toBeGreaterThanOrEqual(result.ranking[i].score);
+      }
+    });
+
+    test('should prefer lower risk strategies for low risk tolerance', () => {
+      const high = engine.recommend(snapshot, { riskTolerance: 'high' });
+      const low = engine.recommend(snapshot, { riskTolerance: 'low' });
+
+      expect(high.recommendation).toBe('pancakeswap');
+      expect(low.riskScore).toBeLessThan(high.riskScore);
+    });
+
+    test('should penalize degraded protocols', () => {
+      const degraded = {
+        ...snapshot,
+        protocols: { ...snapshot.protocols, pancake: { ...snapshot.protocols.pancake, health: 'degraded' } }
+      };
+
+      const result = engine.recommend(degraded, { riskTolerance: 'high' });
+      const pancake = result.ranking.find(r => r.strategy === 'pancakeswap');
+
+      expect(pancake.factors.health).toBeLessThan(0);
+      expect(pancake.riskScore).toBe(5);
+    });
+
+    test('should restrict candidates to preferred strategies', () => {
+      const result = engine.recommend(snapshot, { preferredStrategies: ['venus', 'aave'] });
+
+      expect(result.ranking).toHaveLength(2);
+      expect(['venus', 'aave']).toContain(result.recommendation);
+    });
+
+    test('should skip protocols without APY data', () => {
+      const partial = {
+        ...snapshot,
+        protocols: { ...snapshot.protocols, pancake: { apy: null, health: 'healthy' } }
+      };
+
+      const result = engine.recommend(partial, { riskTolerance: 'high' });
+      expect(result.ranking.find(r => r.strategy === 'pancakeswap')).toBeUndefined();
+    });
+
+    test('should throw when no strategy can be scored', () => {
+      expect(() => engine.recommend({ protocols: {} })).toThrow('No strategy has usable oracle data');
+      expect(() => engine.recommend(null)).toThrow('Oracle snapshot with protocol data is required');
+    });
+  });
+
+  describe('Current Strategy', () => {
+    test('should apply switching cost only to other strategies', () => {
+      const result = engine.recommend(snapshot, { amount: '0.5', currentStrategy: 'venus' });
+      const venus = result.ranking.find(r => r.strategy === 'venus');
+      const aave = result.ranking.find(r => r.strategy === 'aave');
+
+      expect(venus.factors.gasCost).toBe(0);
+      expect(aave.factors.gasCost).toBeLessThan(0);
+    });
+
+    test('should accept strategy aliases', () => {
+      const result = engine.recommend(snapshot, { currentStrategy: 'pancake', riskTolerance: 'high' });
+
+      expect(result.currentStrategy).toBe('pancakeswap');
+      expect(result.shouldRebalance).toBe(false);
+    });
+  });
+
+  describe('Confidence', () => {
+    test('should keep confidence within bounds and explain its inputs', () => {
+      const result = engine.recommend(snapshot, { riskTolerance: 'medium' });
+
+      expect(result.confidence).toBeGreaterThan(0);
+      expect(result.confidence).toBeLessThanOrEqual(1);
+      expect(result.confidenceFactors).toHaveProperty('margin');
+      expect(result.confidenceFactors).toHaveProperty('dataQuality');
+    });
+
+    test('should lower confidence when data comes from fallback sources', () => {
+      const fallback = {
+        ...snapshot,
+        protocols: Object.fromEntries(
+          Object.entries(snapshot.protocols).map(([k, v]) => [k, { ...v, source: 'fallback' }])
+        )
+      };
+
+      expect(engine.recommend(fallback, {}).confidence)
+        .toBeLessThan(engine.recommend(snapshot, {}).confidence);
+    });
+  });
+
+  describe('Explanation', () => {
+    test('should break the chosen score down into factor contributions', () => {
+      const result = engine.recommend(snapshot, { amount: '10', riskTolerance: 'medium', currentStrategy: 'venus' });
+      const { chosen } = result.explanation;
+
+      expect(result.explanation.summary).toBe(result.reasoning);
+      expect(chosen).toMatchObject({ strategy: result.recommendation, score: result.ranking[0].score });
+      expect(chosen.contributions.map((c) => c.factor)).toEqual(['apy', 'tvl', 'health', 'gasCost', 'volatility', 'risk']);
+
+      const total = chosen.contributions.reduce((sum, c) => sum + c.value, 0);
+      expect(total).toBeCloseTo(chosen.score, 3);
+      expect(chosen.contributions.reduce((sum, c) => sum + c.share, 0)).toBeCloseTo(1, 3);
+    });
+
+    test('should list every alternative with its score gap and deciding factor', () => {
+      const result = engine.recommend(snapshot, { riskTolerance: 'low' });
+      const { alternatives } = result.explanation;
+
+      expect(alternatives.map((a) => a.strategy)).toEqual(result.ranking.slice(1).map((r) => r.strategy));
+      for (const alternative of alternatives) {
+        expect(alternative.scoreGap).toBeGreaterThanOrEqual(0);
+        expect(alternative.factorDeltas[alternative.decidingFactor])
+          .toBe(Math.max(...Object.values(alternative.factorDeltas)));
+      }
+    });
+
+    test('should report which protocols used live and fallback data', () => {
+      const { dataSources } = engine.recommend(snapshot, {}).explanation;
+
+      expect(dataSources).toEqual({
+        live: ['beefy', 'pancake', 'venus'],
+        fallback: ['aave'],
+        byProtocol: { aave: 'fallback', beefy: 'beefy-api', pancake: 'defillama', venus: 'defillama' },
+        liveShare: 0.75
+      });
+    });
+  });
+});